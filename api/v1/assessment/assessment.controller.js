@@ -1,5 +1,13 @@
 const assessmentService = require('./assessment.service');
+const assessmentReportService = require('./assessmentReport.service');
+const assessmentJobService = require('./assessmentJob.service');
+const assessmentTemplateService = require('./assessmentTemplate.service');
+const assessmentReviewService = require('./assessmentReview.service');
+const assessmentRevisionService = require('./assessmentRevision.service');
+const assessmentEditService = require('./assessmentEdit.service');
+const { listInstruments } = require('./instruments');
 const { successResponse } = require('../../../helpers/response');
+const { openEventStream } = require('../../../helpers/sse');
 const HTTP_CODES = require('../../../constants/httpCodes');
 const RESPONSE_TAGS = require('../../../constants/responseTags');
 const { asyncHandler } = require('../../../middlewares/error.middleware');
@@ -10,22 +18,85 @@ const logger = require('../../../helpers/logger');
  */
 const assessmentController = {
   /**
-   * Generate assessment
+   * Queue assessment generation
    * POST /api/v1/assessment/generate
    */
   generateAssessment: asyncHandler(async (req, res) => {
     const userId = req.user.userId;
     const { healthConcernId } = req.body;
     
-    const assessment = await assessmentService.generateAssessment(userId, healthConcernId);
+    const job = await assessmentJobService.enqueueGeneration(userId, healthConcernId);
     
-    logger.info(`Assessment generated for user: ${userId}, health concern: ${healthConcernId}`);
+    logger.info(`Assessment generation queued for user: ${userId}, health concern: ${healthConcernId}`);
     return successResponse(
       res,
-      HTTP_CODES.CREATED,
-      'Assessment generated successfully',
-      assessment,
-      RESPONSE_TAGS.SUCCESS.DATA_CREATED
+      HTTP_CODES.ACCEPTED,
+      'Assessment generation started',
+      job,
+      RESPONSE_TAGS.SUCCESS.REQUEST_ACCEPTED
+    );
+  }),
+
+  /**
+   * Generate assessment and stream it as Server-Sent Events
+   * GET /api/v1/assessment/generate/stream
+   * Events: started, severity, cooldown, question, reset, complete, error
+   */
+  streamAssessment: asyncHandler(async (req, res) => {
+    const userId = req.user.userId;
+    const { healthConcernId } = req.query;
+    
+    // Eligibility errors are returned as regular JSON before the stream opens
+    const job = await assessmentJobService.createInlineJob(userId, healthConcernId);
+    
+    const stream = openEventStream(res);
+    stream.send('started', { jobId: job._id, healthConcernId });
+    
+    try {
+      // Generation continues if the client disconnects; the result stays
+      // available through the job and assessment history
+      const assessment = await assessmentJobService.runInlineJob(job, (runOptions) =>
+        assessmentService.streamAssessment(userId, healthConcernId, {
+          ...runOptions,
+          onEvent: stream.send,
+        })
+      );
+      
+      logger.info(`Assessment streamed for user: ${userId}, health concern: ${healthConcernId}`);
+      stream.send('complete', {
+        assessmentId: assessment._id,
+        jobId: job._id,
+        severity: assessment.severity,
+        minDaysBeforeNextAssessment: assessment.minDaysBeforeNextAssessment,
+        questionCount: assessment.questions.length,
+      });
+    } catch (error) {
+      stream.send('error', {
+        message: error.isOperational ? error.message : 'Assessment generation failed',
+        tag: error.tag || RESPONSE_TAGS.SERVER.INTERNAL_SERVER_ERROR,
+        jobId: job._id,
+      });
+    } finally {
+      stream.close();
+    }
+  }),
+
+  /**
+   * Get generation job status
+   * GET /api/v1/assessment/jobs/:jobId
+   */
+  getGenerationJob: asyncHandler(async (req, res) => {
+    const userId = req.user.userId;
+    const { jobId } = req.params;
+    
+    const job = await assessmentJobService.getJob(userId, jobId);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Generation job retrieved successfully',
+      job,
+      RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
     );
   }),
 
@@ -54,6 +125,54 @@ const assessmentController = {
     );
   }),
 
+  /**
+   * Get the draft response of an assessment
+   * GET /api/v1/assessment/:assessmentId/draft
+   */
+  getDraft: asyncHandler(async (req, res) => {
+    const draft = await assessmentService.getDraft(req.user.userId, req.params.assessmentId);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Draft retrieved successfully',
+      draft,
+      RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+    );
+  }),
+
+  /**
+   * Save answers to the draft response of an assessment
+   * PATCH /api/v1/assessment/:assessmentId/draft
+   */
+  saveDraft: asyncHandler(async (req, res) => {
+    const draft = await assessmentService.saveDraft(req.user.userId, req.params.assessmentId, req.body);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Draft saved successfully',
+      draft,
+      RESPONSE_TAGS.SUCCESS.DATA_UPDATED
+    );
+  }),
+
+  /**
+   * Discard the draft response of an assessment
+   * DELETE /api/v1/assessment/:assessmentId/draft
+   */
+  discardDraft: asyncHandler(async (req, res) => {
+    await assessmentService.discardDraft(req.user.userId, req.params.assessmentId);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Draft discarded successfully',
+      null,
+      RESPONSE_TAGS.SUCCESS.DATA_DELETED
+    );
+  }),
+
   /**
    * Get assessment by ID
    * GET /api/v1/assessment/:assessmentId
@@ -117,6 +236,190 @@ const assessmentController = {
     );
   }),
 
+  /**
+   * Regenerate one question of an unanswered assessment
+   * POST /api/v1/assessment/:assessmentId/questions/:questionId/regenerate
+   */
+  regenerateQuestion: asyncHandler(async (req, res) => {
+    const { assessmentId, questionId } = req.params;
+    
+    const assessment = await assessmentEditService.regenerateQuestion(req.user, assessmentId, questionId, req.body);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Question regenerated successfully',
+      assessment,
+      RESPONSE_TAGS.SUCCESS.DATA_UPDATED
+    );
+  }),
+
+  /**
+   * Edit one question of an unanswered assessment
+   * PATCH /api/v1/assessment/:assessmentId/questions/:questionId
+   */
+  editQuestion: asyncHandler(async (req, res) => {
+    const { assessmentId, questionId } = req.params;
+    
+    const assessment = await assessmentEditService.editQuestion(req.user, assessmentId, questionId, req.body);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Question updated successfully',
+      assessment,
+      RESPONSE_TAGS.SUCCESS.DATA_UPDATED
+    );
+  }),
+
+  /**
+   * Remove one question of an unanswered assessment
+   * DELETE /api/v1/assessment/:assessmentId/questions/:questionId
+   */
+  removeQuestion: asyncHandler(async (req, res) => {
+    const { assessmentId, questionId } = req.params;
+    
+    const assessment = await assessmentEditService.removeQuestion(req.user, assessmentId, questionId);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Question removed successfully',
+      assessment,
+      RESPONSE_TAGS.SUCCESS.DATA_DELETED
+    );
+  }),
+
+  /**
+   * Amend, correct or annotate a submitted response
+   * POST /api/v1/assessment/response/:responseId/amendments
+   */
+  amendResponse: asyncHandler(async (req, res) => {
+    const result = await assessmentRevisionService.amend(req.user, req.params.responseId, req.body);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.CREATED,
+      'Assessment response amended successfully',
+      result,
+      RESPONSE_TAGS.SUCCESS.DATA_CREATED
+    );
+  }),
+
+  /**
+   * List the revisions of a response
+   * GET /api/v1/assessment/response/:responseId/revisions
+   */
+  listResponseRevisions: asyncHandler(async (req, res) => {
+    const revisions = await assessmentRevisionService.listRevisions(req.user, req.params.responseId);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Response revisions retrieved successfully',
+      revisions,
+      RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+    );
+  }),
+
+  /**
+   * Get one revision of a response
+   * GET /api/v1/assessment/response/:responseId/revisions/:revision
+   */
+  getResponseRevision: asyncHandler(async (req, res) => {
+    const { responseId, revision } = req.params;
+    const result = await assessmentRevisionService.getRevision(req.user, responseId, revision);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Response revision retrieved successfully',
+      result,
+      RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+    );
+  }),
+
+  /**
+   * Get assessment side by side with a translation
+   * GET /api/v1/assessment/:assessmentId/translation?language=
+   */
+  getAssessmentTranslation: asyncHandler(async (req, res) => {
+    const { assessmentId } = req.params;
+    const { language } = req.query;
+    
+    const translation = await assessmentService.getAssessmentTranslation(req.user, assessmentId, language);
+    
+    logger.info(`Assessment translation retrieved: ${assessmentId}`, { language: translation.targetLanguage });
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Assessment translation retrieved successfully',
+      translation,
+      RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+    );
+  }),
+
+  /**
+   * Get response side by side with a translation
+   * GET /api/v1/assessment/response/:responseId/translation?language=
+   */
+  getResponseTranslation: asyncHandler(async (req, res) => {
+    const { responseId } = req.params;
+    const { language } = req.query;
+    
+    const translation = await assessmentService.getResponseTranslation(req.user, responseId, language);
+    
+    logger.info(`Assessment response translation retrieved: ${responseId}`, { language: translation.targetLanguage });
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Assessment response translation retrieved successfully',
+      translation,
+      RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+    );
+  }),
+
+  /**
+   * Get report for a response (poll until reportStatus is completed/failed)
+   * GET /api/v1/assessment/response/:responseId/report
+   */
+  getResponseReport: asyncHandler(async (req, res) => {
+    const userId = req.user.userId;
+    const { responseId } = req.params;
+    
+    const report = await assessmentReportService.getReport(userId, responseId);
+    
+    logger.info(`Assessment report retrieved: ${responseId}`);
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Assessment report retrieved successfully',
+      report,
+      RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+    );
+  }),
+
+  /**
+   * Regenerate report for a response
+   * POST /api/v1/assessment/response/:responseId/report/regenerate
+   */
+  regenerateResponseReport: asyncHandler(async (req, res) => {
+    const userId = req.user.userId;
+    const { responseId } = req.params;
+    const { force } = req.body;
+    
+    const report = await assessmentReportService.regenerateReport(userId, responseId, { force });
+    
+    logger.info(`Assessment report regeneration requested: ${responseId}`);
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Assessment report regeneration started',
+      report,
+      RESPONSE_TAGS.SUCCESS.OPERATION_SUCCESS
+    );
+  }),
+
   /**
    * Check if user can generate new assessment for health concern
    * GET /api/v1/assessment/can-generate/:healthConcernId
@@ -125,8 +428,7 @@ const assessmentController = {
     const userId = req.user.userId;
     const { healthConcernId } = req.params;
     
-    const Assessment = require('./assessment.model');
-    const canGenerate = await Assessment.canGenerateNewAssessment(userId, healthConcernId);
+    const canGenerate = await assessmentService.checkCanGenerate(req.user, healthConcernId);
     
     logger.info(`Cooldown check for user: ${userId}, health concern: ${healthConcernId}`);
     return successResponse(
@@ -138,12 +440,317 @@ const assessmentController = {
         reason: canGenerate.reason,
         daysRemaining: canGenerate.daysRemaining,
         lastAssessmentDate: canGenerate.lastAssessmentDate,
+        jobId: canGenerate.jobId,
+        jobStatus: canGenerate.jobStatus,
+        overrideInEffect: Boolean(canGenerate.override),
+        override: canGenerate.override || null,
       },
       canGenerate.allowed 
         ? RESPONSE_TAGS.SUCCESS.OPERATION_SUCCESS 
         : RESPONSE_TAGS.VALIDATION.COOLDOWN_NOT_MET
     );
   }),
+
+  /**
+   * List standardized instruments the generator can embed
+   * GET /api/v1/assessment/instruments
+   */
+  listInstruments: asyncHandler(async (req, res) => {
+    const instruments = listInstruments();
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Instruments retrieved successfully',
+      instruments,
+      RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+    );
+  }),
+
+  /**
+   * Get assessment as a FHIR R4 Questionnaire
+   * GET /api/v1/assessment/:assessmentId/fhir
+   */
+  getAssessmentFhir: asyncHandler(async (req, res) => {
+    const { assessmentId } = req.params;
+    
+    const questionnaire = await assessmentService.getAssessmentFhir(req.user, assessmentId);
+    
+    logger.info(`Assessment exported as FHIR Questionnaire: ${assessmentId}`);
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'FHIR Questionnaire retrieved successfully',
+      questionnaire,
+      RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+    );
+  }),
+
+  /**
+   * Get response as a FHIR R4 QuestionnaireResponse
+   * GET /api/v1/assessment/response/:responseId/fhir
+   */
+  getResponseFhir: asyncHandler(async (req, res) => {
+    const { responseId } = req.params;
+    
+    const questionnaireResponse = await assessmentService.getResponseFhir(req.user, responseId);
+    
+    logger.info(`Assessment response exported as FHIR QuestionnaireResponse: ${responseId}`);
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'FHIR QuestionnaireResponse retrieved successfully',
+      questionnaireResponse,
+      RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+    );
+  }),
+
+  /**
+   * Import a FHIR R4 Questionnaire as a template
+   * POST /api/v1/assessment/templates/import/fhir
+   */
+  importFhirTemplate: asyncHandler(async (req, res) => {
+    const userId = req.user.userId;
+    
+    const result = await assessmentTemplateService.importFhirQuestionnaire(userId, req.body);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.CREATED,
+      'Questionnaire imported successfully',
+      result,
+      RESPONSE_TAGS.SUCCESS.DATA_CREATED
+    );
+  }),
+
+  /**
+   * Create a template
+   * POST /api/v1/assessment/templates
+   */
+  createTemplate: asyncHandler(async (req, res) => {
+    const userId = req.user.userId;
+    
+    const template = await assessmentTemplateService.createTemplate(userId, req.body);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.CREATED,
+      'Assessment template created successfully',
+      template,
+      RESPONSE_TAGS.SUCCESS.DATA_CREATED
+    );
+  }),
+
+  /**
+   * List the templates the professional authored or that are shared with them
+   * GET /api/v1/assessment/templates
+   */
+  listTemplates: asyncHandler(async (req, res) => {
+    const userId = req.user.userId;
+    const { skip, limit } = req.pagination;
+    const { scope } = req.query;
+    
+    const result = await assessmentTemplateService.listTemplates(userId, { skip, limit }, { scope });
+    
+    return res.paginatedResponse(
+      'Assessment templates retrieved successfully',
+      result.data,
+      result.totalCount,
+      RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+    );
+  }),
+
+  /**
+   * Get a template
+   * GET /api/v1/assessment/templates/:templateId
+   */
+  getTemplateById: asyncHandler(async (req, res) => {
+    const userId = req.user.userId;
+    const { templateId } = req.params;
+    
+    const template = await assessmentTemplateService.getTemplateById(userId, templateId);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Assessment template retrieved successfully',
+      template,
+      RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+    );
+  }),
+
+  /**
+   * Update a template
+   * PATCH /api/v1/assessment/templates/:templateId
+   */
+  updateTemplate: asyncHandler(async (req, res) => {
+    const userId = req.user.userId;
+    const { templateId } = req.params;
+    
+    const template = await assessmentTemplateService.updateTemplate(userId, templateId, req.body);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Assessment template updated successfully',
+      template,
+      RESPONSE_TAGS.SUCCESS.DATA_UPDATED
+    );
+  }),
+
+  /**
+   * Delete a template
+   * DELETE /api/v1/assessment/templates/:templateId
+   */
+  deleteTemplate: asyncHandler(async (req, res) => {
+    const userId = req.user.userId;
+    const { templateId } = req.params;
+    
+    await assessmentTemplateService.deleteTemplate(userId, templateId);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Assessment template deleted successfully',
+      null,
+      RESPONSE_TAGS.SUCCESS.DATA_DELETED
+    );
+  }),
+
+  /**
+   * Assign a template to a patient's health concern
+   * POST /api/v1/assessment/templates/:templateId/assignments
+   */
+  assignTemplate: asyncHandler(async (req, res) => {
+    const { templateId } = req.params;
+    
+    const assessment = await assessmentTemplateService.assignTemplate(req.user, templateId, req.body);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.CREATED,
+      'Assessment assigned successfully',
+      assessment,
+      RESPONSE_TAGS.SUCCESS.DATA_CREATED
+    );
+  }),
+
+  /**
+   * Get a template as a FHIR R4 Questionnaire
+   * GET /api/v1/assessment/templates/:templateId/fhir
+   */
+  getTemplateFhir: asyncHandler(async (req, res) => {
+    const userId = req.user.userId;
+    const { templateId } = req.params;
+    
+    const questionnaire = await assessmentTemplateService.getTemplateFhir(userId, templateId);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'FHIR Questionnaire retrieved successfully',
+      questionnaire,
+      RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+    );
+  }),
+
+  /**
+   * Review queue of responses from care-team patients
+   * GET /api/v1/assessment/reviews
+   */
+  listReviewQueue: asyncHandler(async (req, res) => {
+    const userId = req.user.userId;
+    const { skip, limit } = req.pagination;
+    const { status } = req.query;
+    
+    const result = await assessmentReviewService.listQueue(userId, {
+      pagination: { skip, limit },
+      status,
+    });
+    
+    return res.paginatedResponse(
+      'Review queue retrieved successfully',
+      result.data,
+      result.totalCount,
+      RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+    );
+  }),
+
+  /**
+   * Open a response for review
+   * GET /api/v1/assessment/reviews/:responseId
+   */
+  getReview: asyncHandler(async (req, res) => {
+    const userId = req.user.userId;
+    const { responseId } = req.params;
+    
+    const response = await assessmentReviewService.getReview(userId, responseId);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Response retrieved for review',
+      response,
+      RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+    );
+  }),
+
+  /**
+   * Add a clinical note
+   * POST /api/v1/assessment/reviews/:responseId/notes
+   */
+  addReviewNote: asyncHandler(async (req, res) => {
+    const userId = req.user.userId;
+    const { responseId } = req.params;
+    
+    const review = await assessmentReviewService.addNote(userId, responseId, req.body);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.CREATED,
+      'Clinical note added successfully',
+      review,
+      RESPONSE_TAGS.SUCCESS.DATA_CREATED
+    );
+  }),
+
+  /**
+   * Mark a response reviewed or needing follow-up
+   * PATCH /api/v1/assessment/reviews/:responseId/decision
+   */
+  recordReviewDecision: asyncHandler(async (req, res) => {
+    const userId = req.user.userId;
+    const { responseId } = req.params;
+    
+    const review = await assessmentReviewService.recordDecision(userId, responseId, req.body);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Review decision recorded successfully',
+      review,
+      RESPONSE_TAGS.SUCCESS.DATA_UPDATED
+    );
+  }),
+
+  /**
+   * Sign off a reviewed response
+   * POST /api/v1/assessment/reviews/:responseId/sign-off
+   */
+  signOffReview: asyncHandler(async (req, res) => {
+    const userId = req.user.userId;
+    const { responseId } = req.params;
+    
+    const review = await assessmentReviewService.signOff(userId, responseId, req.body);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Response signed off successfully',
+      review,
+      RESPONSE_TAGS.SUCCESS.DATA_UPDATED
+    );
+  }),
 };
 
 module.exports = assessmentController;
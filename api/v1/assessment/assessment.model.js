@@ -1,4 +1,12 @@
 const mongoose = require('mongoose');
+const AssessmentGenerationJob = require('./assessmentGenerationJob.model');
+const HealthConcern = require('../healthConcern/healthConcern.model');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('../../../constants/languages');
+const { ASSESSMENT_ORIGINS } = require('../../../constants/assessmentTemplates');
+const { QUESTION_EDIT_ACTIONS } = require('../../../constants/assessmentEdits');
+const { COOLDOWN_OVERRIDE_MODES } = require('../../../constants/cooldownOverrides');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
 
 // Question option schema
 const questionOptionSchema = new mongoose.Schema({
@@ -81,6 +89,150 @@ const questionSchema = new mongoose.Schema({
   conditions: [conditionSchema],
 }, { _id: false });
 
+// Embedded standardized instrument (see ./instruments)
+const embeddedInstrumentSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+  },
+  version: {
+    type: String,
+    required: true,
+  },
+  name: {
+    type: String,
+    default: null,
+  },
+  questionIds: {
+    type: [String],
+    default: [],
+  },
+}, { _id: false });
+
+// How a generated assessment was produced
+const llmMetadataSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    default: 'openai',
+  },
+  model: {
+    type: String,
+    required: true,
+  },
+  promptVersion: {
+    type: String,
+    default: 'v1.0',
+  },
+  // Prompt registry version used; null for the built-in prompt
+  promptVersionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromptVersion',
+    default: null,
+  },
+  tokensUsed: {
+    prompt: { type: Number, default: 0 },
+    completion: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+  },
+  generationTime: {
+    type: Number,
+    default: 0,
+  },
+  // Estimated cost in USD, including repair rounds
+  cost: {
+    type: Number,
+    default: 0,
+  },
+  // Repair rounds needed before the output passed validation
+  repairAttempts: {
+    type: Number,
+    default: 0,
+  },
+  // { valid, errors, warnings, attempts: [{ attempt, errors, warnings }] }
+  validationReport: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  // { tokenCount, budget, withinBudget, pruned: [{ section, priority, action, tokensBefore, tokensAfter }] }
+  contextPruning: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  // Instruction-like patient text neutralized before the call: [{ field, code, excerpt }]
+  inputFindings: {
+    type: mongoose.Schema.Types.Mixed,
+    default: [],
+  },
+  // Model output overridden by the generation policy: [{ field, from, to, reason }]
+  policyAdjustments: {
+    type: mongoose.Schema.Types.Mixed,
+    default: [],
+  },
+}, { _id: false });
+
+// Who assigned a template assessment, and from which template version
+const authoringSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AssessmentTemplate',
+    required: true,
+  },
+  templateName: {
+    type: String,
+    required: true,
+  },
+  templateVersion: {
+    type: Number,
+    required: true,
+  },
+}, { _id: false });
+
+// One change to a question made before answering started; before/after
+// are question snapshots (null when added/removed)
+const questionEditSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: Object.values(QUESTION_EDIT_ACTIONS),
+    required: true,
+  },
+  questionId: {
+    type: String,
+    required: true,
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  // Regenerations only
+  instruction: {
+    type: String,
+    default: null,
+  },
+  // Regenerations only: { provider, model, promptVersion, tokensUsed, cost }
+  llm: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  editedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
 // Assessment schema
 const assessmentSchema = new mongoose.Schema({
   user: {
@@ -115,29 +267,51 @@ const assessmentSchema = new mongoose.Schema({
       message: 'Assessment must have at least one question',
     },
   },
+  // Standardized instruments whose questions are included verbatim
+  instruments: {
+    type: [embeddedInstrumentSchema],
+    default: [],
+  },
+  // Language the question text was generated in
+  language: {
+    type: String,
+    enum: Object.keys(SUPPORTED_LANGUAGES),
+    default: DEFAULT_LANGUAGE,
+  },
+  // Cached translations for side-by-side views, keyed by language:
+  // { [language]: { questions: [{ id, label, description, options: [{ value, label }] }], model, promptVersion, translatedAt } }
+  translations: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  // Generated by the LLM or assigned from a professional's template
+  origin: {
+    type: String,
+    enum: Object.values(ASSESSMENT_ORIGINS),
+    default: ASSESSMENT_ORIGINS.GENERATED,
+  },
+  // Provenance: llmMetadata for generated assessments, authoring for template ones
   llmMetadata: {
-    provider: {
-      type: String,
-      default: 'openai',
+    type: llmMetadataSchema,
+    required: function() {
+      return this.origin !== ASSESSMENT_ORIGINS.TEMPLATE;
     },
-    model: {
-      type: String,
-      required: true,
-    },
-    promptVersion: {
-      type: String,
-      default: 'v1.0',
-    },
-    tokensUsed: {
-      prompt: { type: Number, default: 0 },
-      completion: { type: Number, default: 0 },
-      total: { type: Number, default: 0 },
-    },
-    generationTime: {
-      type: Number,
-      default: 0,
+  },
+  authoring: {
+    type: authoringSchema,
+    required: function() {
+      return this.origin === ASSESSMENT_ORIGINS.TEMPLATE;
     },
   },
+  // Set when the first answer is saved; questions cannot change afterwards
+  lockedAt: {
+    type: Date,
+    default: null,
+  },
+  editLog: {
+    type: [questionEditSchema],
+    default: [],
+  },
   isActive: {
     type: Boolean,
     default: true,
@@ -151,6 +325,7 @@ const assessmentSchema = new mongoose.Schema({
 // Compound indexes
 assessmentSchema.index({ user: 1, healthConcern: 1, createdAt: -1 });
 assessmentSchema.index({ user: 1, createdAt: -1 });
+assessmentSchema.index({ 'llmMetadata.promptVersionId': 1, createdAt: -1 });
 
 // Virtual for response status
 assessmentSchema.virtual('responseStatus', {
@@ -160,6 +335,23 @@ assessmentSchema.virtual('responseStatus', {
   justOne: true,
 });
 
+/**
+ * Cooldown override still in effect
+ * One-off overrides lapse once an assessment was created after they were set.
+ * @param {Object|null} cooldownOverride - HealthConcern.cooldownOverride
+ * @param {Object|null} latestAssessment - Latest assessment for the concern
+ * @returns {Object|null} - Override as a plain object, or null
+ */
+const resolveCooldownOverride = (cooldownOverride, latestAssessment) => {
+  if (!cooldownOverride) return null;
+
+  const override = cooldownOverride.toObject();
+  if (override.mode === COOLDOWN_OVERRIDE_MODES.INTERVAL) return override;
+
+  const usedUp = latestAssessment && latestAssessment.createdAt > override.setAt;
+  return usedUp ? null : override;
+};
+
 // Static method to find latest assessment for user + health concern
 assessmentSchema.statics.findLatestByUserAndConcern = function(userId, healthConcernId) {
   return this.findOne({
@@ -170,27 +362,67 @@ assessmentSchema.statics.findLatestByUserAndConcern = function(userId, healthCon
 };
 
 // Static method to check if user can generate new assessment
-assessmentSchema.statics.canGenerateNewAssessment = async function(userId, healthConcernId) {
-  const latestAssessment = await this.findLatestByUserAndConcern(userId, healthConcernId);
-  
+// A queued or running generation job blocks new requests (excludeJobId lets
+// the job being processed pass its own check). A professional's cooldown
+// override on the health concern replaces the latest assessment's cooldown;
+// `override` is the override in effect, or null.
+assessmentSchema.statics.canGenerateNewAssessment = async function(userId, healthConcernId, options = {}) {
+  const inFlightJob = await AssessmentGenerationJob.findInFlight(userId, healthConcernId, options.excludeJobId);
+
+  if (inFlightJob) {
+    return {
+      allowed: false,
+      reason: 'An assessment is already being generated for this health concern',
+      jobId: inFlightJob._id,
+      jobStatus: inFlightJob.status,
+    };
+  }
+
+  const [latestAssessment, healthConcern] = await Promise.all([
+    this.findLatestByUserAndConcern(userId, healthConcernId),
+    HealthConcern.findById(healthConcernId).select('cooldownOverride'),
+  ]);
+  const override = resolveCooldownOverride(healthConcern?.cooldownOverride, latestAssessment);
+
+  if (override?.mode === COOLDOWN_OVERRIDE_MODES.ALLOW_NOW) {
+    return { allowed: true, reason: 'Cooldown overridden by a professional', override };
+  }
+
+  if (override?.mode === COOLDOWN_OVERRIDE_MODES.NEXT_ELIGIBLE_AT) {
+    if (Date.now() >= override.nextEligibleAt.getTime()) {
+      return { allowed: true, override };
+    }
+
+    const daysRemaining = Math.ceil((override.nextEligibleAt.getTime() - Date.now()) / DAY_MS);
+    return {
+      allowed: false,
+      reason: `Next assessment is scheduled for ${override.nextEligibleAt.toISOString().slice(0, 10)}`,
+      daysRemaining,
+      lastAssessmentDate: latestAssessment?.createdAt,
+      override,
+    };
+  }
+
   if (!latestAssessment) {
-    return { allowed: true, reason: 'No previous assessment found' };
+    return { allowed: true, reason: 'No previous assessment found', override };
   }
 
+  const minDays = override ? override.intervalDays : latestAssessment.minDaysBeforeNextAssessment;
   const daysSinceLastAssessment = Math.floor(
-    (Date.now() - latestAssessment.createdAt.getTime()) / (1000 * 60 * 60 * 24)
+    (Date.now() - latestAssessment.createdAt.getTime()) / DAY_MS
   );
 
-  if (daysSinceLastAssessment >= latestAssessment.minDaysBeforeNextAssessment) {
-    return { allowed: true, daysSinceLastAssessment };
+  if (daysSinceLastAssessment >= minDays) {
+    return { allowed: true, daysSinceLastAssessment, override };
   }
 
-  const daysRemaining = latestAssessment.minDaysBeforeNextAssessment - daysSinceLastAssessment;
+  const daysRemaining = minDays - daysSinceLastAssessment;
   return {
     allowed: false,
     reason: `Must wait ${daysRemaining} more day(s) before next assessment`,
     daysRemaining,
     lastAssessmentDate: latestAssessment.createdAt,
+    override,
   };
 };
 
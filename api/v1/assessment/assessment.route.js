@@ -18,7 +18,7 @@ router.use(authorize([ROLES.PATIENT, ROLES.PROFESSIONAL]));
 
 /**
  * @route   POST /api/v1/assessment/generate
- * @desc    Generate new assessment for a health concern
+ * @desc    Queue generation of a new assessment for a health concern (202 with job id)
  * @access  Private (Patient/Professional)
  */
 router.post('/generate',
@@ -26,9 +26,29 @@ router.post('/generate',
   assessmentController.generateAssessment
 );
 
+/**
+ * @route   GET /api/v1/assessment/generate/stream?healthConcernId=
+ * @desc    Generate new assessment and stream questions as Server-Sent Events
+ * @access  Private (Patient/Professional)
+ */
+router.get('/generate/stream',
+  validateQuery(assessmentValidation.generateAssessmentSchema),
+  assessmentController.streamAssessment
+);
+
+/**
+ * @route   GET /api/v1/assessment/jobs/:jobId
+ * @desc    Get status, progress and result of a generation job
+ * @access  Private (Patient/Professional)
+ */
+router.get('/jobs/:jobId',
+  validateParams(assessmentValidation.jobIdParamSchema),
+  assessmentController.getGenerationJob
+);
+
 /**
  * @route   POST /api/v1/assessment/response
- * @desc    Submit assessment response
+ * @desc    Submit assessment response (without answers: submit the assessment's draft)
  * @access  Private (Patient/Professional)
  */
 router.post('/response',
@@ -47,12 +67,170 @@ router.get('/history',
   assessmentController.getAssessmentHistory
 );
 
+/**
+ * @route   GET /api/v1/assessment/instruments
+ * @desc    List standardized instruments (PHQ-9, GAD-7, ...) available to the generator
+ * @access  Private (Patient/Professional)
+ */
+router.get('/instruments', assessmentController.listInstruments);
+
+/**
+ * @route   POST /api/v1/assessment/templates/import/fhir
+ * @desc    Import a FHIR R4 Questionnaire as an assessment template
+ * @access  Private (Professional)
+ */
+router.post('/templates/import/fhir',
+  authorize([ROLES.PROFESSIONAL]),
+  validateBody(assessmentValidation.fhirQuestionnaireSchema),
+  assessmentController.importFhirTemplate
+);
+
+/**
+ * @route   POST /api/v1/assessment/templates
+ * @desc    Create an assessment template (private, or shared with the author's organization)
+ * @access  Private (Professional)
+ */
+router.post('/templates',
+  authorize([ROLES.PROFESSIONAL]),
+  validateBody(assessmentValidation.createTemplateSchema),
+  assessmentController.createTemplate
+);
+
+/**
+ * @route   GET /api/v1/assessment/templates?page=&limit=&scope=
+ * @desc    List the professional's own templates and those shared within their organization
+ * @access  Private (Professional)
+ */
+router.get('/templates',
+  authorize([ROLES.PROFESSIONAL]),
+  paginationMiddleware,
+  validateQuery(assessmentValidation.templateQuerySchema),
+  assessmentController.listTemplates
+);
+
+/**
+ * @route   GET /api/v1/assessment/templates/:templateId
+ * @desc    Get an assessment template
+ * @access  Private (Professional)
+ */
+router.get('/templates/:templateId',
+  authorize([ROLES.PROFESSIONAL]),
+  validateParams(assessmentValidation.templateIdParamSchema),
+  assessmentController.getTemplateById
+);
+
+/**
+ * @route   PATCH /api/v1/assessment/templates/:templateId
+ * @desc    Update an assessment template (author only)
+ * @access  Private (Professional)
+ */
+router.patch('/templates/:templateId',
+  authorize([ROLES.PROFESSIONAL]),
+  validateParams(assessmentValidation.templateIdParamSchema),
+  validateBody(assessmentValidation.updateTemplateSchema),
+  assessmentController.updateTemplate
+);
+
+/**
+ * @route   DELETE /api/v1/assessment/templates/:templateId
+ * @desc    Delete an assessment template (author only)
+ * @access  Private (Professional)
+ */
+router.delete('/templates/:templateId',
+  authorize([ROLES.PROFESSIONAL]),
+  validateParams(assessmentValidation.templateIdParamSchema),
+  assessmentController.deleteTemplate
+);
+
+/**
+ * @route   POST /api/v1/assessment/templates/:templateId/assignments
+ * @desc    Assign a template to a care-team patient's health concern with a custom cooldown
+ * @access  Private (Professional)
+ */
+router.post('/templates/:templateId/assignments',
+  authorize([ROLES.PROFESSIONAL]),
+  validateParams(assessmentValidation.templateIdParamSchema),
+  validateBody(assessmentValidation.assignTemplateSchema),
+  assessmentController.assignTemplate
+);
+
+/**
+ * @route   GET /api/v1/assessment/templates/:templateId/fhir
+ * @desc    Get an assessment template as a FHIR R4 Questionnaire
+ * @access  Private (Professional)
+ */
+router.get('/templates/:templateId/fhir',
+  authorize([ROLES.PROFESSIONAL]),
+  validateParams(assessmentValidation.templateIdParamSchema),
+  assessmentController.getTemplateFhir
+);
+
+/**
+ * @route   GET /api/v1/assessment/reviews?page=&limit=&status=
+ * @desc    Review queue of responses from care-team patients, oldest first
+ * @access  Private (Professional)
+ */
+router.get('/reviews',
+  authorize([ROLES.PROFESSIONAL]),
+  paginationMiddleware,
+  validateQuery(assessmentValidation.reviewQueueQuerySchema),
+  assessmentController.listReviewQueue
+);
+
+/**
+ * @route   GET /api/v1/assessment/reviews/:responseId
+ * @desc    Open a response for review with its assessment and report
+ * @access  Private (Professional)
+ */
+router.get('/reviews/:responseId',
+  authorize([ROLES.PROFESSIONAL]),
+  validateParams(assessmentValidation.responseIdParamSchema),
+  assessmentController.getReview
+);
+
+/**
+ * @route   POST /api/v1/assessment/reviews/:responseId/notes
+ * @desc    Add a clinical note to a response under review
+ * @access  Private (Professional)
+ */
+router.post('/reviews/:responseId/notes',
+  authorize([ROLES.PROFESSIONAL]),
+  validateParams(assessmentValidation.responseIdParamSchema),
+  validateBody(assessmentValidation.clinicalNoteSchema),
+  assessmentController.addReviewNote
+);
+
+/**
+ * @route   PATCH /api/v1/assessment/reviews/:responseId/decision
+ * @desc    Mark a response reviewed or needing follow-up
+ * @access  Private (Professional)
+ */
+router.patch('/reviews/:responseId/decision',
+  authorize([ROLES.PROFESSIONAL]),
+  validateParams(assessmentValidation.responseIdParamSchema),
+  validateBody(assessmentValidation.reviewDecisionSchema),
+  assessmentController.recordReviewDecision
+);
+
+/**
+ * @route   POST /api/v1/assessment/reviews/:responseId/sign-off
+ * @desc    Sign off a reviewed response
+ * @access  Private (Professional)
+ */
+router.post('/reviews/:responseId/sign-off',
+  authorize([ROLES.PROFESSIONAL]),
+  validateParams(assessmentValidation.responseIdParamSchema),
+  validateBody(assessmentValidation.signOffSchema),
+  assessmentController.signOffReview
+);
+
 /**
  * @route   GET /api/v1/assessment/can-generate/:healthConcernId
- * @desc    Check if user can generate new assessment (cooldown check)
+ * @desc    Check if a new assessment can be generated (cooldown check, reports any professional override)
  * @access  Private (Patient/Professional)
  */
 router.get('/can-generate/:healthConcernId',
+  validateParams(assessmentValidation.generateAssessmentSchema),
   assessmentController.checkCanGenerate
 );
 
@@ -66,6 +244,90 @@ router.get('/:assessmentId',
   assessmentController.getAssessmentById
 );
 
+/**
+ * @route   GET /api/v1/assessment/:assessmentId/draft
+ * @desc    Get the draft response of an assessment to resume it
+ * @access  Private (Patient/Professional)
+ */
+router.get('/:assessmentId/draft',
+  validateParams(assessmentValidation.assessmentIdParamSchema),
+  assessmentController.getDraft
+);
+
+/**
+ * @route   PATCH /api/v1/assessment/:assessmentId/draft
+ * @desc    Save changed answers to the draft response, creating it if needed
+ * @access  Private (Patient/Professional)
+ */
+router.patch('/:assessmentId/draft',
+  validateParams(assessmentValidation.assessmentIdParamSchema),
+  validateBody(assessmentValidation.saveDraftSchema),
+  assessmentController.saveDraft
+);
+
+/**
+ * @route   DELETE /api/v1/assessment/:assessmentId/draft
+ * @desc    Discard the draft response of an assessment
+ * @access  Private (Patient/Professional)
+ */
+router.delete('/:assessmentId/draft',
+  validateParams(assessmentValidation.assessmentIdParamSchema),
+  assessmentController.discardDraft
+);
+
+/**
+ * @route   POST /api/v1/assessment/:assessmentId/questions/:questionId/regenerate
+ * @desc    Regenerate one question with an instruction (until answering starts)
+ * @access  Private (Patient/Professional)
+ */
+router.post('/:assessmentId/questions/:questionId/regenerate',
+  validateParams(assessmentValidation.questionParamSchema),
+  validateBody(assessmentValidation.regenerateQuestionSchema),
+  assessmentController.regenerateQuestion
+);
+
+/**
+ * @route   PATCH /api/v1/assessment/:assessmentId/questions/:questionId
+ * @desc    Edit the label, options or range of one question (until answering starts)
+ * @access  Private (Patient/Professional)
+ */
+router.patch('/:assessmentId/questions/:questionId',
+  validateParams(assessmentValidation.questionParamSchema),
+  validateBody(assessmentValidation.editQuestionSchema),
+  assessmentController.editQuestion
+);
+
+/**
+ * @route   DELETE /api/v1/assessment/:assessmentId/questions/:questionId
+ * @desc    Remove one question (until answering starts)
+ * @access  Private (Patient/Professional)
+ */
+router.delete('/:assessmentId/questions/:questionId',
+  validateParams(assessmentValidation.questionParamSchema),
+  assessmentController.removeQuestion
+);
+
+/**
+ * @route   GET /api/v1/assessment/:assessmentId/fhir
+ * @desc    Get assessment as a FHIR R4 Questionnaire
+ * @access  Private (Patient/Professional)
+ */
+router.get('/:assessmentId/fhir',
+  validateParams(assessmentValidation.assessmentIdParamSchema),
+  assessmentController.getAssessmentFhir
+);
+
+/**
+ * @route   GET /api/v1/assessment/:assessmentId/translation?language=
+ * @desc    Get assessment side by side with a translation (defaults to the requester's language)
+ * @access  Private (Patient/Professional)
+ */
+router.get('/:assessmentId/translation',
+  validateParams(assessmentValidation.assessmentIdParamSchema),
+  validateQuery(assessmentValidation.translationQuerySchema),
+  assessmentController.getAssessmentTranslation
+);
+
 /**
  * @route   GET /api/v1/assessment/response/:responseId
  * @desc    Get assessment response by ID
@@ -76,5 +338,78 @@ router.get('/response/:responseId',
   assessmentController.getResponseById
 );
 
+/**
+ * @route   POST /api/v1/assessment/response/:responseId/amendments
+ * @desc    Amend a response (patient, within the grace period) or correct/annotate it (care-team professional)
+ * @access  Private (Patient/Professional)
+ */
+router.post('/response/:responseId/amendments',
+  validateParams(assessmentValidation.responseIdParamSchema),
+  validateBody(assessmentValidation.amendResponseSchema),
+  assessmentController.amendResponse
+);
+
+/**
+ * @route   GET /api/v1/assessment/response/:responseId/revisions
+ * @desc    List the revisions of a response with their diffs, oldest first
+ * @access  Private (Patient/Professional)
+ */
+router.get('/response/:responseId/revisions',
+  validateParams(assessmentValidation.responseIdParamSchema),
+  assessmentController.listResponseRevisions
+);
+
+/**
+ * @route   GET /api/v1/assessment/response/:responseId/revisions/:revision
+ * @desc    Get one revision of a response with its answers
+ * @access  Private (Patient/Professional)
+ */
+router.get('/response/:responseId/revisions/:revision',
+  validateParams(assessmentValidation.revisionParamSchema),
+  assessmentController.getResponseRevision
+);
+
+/**
+ * @route   GET /api/v1/assessment/response/:responseId/fhir
+ * @desc    Get assessment response as a FHIR R4 QuestionnaireResponse
+ * @access  Private (Patient/Professional)
+ */
+router.get('/response/:responseId/fhir',
+  validateParams(assessmentValidation.responseIdParamSchema),
+  assessmentController.getResponseFhir
+);
+
+/**
+ * @route   GET /api/v1/assessment/response/:responseId/translation?language=
+ * @desc    Get assessment response side by side with a translation (defaults to the requester's language)
+ * @access  Private (Patient/Professional)
+ */
+router.get('/response/:responseId/translation',
+  validateParams(assessmentValidation.responseIdParamSchema),
+  validateQuery(assessmentValidation.translationQuerySchema),
+  assessmentController.getResponseTranslation
+);
+
+/**
+ * @route   GET /api/v1/assessment/response/:responseId/report
+ * @desc    Get report status and payload for a response
+ * @access  Private (Patient/Professional)
+ */
+router.get('/response/:responseId/report',
+  validateParams(assessmentValidation.responseIdParamSchema),
+  assessmentController.getResponseReport
+);
+
+/**
+ * @route   POST /api/v1/assessment/response/:responseId/report/regenerate
+ * @desc    Re-run report generation for a response
+ * @access  Private (Patient/Professional)
+ */
+router.post('/response/:responseId/report/regenerate',
+  validateParams(assessmentValidation.responseIdParamSchema),
+  validateBody(assessmentValidation.regenerateReportSchema),
+  assessmentController.regenerateResponseReport
+);
+
 module.exports = router;
 
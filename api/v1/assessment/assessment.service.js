@@ -1,39 +1,92 @@
 const Assessment = require('./assessment.model');
+const AssessmentGenerationJob = require('./assessmentGenerationJob.model');
 const AssessmentResponse = require('./assessmentResponse.model');
 const HealthConcern = require('../healthConcern/healthConcern.model');
 const Patient = require('../patient/patient.model');
 const User = require('../user/user.model');
-const { buildAssessmentContext } = require('../../../helpers/toonContext');
-const { generateStructuredOutput } = require('../../../helpers/llmService');
-const { countTokens, optimizeContext } = require('../../../helpers/tokenCounter');
+const { buildBudgetedAssessmentContext, buildToonContext, formatAnswerValue } = require('../../../helpers/toonContext');
+const { buildKnownIdentifiers, createRedactor } = require('../../../helpers/piiRedactor');
+const { hardenContext } = require('../../../helpers/inputHardening');
+const { resolveLanguage, getVettedScaleLabels, applyVettedScaleLabels } = require('../../../helpers/localization');
+const { toQuestionnaire, toQuestionnaireResponse } = require('../../../helpers/fhir');
+const {
+  resolveSeverityFloor,
+  clampSeverity,
+  clampCooldown,
+  applyGenerationPolicy,
+} = require('../../../helpers/generationPolicy');
+const { generateStructuredOutput, streamCompletion, getProviderForUseCase } = require('../../../helpers/llmService');
+const { parseJsonContent, aggregateResults, buildRepairMessages } = require('../../../helpers/llmProviders/structuredOutput');
+const { createIncrementalJsonParser } = require('../../../helpers/incrementalJsonParser');
+const { countTokens } = require('../../../helpers/tokenCounter');
 const { 
-  ASSESSMENT_GENERATION_SYSTEM_PROMPT, 
-  createAssessmentGenerationUserPrompt,
-  PROMPT_VERSION,
   TOKEN_BUDGET,
   MODEL_CONFIG,
+  SEVERITY_POLICY,
 } = require('./prompts/assessmentGeneration');
-const { validateAnswers } = require('./assessment.validation');
-const { createNotFoundError, createBadRequestError, createConflictError } = require('../../../middlewares/error.middleware');
+const {
+  ASSESSMENT_TRANSLATION_SYSTEM_PROMPT,
+  createAssessmentTranslationUserPrompt,
+  TRANSLATION_PROMPT_VERSION,
+  TRANSLATION_TOKEN_BUDGET,
+} = require('./prompts/assessmentTranslation');
+const {
+  validateAnswers,
+  applyAnswerChanges,
+  validateGeneratedAssessment,
+  validateStreamedQuestion,
+  validateTranslation,
+  generatedAssessmentSchema,
+  SEVERITY_LEVELS,
+} = require('./assessment.validation');
+const { joiToJsonSchema } = require('../../../helpers/jsonSchema');
+const { resolveVisibleQuestions } = require('../../../helpers/conditionEvaluator');
+const { embedInstruments, scoreInstruments } = require('./instruments');
+const assessmentReportService = require('./assessmentReport.service');
+const assessmentRevisionService = require('./assessmentRevision.service');
+const llmUsageService = require('../llmUsage/llmUsage.service');
+const promptService = require('../prompt/prompt.service');
+const redFlagService = require('../redFlag/redFlag.service');
+const auditService = require('../audit/audit.service');
+const careTeamService = require('../careTeam/careTeam.service');
+const {
+  createNotFoundError,
+  createBadRequestError,
+  createConflictError,
+  createValidationError,
+} = require('../../../middlewares/error.middleware');
 const MESSAGES = require('../../../constants/messages');
 const RESPONSE_TAGS = require('../../../constants/responseTags');
+const { LLM_PROVIDERS, LLM_USE_CASES, LLM_TASKS, PROMPT_NAMES } = require('../../../constants/llm');
+const { AUDIT_ACTIONS, AUDIT_SUBJECT_TYPES } = require('../../../constants/audit');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('../../../constants/languages');
+const { ROLES } = require('../../../constants/roles');
+const { PATIENT_HIDDEN_REVIEW_FIELDS } = require('../../../constants/review');
+const { RESPONSE_STATUSES, SUBMITTED_RESPONSE_FILTER } = require('../../../constants/assessmentResponses');
 const config = require('../../../config');
 const logger = require('../../../helpers/logger');
 
+// Strict structured-output schema derived from the Joi question schema
+const ASSESSMENT_JSON_SCHEMA = {
+  name: 'assessment',
+  schema: joiToJsonSchema(generatedAssessmentSchema),
+};
+
 /**
  * Assessment Service
  */
 const assessmentService = {
   /**
-   * Generate a new assessment for a health concern
+   * Ensure a new assessment may be generated for a health concern
    * @param {string} userId - User ID
    * @param {string} healthConcernId - Health concern ID
-   * @returns {Object} - Generated assessment
+   * @param {Object} options - { excludeJobId } job allowed to be in flight
+   * @returns {Object} - Health concern document
    */
-  async generateAssessment(userId, healthConcernId) {
+  async ensureCanGenerate(userId, healthConcernId, options = {}) {
     try {
-      // 1. Check if user can generate new assessment (cooldown enforcement)
-      const cooldownCheck = await Assessment.canGenerateNewAssessment(userId, healthConcernId);
+      // Check if user can generate new assessment (cooldown enforcement)
+      const cooldownCheck = await Assessment.canGenerateNewAssessment(userId, healthConcernId, options);
       
       if (!cooldownCheck.allowed) {
         throw createConflictError(
@@ -42,7 +95,6 @@ const assessmentService = {
         );
       }
       
-      // 2. Fetch health concern details
       const healthConcern = await HealthConcern.findOne({
         _id: healthConcernId,
         user: userId,
@@ -55,137 +107,558 @@ const assessmentService = {
         );
       }
       
-      // 3. Fetch user and patient data
-      const user = await User.findById(userId);
-      if (!user) {
+      // Fail fast on LLM quotas; the provider call checks them again
+      await llmUsageService.assertWithinQuota(await llmUsageService.resolveContext({ userId }));
+      
+      return healthConcern;
+    } catch (error) {
+      logger.error('Error checking assessment generation eligibility:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Check whether the next assessment may be generated for a health concern
+   * Professionals check their care-team patients' concerns. A cooldown
+   * override in effect is returned with the professional who set it.
+   * @param {Object} requester - Authenticated user ({ userId, role })
+   * @param {string} healthConcernId - Health concern ID
+   * @returns {Object} - See Assessment.canGenerateNewAssessment
+   */
+  async checkCanGenerate(requester, healthConcernId) {
+    try {
+      const healthConcern = await HealthConcern.findOne({ _id: healthConcernId, isActive: true });
+      
+      if (!healthConcern) {
         throw createNotFoundError(
-          MESSAGES.ERROR.USER_NOT_FOUND,
-          RESPONSE_TAGS.RESOURCE.USER_NOT_FOUND
+          'Health concern not found',
+          RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
         );
       }
       
-      let patientData = null;
-      if (user.role === 'patient') {
-        patientData = await Patient.findOne({ user: userId })
-          .populate('chronicConditions')
-          .populate('allergies');
-      }
+      await careTeamService.assertCanAccessPatient(requester, healthConcern.user);
       
-      // 4. Fetch previous assessments for context
-      const previousAssessments = await Assessment.find({
-        user: userId,
-        healthConcern: healthConcernId,
-        isActive: true,
-      })
-        .sort({ createdAt: -1 })
-        .limit(3)
-        .lean();
+      const check = await Assessment.canGenerateNewAssessment(healthConcern.user, healthConcern._id);
       
-      // Check if previous assessments have responses
-      for (const assessment of previousAssessments) {
-        const hasResponse = await AssessmentResponse.hasResponse(assessment._id);
-        assessment.hasResponse = hasResponse;
+      if (check.override) {
+        check.override.setBy = await User.findById(check.override.setBy).select('name email role');
       }
       
-      // 5. Build context using official TOON library
-      const toonContext = buildAssessmentContext(user, patientData, healthConcern, previousAssessments);
-      
-      // 6. Optimize context if needed (token budget management)
-      const optimizedContext = optimizeContext(
-        toonContext,
-        TOKEN_BUDGET.maxContext,
-        config.llm.openai.model
-      );
+      return check;
+    } catch (error) {
+      logger.error('Error checking assessment cooldown:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Generate a new assessment for a health concern
+   * @param {string} userId - User ID
+   * @param {string} healthConcernId - Health concern ID
+   * @param {Object} options - Generation options
+   * @param {string} options.excludeJobId - Generation job running this call (optional)
+   * @param {string} options.workerId - Worker holding that job's lock (optional)
+   * @param {Function} options.onProgress - async (stage, percent) => void (optional)
+   * @returns {Object} - Generated assessment
+   */
+  async generateAssessment(userId, healthConcernId, options = {}) {
+    const { onProgress = async () => {} } = options;
+    
+    try {
+      // 1-9. Eligibility, redacted and hardened context, prompt
+      const generation = await this._prepareGeneration(userId, healthConcernId, options);
       
-      if (optimizedContext.wasTruncated) {
-        logger.warn(`Context truncated for assessment generation: ${healthConcernId}`);
-      }
+      // Full validation runs inside the repair loop; invalid output is sent
+      // back to the model with the errors before we give up
+      const llmResult = await generateStructuredOutput({
+        ...generation.completionOptions,
+        validate: validateGeneratedAssessment,
+      });
+      await this._applySafeguards(userId, healthConcernId, llmResult, generation);
       
-      // 7. Generate assessment using LLM
-      const userPrompt = createAssessmentGenerationUserPrompt(optimizedContext.text);
+      // 10. Create assessment document
+      await onProgress('saving', 90);
+      await this._ensureJobLockHeld(options);
+      return await this._saveGeneratedAssessment(userId, healthConcernId, llmResult, generation);
+    } catch (error) {
+      logger.error('Error generating assessment:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Generate a new assessment while streaming it to the caller
+   * Emits `severity`, `cooldown` and `question` events as soon as each
+   * part has been parsed and validated from the partial completion. If the
+   * complete document fails validation, a `reset` event is emitted and the
+   * repaired assessment is emitted again in full.
+   * @param {string} userId - User ID
+   * @param {string} healthConcernId - Health concern ID
+   * @param {Object} options - Generation options
+   * @param {string} options.excludeJobId - Generation job running this call (optional)
+   * @param {string} options.workerId - Worker holding that job's lock (optional)
+   * @param {Function} options.onEvent - (event, data) => void
+   * @returns {Object} - Generated assessment
+   */
+  async streamAssessment(userId, healthConcernId, options = {}) {
+    const { onEvent = () => {}, onProgress = async () => {} } = options;
+    
+    try {
+      const generation = await this._prepareGeneration(userId, healthConcernId, options);
+      const { completionOptions, redactor, severityFloor, language } = generation;
       
-      logger.info(`Generating assessment for health concern: ${healthConcernId}`);
+      // Severity and cooldown go out already clamped to the generation policy
+      const emitted = { severity: null, cooldown: null, questionIds: new Set() };
+      let parseError = null;
       
-      // Get model-specific config
-      const modelConfig = MODEL_CONFIG[config.llm.openai.model] || {};
+      const parser = createIncrementalJsonParser({
+        onProperty: (key, value) => {
+          if (key === 'severity' && SEVERITY_LEVELS.includes(value)) {
+            emitted.severity = clampSeverity(value, severityFloor);
+            onEvent('severity', { severity: emitted.severity });
+          } else if (key === 'min_days_before_next_assessment' && Number.isInteger(value) && value >= 0
+            // The cooldown range depends on the severity, so wait for it
+            && emitted.severity) {
+            emitted.cooldown = clampCooldown(value, emitted.severity, SEVERITY_POLICY);
+            onEvent('cooldown', { minDaysBeforeNextAssessment: emitted.cooldown });
+          }
+        },
+        onArrayItem: (key, index, item) => {
+          if (key !== 'questions') return;
+          
+          const validation = validateStreamedQuestion(item);
+          if (!validation.valid || emitted.questionIds.has(validation.value.id)) {
+            logger.warn(`Streamed question ${index} held back until full validation`, {
+              errors: validation.errors,
+            });
+            return;
+          }
+          
+          emitted.questionIds.add(validation.value.id);
+          onEvent('question', {
+            index,
+            question: applyVettedScaleLabels(redactor.rehydrate(validation.value), language),
+          });
+        },
+      });
       
-      const llmResult = await generateStructuredOutput({
-        systemPrompt: ASSESSMENT_GENERATION_SYSTEM_PROMPT,
-        userPrompt,
-        model: config.llm.openai.model,
-        maxTokens: TOKEN_BUDGET.maxCompletion,
-        temperature: modelConfig.temperature || config.llm.openai.temperature,
+      const streamResult = await streamCompletion(completionOptions, (delta) => {
+        if (parseError) return;
+        try {
+          parser.push(delta);
+        } catch (error) {
+          parseError = error;
+        }
       });
       
-      // 8. Validate LLM response structure
-      this._validateLLMResponse(llmResult.data);
+      // Same checks as the repair loop, on the complete document
+      let validation;
+      try {
+        if (parseError) throw parseError;
+        validation = validateGeneratedAssessment(parseJsonContent(streamResult.content));
+      } catch (error) {
+        validation = { valid: false, errors: [`Response is not valid JSON: ${error.message}`], warnings: [] };
+      }
       
-      // 9. Create assessment document
-      const assessment = new Assessment({
-        user: userId,
-        healthConcern: healthConcernId,
-        severity: llmResult.data.severity,
-        minDaysBeforeNextAssessment: llmResult.data.min_days_before_next_assessment,
-        questions: llmResult.data.questions,
-        llmMetadata: {
-          provider: 'openai',
-          model: llmResult.model,
-          promptVersion: PROMPT_VERSION,
-          tokensUsed: llmResult.usage,
-          generationTime: llmResult.generationTime,
-        },
-      });
+      let llmResult;
+      if (validation.valid) {
+        llmResult = {
+          ...streamResult,
+          data: validation.value,
+          repairAttempts: 0,
+          validationReport: {
+            valid: true,
+            errors: [],
+            warnings: validation.warnings,
+            attempts: [{ attempt: 1, errors: [], warnings: validation.warnings }],
+          },
+        };
+      } else {
+        logger.warn('Streamed assessment failed validation, repairing', {
+          errors: validation.errors,
+        });
+        onEvent('reset', { reason: 'validation_failed', errors: validation.errors });
+        
+        const repaired = await generateStructuredOutput({
+          ...completionOptions,
+          messages: buildRepairMessages(streamResult.content, validation.errors),
+          validate: validateGeneratedAssessment,
+        });
+        const totals = aggregateResults([streamResult, repaired]);
+        
+        llmResult = {
+          ...repaired,
+          ...totals,
+          repairAttempts: repaired.repairAttempts + 1,
+          validationReport: {
+            ...repaired.validationReport,
+            attempts: [
+              { attempt: 0, errors: validation.errors, warnings: validation.warnings || [] },
+              ...repaired.validationReport.attempts,
+            ],
+          },
+        };
+      }
       
-      await assessment.save();
+      await this._applySafeguards(userId, healthConcernId, llmResult, generation);
       
-      logger.info(`Assessment generated successfully: ${assessment._id}`, {
-        severity: assessment.severity,
-        questionCount: assessment.questions.length,
-        tokensUsed: llmResult.usage.total,
+      // Emit whatever the stream could not deliver or got wrong (or
+      // everything after a reset)
+      const resent = !validation.valid;
+      if (resent || emitted.severity !== llmResult.data.severity) {
+        onEvent('severity', { severity: llmResult.data.severity });
+      }
+      if (resent || emitted.cooldown !== llmResult.data.min_days_before_next_assessment) {
+        onEvent('cooldown', { minDaysBeforeNextAssessment: llmResult.data.min_days_before_next_assessment });
+      }
+      // Instrument questions are never streamed by the model, so they always go out here
+      const { questions } = embedInstruments(llmResult.data.questions, llmResult.data.instruments);
+      questions.forEach((question, index) => {
+        if (resent || !emitted.questionIds.has(question.id)) {
+          onEvent('question', { index, question });
+        }
       });
       
-      return assessment;
+      await onProgress('saving', 90);
+      await this._ensureJobLockHeld(options);
+      return await this._saveGeneratedAssessment(userId, healthConcernId, llmResult, generation);
     } catch (error) {
-      logger.error('Error generating assessment:', error);
+      logger.error('Error streaming assessment generation:', error);
       throw error;
     }
   },
 
+  /**
+   * Ensure the generation job running this call has not been taken over
+   * A worker whose lock expired during a long LLM call may have had the
+   * job reclaimed; its result is discarded so only one assessment is saved.
+   * @param {Object} options - { excludeJobId, workerId }
+   * @throws {Error} - Conflict when the lock is no longer held
+   * @private
+   */
+  async _ensureJobLockHeld({ excludeJobId = null, workerId = null } = {}) {
+    if (!excludeJobId || !workerId) return;
+    
+    const held = await AssessmentGenerationJob.holdsLock(excludeJobId, workerId);
+    if (!held) {
+      throw createConflictError(
+        'Generation job was taken over by another worker, result discarded',
+        RESPONSE_TAGS.RESOURCE.CONFLICT
+      );
+    }
+  },
+
+  /**
+   * Check eligibility and build the LLM request for assessment generation
+   * @param {string} userId - User ID
+   * @param {string} healthConcernId - Health concern ID
+   * @param {Object} options - { excludeJobId, onProgress }
+   * @returns {Object} - { provider, prompt, redactor, language, severityFloor, inputFindings, contextPruning, completionOptions }
+   * @private
+   */
+  async _prepareGeneration(userId, healthConcernId, options = {}) {
+    const { excludeJobId = null, onProgress = async () => {} } = options;
+    
+    // 1-2. Cooldown enforcement and health concern lookup
+    const healthConcern = await this.ensureCanGenerate(userId, healthConcernId, { excludeJobId });
+    await onProgress('loading_context', 10);
+    
+    // 3. Fetch user and patient data
+    const user = await User.findById(userId);
+    if (!user) {
+      throw createNotFoundError(
+        MESSAGES.ERROR.USER_NOT_FOUND,
+        RESPONSE_TAGS.RESOURCE.USER_NOT_FOUND
+      );
+    }
+    
+    let patientData = null;
+    if (user.role === 'patient') {
+      patientData = await Patient.findOne({ user: userId })
+        .populate('chronicConditions')
+        .populate('allergies');
+    }
+    
+    // 4. Fetch previous assessments for context
+    const previousAssessments = await Assessment.find({
+      user: userId,
+      healthConcern: healthConcernId,
+      isActive: true,
+    })
+      .sort({ createdAt: -1 })
+      .limit(3)
+      .lean();
+    
+    // Attach responses so the context can digest what the patient answered
+    const previousResponses = await AssessmentResponse.find({
+      assessment: { $in: previousAssessments.map(a => a._id) },
+      ...SUBMITTED_RESPONSE_FILTER,
+    })
+      .select('assessment answers instrumentScores submittedAt')
+      .lean();
+    const responsesByAssessment = new Map(previousResponses.map(r => [r.assessment.toString(), r]));
+    
+    for (const assessment of previousAssessments) {
+      assessment.response = responsesByAssessment.get(assessment._id.toString()) || null;
+      assessment.hasResponse = Boolean(assessment.response);
+    }
+    
+    // 5. Resolve the prompt (registry version or built-in) and its model
+    const provider = getProviderForUseCase(LLM_USE_CASES.ASSESSMENT_GENERATION);
+    const prompt = await promptService.resolvePrompt(PROMPT_NAMES.ASSESSMENT_GENERATION, userId);
+    const model = prompt.modelParams.model || provider.model;
+    
+    // 6. Build context using official TOON library, pruning the lowest
+    // priority sections until it fits the context budget
+    const { contextData, tokenCount, withinBudget, pruned } = buildBudgetedAssessmentContext(
+      user,
+      patientData,
+      healthConcern,
+      previousAssessments,
+      {
+        maxTokens: TOKEN_BUDGET.maxContext,
+        countTokens: text => countTokens(text, model),
+      }
+    );
+    
+    if (pruned.length) {
+      logger.info(`Context pruned for assessment generation: ${healthConcernId}`, {
+        sections: pruned.map(entry => `${entry.section}:${entry.action}`),
+        tokenCount,
+      });
+    }
+    
+    // Required sections alone can exceed the budget; send them whole rather
+    // than cutting the encoded context mid-section
+    if (!withinBudget) {
+      logger.warn(`Context over budget after pruning (${tokenCount}/${TOKEN_BUDGET.maxContext} tokens): ${healthConcernId}`);
+    }
+    
+    // Patient-facing text is generated in the patient's language
+    const language = resolveLanguage(user, patientData);
+    
+    // 7. Replace personal identifiers with placeholders; the model output is
+    // rehydrated with the redactor before it is emitted or saved
+    const redactor = createRedactor({
+      knownIdentifiers: buildKnownIdentifiers({ user, patient: patientData }),
+      fingerprintSecret: config.redaction.fingerprintSecret,
+    });
+    const redactedContext = redactor.redact({ language: SUPPORTED_LANGUAGES[language], ...contextData });
+    
+    await auditService.recordRedaction({
+      actor: userId,
+      subjectType: AUDIT_SUBJECT_TYPES.HEALTH_CONCERN,
+      subjectId: healthConcern._id,
+      feature: LLM_USE_CASES.ASSESSMENT_GENERATION,
+      redactions: redactor.getReport(),
+    });
+    
+    // 8. Neutralize instruction-like patient text and escape prompt
+    // delimiters; suspicious input is flagged for review
+    const { context: safeContext, findings: inputFindings } = hardenContext(redactedContext);
+    
+    if (inputFindings.length) {
+      logger.warn(`Suspicious input in generation context: ${healthConcernId}`, {
+        codes: [...new Set(inputFindings.map(finding => finding.code))],
+      });
+      await auditService.record({
+        action: AUDIT_ACTIONS.SUSPICIOUS_LLM_INPUT,
+        actor: userId,
+        subjectType: AUDIT_SUBJECT_TYPES.HEALTH_CONCERN,
+        subjectId: healthConcern._id,
+        metadata: {
+          feature: LLM_USE_CASES.ASSESSMENT_GENERATION,
+          findings: inputFindings,
+        },
+      });
+    }
+    
+    // 9. Build the LLM request
+    const userPrompt = prompt.renderUserPrompt(buildToonContext(safeContext));
+    
+    logger.info(`Generating assessment for health concern: ${healthConcernId}`, {
+      provider: provider.name,
+      language,
+      promptVersion: prompt.promptVersion,
+      promptServedBy: prompt.servedBy,
+    });
+    await onProgress('generating', 30);
+    
+    // Get model-specific config (unknown models keep the provider defaults)
+    const modelConfig = MODEL_CONFIG[model] || {};
+    // Other providers decide for themselves whether the schema can be honoured
+    const useJsonSchema = provider.name === LLM_PROVIDERS.OPENAI
+      ? Boolean(modelConfig.supportsStructuredOutput)
+      : true;
+    
+    return {
+      provider,
+      prompt,
+      redactor,
+      language,
+      severityFloor: resolveSeverityFloor(healthConcern),
+      inputFindings,
+      contextPruning: {
+        tokenCount,
+        budget: TOKEN_BUDGET.maxContext,
+        withinBudget,
+        pruned,
+      },
+      completionOptions: {
+        provider: provider.name,
+        task: LLM_TASKS.ASSESSMENT_GENERATION,
+        input: safeContext,
+        systemPrompt: prompt.systemPrompt,
+        userPrompt,
+        ...(prompt.modelParams.model && { model: prompt.modelParams.model }),
+        maxTokens: prompt.modelParams.maxTokens || TOKEN_BUDGET.maxCompletion,
+        temperature: prompt.modelParams.temperature ?? modelConfig.temperature,
+        jsonSchema: useJsonSchema ? ASSESSMENT_JSON_SCHEMA : null,
+        usageContext: {
+          userId,
+          role: user.role,
+          feature: LLM_USE_CASES.ASSESSMENT_GENERATION,
+        },
+      },
+    };
+  },
+
+  /**
+   * Rehydrate redacted identifiers, localize scales and enforce the generation policy
+   * Replaces llmResult.data and adds llmResult.policyAdjustments. Likert and
+   * frequency labels are replaced with vetted translations, and instruments
+   * are dropped for non-English assessments since they are only validated in
+   * English.
+   * @param {string} userId - User ID
+   * @param {string} healthConcernId - Health concern ID
+   * @param {Object} llmResult - Validated LLM result
+   * @param {Object} generation - Prepared generation (see _prepareGeneration)
+   * @private
+   */
+  async _applySafeguards(userId, healthConcernId, llmResult, generation) {
+    const { language } = generation;
+    const rehydrated = generation.redactor.rehydrate(llmResult.data);
+    
+    if (language !== DEFAULT_LANGUAGE && rehydrated.instruments?.length) {
+      logger.warn(`Instruments dropped from ${language} assessment for health concern: ${healthConcernId}`, {
+        instruments: rehydrated.instruments,
+      });
+    }
+    
+    const localized = {
+      ...rehydrated,
+      questions: rehydrated.questions.map(question => applyVettedScaleLabels(question, language)),
+      instruments: language === DEFAULT_LANGUAGE ? rehydrated.instruments : [],
+    };
+    
+    const { data, adjustments } = applyGenerationPolicy(
+      localized,
+      generation.severityFloor,
+      SEVERITY_POLICY
+    );
+    
+    llmResult.data = data;
+    llmResult.policyAdjustments = adjustments;
+    
+    if (adjustments.length) {
+      logger.warn(`Generation policy overrode model output for health concern: ${healthConcernId}`, {
+        adjustments,
+      });
+      await auditService.record({
+        action: AUDIT_ACTIONS.GENERATION_POLICY_ENFORCED,
+        actor: userId,
+        subjectType: AUDIT_SUBJECT_TYPES.HEALTH_CONCERN,
+        subjectId: healthConcernId,
+        metadata: {
+          feature: LLM_USE_CASES.ASSESSMENT_GENERATION,
+          adjustments,
+        },
+      });
+    }
+  },
+
+  /**
+   * Persist a validated LLM result as an assessment
+   * Appends the questions of any standardized instruments the model chose.
+   * @param {string} userId - User ID
+   * @param {string} healthConcernId - Health concern ID
+   * @param {Object} llmResult - Structured output result
+   * @param {Object} generation - Prepared generation (see _prepareGeneration)
+   * @returns {Object} - Saved assessment
+   * @private
+   */
+  async _saveGeneratedAssessment(userId, healthConcernId, llmResult, generation) {
+    const { prompt, language, contextPruning, inputFindings } = generation;
+    const { questions, instruments } = embedInstruments(llmResult.data.questions, llmResult.data.instruments);
+    
+    const assessment = new Assessment({
+      user: userId,
+      healthConcern: healthConcernId,
+      language,
+      severity: llmResult.data.severity,
+      minDaysBeforeNextAssessment: llmResult.data.min_days_before_next_assessment,
+      questions,
+      instruments,
+      llmMetadata: {
+        provider: llmResult.provider,
+        model: llmResult.model,
+        promptVersion: prompt.promptVersion,
+        promptVersionId: prompt.promptVersionId,
+        tokensUsed: llmResult.usage,
+        generationTime: llmResult.generationTime,
+        cost: llmResult.cost?.totalCost || 0,
+        repairAttempts: llmResult.repairAttempts,
+        validationReport: llmResult.validationReport,
+        contextPruning,
+        inputFindings,
+        policyAdjustments: llmResult.policyAdjustments,
+      },
+    });
+    
+    await assessment.save();
+    
+    logger.info(`Assessment generated successfully: ${assessment._id}`, {
+      severity: assessment.severity,
+      questionCount: assessment.questions.length,
+      instruments: instruments.map(instrument => instrument.code),
+      tokensUsed: llmResult.usage.total,
+    });
+    
+    return assessment;
+  },
+
   /**
    * Submit assessment response
+   * Finalizes the assessment's draft if there is one: answers and notes not
+   * given are taken from the draft, minus answers to questions a later
+   * answer has hidden. The full answer set is validated either way.
    * @param {string} userId - User ID
    * @param {string} assessmentId - Assessment ID
-   * @param {Array} answers - Array of answers
+   * @param {Array|null} answers - Array of answers (null to submit the draft's)
    * @param {string} notes - Optional notes
-   * @returns {Object} - Assessment response
+   * @returns {Object} - Assessment response with the red-flag `advisory` (null when nothing matched)
    */
-  async submitAssessmentResponse(userId, assessmentId, answers, notes = null) {
+  async submitAssessmentResponse(userId, assessmentId, answers = null, notes = null) {
     try {
       // 1. Fetch assessment
-      const assessment = await Assessment.findOne({
-        _id: assessmentId,
-        user: userId,
-        isActive: true,
-      });
+      const assessment = await this._findAnswerableAssessment(userId, assessmentId);
       
-      if (!assessment) {
-        throw createNotFoundError(
-          'Assessment not found',
-          RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
-        );
-      }
-      
-      // 2. Check if assessment already has a response
-      const existingResponse = await AssessmentResponse.findOne({
-        assessment: assessmentId,
-      });
+      // 2. Check if assessment already has a response (a draft is finalized in place)
+      const draft = await this._findDraft(assessmentId);
       
-      if (existingResponse) {
-        throw createConflictError(
-          'Assessment has already been completed',
-          RESPONSE_TAGS.VALIDATION.ALREADY_COMPLETED
-        );
+      if (!answers) {
+        if (!draft || draft.answers.length === 0) {
+          throw createBadRequestError(
+            'No answers given and no draft to submit',
+            RESPONSE_TAGS.VALIDATION.MISSING_REQUIRED_FIELD
+          );
+        }
+        
+        const draftAnswers = draft.toObject().answers;
+        const visibleQuestionIds = resolveVisibleQuestions(assessment.questions, draftAnswers);
+        answers = draftAnswers.filter(answer => visibleQuestionIds.has(answer.questionId));
       }
+      notes = notes ?? draft?.notes ?? null;
       
       // 3. Validate answers against assessment questions
       const validation = validateAnswers(answers, assessment.questions);
@@ -197,34 +670,179 @@ const assessmentService = {
         );
       }
       
-      // 4. Create assessment response
-      const assessmentResponse = new AssessmentResponse({
+      // 4. Lock the questions the answers were validated against
+      await this._lockQuestions(assessment);
+      
+      // 5. Score embedded standardized instruments
+      const instrumentScores = scoreInstruments(assessment.instruments, answers);
+      
+      // 6. Create assessment response
+      const assessmentResponse = draft || new AssessmentResponse({
         assessment: assessmentId,
         user: userId,
         healthConcern: assessment.healthConcern,
+      });
+      
+      Object.assign(assessmentResponse, {
+        status: RESPONSE_STATUSES.SUBMITTED,
         answers,
+        instrumentScores,
         notes,
+        submittedAt: new Date(),
+        draftExpiresAt: null,
         reportStatus: 'pending',
       });
       
       await assessmentResponse.save();
+      await assessmentRevisionService.recordSubmission(assessmentResponse);
       
       logger.info(`Assessment response submitted: ${assessmentResponse._id}`, {
         assessmentId,
         answerCount: answers.length,
+        fromDraft: Boolean(draft),
+        instrumentScores: instrumentScores.map(score => `${score.code}=${score.total}`),
       });
       
-      // 5. Trigger report generation (placeholder for future implementation)
-      // TODO: Integrate with report generation service
+      // 7. Screen answers for red-flag symptoms
+      const advisory = await redFlagService.screenAssessmentResponse(assessment, assessmentResponse);
+      
+      // 8. Trigger report generation in the background
       this._triggerReportGeneration(assessmentResponse._id);
       
-      return assessmentResponse;
+      return { ...assessmentResponse.toJSON(), advisory };
     } catch (error) {
+      // Unique response per assessment: a concurrent submission got there first
+      if (error.code === 11000) {
+        error = createConflictError(
+          'Assessment has already been completed',
+          RESPONSE_TAGS.RESOURCE.CONFLICT
+        );
+      }
       logger.error('Error submitting assessment response:', error);
       throw error;
     }
   },
 
+  /**
+   * Save answers to the assessment's draft, creating it if needed
+   * Each answer is validated on its own (completeness is only checked on
+   * submit); a null value clears the answer. Saving pushes the draft's
+   * expiry forward, and saving an answer locks the assessment's questions.
+   * @param {string} userId - User ID
+   * @param {string} assessmentId - Assessment ID
+   * @param {Object} changes - { answers, notes }
+   * @returns {Object} - Draft with progress
+   */
+  async saveDraft(userId, assessmentId, { answers = [], notes }) {
+    try {
+      const assessment = await this._findAnswerableAssessment(userId, assessmentId);
+      
+      const draft = await this._findDraft(assessmentId) || new AssessmentResponse({
+        assessment: assessmentId,
+        user: userId,
+        healthConcern: assessment.healthConcern,
+        status: RESPONSE_STATUSES.DRAFT,
+        submittedAt: null,
+        reportStatus: null,
+      });
+      
+      const { answers: mergedAnswers, errors } = applyAnswerChanges(
+        draft.toObject().answers,
+        answers,
+        assessment.questions
+      );
+      
+      if (errors.length > 0) {
+        throw createValidationError(
+          'Answer validation failed',
+          errors,
+          RESPONSE_TAGS.VALIDATION.VALIDATION_ERROR
+        );
+      }
+      
+      if (answers.length > 0) {
+        await this._lockQuestions(assessment);
+      }
+      
+      draft.answers = mergedAnswers;
+      if (notes !== undefined) {
+        draft.notes = notes;
+      }
+      draft.draftExpiresAt = new Date(Date.now() + config.assessment.drafts.ttlHours * 60 * 60 * 1000);
+      
+      await draft.save();
+      
+      logger.info(`Assessment draft saved: ${draft._id}`, {
+        assessmentId,
+        changedAnswers: answers.length,
+        answerCount: draft.answers.length,
+      });
+      
+      return this._toDraftView(draft, assessment);
+    } catch (error) {
+      if (error.code === 11000) {
+        error = createConflictError(
+          'Assessment response was saved concurrently, please retry',
+          RESPONSE_TAGS.RESOURCE.CONFLICT
+        );
+      }
+      logger.error('Error saving assessment draft:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the assessment's draft to resume it
+   * @param {string} userId - User ID
+   * @param {string} assessmentId - Assessment ID
+   * @returns {Object} - Draft with progress
+   */
+  async getDraft(userId, assessmentId) {
+    try {
+      const assessment = await this._findAnswerableAssessment(userId, assessmentId);
+      const draft = await this._findDraft(assessmentId);
+      
+      if (!draft) {
+        throw createNotFoundError(
+          'Draft not found',
+          RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
+        );
+      }
+      
+      return this._toDraftView(draft, assessment);
+    } catch (error) {
+      logger.error('Error fetching assessment draft:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Discard the assessment's draft
+   * @param {string} userId - User ID
+   * @param {string} assessmentId - Assessment ID
+   */
+  async discardDraft(userId, assessmentId) {
+    try {
+      const result = await AssessmentResponse.deleteOne({
+        assessment: assessmentId,
+        user: userId,
+        status: RESPONSE_STATUSES.DRAFT,
+      });
+      
+      if (result.deletedCount === 0) {
+        throw createNotFoundError(
+          'Draft not found',
+          RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
+        );
+      }
+      
+      logger.info(`Assessment draft discarded for assessment: ${assessmentId}`);
+    } catch (error) {
+      logger.error('Error discarding assessment draft:', error);
+      throw error;
+    }
+  },
+
   /**
    * Get assessment by ID
    * @param {string} userId - User ID
@@ -247,15 +865,14 @@ const assessmentService = {
         );
       }
       
-      // Check if assessment has a response
+      // Check if assessment has a response or a draft in progress
       const response = await AssessmentResponse.findOne({
         assessment: assessmentId,
-      });
+      }).select(PATIENT_HIDDEN_REVIEW_FIELDS);
       
       return {
         ...assessment.toObject(),
-        hasResponse: !!response,
-        response: response || null,
+        ...this._responseState(response),
       };
     } catch (error) {
       logger.error('Error fetching assessment:', error);
@@ -294,10 +911,11 @@ const assessmentService = {
         for (const assessment of assessments) {
           const response = await AssessmentResponse.findOne({
             assessment: assessment._id,
-          }).lean();
+          })
+            .select(PATIENT_HIDDEN_REVIEW_FIELDS)
+            .lean();
           
-          assessment.hasResponse = !!response;
-          assessment.response = response || null;
+          Object.assign(assessment, this._responseState(response));
         }
       }
       
@@ -332,7 +950,9 @@ const assessmentService = {
       const response = await AssessmentResponse.findOne({
         _id: responseId,
         user: userId,
+        ...SUBMITTED_RESPONSE_FILTER,
       })
+        .select(PATIENT_HIDDEN_REVIEW_FIELDS)
         .populate('assessment')
         .populate('healthConcern')
         .populate('user', '-password');
@@ -352,38 +972,479 @@ const assessmentService = {
   },
 
   /**
-   * Validate LLM response structure
+   * Get an assessment side by side with a translation
+   * Patients can view their own assessments; professionals also those of their care-team patients.
+   * @param {Object} requester - Authenticated user ({ userId, role })
+   * @param {string} assessmentId - Assessment ID
+   * @param {string} language - Target language (defaults to the requester's language)
+   * @returns {Object} - { assessmentId, sourceLanguage, targetLanguage, questions: [{ id, type, source, translated }] }
+   */
+  async getAssessmentTranslation(requester, assessmentId, language = null) {
+    try {
+      const assessment = await Assessment.findOne({
+        _id: assessmentId,
+        ...await this._viewerFilter(requester),
+      });
+      
+      if (!assessment) {
+        throw createNotFoundError(
+          'Assessment not found',
+          RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
+        );
+      }
+      
+      const targetLanguage = language || await this._resolveViewerLanguage(requester);
+      const translatedQuestions = await this._translateAssessment(assessment, targetLanguage, requester);
+      
+      return {
+        assessmentId: assessment._id,
+        sourceLanguage: assessment.language,
+        targetLanguage,
+        questions: this._pairQuestions(assessment.questions, translatedQuestions),
+      };
+    } catch (error) {
+      logger.error('Error translating assessment:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Get a response side by side with a translation
+   * Option answers are shown with the labels of both languages; free-text
+   * answers are shown as the patient wrote them.
+   * @param {Object} requester - Authenticated user ({ userId, role })
+   * @param {string} responseId - Response ID
+   * @param {string} language - Target language (defaults to the requester's language)
+   * @returns {Object} - { responseId, assessmentId, sourceLanguage, targetLanguage, questions: [{ id, type, source, translated, answer }] }
+   */
+  async getResponseTranslation(requester, responseId, language = null) {
+    try {
+      const response = await AssessmentResponse.findOne({
+        _id: responseId,
+        ...SUBMITTED_RESPONSE_FILTER,
+        ...await this._viewerFilter(requester),
+      });
+      const assessment = response && await Assessment.findById(response.assessment);
+      
+      if (!response || !assessment) {
+        throw createNotFoundError(
+          'Assessment response not found',
+          RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
+        );
+      }
+      
+      const targetLanguage = language || await this._resolveViewerLanguage(requester);
+      const translatedQuestions = await this._translateAssessment(assessment, targetLanguage, requester);
+      const answersById = new Map(response.answers.map(answer => [answer.questionId, answer.value]));
+      
+      return {
+        responseId: response._id,
+        assessmentId: assessment._id,
+        sourceLanguage: assessment.language,
+        targetLanguage,
+        submittedAt: response.submittedAt,
+        questions: this._pairQuestions(assessment.questions, translatedQuestions).map((question) => {
+          const value = answersById.get(question.id);
+          return {
+            ...question,
+            answer: value === undefined ? null : {
+              value,
+              source: formatAnswerValue(question.source, value),
+              translated: formatAnswerValue(question.translated, value),
+            },
+          };
+        }),
+      };
+    } catch (error) {
+      logger.error('Error translating assessment response:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Render an assessment as a FHIR R4 Questionnaire
+   * @param {Object} requester - Authenticated user ({ userId, role })
+   * @param {string} assessmentId - Assessment ID
+   * @returns {Object} - Questionnaire resource
+   */
+  async getAssessmentFhir(requester, assessmentId) {
+    try {
+      const assessment = await Assessment.findOne({
+        _id: assessmentId,
+        ...await this._viewerFilter(requester),
+      }).populate('healthConcern', 'title');
+      
+      if (!assessment) {
+        throw createNotFoundError(
+          'Assessment not found',
+          RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
+        );
+      }
+      
+      return this._toQuestionnaire(assessment);
+    } catch (error) {
+      logger.error('Error exporting assessment as FHIR:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Render a response as a FHIR R4 QuestionnaireResponse
+   * The subject references the patient profile when the user has one.
+   * @param {Object} requester - Authenticated user ({ userId, role })
+   * @param {string} responseId - Response ID
+   * @returns {Object} - QuestionnaireResponse resource
+   */
+  async getResponseFhir(requester, responseId) {
+    try {
+      const response = await AssessmentResponse.findOne({
+        _id: responseId,
+        ...SUBMITTED_RESPONSE_FILTER,
+        ...await this._viewerFilter(requester),
+      });
+      const assessment = response && await Assessment.findById(response.assessment);
+      
+      if (!response || !assessment) {
+        throw createNotFoundError(
+          'Assessment response not found',
+          RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
+        );
+      }
+      
+      const patient = await Patient.findOne({ user: response.user }).select('_id');
+      
+      return toQuestionnaireResponse({
+        id: response._id,
+        questionnaire: this._questionnaireUrl(assessment._id),
+        subject: patient ? { reference: `Patient/${patient._id}` } : null,
+        authored: response.submittedAt,
+        questions: assessment.questions,
+        answers: response.answers,
+      });
+    } catch (error) {
+      logger.error('Error exporting assessment response as FHIR:', error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Canonical URL of an assessment's Questionnaire
+   * @private
+   */
+  _questionnaireUrl(assessmentId) {
+    return `${config.apiUrl}/api/v1/assessment/${assessmentId}/fhir`;
+  },
+  
+  /**
+   * Map an assessment to a Questionnaire resource
+   * @param {Object} assessment - Assessment (healthConcern populated for the title)
+   * @returns {Object} - Questionnaire resource
+   * @private
+   */
+  _toQuestionnaire(assessment) {
+    return toQuestionnaire({
+      id: assessment._id,
+      url: this._questionnaireUrl(assessment._id),
+      status: assessment.isActive ? 'active' : 'retired',
+      language: assessment.language,
+      title: assessment.healthConcern?.title
+        ? `Health assessment: ${assessment.healthConcern.title}`
+        : 'Health assessment',
+      date: assessment.createdAt,
+      questions: assessment.questions,
+    }, { extensionBaseUrl: config.fhir.extensionBaseUrl });
+  },
+  
+  /**
+   * Query filter limiting assessments and responses to those the requester may view
+   * Professionals see their own and those of patients on whose care team
+   * they currently are.
+   * @param {Object} requester - Authenticated user ({ userId, role })
+   * @returns {Object} - Mongo filter
+   * @private
+   */
+  async _viewerFilter(requester) {
+    if (requester.role !== ROLES.PROFESSIONAL) {
+      return { user: requester.userId };
+    }
+    
+    const patientUserIds = await careTeamService.getActivePatientIds(requester.userId);
+    return { user: { $in: [requester.userId, ...patientUserIds] } };
+  },
+  
+  /**
+   * Language a requester views assessments in
+   * @param {Object} requester - Authenticated user ({ userId, role })
+   * @returns {string} - Language code
+   * @private
+   */
+  async _resolveViewerLanguage(requester) {
+    const user = await User.findById(requester.userId).select('preferredLanguage');
+    return resolveLanguage(user);
+  },
+  
+  /**
+   * Translate the text of an assessment's questions
+   * Translations are cached on the assessment per language. Option values
+   * are never translated, and likert/frequency labels use the vetted
+   * translations rather than model output.
+   * @param {Object} assessment - Assessment document
+   * @param {string} language - Target language
+   * @param {Object} requester - Authenticated user ({ userId, role })
+   * @returns {Array} - [{ id, label, description, options: [{ value, label }] }] in source order
+   * @private
+   */
+  async _translateAssessment(assessment, language, requester) {
+    const sourceQuestions = assessment.questions.map(question => ({
+      id: question.id,
+      label: question.label,
+      description: question.description || null,
+      options: (question.options || []).map(option => ({ value: option.value, label: option.label })),
+    }));
+    
+    if (language === assessment.language) return sourceQuestions;
+    
+    const cached = assessment.translations?.[language];
+    if (cached) return cached.questions;
+    
+    // The questions can quote the patient, so identifiers are redacted as
+    // for generation
+    const [owner, patient] = await Promise.all([
+      User.findById(assessment.user),
+      Patient.findOne({ user: assessment.user }),
+    ]);
+    const redactor = createRedactor({
+      knownIdentifiers: buildKnownIdentifiers({ user: owner, patient }),
+      fingerprintSecret: config.redaction.fingerprintSecret,
+    });
+    const input = redactor.redact({
+      sourceLanguage: SUPPORTED_LANGUAGES[assessment.language],
+      targetLanguage: SUPPORTED_LANGUAGES[language],
+      questions: sourceQuestions,
+    });
+    
+    await auditService.recordRedaction({
+      actor: requester.userId,
+      subjectType: AUDIT_SUBJECT_TYPES.ASSESSMENT,
+      subjectId: assessment._id,
+      feature: LLM_USE_CASES.ASSESSMENT_TRANSLATION,
+      redactions: redactor.getReport(),
+    });
+    
+    const provider = getProviderForUseCase(LLM_USE_CASES.ASSESSMENT_TRANSLATION);
+    const llmResult = await generateStructuredOutput({
+      provider: provider.name,
+      task: LLM_TASKS.ASSESSMENT_TRANSLATION,
+      input,
+      systemPrompt: ASSESSMENT_TRANSLATION_SYSTEM_PROMPT,
+      userPrompt: createAssessmentTranslationUserPrompt(buildToonContext(input)),
+      maxTokens: TRANSLATION_TOKEN_BUDGET.maxCompletion,
+      validate: data => validateTranslation(data, sourceQuestions),
+      usageContext: {
+        userId: requester.userId,
+        role: requester.role,
+        feature: LLM_USE_CASES.ASSESSMENT_TRANSLATION,
+      },
+    });
+    
+    const translatedById = new Map(
+      redactor.rehydrate(llmResult.data).questions.map(question => [question.id, question])
+    );
+    
+    // Rebuilt from the source so ids, order and option values cannot drift
+    const questions = assessment.questions.map((source) => {
+      const translated = translatedById.get(source.id);
+      const vettedLabels = getVettedScaleLabels(source, language);
+      const labelsByValue = new Map(translated.options.map(option => [String(option.value), option.label]));
+      
+      return {
+        id: source.id,
+        label: translated.label,
+        description: source.description ? (translated.description || null) : null,
+        options: (source.options || []).map((option, index) => ({
+          value: option.value,
+          label: vettedLabels?.[index] || labelsByValue.get(String(option.value)) || option.label,
+        })),
+      };
+    });
+    
+    await Assessment.updateOne(
+      { _id: assessment._id },
+      {
+        $set: {
+          [`translations.${language}`]: {
+            questions,
+            model: llmResult.model,
+            promptVersion: TRANSLATION_PROMPT_VERSION,
+            translatedAt: new Date(),
+          },
+        },
+      }
+    );
+    
+    logger.info(`Assessment translated: ${assessment._id}`, {
+      sourceLanguage: assessment.language,
+      targetLanguage: language,
+      provider: llmResult.provider,
+      tokensUsed: llmResult.usage?.total,
+    });
+    
+    return questions;
+  },
+  
+  /**
+   * Pair source questions with their translations
+   * @param {Array} sourceQuestions - Assessment questions
+   * @param {Array} translatedQuestions - See _translateAssessment
+   * @returns {Array} - [{ id, type, source, translated }]
+   * @private
+   */
+  _pairQuestions(sourceQuestions, translatedQuestions) {
+    const translatedById = new Map(translatedQuestions.map(question => [question.id, question]));
+    
+    return sourceQuestions.map((question) => {
+      const translated = translatedById.get(question.id);
+      return {
+        id: question.id,
+        type: question.type,
+        source: {
+          label: question.label,
+          description: question.description || null,
+          options: (question.options || []).map(option => ({ value: option.value, label: option.label })),
+        },
+        translated: {
+          label: translated.label,
+          description: translated.description,
+          options: translated.options,
+        },
+      };
+    });
+  },
+
+  /**
+   * Load an active assessment of the user's for answering
+   * @private
+   */
+  async _findAnswerableAssessment(userId, assessmentId) {
+    const assessment = await Assessment.findOne({
+      _id: assessmentId,
+      user: userId,
+      isActive: true,
+    });
+    
+    if (!assessment) {
+      throw createNotFoundError(
+        'Assessment not found',
+        RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
+      );
+    }
+    
+    return assessment;
+  },
+  
+  /**
+   * Lock an assessment's questions against edits once valid answers exist
+   * Only matches if the questions are unchanged since the assessment was
+   * read, so the answers just validated stay valid for the locked questions.
+   * @throws {Error} - Conflict if the questions were edited in the meantime
    * @private
    */
-  _validateLLMResponse(data) {
-    if (!data.severity || !['low', 'moderate', 'high'].includes(data.severity)) {
-      throw new Error('Invalid severity level in LLM response');
+  async _lockQuestions(assessment) {
+    if (assessment.lockedAt) return;
+    
+    const locked = await Assessment.findOneAndUpdate(
+      { _id: assessment._id, updatedAt: assessment.updatedAt },
+      [{ $set: { lockedAt: { $ifNull: ['$lockedAt', '$$NOW'] } } }],
+      { new: true, timestamps: false }
+    );
+    
+    if (!locked) {
+      throw createConflictError(
+        'Assessment questions changed while answering, please reload them',
+        RESPONSE_TAGS.RESOURCE.CONFLICT
+      );
     }
     
-    if (typeof data.min_days_before_next_assessment !== 'number' || data.min_days_before_next_assessment < 0) {
-      throw new Error('Invalid min_days_before_next_assessment in LLM response');
+    assessment.lockedAt = locked.lockedAt;
+  },
+  
+  /**
+   * Load the assessment's draft
+   * An expired draft the TTL monitor has not removed yet is deleted here.
+   * @returns {Object|null} - Draft, or null if there is none
+   * @throws {Error} - Conflict if the assessment has already been completed
+   * @private
+   */
+  async _findDraft(assessmentId) {
+    const response = await AssessmentResponse.findOne({ assessment: assessmentId });
+    
+    if (!response) {
+      return null;
     }
     
-    if (!Array.isArray(data.questions) || data.questions.length === 0) {
-      throw new Error('No questions generated in LLM response');
+    if (response.status !== RESPONSE_STATUSES.DRAFT) {
+      throw createConflictError(
+        'Assessment has already been completed',
+        RESPONSE_TAGS.VALIDATION.ALREADY_COMPLETED
+      );
     }
     
-    // Validate each question has required fields
-    for (const question of data.questions) {
-      if (!question.id || !question.type || !question.label) {
-        throw new Error(`Invalid question structure in LLM response: missing id, type, or label`);
-      }
+    if (response.draftExpiresAt && response.draftExpiresAt <= new Date()) {
+      await response.deleteOne();
+      return null;
     }
+    
+    return response;
+  },
+  
+  /**
+   * hasResponse / hasDraft / response fields attached to an assessment
+   * A draft in progress is not a response.
+   * @private
+   */
+  _responseState(response) {
+    const isDraft = response?.status === RESPONSE_STATUSES.DRAFT;
+    
+    return {
+      hasResponse: Boolean(response) && !isDraft,
+      hasDraft: isDraft && response.draftExpiresAt > new Date(),
+      response: response && !isDraft ? response : null,
+    };
+  },
+  
+  /**
+   * Draft as returned to the client, with the required questions still to answer
+   * @private
+   */
+  _toDraftView(draft, assessment) {
+    const answers = draft.toObject().answers;
+    const answeredIds = new Set(answers.map(answer => answer.questionId));
+    const visibleQuestionIds = resolveVisibleQuestions(assessment.questions, answers);
+    
+    return {
+      _id: draft._id,
+      assessment: draft.assessment,
+      status: draft.status,
+      answers,
+      notes: draft.notes,
+      draftExpiresAt: draft.draftExpiresAt,
+      updatedAt: draft.updatedAt,
+      progress: {
+        answeredCount: answers.filter(answer => visibleQuestionIds.has(answer.questionId)).length,
+        visibleQuestionCount: visibleQuestionIds.size,
+        unansweredRequired: assessment.questions
+          .filter(question => question.required && visibleQuestionIds.has(question.id) && !answeredIds.has(question.id))
+          .map(question => question.id),
+      },
+    };
   },
 
   /**
-   * Trigger report generation (placeholder)
+   * Trigger report generation (runs in the background, never throws)
    * @private
    */
   _triggerReportGeneration(responseId) {
-    // TODO: Implement report generation service integration
-    logger.info(`Report generation triggered for response: ${responseId}`);
-    // This is a placeholder for future report generation logic
+    assessmentReportService.queueReportGeneration(responseId);
   },
 };
 
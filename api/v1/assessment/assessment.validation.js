@@ -1,4 +1,10 @@
 const Joi = require('joi');
+const { CONDITION_OPERATORS, resolveVisibleQuestions, validateQuestionGraph } = require('../../../helpers/conditionEvaluator');
+const { stripNulls } = require('../../../helpers/jsonSchema');
+const { INSTRUMENT_CODES, getInstrumentQuestionIds } = require('./instruments');
+const { SUPPORTED_LANGUAGES, SCALE_OPTION_VALUES } = require('../../../constants/languages');
+const { REVIEW_STATUSES, REVIEW_DECISIONS, CLINICAL_NOTE_CATEGORIES } = require('../../../constants/review');
+const { TEMPLATE_VISIBILITIES } = require('../../../constants/assessmentTemplates');
 
 /**
  * Assessment Validation Schemas
@@ -29,7 +35,7 @@ const questionOptionSchema = Joi.object({
 // Condition schema
 const conditionSchema = Joi.object({
   questionId: Joi.string().required(),
-  operator: Joi.string().valid('equals', 'not_equals', 'contains', 'greater_than', 'less_than').required(),
+  operator: Joi.string().valid(...CONDITION_OPERATORS).required(),
   value: Joi.any().required(),
 });
 
@@ -47,6 +53,25 @@ const questionSchema = Joi.object({
   conditions: Joi.array().items(conditionSchema).optional(),
 });
 
+// LLM generated assessment schema (shape only; per-type rules live in validateQuestionDefinition)
+const generatedAssessmentSchema = Joi.object({
+  severity: Joi.string().valid(...SEVERITY_LEVELS).required(),
+  min_days_before_next_assessment: Joi.number().integer().min(0).required(),
+  questions: Joi.array().items(questionSchema).min(1).required(),
+  // Standardized instruments to append verbatim (see ./instruments)
+  instruments: Joi.array().items(Joi.string().valid(...INSTRUMENT_CODES)).unique().optional(),
+});
+
+// Expected question counts per severity (mirrors the generation prompt)
+const QUESTION_COUNT_LIMITS = {
+  low: { min: 5, max: 8 },
+  moderate: { min: 9, max: 15 },
+  high: { min: 16, max: 25 },
+};
+
+// Question types answered by picking option values
+const CHOICE_QUESTION_TYPES = ['single_choice', 'multi_choice', 'rating_likert', 'rating_frequency'];
+
 // Generate assessment schema
 const generateAssessmentSchema = Joi.object({
   healthConcernId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
@@ -74,13 +99,41 @@ const submitAssessmentResponseSchema = Joi.object({
     .messages({
       'string.pattern.base': 'Invalid assessment ID format',
     }),
-  answers: Joi.array().items(answerSchema).min(1).required()
+  // Omit to submit the assessment's draft
+  answers: Joi.array().items(answerSchema).min(1).optional()
     .messages({
       'array.min': 'At least one answer is required',
     }),
   notes: Joi.string().optional().allow('', null),
 });
 
+// Changed answers for drafts and amendments; a null value clears the answer
+const answerChangesSchema = Joi.array().items(answerSchema.keys({
+  value: answerSchema.extract('value').allow(null),
+})).unique('questionId');
+
+// Save draft schema
+const saveDraftSchema = Joi.object({
+  answers: answerChangesSchema.optional(),
+  notes: Joi.string().optional().allow('', null),
+}).or('answers', 'notes');
+
+// Amendment schema: patients must change something; professionals may only annotate
+const amendResponseSchema = Joi.object({
+  answers: answerChangesSchema.optional(),
+  notes: Joi.string().optional().allow('', null),
+  reason: Joi.string().trim().min(1).max(1000).required(),
+});
+
+// Revision parameter schema
+const revisionParamSchema = Joi.object({
+  responseId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({
+      'string.pattern.base': 'Invalid response ID format',
+    }),
+  revision: Joi.number().integer().min(1).required(),
+});
+
 // Get assessment history query schema
 const getAssessmentHistorySchema = Joi.object({
   healthConcernId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional()
@@ -108,6 +161,155 @@ const responseIdParamSchema = Joi.object({
     }),
 });
 
+// Translation query schema (defaults to the requester's preferred language)
+const translationQuerySchema = Joi.object({
+  language: Joi.string().valid(...Object.keys(SUPPORTED_LANGUAGES)).optional(),
+});
+
+// Assessment template ID parameter schema
+const templateIdParamSchema = Joi.object({
+  templateId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({
+      'string.pattern.base': 'Invalid template ID format',
+    }),
+});
+
+// FHIR R4 Questionnaire import body (items are mapped and checked in the service)
+const fhirQuestionnaireSchema = Joi.object({
+  resourceType: Joi.string().valid('Questionnaire').required(),
+  item: Joi.array().items(Joi.object().unknown(true)).min(1).required(),
+}).unknown(true);
+
+// Assessment question parameter schema
+const questionParamSchema = Joi.object({
+  assessmentId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({
+      'string.pattern.base': 'Invalid assessment ID format',
+    }),
+  questionId: Joi.string().max(100).required(),
+});
+
+// Regenerate question body schema
+const regenerateQuestionSchema = Joi.object({
+  instruction: Joi.string().trim().min(3).max(1000).required(),
+});
+
+// Edit question body schema (type, id and conditions stay as they are)
+const editQuestionSchema = Joi.object({
+  label: Joi.string().trim().min(1).optional(),
+  description: Joi.string().allow('', null).optional(),
+  required: Joi.boolean().optional(),
+  options: Joi.array().items(questionOptionSchema).optional(),
+  min: Joi.number().allow(null).optional(),
+  max: Joi.number().allow(null).optional(),
+  step: Joi.number().allow(null).optional(),
+}).min(1);
+
+// LLM regenerated question schema
+const regeneratedQuestionSchema = Joi.object({
+  question: questionSchema.required(),
+});
+
+// Template body schema (per-type rules, duplicate ids and skip logic are checked in the service)
+const createTemplateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(200).required(),
+  description: Joi.string().trim().max(2000).allow('', null).optional(),
+  language: Joi.string().valid(...Object.keys(SUPPORTED_LANGUAGES)).optional(),
+  visibility: Joi.string().valid(...Object.values(TEMPLATE_VISIBILITIES)).optional(),
+  questions: Joi.array().items(questionSchema).min(1).required(),
+});
+
+// Template update schema: any subset of the template fields
+const updateTemplateSchema = createTemplateSchema
+  .fork(['name', 'questions'], schema => schema.optional())
+  .min(1);
+
+// Template list query schema (own and shared templates when scope is omitted)
+const templateQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  scope: Joi.string().valid('own', 'shared').optional(),
+});
+
+// Template assignment schema
+const assignTemplateSchema = Joi.object({
+  healthConcernId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({
+      'string.pattern.base': 'Invalid health concern ID format',
+    }),
+  severity: Joi.string().valid(...SEVERITY_LEVELS).required(),
+  minDaysBeforeNextAssessment: Joi.number().integer().min(0).max(365).required(),
+});
+
+// Review queue query schema (defaults to every status awaiting sign-off)
+const reviewQueueQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  status: Joi.string().valid(...Object.values(REVIEW_STATUSES)).optional(),
+});
+
+// Clinical note body schema
+const clinicalNoteSchema = Joi.object({
+  category: Joi.string().valid(...Object.values(CLINICAL_NOTE_CATEGORIES)).required(),
+  text: Joi.string().trim().min(1).max(5000).required(),
+});
+
+// Review decision body schema
+const reviewDecisionSchema = Joi.object({
+  status: Joi.string().valid(...REVIEW_DECISIONS).required(),
+  comment: Joi.string().trim().max(1000).allow(null).optional(),
+});
+
+// Sign-off body schema
+const signOffSchema = Joi.object({
+  comment: Joi.string().trim().max(1000).allow(null).optional(),
+});
+
+// Generation job ID parameter schema
+const jobIdParamSchema = Joi.object({
+  jobId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({
+      'string.pattern.base': 'Invalid job ID format',
+    }),
+});
+
+// Regenerate report body schema
+const regenerateReportSchema = Joi.object({
+  force: Joi.boolean().default(false),
+});
+
+// LLM report output schema (validated before it is stored in reportPayload)
+const reportPayloadSchema = Joi.object({
+  summary: Joi.string().min(1).required(),
+  overall_severity: Joi.string().valid(...SEVERITY_LEVELS).required(),
+  key_findings: Joi.array().items(Joi.object({
+    question_id: Joi.string().required(),
+    finding: Joi.string().min(1).required(),
+    significance: Joi.string().valid('routine', 'notable', 'concerning').required(),
+  })).min(1).max(10).required(),
+  functional_impact: Joi.string().allow('', null).default(null),
+  areas_for_clinician_review: Joi.array().items(Joi.string()).max(8).default([]),
+  suggested_follow_up_questions: Joi.array().items(Joi.string()).max(5).default([]),
+  data_quality: Joi.object({
+    answered_questions: Joi.number().integer().min(0).required(),
+    total_questions: Joi.number().integer().min(0).required(),
+    notes: Joi.string().allow('', null).default(null),
+  }).required(),
+});
+
+// LLM translation output schema
+const translationPayloadSchema = Joi.object({
+  questions: Joi.array().items(Joi.object({
+    id: Joi.string().required(),
+    label: Joi.string().min(1).required(),
+    description: Joi.string().allow('', null).default(null),
+    options: Joi.array().items(Joi.object({
+      value: Joi.alternatives().try(Joi.string(), Joi.number()).required(),
+      label: Joi.string().min(1).required(),
+    })).default([]),
+  })).min(1).required(),
+});
+
 /**
  * Validate answer against question definition
  * @param {Object} answer - Answer object
@@ -219,10 +421,11 @@ const validateAnswer = (answer, question) => {
 const validateAnswers = (answers, questions) => {
   const errors = [];
   const answeredQuestionIds = new Set(answers.map(a => a.questionId));
+  const visibleQuestionIds = resolveVisibleQuestions(questions, answers);
   
-  // Check all required questions are answered
+  // Check all required questions are answered (hidden questions are skipped)
   for (const question of questions) {
-    if (question.required && !answeredQuestionIds.has(question.id)) {
+    if (question.required && visibleQuestionIds.has(question.id) && !answeredQuestionIds.has(question.id)) {
       errors.push(`Required question not answered: ${question.id}`);
     }
   }
@@ -236,6 +439,11 @@ const validateAnswers = (answers, questions) => {
       continue;
     }
     
+    if (!visibleQuestionIds.has(question.id)) {
+      errors.push(`Answer provided for hidden question: ${answer.questionId}`);
+      continue;
+    }
+
     const validation = validateAnswer(answer, question);
     if (!validation.valid) {
       errors.push(validation.error);
@@ -248,17 +456,358 @@ const validateAnswers = (answers, questions) => {
   };
 };
 
+/**
+ * Apply changed answers to a saved answer set
+ * Each changed answer is validated on its own; a null value clears the
+ * answer. The result is in question order.
+ * @param {Array} answers - Current answers
+ * @param {Array} changes - Changed answers
+ * @param {Array} questions - Array of question definitions
+ * @returns {Object} - { answers, errors }
+ */
+const applyAnswerChanges = (answers, changes, questions) => {
+  const errors = [];
+  const answersById = new Map(answers.map(answer => [answer.questionId, answer]));
+  
+  for (const answer of changes) {
+    const question = questions.find(q => q.id === answer.questionId);
+    
+    if (!question) {
+      errors.push(`Answer provided for unknown question: ${answer.questionId}`);
+      continue;
+    }
+    
+    if (answer.value === null) {
+      answersById.delete(answer.questionId);
+      continue;
+    }
+    
+    const validation = validateAnswer(answer, question);
+    if (!validation.valid) {
+      errors.push(validation.error);
+      continue;
+    }
+    
+    answersById.set(answer.questionId, answer);
+  }
+  
+  return {
+    answers: questions
+      .filter(question => answersById.has(question.id))
+      .map(question => answersById.get(question.id)),
+    errors,
+  };
+};
+
+/**
+ * Validate a question definition against its type rules
+ * @param {Object} question - Question definition
+ * @returns {Array} - Error messages (empty if valid)
+ */
+const validateQuestionDefinition = (question) => {
+  const errors = [];
+  const options = question.options || [];
+  const hasMin = question.min !== null && question.min !== undefined;
+  const hasMax = question.max !== null && question.max !== undefined;
+  const hasStep = question.step !== null && question.step !== undefined;
+
+  if (CHOICE_QUESTION_TYPES.includes(question.type)) {
+    const optionIds = options.map(opt => opt.id);
+    const optionValues = options.map(opt => String(opt.value));
+
+    if (new Set(optionIds).size !== optionIds.length) {
+      errors.push(`Question ${question.id} has duplicate option ids`);
+    }
+    if (new Set(optionValues).size !== optionValues.length) {
+      errors.push(`Question ${question.id} has duplicate option values`);
+    }
+    // Answers to choice questions are validated as strings
+    if (options.some(opt => typeof opt.value !== 'string')) {
+      errors.push(`Question ${question.id} option values must be strings`);
+    }
+  } else if (options.length > 0) {
+    errors.push(`Question ${question.id} of type ${question.type} must not have options`);
+  }
+
+  switch (question.type) {
+    case 'single_choice':
+    case 'multi_choice':
+      if (options.length < 2) {
+        errors.push(`Question ${question.id} (${question.type}) requires at least 2 options`);
+      }
+      break;
+
+    case 'rating_likert':
+    case 'rating_frequency':
+      if (options.length !== 5) {
+        errors.push(`Question ${question.id} (${question.type}) requires exactly 5 options, got ${options.length}`);
+      }
+      break;
+
+    case 'rating_numeric':
+      if (!hasMin || !hasMax) {
+        errors.push(`Question ${question.id} (rating_numeric) requires min and max`);
+      }
+      break;
+
+    case 'rating_slider':
+      if (!hasMin || !hasMax || !hasStep) {
+        errors.push(`Question ${question.id} (rating_slider) requires min, max and step`);
+      } else if (question.step <= 0 || question.step > question.max - question.min) {
+        errors.push(`Question ${question.id} (rating_slider) step must be positive and fit within the range`);
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  if (hasMin && hasMax && question.min >= question.max) {
+    errors.push(`Question ${question.id} min must be less than max`);
+  }
+
+  return errors;
+};
+
+/**
+ * Check a generated likert or frequency question uses the fixed scale values
+ * Vetted labels are matched to options by value (see
+ * getVettedScaleLabels), so generated scales must not invent their own.
+ * Instrument questions keep their own scales and are not checked here.
+ * @param {Object} question - Question definition
+ * @returns {Array} - Error messages (empty if valid)
+ */
+const validateGeneratedScale = (question) => {
+  const scaleValues = SCALE_OPTION_VALUES[question.type];
+  if (!scaleValues) return [];
+
+  const optionValues = (question.options || []).map(opt => String(opt.value));
+  const unknownValues = optionValues.filter(value => !scaleValues.includes(value));
+  if (unknownValues.length === 0 && optionValues.length === scaleValues.length) return [];
+
+  return [`Question ${question.id} (${question.type}) option values must be ${scaleValues.join(', ')}`];
+};
+
+/**
+ * Fully validate an LLM generated assessment
+ * Checks the Joi shape, every question's type rules and scale values,
+ * duplicate ids (including clashes with requested instrument questions) and
+ * skip-logic references.
+ * Question count outside the severity range is reported as a warning only;
+ * instrument questions are appended later and do not count.
+ * @param {Object} data - Parsed LLM output
+ * @returns {Object} - { valid, errors, warnings, value }
+ */
+const validateGeneratedAssessment = (data) => {
+  const { error, value } = generatedAssessmentSchema.validate(stripNulls(data), {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  if (error) {
+    return {
+      valid: false,
+      errors: error.details.map(detail => `${detail.path.join('.')}: ${detail.message}`),
+      warnings: [],
+      value: null,
+    };
+  }
+
+  const errors = [];
+  const warnings = [];
+
+  const questionIds = value.questions.map(q => q.id);
+  const duplicateIds = questionIds.filter((id, index) => questionIds.indexOf(id) !== index);
+  if (duplicateIds.length > 0) {
+    errors.push(`Duplicate question ids: ${[...new Set(duplicateIds)].join(', ')}`);
+  }
+
+  const reservedIds = getInstrumentQuestionIds(value.instruments);
+  const clashingIds = questionIds.filter(id => reservedIds.has(id));
+  if (clashingIds.length > 0) {
+    errors.push(`Question ids reserved by the requested instruments: ${clashingIds.join(', ')}`);
+  }
+
+  for (const question of value.questions) {
+    errors.push(...validateQuestionDefinition(question), ...validateGeneratedScale(question));
+  }
+
+  const graphValidation = validateQuestionGraph(value.questions);
+  errors.push(...graphValidation.errors);
+
+  const limits = QUESTION_COUNT_LIMITS[value.severity];
+  if (limits && (value.questions.length < limits.min || value.questions.length > limits.max)) {
+    warnings.push(`${value.severity} severity expects ${limits.min}-${limits.max} questions, got ${value.questions.length}`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    value,
+  };
+};
+
+/**
+ * Validate a single generated question as soon as it has been streamed
+ * Cross-question rules (duplicate ids, condition graph) need the full
+ * document and are checked by validateGeneratedAssessment afterwards.
+ * @param {Object} question - Parsed question object
+ * @returns {Object} - { valid, errors, value }
+ */
+const validateStreamedQuestion = (question) => {
+  const { error, value } = questionSchema.validate(stripNulls(question), {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  if (error) {
+    return {
+      valid: false,
+      errors: error.details.map(detail => `${detail.path.join('.')}: ${detail.message}`),
+      value: null,
+    };
+  }
+
+  const errors = [...validateQuestionDefinition(value), ...validateGeneratedScale(value)];
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    value,
+  };
+};
+
+/**
+ * Validate an LLM regenerated question
+ * The id must be kept, and the questionnaire with the question replaced must
+ * still pass the type rules and skip-logic checks.
+ * @param {Object} data - Parsed LLM output
+ * @param {string} questionId - Id of the question being regenerated
+ * @param {Array} questions - Current assessment questions
+ * @returns {Object} - { valid, errors, warnings, value } (value is the question)
+ */
+const validateRegeneratedQuestion = (data, questionId, questions) => {
+  const { error, value } = regeneratedQuestionSchema.validate(stripNulls(data), {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  if (error) {
+    return {
+      valid: false,
+      errors: error.details.map(detail => `${detail.path.join('.')}: ${detail.message}`),
+      warnings: [],
+      value: null,
+    };
+  }
+
+  const errors = [];
+  if (value.question.id !== questionId) {
+    errors.push(`Question id must stay ${questionId}, got ${value.question.id}`);
+  }
+
+  errors.push(...validateQuestionDefinition(value.question), ...validateGeneratedScale(value.question));
+  const replaced = questions.map(question => (question.id === questionId ? value.question : question));
+  errors.push(...validateQuestionGraph(replaced).errors);
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings: [],
+    value: value.question,
+  };
+};
+
+/**
+ * Validate an LLM translation against the source questions
+ * Every source question and option value must come back unchanged.
+ * @param {Object} data - Parsed LLM output
+ * @param {Array} sourceQuestions - Questions that were sent ({ id, options })
+ * @returns {Object} - { valid, errors, warnings, value }
+ */
+const validateTranslation = (data, sourceQuestions) => {
+  const { error, value } = translationPayloadSchema.validate(stripNulls(data), {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+
+  if (error) {
+    return {
+      valid: false,
+      errors: error.details.map(detail => `${detail.path.join('.')}: ${detail.message}`),
+      warnings: [],
+      value: null,
+    };
+  }
+
+  const errors = [];
+  const translatedById = new Map(value.questions.map(question => [question.id, question]));
+
+  for (const source of sourceQuestions) {
+    const translated = translatedById.get(source.id);
+    if (!translated) {
+      errors.push(`Missing translation for question ${source.id}`);
+      continue;
+    }
+
+    const translatedValues = new Set(translated.options.map(option => String(option.value)));
+    const missingValues = (source.options || [])
+      .map(option => String(option.value))
+      .filter(optionValue => !translatedValues.has(optionValue));
+    if (missingValues.length > 0) {
+      errors.push(`Question ${source.id} is missing option values: ${missingValues.join(', ')}`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings: [],
+    value,
+  };
+};
+
 module.exports = {
   generateAssessmentSchema,
+  generatedAssessmentSchema,
   submitAssessmentResponseSchema,
+  saveDraftSchema,
+  amendResponseSchema,
   getAssessmentHistorySchema,
   assessmentIdParamSchema,
   responseIdParamSchema,
+  revisionParamSchema,
+  jobIdParamSchema,
+  regenerateReportSchema,
+  reportPayloadSchema,
+  translationQuerySchema,
+  translationPayloadSchema,
+  templateIdParamSchema,
+  fhirQuestionnaireSchema,
+  createTemplateSchema,
+  updateTemplateSchema,
+  templateQuerySchema,
+  assignTemplateSchema,
+  questionParamSchema,
+  regenerateQuestionSchema,
+  editQuestionSchema,
+  reviewQueueQuerySchema,
+  clinicalNoteSchema,
+  reviewDecisionSchema,
+  signOffSchema,
   questionSchema,
   answerSchema,
   validateAnswer,
   validateAnswers,
+  applyAnswerChanges,
+  validateQuestionDefinition,
+  validateGeneratedAssessment,
+  validateStreamedQuestion,
+  validateRegeneratedQuestion,
+  validateTranslation,
   QUESTION_TYPES,
   SEVERITY_LEVELS,
+  QUESTION_COUNT_LIMITS,
 };
 
@@ -0,0 +1,383 @@
+const Assessment = require('./assessment.model');
+const AssessmentResponse = require('./assessmentResponse.model');
+const User = require('../user/user.model');
+const Patient = require('../patient/patient.model');
+const {
+  questionSchema,
+  validateQuestionDefinition,
+  validateRegeneratedQuestion,
+} = require('./assessment.validation');
+const {
+  QUESTION_REGENERATION_SYSTEM_PROMPT,
+  createQuestionRegenerationUserPrompt,
+  QUESTION_REGENERATION_PROMPT_VERSION,
+  QUESTION_REGENERATION_TOKEN_BUDGET,
+} = require('./prompts/questionRegeneration');
+const { generateStructuredOutput, getProviderForUseCase } = require('../../../helpers/llmService');
+const { buildToonContext } = require('../../../helpers/toonContext');
+const { createRedactor, buildKnownIdentifiers } = require('../../../helpers/piiRedactor');
+const { hardenContext } = require('../../../helpers/inputHardening');
+const { applyVettedScaleLabels } = require('../../../helpers/localization');
+const { validateQuestionGraph } = require('../../../helpers/conditionEvaluator');
+const { stripNulls } = require('../../../helpers/jsonSchema');
+const careTeamService = require('../careTeam/careTeam.service');
+const auditService = require('../audit/audit.service');
+const { QUESTION_EDIT_ACTIONS } = require('../../../constants/assessmentEdits');
+const { RESPONSE_STATUSES } = require('../../../constants/assessmentResponses');
+const { LLM_USE_CASES, LLM_TASKS } = require('../../../constants/llm');
+const { SUPPORTED_LANGUAGES } = require('../../../constants/languages');
+const { AUDIT_ACTIONS, AUDIT_SUBJECT_TYPES } = require('../../../constants/audit');
+const {
+  createNotFoundError,
+  createConflictError,
+  createBadRequestError,
+  createValidationError,
+} = require('../../../middlewares/error.middleware');
+const RESPONSE_TAGS = require('../../../constants/responseTags');
+const config = require('../../../config');
+const logger = require('../../../helpers/logger');
+
+/**
+ * Assessment Edit Service
+ *
+ * Fixes to single questions of an assessment before anyone answers it:
+ * regenerate a question with an instruction, edit it directly, or remove
+ * it. The patient and their care-team professionals can make changes; each
+ * one is validated with the rest of the questionnaire and appended to the
+ * assessment's edit log. The first saved answer locks the questions.
+ */
+const assessmentEditService = {
+  /**
+   * Regenerate one question following an instruction
+   * @param {Object} requester - { userId, role }
+   * @param {string} assessmentId - Assessment ID
+   * @param {string} questionId - Question ID
+   * @param {Object} body - { instruction }
+   * @returns {Object} - Updated assessment
+   */
+  async regenerateQuestion(requester, assessmentId, questionId, { instruction }) {
+    try {
+      const assessment = await this._findEditableAssessment(requester, assessmentId);
+      const question = this._findEditableQuestion(assessment, questionId);
+      const questions = assessment.toObject().questions;
+
+      const { regenerated, llmResult } = await this._requestRegeneration(
+        requester,
+        assessment,
+        questions,
+        question,
+        instruction
+      );
+
+      const updated = await this._applyEdit(
+        assessment,
+        questions.map(current => (current.id === questionId ? regenerated : current)),
+        {
+          action: QUESTION_EDIT_ACTIONS.REGENERATED,
+          questionId,
+          before: question,
+          after: regenerated,
+          instruction,
+          llm: {
+            provider: llmResult.provider,
+            model: llmResult.model,
+            promptVersion: QUESTION_REGENERATION_PROMPT_VERSION,
+            tokensUsed: llmResult.usage,
+            cost: llmResult.cost?.totalCost || 0,
+          },
+          author: requester.userId,
+        }
+      );
+
+      logger.info(`Assessment question regenerated: ${assessmentId}/${questionId}`, {
+        author: requester.userId,
+        provider: llmResult.provider,
+        tokensUsed: llmResult.usage?.total,
+      });
+
+      return updated;
+    } catch (error) {
+      logger.error('Error regenerating assessment question:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Edit a question's text, options or range
+   * @param {Object} requester - { userId, role }
+   * @param {string} assessmentId - Assessment ID
+   * @param {string} questionId - Question ID
+   * @param {Object} changes - { label, description, required, options, min, max, step }
+   * @returns {Object} - Updated assessment
+   */
+  async editQuestion(requester, assessmentId, questionId, changes) {
+    try {
+      const assessment = await this._findEditableAssessment(requester, assessmentId);
+      const question = this._findEditableQuestion(assessment, questionId);
+      const questions = assessment.toObject().questions;
+
+      const { error, value: edited } = questionSchema.validate(stripNulls({ ...question, ...changes }), {
+        abortEarly: false,
+        stripUnknown: true,
+      });
+      const errors = error
+        ? error.details.map(detail => `${detail.path.join('.')}: ${detail.message}`)
+        : validateQuestionDefinition(edited);
+
+      if (errors.length === 0 && JSON.stringify(edited) === JSON.stringify(stripNulls(question))) {
+        throw createBadRequestError(
+          'Edit does not change the question',
+          RESPONSE_TAGS.VALIDATION.INVALID_INPUT
+        );
+      }
+
+      const nextQuestions = questions.map(current => (current.id === questionId ? edited : current));
+      this._assertValidQuestions(nextQuestions, errors);
+
+      const updated = await this._applyEdit(assessment, nextQuestions, {
+        action: QUESTION_EDIT_ACTIONS.EDITED,
+        questionId,
+        before: question,
+        after: edited,
+        author: requester.userId,
+      });
+
+      logger.info(`Assessment question edited: ${assessmentId}/${questionId}`, {
+        author: requester.userId,
+        fields: Object.keys(changes),
+      });
+
+      return updated;
+    } catch (error) {
+      logger.error('Error editing assessment question:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove a question
+   * Questions shown depending on its answer must be changed first.
+   * @param {Object} requester - { userId, role }
+   * @param {string} assessmentId - Assessment ID
+   * @param {string} questionId - Question ID
+   * @returns {Object} - Updated assessment
+   */
+  async removeQuestion(requester, assessmentId, questionId) {
+    try {
+      const assessment = await this._findEditableAssessment(requester, assessmentId);
+      const question = this._findEditableQuestion(assessment, questionId);
+      const nextQuestions = assessment.toObject().questions.filter(current => current.id !== questionId);
+
+      if (nextQuestions.length === 0) {
+        throw createBadRequestError(
+          'An assessment must keep at least one question',
+          RESPONSE_TAGS.VALIDATION.INVALID_INPUT
+        );
+      }
+
+      this._assertValidQuestions(nextQuestions);
+
+      const updated = await this._applyEdit(assessment, nextQuestions, {
+        action: QUESTION_EDIT_ACTIONS.REMOVED,
+        questionId,
+        before: question,
+        after: null,
+        author: requester.userId,
+      });
+
+      logger.info(`Assessment question removed: ${assessmentId}/${questionId}`, {
+        author: requester.userId,
+      });
+
+      return updated;
+    } catch (error) {
+      logger.error('Error removing assessment question:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Load an assessment the requester may edit and that nobody has answered
+   * Assessments answered before locking existed have no lockedAt, so
+   * existing answers are checked as well.
+   * @private
+   */
+  async _findEditableAssessment(requester, assessmentId) {
+    const assessment = await Assessment.findOne({ _id: assessmentId, isActive: true });
+
+    if (!assessment) {
+      throw createNotFoundError(
+        'Assessment not found',
+        RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
+      );
+    }
+
+    await careTeamService.assertCanAccessPatient(requester, assessment.user);
+
+    const answered = assessment.lockedAt || await AssessmentResponse.exists({
+      assessment: assessment._id,
+      $or: [
+        { status: { $ne: RESPONSE_STATUSES.DRAFT } },
+        { 'answers.0': { $exists: true } },
+      ],
+    });
+
+    if (answered) {
+      throw createConflictError(
+        'Assessment questions are locked once answering has started',
+        RESPONSE_TAGS.BUSINESS.PRECONDITION_FAILED
+      );
+    }
+
+    return assessment;
+  },
+
+  /**
+   * Question as a plain object; standardized instrument questions are verbatim and cannot change
+   * @private
+   */
+  _findEditableQuestion(assessment, questionId) {
+    const question = assessment.questions.find(current => current.id === questionId);
+
+    if (!question) {
+      throw createNotFoundError(
+        'Question not found',
+        RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
+      );
+    }
+
+    const instrument = assessment.instruments.find(current => current.questionIds.includes(questionId));
+    if (instrument) {
+      throw createBadRequestError(
+        `Question ${questionId} belongs to the standardized instrument ${instrument.code} and cannot be changed`,
+        RESPONSE_TAGS.VALIDATION.INVALID_INPUT
+      );
+    }
+
+    return question.toObject();
+  },
+
+  /**
+   * @private
+   */
+  _assertValidQuestions(questions, errors = []) {
+    const allErrors = [...errors, ...validateQuestionGraph(questions).errors];
+
+    if (allErrors.length > 0) {
+      throw createValidationError(
+        'Question change is invalid',
+        allErrors,
+        RESPONSE_TAGS.VALIDATION.VALIDATION_ERROR
+      );
+    }
+  },
+
+  /**
+   * Ask the LLM for a replacement question
+   * The context is redacted and hardened as for generation, since both the
+   * questions and the instruction can contain patient text.
+   * @returns {Object} - { regenerated, llmResult }
+   * @private
+   */
+  async _requestRegeneration(requester, assessment, questions, question, instruction) {
+    const [owner, patient] = await Promise.all([
+      User.findById(assessment.user),
+      Patient.findOne({ user: assessment.user }),
+    ]);
+    const redactor = createRedactor({
+      knownIdentifiers: buildKnownIdentifiers({ user: owner, patient }),
+      fingerprintSecret: config.redaction.fingerprintSecret,
+    });
+    const redacted = redactor.redact({
+      language: SUPPORTED_LANGUAGES[assessment.language],
+      questionnaire: questions.map(current => ({ id: current.id, type: current.type, label: current.label })),
+      question,
+      dependents: questions
+        .filter(current => (current.conditions || []).some(condition => condition.questionId === question.id))
+        .map(current => ({
+          id: current.id,
+          conditions: current.conditions.filter(condition => condition.questionId === question.id),
+        })),
+      instruction,
+    });
+
+    await auditService.recordRedaction({
+      actor: requester.userId,
+      subjectType: AUDIT_SUBJECT_TYPES.ASSESSMENT,
+      subjectId: assessment._id,
+      feature: LLM_USE_CASES.QUESTION_REGENERATION,
+      redactions: redactor.getReport(),
+    });
+
+    const { context: input, findings } = hardenContext(redacted);
+
+    if (findings.length) {
+      logger.warn(`Suspicious input in question regeneration: ${assessment._id}`, {
+        codes: [...new Set(findings.map(finding => finding.code))],
+      });
+      await auditService.record({
+        action: AUDIT_ACTIONS.SUSPICIOUS_LLM_INPUT,
+        actor: requester.userId,
+        subjectType: AUDIT_SUBJECT_TYPES.ASSESSMENT,
+        subjectId: assessment._id,
+        metadata: {
+          feature: LLM_USE_CASES.QUESTION_REGENERATION,
+          findings,
+        },
+      });
+    }
+
+    const provider = getProviderForUseCase(LLM_USE_CASES.QUESTION_REGENERATION);
+    const llmResult = await generateStructuredOutput({
+      provider: provider.name,
+      task: LLM_TASKS.QUESTION_REGENERATION,
+      input,
+      systemPrompt: QUESTION_REGENERATION_SYSTEM_PROMPT,
+      userPrompt: createQuestionRegenerationUserPrompt(buildToonContext(input)),
+      maxTokens: QUESTION_REGENERATION_TOKEN_BUDGET.maxCompletion,
+      validate: data => validateRegeneratedQuestion(data, question.id, questions),
+      usageContext: {
+        userId: requester.userId,
+        role: requester.role,
+        feature: LLM_USE_CASES.QUESTION_REGENERATION,
+      },
+    });
+
+    return {
+      regenerated: applyVettedScaleLabels(redactor.rehydrate(llmResult.data), assessment.language),
+      llmResult,
+    };
+  },
+
+  /**
+   * Save new questions and log the change
+   * Only succeeds if the assessment is still unlocked and unchanged since it
+   * was read. Cached translations are dropped since the text changed.
+   * @private
+   */
+  async _applyEdit(assessment, questions, entry) {
+    const updated = await Assessment.findOneAndUpdate(
+      {
+        _id: assessment._id,
+        lockedAt: null,
+        updatedAt: assessment.updatedAt,
+      },
+      {
+        $set: { questions, translations: {} },
+        $push: { editLog: { ...entry, editedAt: new Date() } },
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      throw createConflictError(
+        'Assessment was answered or changed while editing, please retry',
+        RESPONSE_TAGS.RESOURCE.CONFLICT
+      );
+    }
+
+    return updated;
+  },
+};
+
+module.exports = assessmentEditService;
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+
+// Job lifecycle: queued -> processing -> completed | failed
+// Failed attempts that can be retried go back to queued with a later runAt
+const JOB_STATUSES = ['queued', 'processing', 'completed', 'failed'];
+
+// Assessment generation job schema
+const assessmentGenerationJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  healthConcern: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HealthConcern',
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued',
+  },
+  // true while queued or processing; backs the one-job-per-concern index
+  inFlight: {
+    type: Boolean,
+    default: true,
+  },
+  progress: {
+    stage: { type: String, default: 'queued' },
+    percent: { type: Number, default: 0, min: 0, max: 100 },
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  runAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Processing jobs whose lock expired are picked up again by any worker
+  lockedBy: {
+    type: String,
+    default: null,
+  },
+  lockExpiresAt: {
+    type: Date,
+    default: null,
+  },
+  error: {
+    message: { type: String, default: null },
+    tag: { type: String, default: null },
+    statusCode: { type: Number, default: null },
+  },
+  assessment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assessment',
+    default: null,
+  },
+  startedAt: {
+    type: Date,
+    default: null,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Compound indexes
+assessmentGenerationJobSchema.index(
+  { user: 1, healthConcern: 1 },
+  { unique: true, partialFilterExpression: { inFlight: true } }
+);
+assessmentGenerationJobSchema.index({ status: 1, runAt: 1 });
+assessmentGenerationJobSchema.index({ status: 1, lockExpiresAt: 1 });
+
+// Static method to find the queued or running job for user + health concern
+assessmentGenerationJobSchema.statics.findInFlight = function(userId, healthConcernId, excludeJobId = null) {
+  const query = {
+    user: userId,
+    healthConcern: healthConcernId,
+    inFlight: true,
+  };
+
+  if (excludeJobId) {
+    query._id = { $ne: excludeJobId };
+  }
+
+  return this.findOne(query);
+};
+
+// Static method to atomically claim the next runnable job for a worker
+// Picks due queued jobs first, then processing jobs whose lock expired
+assessmentGenerationJobSchema.statics.claimNext = function(workerId, lockTimeoutMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'processing', lockExpiresAt: { $lt: now } },
+      ],
+    },
+    {
+      $set: {
+        status: 'processing',
+        lockedBy: workerId,
+        lockExpiresAt: new Date(now.getTime() + lockTimeoutMs),
+        startedAt: now,
+        'progress.stage': 'starting',
+        'progress.percent': 0,
+      },
+      $inc: { attempts: 1 },
+    },
+    { new: true, sort: { runAt: 1 } }
+  );
+};
+
+// Static method to record progress while the worker still holds the lock
+// Every update also extends the lock so long LLM calls are not reclaimed
+assessmentGenerationJobSchema.statics.updateProgress = function(jobId, workerId, stage, percent, lockTimeoutMs) {
+  return this.updateOne(
+    { _id: jobId, lockedBy: workerId, status: 'processing' },
+    {
+      $set: {
+        'progress.stage': stage,
+        'progress.percent': percent,
+        lockExpiresAt: new Date(Date.now() + lockTimeoutMs),
+      },
+    }
+  );
+};
+
+// Static method to check a worker still holds a job's lock
+assessmentGenerationJobSchema.statics.holdsLock = async function(jobId, workerId) {
+  return Boolean(await this.exists({ _id: jobId, lockedBy: workerId, status: 'processing' }));
+};
+
+// Static method to extend the lock while the worker still holds it
+assessmentGenerationJobSchema.statics.extendLock = function(jobId, workerId, lockTimeoutMs) {
+  return this.updateOne(
+    { _id: jobId, lockedBy: workerId, status: 'processing' },
+    { $set: { lockExpiresAt: new Date(Date.now() + lockTimeoutMs) } }
+  );
+};
+
+module.exports = mongoose.model('AssessmentGenerationJob', assessmentGenerationJobSchema);
@@ -0,0 +1,413 @@
+const os = require('os');
+const AssessmentGenerationJob = require('./assessmentGenerationJob.model');
+const assessmentService = require('./assessment.service');
+const { createNotFoundError, createConflictError } = require('../../../middlewares/error.middleware');
+const RESPONSE_TAGS = require('../../../constants/responseTags');
+const config = require('../../../config');
+const logger = require('../../../helpers/logger');
+
+// Identifies this process in job locks
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+let pollTimer = null;
+let activeJobs = 0;
+let running = false;
+let polling = false;
+
+/**
+ * Assessment Job Service
+ *
+ * Mongo-backed queue for assessment generation. The HTTP request only
+ * creates a job; workers (one poll loop per process) claim jobs atomically,
+ * run assessmentService.generateAssessment and record progress, result and
+ * errors on the job document.
+ */
+const assessmentJobService = {
+  /**
+   * Queue assessment generation for a health concern
+   * @param {string} userId - User ID
+   * @param {string} healthConcernId - Health concern ID
+   * @returns {Object} - Job view
+   */
+  async enqueueGeneration(userId, healthConcernId) {
+    try {
+      // Fail fast on cooldown, in-flight jobs and unknown concerns
+      await assessmentService.ensureCanGenerate(userId, healthConcernId);
+
+      let job;
+      try {
+        job = await AssessmentGenerationJob.create({
+          user: userId,
+          healthConcern: healthConcernId,
+        });
+      } catch (error) {
+        // Unique in-flight index: another request queued a job concurrently
+        if (error.code === 11000) {
+          throw createConflictError(
+            'An assessment is already being generated for this health concern',
+            RESPONSE_TAGS.VALIDATION.COOLDOWN_NOT_MET
+          );
+        }
+        throw error;
+      }
+
+      logger.info(`Assessment generation job queued: ${job._id}`, {
+        userId,
+        healthConcernId,
+      });
+
+      // Pick the job up right away instead of waiting for the next poll
+      this._scheduleTick(0);
+
+      return this._toJobView(job);
+    } catch (error) {
+      logger.error('Error queueing assessment generation:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a generation job
+   * @param {string} userId - User ID
+   * @param {string} jobId - Job ID
+   * @returns {Object} - Job view
+   */
+  async getJob(userId, jobId) {
+    try {
+      const job = await AssessmentGenerationJob.findOne({
+        _id: jobId,
+        user: userId,
+      });
+
+      if (!job) {
+        throw createNotFoundError(
+          'Generation job not found',
+          RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
+        );
+      }
+
+      return this._toJobView(job);
+    } catch (error) {
+      logger.error('Error fetching generation job:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create an in-flight job for generation that runs inside the request
+   * Used by the streaming endpoint: the job blocks duplicate requests and
+   * records the outcome like a queued job, but workers never pick it up
+   * while its lock is held.
+   * @param {string} userId - User ID
+   * @param {string} healthConcernId - Health concern ID
+   * @returns {Object} - Job document
+   */
+  async createInlineJob(userId, healthConcernId) {
+    try {
+      await assessmentService.ensureCanGenerate(userId, healthConcernId);
+
+      return await AssessmentGenerationJob.create({
+        user: userId,
+        healthConcern: healthConcernId,
+        status: 'processing',
+        attempts: 1,
+        lockedBy: WORKER_ID,
+        lockExpiresAt: new Date(Date.now() + config.assessment.jobs.lockTimeoutMs),
+        startedAt: new Date(),
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createConflictError(
+          'An assessment is already being generated for this health concern',
+          RESPONSE_TAGS.VALIDATION.COOLDOWN_NOT_MET
+        );
+      }
+      logger.error('Error creating inline generation job:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Run an inline job and record its outcome
+   * @param {Object} job - Job created by createInlineJob
+   * @param {Function} run - async ({ excludeJobId, workerId, onProgress }) => assessment
+   * @returns {Object} - Generated assessment
+   */
+  async runInlineJob(job, run) {
+    const stopHeartbeat = this._startHeartbeat(job._id);
+
+    try {
+      const assessment = await run({
+        excludeJobId: job._id,
+        workerId: WORKER_ID,
+        onProgress: this._progressReporter(job._id),
+      });
+
+      await this._markCompleted(job._id, assessment._id);
+      return assessment;
+    } catch (error) {
+      // The caller saw the failure, so inline jobs are never re-queued
+      await this._markFailed(job._id, error, { retry: false });
+      throw error;
+    } finally {
+      stopHeartbeat();
+    }
+  },
+
+  /**
+   * Run a claimed job to completion
+   * @param {Object} job - Job document claimed by this worker
+   * @returns {Object} - Updated job document
+   */
+  async processJob(job) {
+    logger.info(`Processing assessment generation job: ${job._id}`, {
+      attempt: job.attempts,
+    });
+
+    const stopHeartbeat = this._startHeartbeat(job._id);
+
+    try {
+      const assessment = await assessmentService.generateAssessment(job.user, job.healthConcern, {
+        excludeJobId: job._id,
+        workerId: WORKER_ID,
+        onProgress: this._progressReporter(job._id),
+      });
+
+      return await this._markCompleted(job._id, assessment._id);
+    } catch (error) {
+      logger.error(`Assessment generation job failed: ${job._id}`, error);
+      return this._markFailed(job._id, error, { retry: true, attempts: job.attempts });
+    } finally {
+      stopHeartbeat();
+    }
+  },
+
+  /**
+   * Progress callback that also extends this worker's lock
+   * @param {string} jobId - Job ID
+   * @returns {Function} - async (stage, percent) => void
+   */
+  _progressReporter(jobId) {
+    const { lockTimeoutMs } = config.assessment.jobs;
+    return (stage, percent) => AssessmentGenerationJob.updateProgress(
+      jobId,
+      WORKER_ID,
+      stage,
+      percent,
+      lockTimeoutMs
+    );
+  },
+
+  /**
+   * Keep extending this worker's lock while a job runs
+   * Progress updates are too sparse to cover one long LLM call with retries
+   * and repair attempts, so the lock is also refreshed on a timer.
+   * @param {string} jobId - Job ID
+   * @returns {Function} - Stops the heartbeat
+   */
+  _startHeartbeat(jobId) {
+    const { lockTimeoutMs } = config.assessment.jobs;
+
+    const timer = setInterval(() => {
+      AssessmentGenerationJob.extendLock(jobId, WORKER_ID, lockTimeoutMs)
+        .catch((error) => {
+          logger.error(`Failed to extend generation job lock: ${jobId}`, error);
+        });
+    }, Math.max(1000, Math.floor(lockTimeoutMs / 3)));
+
+    if (typeof timer.unref === 'function') {
+      timer.unref();
+    }
+
+    return () => clearInterval(timer);
+  },
+
+  /**
+   * Record a successful job while this worker still holds its lock
+   * Generation checks the lock before saving (see
+   * assessmentService.generateAssessment), so a run that lost it discards
+   * its result instead of completing the job.
+   * @param {string} jobId - Job ID
+   * @param {string} assessmentId - Generated assessment ID
+   * @returns {Object|null} - Updated job document, or null if the lock was lost
+   */
+  async _markCompleted(jobId, assessmentId) {
+    const job = await AssessmentGenerationJob.findOneAndUpdate(
+      { _id: jobId, lockedBy: WORKER_ID, status: 'processing' },
+      {
+        $set: {
+          status: 'completed',
+          inFlight: false,
+          assessment: assessmentId,
+          'progress.stage': 'completed',
+          'progress.percent': 100,
+          error: { message: null, tag: null, statusCode: null },
+          lockedBy: null,
+          lockExpiresAt: null,
+          completedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+
+    if (!job) {
+      logger.warn(`Generation job ${jobId} lock lost after assessment ${assessmentId} was saved`);
+    }
+
+    return job;
+  },
+
+  /**
+   * Record a failed attempt, re-queueing it with backoff when retryable
+   * @param {string} jobId - Job ID
+   * @param {Error} error - Failure
+   * @param {Object} retryState - { retry, attempts } attempts made so far
+   * @returns {Object} - Updated job document
+   */
+  _markFailed(jobId, error, retryState) {
+    const { maxAttempts, retryBaseDelayMs } = config.assessment.jobs;
+    const ownLock = { _id: jobId, lockedBy: WORKER_ID, status: 'processing' };
+
+    const jobError = {
+      message: error.message,
+      tag: error.tag || RESPONSE_TAGS.SERVER.INTERNAL_SERVER_ERROR,
+      statusCode: error.statusCode || 500,
+    };
+
+    // Client errors (cooldown, missing concern) will not succeed on retry
+    const retryable = !(error.isOperational && error.statusCode < 500);
+
+    if (retryState.retry && retryable && retryState.attempts < maxAttempts) {
+      const delayMs = retryBaseDelayMs * Math.pow(2, retryState.attempts - 1);
+
+      return AssessmentGenerationJob.findOneAndUpdate(ownLock, {
+        $set: {
+          status: 'queued',
+          runAt: new Date(Date.now() + delayMs),
+          'progress.stage': 'retry_scheduled',
+          error: jobError,
+          lockedBy: null,
+          lockExpiresAt: null,
+        },
+      }, { new: true });
+    }
+
+    return AssessmentGenerationJob.findOneAndUpdate(ownLock, {
+      $set: {
+        status: 'failed',
+        inFlight: false,
+        'progress.stage': 'failed',
+        error: jobError,
+        lockedBy: null,
+        lockExpiresAt: null,
+        completedAt: new Date(),
+      },
+    }, { new: true });
+  },
+
+  /**
+   * Start polling for jobs in this process
+   */
+  startWorker() {
+    running = true;
+    logger.info(`Assessment generation worker started: ${WORKER_ID}`, {
+      concurrency: config.assessment.jobs.concurrency,
+    });
+    this._scheduleTick(0);
+  },
+
+  /**
+   * Stop polling; running jobs finish or are reclaimed after their lock expires
+   */
+  stopWorker() {
+    running = false;
+    if (pollTimer) {
+      clearTimeout(pollTimer);
+      pollTimer = null;
+    }
+  },
+
+  /**
+   * Schedule the next poll
+   * @param {number} delayMs - Delay before polling
+   */
+  _scheduleTick(delayMs) {
+    // Processes that did not start the worker only enqueue
+    if (!running) return;
+
+    if (pollTimer) {
+      clearTimeout(pollTimer);
+    }
+
+    pollTimer = setTimeout(() => {
+      pollTimer = null;
+      this._tick()
+        .catch((error) => {
+          logger.error('Assessment generation worker poll failed:', error);
+        })
+        .finally(() => {
+          this._scheduleTick(config.assessment.jobs.pollIntervalMs);
+        });
+    }, delayMs);
+
+    // The poll loop must not keep the process alive during shutdown
+    if (typeof pollTimer.unref === 'function') {
+      pollTimer.unref();
+    }
+  },
+
+  /**
+   * Claim jobs until the concurrency limit is reached
+   */
+  async _tick() {
+    // A finished job can schedule a tick while another is still claiming
+    if (polling) return;
+    polling = true;
+
+    try {
+      const { concurrency, lockTimeoutMs } = config.assessment.jobs;
+
+      while (running && activeJobs < concurrency) {
+        const job = await AssessmentGenerationJob.claimNext(WORKER_ID, lockTimeoutMs);
+        if (!job) return;
+
+        activeJobs += 1;
+        this.processJob(job)
+          .catch((error) => {
+            logger.error(`Unhandled error in generation job: ${job._id}`, error);
+          })
+          .finally(() => {
+            activeJobs -= 1;
+            this._scheduleTick(0);
+          });
+      }
+    } finally {
+      polling = false;
+    }
+  },
+
+  /**
+   * Shape a job for API responses
+   * @param {Object} job - Job document
+   * @returns {Object} - Job view
+   */
+  _toJobView(job) {
+    return {
+      jobId: job._id,
+      healthConcernId: job.healthConcern,
+      status: job.status,
+      progress: {
+        stage: job.progress?.stage,
+        percent: job.progress?.percent || 0,
+      },
+      attempts: job.attempts,
+      error: job.error?.message ? job.error : null,
+      assessmentId: job.assessment || null,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+    };
+  },
+};
+
+module.exports = assessmentJobService;
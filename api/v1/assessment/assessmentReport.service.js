@@ -0,0 +1,396 @@
+const Assessment = require('./assessment.model');
+const AssessmentResponse = require('./assessmentResponse.model');
+const HealthConcern = require('../healthConcern/healthConcern.model');
+const Patient = require('../patient/patient.model');
+const User = require('../user/user.model');
+const { buildBudgetedReportContext, buildToonContext } = require('../../../helpers/toonContext');
+const { generateStructuredOutput, getProviderForUseCase } = require('../../../helpers/llmService');
+const { countTokens } = require('../../../helpers/tokenCounter');
+const { buildKnownIdentifiers, createRedactor } = require('../../../helpers/piiRedactor');
+const { hardenContext } = require('../../../helpers/inputHardening');
+const auditService = require('../audit/audit.service');
+const {
+  REPORT_GENERATION_SYSTEM_PROMPT,
+  createReportGenerationUserPrompt,
+  REPORT_PROMPT_VERSION,
+  REPORT_TOKEN_BUDGET,
+  REPORT_DISCLAIMER,
+} = require('./prompts/reportGeneration');
+const { reportPayloadSchema } = require('./assessment.validation');
+const { createNotFoundError, createConflictError } = require('../../../middlewares/error.middleware');
+const RESPONSE_TAGS = require('../../../constants/responseTags');
+const { LLM_USE_CASES, LLM_TASKS } = require('../../../constants/llm');
+const { AUDIT_ACTIONS, AUDIT_SUBJECT_TYPES } = require('../../../constants/audit');
+const { SUBMITTED_RESPONSE_FILTER } = require('../../../constants/assessmentResponses');
+const config = require('../../../config');
+const logger = require('../../../helpers/logger');
+
+/**
+ * Assessment Report Service
+ *
+ * Background pipeline that turns a submitted AssessmentResponse into a
+ * clinician-facing summary: pending -> processing -> completed | failed.
+ */
+const assessmentReportService = {
+  /**
+   * Queue report generation without blocking the caller
+   * @param {string} responseId - Assessment response ID
+   * @param {number} delayMs - Optional delay before starting
+   */
+  queueReportGeneration(responseId, delayMs = 0) {
+    const timer = setTimeout(() => {
+      this.generateReport(responseId).catch((error) => {
+        logger.error(`Unhandled error in report generation for response: ${responseId}`, error);
+      });
+    }, delayMs);
+
+    // Pending retries must not keep the process alive during shutdown
+    if (typeof timer.unref === 'function') {
+      timer.unref();
+    }
+
+    logger.info(`Report generation queued for response: ${responseId}`, { delayMs });
+  },
+
+  /**
+   * Generate and store the report for a response
+   * @param {string} responseId - Assessment response ID
+   * @returns {Object|null} - Updated response, or null if not claimed
+   */
+  async generateReport(responseId) {
+    const response = await AssessmentResponse.claimForReportGeneration(responseId);
+
+    if (!response) {
+      logger.info(`Report generation skipped, not claimable: ${responseId}`);
+      return null;
+    }
+
+    try {
+      const assessment = await Assessment.findById(response.assessment);
+      if (!assessment) {
+        throw new Error('Assessment for response no longer exists');
+      }
+
+      const healthConcern = await HealthConcern.findById(response.healthConcern);
+
+      // Replace personal identifiers before the context leaves the server
+      const [user, patient] = await Promise.all([
+        User.findById(response.user),
+        Patient.findOne({ user: response.user }),
+      ]);
+      const redactor = createRedactor({
+        knownIdentifiers: buildKnownIdentifiers({ user, patient }),
+        fingerprintSecret: config.redaction.fingerprintSecret,
+      });
+
+      const provider = getProviderForUseCase(LLM_USE_CASES.REPORT_GENERATION);
+
+      // Prune the lowest priority sections until the context fits the budget
+      const { contextData: budgetedContext, tokenCount, withinBudget, pruned } = buildBudgetedReportContext(
+        assessment,
+        response,
+        healthConcern,
+        {
+          maxTokens: REPORT_TOKEN_BUDGET.maxContext,
+          countTokens: text => countTokens(text, provider.model),
+        }
+      );
+
+      if (pruned.length) {
+        logger.info(`Context pruned for report generation: ${responseId}`, {
+          sections: pruned.map(entry => `${entry.section}:${entry.action}`),
+          tokenCount,
+        });
+      }
+
+      // Required sections alone can exceed the budget; they are sent whole
+      if (!withinBudget) {
+        logger.warn(`Report context over budget after pruning (${tokenCount}/${REPORT_TOKEN_BUDGET.maxContext} tokens): ${responseId}`);
+      }
+
+      const redactedContext = redactor.redact(budgetedContext);
+      await auditService.recordRedaction({
+        actor: response.user,
+        subjectType: AUDIT_SUBJECT_TYPES.ASSESSMENT_RESPONSE,
+        subjectId: response._id,
+        feature: LLM_USE_CASES.REPORT_GENERATION,
+        redactions: redactor.getReport(),
+      });
+
+      // Answers are patient free text: neutralize instruction-like content
+      const { context: contextData, findings } = hardenContext(redactedContext);
+      if (findings.length) {
+        logger.warn(`Suspicious input in report context: ${responseId}`, {
+          codes: [...new Set(findings.map(finding => finding.code))],
+        });
+        await auditService.record({
+          action: AUDIT_ACTIONS.SUSPICIOUS_LLM_INPUT,
+          actor: response.user,
+          subjectType: AUDIT_SUBJECT_TYPES.ASSESSMENT_RESPONSE,
+          subjectId: response._id,
+          metadata: {
+            feature: LLM_USE_CASES.REPORT_GENERATION,
+            findings,
+          },
+        });
+      }
+
+      const llmResult = await generateStructuredOutput({
+        provider: provider.name,
+        task: LLM_TASKS.REPORT_GENERATION,
+        input: contextData,
+        systemPrompt: REPORT_GENERATION_SYSTEM_PROMPT,
+        userPrompt: createReportGenerationUserPrompt(buildToonContext(contextData)),
+        maxTokens: REPORT_TOKEN_BUDGET.maxCompletion,
+        usageContext: {
+          userId: response.user,
+          feature: LLM_USE_CASES.REPORT_GENERATION,
+        },
+      });
+
+      const report = this._validateReport(redactor.rehydrate(llmResult.data), assessment);
+
+      if (await this._isSuperseded(response)) {
+        return null;
+      }
+
+      response.reportStatus = 'completed';
+      response.reportPayload = report;
+      response.reportGeneratedAt = new Date();
+      response.reportError = null;
+      response.reportMetadata = {
+        provider: llmResult.provider,
+        model: llmResult.model,
+        promptVersion: REPORT_PROMPT_VERSION,
+        tokensUsed: llmResult.usage,
+        generationTime: llmResult.generationTime,
+        contextPruning: {
+          tokenCount,
+          budget: REPORT_TOKEN_BUDGET.maxContext,
+          withinBudget,
+          pruned,
+        },
+      };
+
+      await response.save();
+
+      logger.info(`Report generated for response: ${responseId}`, {
+        attempt: response.reportAttempts,
+        tokensUsed: llmResult.usage.total,
+      });
+
+      return response;
+    } catch (error) {
+      logger.error(`Report generation failed for response: ${responseId}`, error);
+
+      if (await this._isSuperseded(response)) {
+        return null;
+      }
+
+      response.reportStatus = 'failed';
+      response.reportError = error.message;
+      await response.save();
+
+      const { maxAttempts, retryBaseDelayMs } = config.assessment.report;
+      if (response.reportAttempts < maxAttempts) {
+        const delayMs = retryBaseDelayMs * Math.pow(2, response.reportAttempts - 1);
+        this.queueReportGeneration(responseId, delayMs);
+      }
+
+      return response;
+    }
+  },
+
+  /**
+   * Get report status and payload for a response
+   * @param {string} userId - User ID
+   * @param {string} responseId - Assessment response ID
+   * @returns {Object} - Report state
+   */
+  async getReport(userId, responseId) {
+    try {
+      const response = await AssessmentResponse.findOne({
+        _id: responseId,
+        user: userId,
+        ...SUBMITTED_RESPONSE_FILTER,
+      });
+
+      if (!response) {
+        throw createNotFoundError(
+          'Assessment response not found',
+          RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
+        );
+      }
+
+      return this._toReportView(response);
+    } catch (error) {
+      logger.error('Error fetching assessment report:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Reset a report and run the pipeline again
+   * @param {string} userId - User ID
+   * @param {string} responseId - Assessment response ID
+   * @param {Object} options - { force } regenerate even if completed
+   * @returns {Object} - Report state
+   */
+  async regenerateReport(userId, responseId, options = {}) {
+    try {
+      const { force = false } = options;
+
+      const response = await AssessmentResponse.findOne({
+        _id: responseId,
+        user: userId,
+        ...SUBMITTED_RESPONSE_FILTER,
+      });
+
+      if (!response) {
+        throw createNotFoundError(
+          'Assessment response not found',
+          RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
+        );
+      }
+
+      const staleBefore = Date.now() - config.assessment.report.staleProcessingMs;
+      const isStale = response.reportStatus === 'processing'
+        && response.reportStartedAt
+        && response.reportStartedAt.getTime() < staleBefore;
+
+      if (response.reportStatus === 'processing' && !isStale) {
+        throw createConflictError(
+          'Report generation is already in progress',
+          RESPONSE_TAGS.RESOURCE.CONFLICT
+        );
+      }
+
+      if (response.reportStatus === 'completed' && !force) {
+        throw createConflictError(
+          'Report has already been generated. Use force to regenerate',
+          RESPONSE_TAGS.RESOURCE.CONFLICT
+        );
+      }
+
+      response.reportStatus = 'pending';
+      response.reportAttempts = 0;
+      response.reportError = null;
+      response.reportStartedAt = null;
+      await response.save();
+
+      this.queueReportGeneration(response._id);
+
+      logger.info(`Report regeneration requested for response: ${responseId}`, { force });
+      return this._toReportView(response);
+    } catch (error) {
+      logger.error('Error regenerating assessment report:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Re-queue reports left pending or abandoned in processing (e.g. after a restart)
+   * @returns {number} - Number of reports queued
+   */
+  async recoverPendingReports() {
+    try {
+      const staleBefore = new Date(Date.now() - config.assessment.report.staleProcessingMs);
+
+      const stale = await AssessmentResponse.updateMany(
+        { reportStatus: 'processing', reportStartedAt: { $lt: staleBefore } },
+        { $set: { reportStatus: 'pending', reportError: 'Processing abandoned' } }
+      );
+
+      const pending = await AssessmentResponse.find({ reportStatus: 'pending' })
+        .select('_id')
+        .lean();
+
+      pending.forEach(({ _id }) => this.queueReportGeneration(_id));
+
+      logger.info(`Recovered ${pending.length} pending report(s)`, {
+        staleReset: stale.modifiedCount,
+      });
+
+      return pending.length;
+    } catch (error) {
+      logger.error('Error recovering pending reports:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Whether the response was amended while its report was generating
+   * The amendment has already reset the report, so the result is dropped.
+   * @private
+   */
+  async _isSuperseded(response) {
+    const current = await AssessmentResponse.findById(response._id).select('revision');
+
+    if (current && current.revision === response.revision) {
+      return false;
+    }
+
+    logger.info(`Report discarded, response amended during generation: ${response._id}`);
+    return true;
+  },
+
+  /**
+   * Validate LLM report output and map it to the stored shape
+   * @private
+   */
+  _validateReport(data, assessment) {
+    const { error, value } = reportPayloadSchema.validate(data, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      throw new Error(`Invalid report in LLM response: ${error.details.map(d => d.message).join(', ')}`);
+    }
+
+    const questionIds = new Set(assessment.questions.map(q => q.id));
+    const unknownIds = value.key_findings
+      .map(f => f.question_id)
+      .filter(id => !questionIds.has(id));
+
+    if (unknownIds.length > 0) {
+      throw new Error(`Report references unknown question(s): ${unknownIds.join(', ')}`);
+    }
+
+    return {
+      summary: value.summary,
+      overallSeverity: value.overall_severity,
+      keyFindings: value.key_findings.map(f => ({
+        questionId: f.question_id,
+        finding: f.finding,
+        significance: f.significance,
+      })),
+      functionalImpact: value.functional_impact || null,
+      areasForClinicianReview: value.areas_for_clinician_review,
+      suggestedFollowUpQuestions: value.suggested_follow_up_questions,
+      dataQuality: {
+        answeredQuestions: value.data_quality.answered_questions,
+        totalQuestions: value.data_quality.total_questions,
+        notes: value.data_quality.notes || null,
+      },
+      disclaimer: REPORT_DISCLAIMER,
+    };
+  },
+
+  /**
+   * Shape report state for API responses
+   * @private
+   */
+  _toReportView(response) {
+    return {
+      responseId: response._id,
+      reportStatus: response.reportStatus,
+      reportPayload: response.reportPayload,
+      reportError: response.reportError,
+      reportAttempts: response.reportAttempts,
+      reportGeneratedAt: response.reportGeneratedAt,
+    };
+  },
+};
+
+module.exports = assessmentReportService;
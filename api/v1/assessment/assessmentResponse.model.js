@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { RED_FLAG_LEVELS } = require('../../../constants/redFlags');
+const { REVIEW_STATUSES, CLINICAL_NOTE_CATEGORIES } = require('../../../constants/review');
+const { RESPONSE_STATUSES, SUBMITTED_RESPONSE_FILTER } = require('../../../constants/assessmentResponses');
 
 // Answer schema
 const answerSchema = new mongoose.Schema({
@@ -26,7 +29,124 @@ const answerSchema = new mongoose.Schema({
   },
 }, { _id: false });
 
+// Subscale score schema
+const subscaleScoreSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+  },
+  name: {
+    type: String,
+    default: null,
+  },
+  score: {
+    type: Number,
+    default: null,
+  },
+  maxScore: {
+    type: Number,
+    default: null,
+  },
+}, { _id: false });
+
+// Instrument score schema; totals are null unless every scored item was answered
+const instrumentScoreSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+  },
+  version: {
+    type: String,
+    required: true,
+  },
+  name: {
+    type: String,
+    default: null,
+  },
+  total: {
+    type: Number,
+    default: null,
+  },
+  maxTotal: {
+    type: Number,
+    default: null,
+  },
+  band: {
+    type: String,
+    default: null,
+  },
+  subscales: {
+    type: [subscaleScoreSchema],
+    default: [],
+  },
+  // questionId -> item score after reverse scoring
+  itemScores: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  answeredItems: {
+    type: Number,
+    default: 0,
+  },
+  totalItems: {
+    type: Number,
+    default: 0,
+  },
+  complete: {
+    type: Boolean,
+    default: false,
+  },
+}, { _id: false });
+
 // Assessment response schema
+// Structured clinical note added during review
+const clinicalNoteSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    enum: Object.values(CLINICAL_NOTE_CATEGORIES),
+    required: true,
+  },
+  text: {
+    type: String,
+    required: true,
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// One review status change
+const reviewEventSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null,
+  },
+  to: {
+    type: String,
+    enum: Object.values(REVIEW_STATUSES),
+    required: true,
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+  comment: {
+    type: String,
+    default: null,
+  },
+}, { _id: false });
+
 const assessmentResponseSchema = new mongoose.Schema({
   assessment: {
     type: mongoose.Schema.Types.ObjectId,
@@ -46,34 +166,147 @@ const assessmentResponseSchema = new mongoose.Schema({
     required: true,
     index: true,
   },
+  status: {
+    type: String,
+    enum: Object.values(RESPONSE_STATUSES),
+    default: RESPONSE_STATUSES.SUBMITTED,
+    index: true,
+  },
   answers: {
     type: [answerSchema],
-    required: true,
+    default: [],
     validate: {
       validator: function(answers) {
-        return answers && answers.length > 0;
+        // Drafts may be saved before anything is answered
+        return this.status === RESPONSE_STATUSES.DRAFT || (answers && answers.length > 0);
       },
       message: 'Response must have at least one answer',
     },
   },
+  instrumentScores: {
+    type: [instrumentScoreSchema],
+    default: [],
+  },
+  // Null while a draft
   submittedAt: {
     type: Date,
     default: Date.now,
     index: true,
   },
+  // Drafts are deleted once this passes; pushed forward on every save
+  draftExpiresAt: {
+    type: Date,
+    default: null,
+  },
+  // Null while a draft: reports are only generated for submitted responses
   reportStatus: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed'],
+    enum: ['pending', 'processing', 'completed', 'failed', null],
     default: 'pending',
   },
   reportPayload: {
     type: mongoose.Schema.Types.Mixed,
     default: null,
   },
+  reportAttempts: {
+    type: Number,
+    default: 0,
+  },
+  reportError: {
+    type: String,
+    default: null,
+  },
+  reportStartedAt: {
+    type: Date,
+    default: null,
+  },
+  reportGeneratedAt: {
+    type: Date,
+    default: null,
+  },
+  reportMetadata: {
+    provider: { type: String, default: null },
+    model: { type: String, default: null },
+    promptVersion: { type: String, default: null },
+    tokensUsed: {
+      prompt: { type: Number, default: 0 },
+      completion: { type: Number, default: 0 },
+      total: { type: Number, default: 0 },
+    },
+    generationTime: { type: Number, default: 0 },
+    // { tokenCount, budget, withinBudget, pruned: [{ section, priority, action, tokensBefore, tokensAfter }] }
+    contextPruning: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
   notes: {
     type: String,
     default: null,
   },
+  // Current revision; every amendment, correction or annotation adds one
+  // (see AssessmentResponseRevision)
+  revision: {
+    type: Number,
+    default: 1,
+  },
+  amendedAt: {
+    type: Date,
+    default: null,
+  },
+  // Red-flag symptoms detected in the answers
+  redFlag: {
+    level: {
+      type: String,
+      enum: [...Object.values(RED_FLAG_LEVELS), null],
+      default: null,
+    },
+    ruleCodes: {
+      type: [String],
+      default: undefined,
+    },
+    detectedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  // Professional review and sign-off
+  review: {
+    status: {
+      type: String,
+      enum: Object.values(REVIEW_STATUSES),
+      default: REVIEW_STATUSES.PENDING,
+    },
+    // Last outcome recorded (reviewed / follow_up_required); kept after sign-off
+    decision: {
+      type: String,
+      enum: [REVIEW_STATUSES.REVIEWED, REVIEW_STATUSES.FOLLOW_UP_REQUIRED, null],
+      default: null,
+    },
+    reviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    signedOffBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    signedOffAt: {
+      type: Date,
+      default: null,
+    },
+    notes: {
+      type: [clinicalNoteSchema],
+      default: [],
+    },
+    history: {
+      type: [reviewEventSchema],
+      default: [],
+    },
+  },
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -84,12 +317,18 @@ const assessmentResponseSchema = new mongoose.Schema({
 assessmentResponseSchema.index({ user: 1, healthConcern: 1, submittedAt: -1 });
 assessmentResponseSchema.index({ user: 1, submittedAt: -1 });
 assessmentResponseSchema.index({ assessment: 1 }, { unique: true });
+assessmentResponseSchema.index({ reportStatus: 1, reportStartedAt: 1 });
+assessmentResponseSchema.index({ user: 1, 'instrumentScores.code': 1, submittedAt: -1 });
+assessmentResponseSchema.index({ user: 1, 'review.status': 1, submittedAt: 1 });
+// TTL index: MongoDB removes drafts after draftExpiresAt (null never expires)
+assessmentResponseSchema.index({ draftExpiresAt: 1 }, { expireAfterSeconds: 0 });
 
 // Static method to find responses by user and health concern
 assessmentResponseSchema.statics.findByUserAndConcern = function(userId, healthConcernId, options = {}) {
   const query = {
     user: userId,
     healthConcern: healthConcernId,
+    ...SUBMITTED_RESPONSE_FILTER,
   };
 
   return this.find(query)
@@ -101,10 +340,30 @@ assessmentResponseSchema.statics.findByUserAndConcern = function(userId, healthC
 
 // Static method to check if assessment has been responded to
 assessmentResponseSchema.statics.hasResponse = async function(assessmentId) {
-  const count = await this.countDocuments({ assessment: assessmentId });
+  const count = await this.countDocuments({ assessment: assessmentId, ...SUBMITTED_RESPONSE_FILTER });
   return count > 0;
 };
 
+// Static method to atomically move a report into processing
+// Returns null if another worker already claimed it or it is completed
+assessmentResponseSchema.statics.claimForReportGeneration = function(responseId) {
+  return this.findOneAndUpdate(
+    {
+      _id: responseId,
+      reportStatus: { $in: ['pending', 'failed'] },
+    },
+    {
+      $set: {
+        reportStatus: 'processing',
+        reportStartedAt: new Date(),
+        reportError: null,
+      },
+      $inc: { reportAttempts: 1 },
+    },
+    { new: true }
+  );
+};
+
 // Instance method to get answer by question ID
 assessmentResponseSchema.methods.getAnswerByQuestionId = function(questionId) {
   return this.answers.find(answer => answer.questionId === questionId);
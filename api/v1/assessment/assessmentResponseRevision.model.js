@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const AssessmentResponse = require('./assessmentResponse.model');
+const { REVISION_KINDS } = require('../../../constants/assessmentResponses');
+
+// Same answer and score shapes as the response itself
+const answerSchema = AssessmentResponse.schema.path('answers').schema;
+const instrumentScoreSchema = AssessmentResponse.schema.path('instrumentScores').schema;
+
+// One changed answer; null before/after means added/cleared
+const answerChangeSchema = new mongoose.Schema({
+  questionId: {
+    type: String,
+    required: true,
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+}, { _id: false });
+
+// Response revision schema: immutable snapshot of a submitted response
+// after each submission, amendment, correction or annotation
+const assessmentResponseRevisionSchema = new mongoose.Schema({
+  response: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AssessmentResponse',
+    required: true,
+  },
+  revision: {
+    type: Number,
+    required: true,
+  },
+  kind: {
+    type: String,
+    enum: Object.values(REVISION_KINDS),
+    required: true,
+  },
+  answers: {
+    type: [answerSchema],
+    default: [],
+  },
+  instrumentScores: {
+    type: [instrumentScoreSchema],
+    default: [],
+  },
+  notes: {
+    type: String,
+    default: null,
+  },
+  // Answers changed relative to the previous revision
+  changes: {
+    type: [answerChangeSchema],
+    default: [],
+  },
+  notesChanged: {
+    type: Boolean,
+    default: false,
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  reason: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+assessmentResponseRevisionSchema.index({ response: 1, revision: 1 }, { unique: true });
+
+// Revisions are append-only
+assessmentResponseRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Response revisions are immutable'));
+  }
+  next();
+});
+
+assessmentResponseRevisionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  function(next) {
+    next(new Error('Response revisions are immutable'));
+  }
+);
+
+module.exports = mongoose.model('AssessmentResponseRevision', assessmentResponseRevisionSchema);
@@ -0,0 +1,241 @@
+const AssessmentResponse = require('./assessmentResponse.model');
+const careTeamService = require('../careTeam/careTeam.service');
+const auditService = require('../audit/audit.service');
+const {
+  REVIEW_STATUSES,
+  REVIEW_DECISIONS,
+  OPEN_REVIEW_STATUSES,
+} = require('../../../constants/review');
+const { SUBMITTED_RESPONSE_FILTER } = require('../../../constants/assessmentResponses');
+const { AUDIT_ACTIONS, AUDIT_SUBJECT_TYPES } = require('../../../constants/audit');
+const { createNotFoundError, createConflictError } = require('../../../middlewares/error.middleware');
+const RESPONSE_TAGS = require('../../../constants/responseTags');
+const logger = require('../../../helpers/logger');
+
+/**
+ * Assessment Review Service
+ *
+ * Professional review of submitted assessment responses. A professional
+ * works a queue of responses from the patients whose care team they are
+ * currently on, records clinical notes and a decision (reviewed / needs
+ * follow-up), then signs off, after which the review is read-only. Every status change is kept in
+ * review.history with who made it and when, and audited.
+ *
+ * Responses of other patients, including ones whose relationship has ended
+ * or been revoked, are reported as not found.
+ */
+const assessmentReviewService = {
+  /**
+   * Review queue, oldest submission first
+   * @param {string} professionalId - Professional user ID
+   * @param {Object} options - { pagination: { skip, limit }, status } (status defaults to all open statuses)
+   * @returns {Object} - { data, totalCount }
+   */
+  async listQueue(professionalId, { pagination, status }) {
+    try {
+      const userIds = await careTeamService.getActivePatientIds(professionalId);
+      const statuses = status ? [status] : OPEN_REVIEW_STATUSES;
+
+      const query = {
+        user: { $in: userIds },
+        ...SUBMITTED_RESPONSE_FILTER,
+        // Responses submitted before reviews existed have no review status
+        'review.status': {
+          $in: statuses.includes(REVIEW_STATUSES.PENDING) ? [...statuses, null] : statuses,
+        },
+      };
+
+      const responses = await AssessmentResponse.find(query)
+        .select('assessment user healthConcern submittedAt reportStatus redFlag review.status review.decision review.reviewer review.reviewedAt review.signedOffAt')
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .sort({ submittedAt: 1 })
+        .populate('user', 'name email')
+        .populate('healthConcern', 'title')
+        .populate('assessment', 'severity');
+
+      const totalCount = await AssessmentResponse.countDocuments(query);
+
+      return {
+        data: responses,
+        totalCount,
+      };
+    } catch (error) {
+      logger.error('Error fetching review queue:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Open a response for review with its assessment and report
+   * A pending response moves to in_review.
+   * @param {string} professionalId - Professional user ID
+   * @param {string} responseId - Assessment response ID
+   * @returns {Object} - Response (report in reportStatus/reportPayload)
+   */
+  async getReview(professionalId, responseId) {
+    try {
+      const response = await this._findForReview(professionalId, responseId);
+
+      if (response.review.status === REVIEW_STATUSES.PENDING) {
+        await this._changeStatus(response, REVIEW_STATUSES.IN_REVIEW, professionalId);
+      }
+
+      await response.populate([
+        { path: 'assessment' },
+        { path: 'healthConcern' },
+        { path: 'user', select: 'name email' },
+        { path: 'review.notes.author', select: 'name email' },
+        { path: 'review.history.by', select: 'name email' },
+      ]);
+
+      return response;
+    } catch (error) {
+      logger.error('Error opening response for review:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add a clinical note
+   * @param {string} professionalId - Professional user ID
+   * @param {string} responseId - Assessment response ID
+   * @param {Object} note - { category, text }
+   * @returns {Object} - Review
+   */
+  async addNote(professionalId, responseId, { category, text }) {
+    try {
+      const response = await this._findForReview(professionalId, responseId);
+      this._ensureNotSignedOff(response);
+
+      response.review.notes.push({ category, text, author: professionalId });
+      await response.save();
+
+      logger.info(`Clinical note added to response ${responseId} by ${professionalId}`, { category });
+      return response.review;
+    } catch (error) {
+      logger.error('Error adding clinical note:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record the review decision
+   * @param {string} professionalId - Professional user ID
+   * @param {string} responseId - Assessment response ID
+   * @param {Object} decision - { status: reviewed | follow_up_required, comment }
+   * @returns {Object} - Review
+   */
+  async recordDecision(professionalId, responseId, { status, comment = null }) {
+    try {
+      const response = await this._findForReview(professionalId, responseId);
+      this._ensureNotSignedOff(response);
+
+      if (response.review.status === status) {
+        throw createConflictError(
+          `Response is already marked ${status}`,
+          RESPONSE_TAGS.RESOURCE.CONFLICT
+        );
+      }
+
+      response.review.decision = status;
+      response.review.reviewer = professionalId;
+      response.review.reviewedAt = new Date();
+      await this._changeStatus(response, status, professionalId, comment);
+
+      return response.review;
+    } catch (error) {
+      logger.error('Error recording review decision:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Sign off a reviewed response; the review is read-only afterwards
+   * @param {string} professionalId - Professional user ID
+   * @param {string} responseId - Assessment response ID
+   * @param {Object} options - { comment }
+   * @returns {Object} - Review
+   */
+  async signOff(professionalId, responseId, { comment = null } = {}) {
+    try {
+      const response = await this._findForReview(professionalId, responseId);
+      this._ensureNotSignedOff(response);
+
+      if (!REVIEW_DECISIONS.includes(response.review.status)) {
+        throw createConflictError(
+          'Response must be marked reviewed or needing follow-up before sign-off',
+          RESPONSE_TAGS.RESOURCE.CONFLICT
+        );
+      }
+
+      response.review.signedOffBy = professionalId;
+      response.review.signedOffAt = new Date();
+      await this._changeStatus(response, REVIEW_STATUSES.SIGNED_OFF, professionalId, comment);
+
+      return response.review;
+    } catch (error) {
+      logger.error('Error signing off response:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Load a response of a patient on the professional's care team
+   * @private
+   */
+  async _findForReview(professionalId, responseId) {
+    const userIds = await careTeamService.getActivePatientIds(professionalId);
+    const response = await AssessmentResponse.findOne({
+      _id: responseId,
+      user: { $in: userIds },
+      ...SUBMITTED_RESPONSE_FILTER,
+    });
+
+    if (!response) {
+      throw createNotFoundError(
+        'Assessment response not found',
+        RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
+      );
+    }
+
+    return response;
+  },
+
+  /**
+   * @private
+   */
+  _ensureNotSignedOff(response) {
+    if (response.review.status === REVIEW_STATUSES.SIGNED_OFF) {
+      throw createConflictError(
+        'Response has already been signed off',
+        RESPONSE_TAGS.RESOURCE.CONFLICT
+      );
+    }
+  },
+
+  /**
+   * Set the review status, record it in the history and audit it
+   * Saves the response (with any other pending review changes).
+   * @private
+   */
+  async _changeStatus(response, status, professionalId, comment = null) {
+    const from = response.review.status;
+
+    response.review.status = status;
+    response.review.history.push({ from, to: status, by: professionalId, comment });
+    await response.save();
+
+    await auditService.record({
+      action: AUDIT_ACTIONS.RESPONSE_REVIEW_STATUS_CHANGED,
+      actor: professionalId,
+      subjectType: AUDIT_SUBJECT_TYPES.ASSESSMENT_RESPONSE,
+      subjectId: response._id,
+      metadata: { from, to: status },
+    });
+
+    logger.info(`Response ${response._id} review: ${from} -> ${status} by ${professionalId}`);
+  },
+};
+
+module.exports = assessmentReviewService;
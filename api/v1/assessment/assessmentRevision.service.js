@@ -0,0 +1,391 @@
+const Assessment = require('./assessment.model');
+const AssessmentResponse = require('./assessmentResponse.model');
+const AssessmentResponseRevision = require('./assessmentResponseRevision.model');
+const assessmentReportService = require('./assessmentReport.service');
+const { applyAnswerChanges, validateAnswers } = require('./assessment.validation');
+const { scoreInstruments } = require('./instruments');
+const { resolveVisibleQuestions } = require('../../../helpers/conditionEvaluator');
+const redFlagService = require('../redFlag/redFlag.service');
+const careTeamService = require('../careTeam/careTeam.service');
+const auditService = require('../audit/audit.service');
+const { REVISION_KINDS, SUBMITTED_RESPONSE_FILTER } = require('../../../constants/assessmentResponses');
+const { REVIEW_STATUSES } = require('../../../constants/review');
+const { AUDIT_ACTIONS, AUDIT_SUBJECT_TYPES } = require('../../../constants/audit');
+const {
+  createNotFoundError,
+  createConflictError,
+  createBadRequestError,
+  createValidationError,
+} = require('../../../middlewares/error.middleware');
+const RESPONSE_TAGS = require('../../../constants/responseTags');
+const config = require('../../../config');
+const logger = require('../../../helpers/logger');
+
+/**
+ * Assessment Revision Service
+ *
+ * Changes to submitted responses. The response document always holds the
+ * latest answers; every change also stores an immutable revision with the
+ * answers at that point, the diff against the previous revision, the
+ * author and the reason. Revision 1 is the original submission.
+ *
+ * Patients amend their own responses within the grace period; care-team
+ * professionals can correct answers or annotate the response at any time.
+ * Changed answers invalidate the report (it is regenerated), are screened
+ * for red flags, and put the review back in the queue (clearing any
+ * sign-off).
+ */
+const assessmentRevisionService = {
+  /**
+   * Store revision 1 for a newly submitted response
+   * @param {Object} response - Saved AssessmentResponse document
+   * @returns {Object} - Revision
+   */
+  async recordSubmission(response) {
+    return this._createRevision(response, {
+      kind: REVISION_KINDS.SUBMISSION,
+      authorId: response.user,
+    });
+  },
+
+  /**
+   * Amend, correct or annotate a submitted response
+   * The patient's own changes are amendments; a professional's are
+   * corrections, or annotations when no answer or note changes.
+   * @param {Object} requester - { userId, role }
+   * @param {string} responseId - Assessment response ID
+   * @param {Object} changes - { answers, notes, reason } (answers: changed answers only, null value clears)
+   * @returns {Object} - { revision, reportStatus, advisory }
+   */
+  async amend(requester, responseId, { answers = [], notes, reason }) {
+    try {
+      let response = await this._findResponse(requester, responseId);
+      const expectedRevision = response.revision;
+      const isOwner = response.user.toString() === requester.userId.toString();
+
+      if (isOwner) {
+        this._ensureWithinGracePeriod(response);
+      }
+
+      const assessment = await Assessment.findById(response.assessment);
+      const previousAnswers = response.toObject().answers;
+      const { answers: mergedAnswers, errors } = applyAnswerChanges(
+        previousAnswers,
+        answers,
+        assessment.questions
+      );
+
+      // Answers a change has hidden are dropped, then the whole set must still be complete
+      const visibleQuestionIds = resolveVisibleQuestions(assessment.questions, mergedAnswers);
+      const nextAnswers = mergedAnswers.filter(answer => visibleQuestionIds.has(answer.questionId));
+      errors.push(...validateAnswers(nextAnswers, assessment.questions).errors);
+
+      if (errors.length > 0) {
+        throw createValidationError(
+          'Answer validation failed',
+          [...new Set(errors)],
+          RESPONSE_TAGS.VALIDATION.VALIDATION_ERROR
+        );
+      }
+
+      const answerChanges = this._diffAnswers(previousAnswers, nextAnswers);
+      const notesChanged = notes !== undefined && (notes || null) !== response.notes;
+      const changed = answerChanges.length > 0 || notesChanged;
+
+      if (!changed && isOwner) {
+        throw createBadRequestError(
+          'Amendment does not change the response',
+          RESPONSE_TAGS.VALIDATION.INVALID_INPUT
+        );
+      }
+
+      let kind = REVISION_KINDS.ANNOTATION;
+      if (changed) {
+        kind = isOwner ? REVISION_KINDS.AMENDMENT : REVISION_KINDS.CORRECTION;
+      }
+
+      // Responses submitted before revisions existed get their original stored first
+      await this._ensureInitialRevision(response);
+
+      if (changed) {
+        response.answers = nextAnswers;
+        response.instrumentScores = scoreInstruments(assessment.instruments, nextAnswers);
+        if (notesChanged) response.notes = notes || null;
+        this._invalidateReport(response);
+        this._reopenReview(response, requester.userId);
+      }
+      response.revision += 1;
+      response.amendedAt = new Date();
+      response = await this._saveRevision(response, expectedRevision);
+
+      const revision = await this._createRevision(response, {
+        kind,
+        authorId: requester.userId,
+        reason,
+        changes: answerChanges,
+        notesChanged,
+      });
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.RESPONSE_AMENDED,
+        actor: requester.userId,
+        subjectType: AUDIT_SUBJECT_TYPES.ASSESSMENT_RESPONSE,
+        subjectId: response._id,
+        metadata: {
+          revision: revision.revision,
+          kind,
+          changedQuestions: answerChanges.map(change => change.questionId),
+          notesChanged,
+        },
+      });
+
+      logger.info(`Assessment response ${response._id} revised (${kind}) to revision ${revision.revision}`, {
+        author: requester.userId,
+        changedAnswers: answerChanges.length,
+      });
+
+      let advisory = null;
+      if (changed) {
+        // Only what changed is screened, so unchanged answers do not reopen escalations
+        const changedIds = new Set(answerChanges.map(change => change.questionId));
+        advisory = await redFlagService.screenAssessmentResponse(assessment, response, {
+          answers: nextAnswers.filter(answer => changedIds.has(answer.questionId)),
+          notes: notesChanged ? response.notes : null,
+        });
+        assessmentReportService.queueReportGeneration(response._id);
+      }
+
+      return {
+        revision,
+        reportStatus: response.reportStatus,
+        advisory,
+      };
+    } catch (error) {
+      // Unique { response, revision }: another change stored this revision
+      // first; a version error means the response changed under a later save
+      if (error.code === 11000 || error.name === 'VersionError') {
+        error = this._concurrentChangeError();
+      }
+      logger.error('Error amending assessment response:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * List a response's revisions, oldest first, without the answer snapshots
+   * @param {Object} requester - { userId, role }
+   * @param {string} responseId - Assessment response ID
+   * @returns {Array} - Revisions
+   */
+  async listRevisions(requester, responseId) {
+    try {
+      const response = await this._findResponse(requester, responseId);
+
+      return await AssessmentResponseRevision.find({ response: response._id })
+        .select('-answers -instrumentScores')
+        .sort({ revision: 1 })
+        .populate('author', 'name email');
+    } catch (error) {
+      logger.error('Error fetching response revisions:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get one revision of a response with its answers
+   * @param {Object} requester - { userId, role }
+   * @param {string} responseId - Assessment response ID
+   * @param {number} revisionNumber - Revision number
+   * @returns {Object} - Revision
+   */
+  async getRevision(requester, responseId, revisionNumber) {
+    try {
+      const response = await this._findResponse(requester, responseId);
+
+      const revision = await AssessmentResponseRevision.findOne({
+        response: response._id,
+        revision: revisionNumber,
+      }).populate('author', 'name email');
+
+      if (!revision) {
+        throw createNotFoundError(
+          'Revision not found',
+          RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
+        );
+      }
+
+      return revision;
+    } catch (error) {
+      logger.error('Error fetching response revision:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Load a submitted response the requester may read
+   * @private
+   */
+  async _findResponse(requester, responseId) {
+    const response = await AssessmentResponse.findOne({
+      _id: responseId,
+      ...SUBMITTED_RESPONSE_FILTER,
+    });
+
+    if (!response) {
+      throw createNotFoundError(
+        'Assessment response not found',
+        RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
+      );
+    }
+
+    await careTeamService.assertCanAccessPatient(requester, response.user);
+    return response;
+  },
+
+  /**
+   * @private
+   */
+  _ensureWithinGracePeriod(response) {
+    const { gracePeriodHours } = config.assessment.amendments;
+    const closesAt = response.submittedAt.getTime() + gracePeriodHours * 60 * 60 * 1000;
+
+    if (Date.now() > closesAt) {
+      throw createConflictError(
+        `Responses can only be amended within ${gracePeriodHours} hour(s) of submission`,
+        RESPONSE_TAGS.BUSINESS.PRECONDITION_FAILED
+      );
+    }
+
+    if (response.review.status === REVIEW_STATUSES.SIGNED_OFF) {
+      throw createConflictError(
+        'Response has already been signed off',
+        RESPONSE_TAGS.BUSINESS.PRECONDITION_FAILED
+      );
+    }
+  },
+
+  /**
+   * Store revision 1 from the response as it is now if it has none
+   * Only for responses whose revision is still 1; later revisions always
+   * have their predecessors stored.
+   * @private
+   */
+  async _ensureInitialRevision(response) {
+    if (response.revision !== 1) return;
+
+    const exists = await AssessmentResponseRevision.exists({ response: response._id, revision: 1 });
+    if (exists) return;
+
+    await this.recordSubmission(response);
+  },
+
+  /**
+   * @private
+   */
+  async _createRevision(response, { kind, authorId, reason = null, changes = [], notesChanged = false }) {
+    return AssessmentResponseRevision.create({
+      response: response._id,
+      revision: response.revision,
+      kind,
+      answers: response.answers,
+      instrumentScores: response.instrumentScores,
+      notes: response.notes,
+      changes,
+      notesChanged,
+      author: authorId,
+      reason,
+    });
+  },
+
+  /**
+   * Write the revised response only if nobody revised it since it was read
+   * @returns {Object} - Saved response (later saves only write their own changes)
+   * @throws {Error} - Conflict when another change got there first
+   * @private
+   */
+  async _saveRevision(response, expectedRevision) {
+    await response.validate();
+
+    const saved = await AssessmentResponse.findOneAndUpdate(
+      { _id: response._id, revision: expectedRevision },
+      response.getChanges(),
+      { new: true }
+    );
+
+    if (!saved) {
+      throw this._concurrentChangeError();
+    }
+
+    return saved;
+  },
+
+  /**
+   * @private
+   */
+  _concurrentChangeError() {
+    return createConflictError(
+      'Response was changed concurrently, please reload it and retry',
+      RESPONSE_TAGS.RESOURCE.CONFLICT
+    );
+  },
+
+  /**
+   * Changed answers between two answer sets
+   * @private
+   */
+  _diffAnswers(before, after) {
+    const beforeById = new Map(before.map(answer => [answer.questionId, answer.value]));
+    const afterById = new Map(after.map(answer => [answer.questionId, answer.value]));
+    const questionIds = new Set([...beforeById.keys(), ...afterById.keys()]);
+
+    return [...questionIds]
+      .filter(questionId => JSON.stringify(beforeById.get(questionId)) !== JSON.stringify(afterById.get(questionId)))
+      .map(questionId => ({
+        questionId,
+        before: beforeById.has(questionId) ? beforeById.get(questionId) : null,
+        after: afterById.has(questionId) ? afterById.get(questionId) : null,
+      }));
+  },
+
+  /**
+   * Reset the report so it is regenerated from the new answers
+   * A generation already running for the old answers is discarded when it
+   * finishes (see assessmentReportService).
+   * @private
+   */
+  _invalidateReport(response) {
+    response.reportStatus = 'pending';
+    response.reportPayload = null;
+    response.reportAttempts = 0;
+    response.reportError = null;
+    response.reportStartedAt = null;
+    response.reportGeneratedAt = null;
+  },
+
+  /**
+   * Put a decided or signed-off review back in the queue
+   * A sign-off only covers the answers it saw, so it is cleared; the
+   * history keeps the record of it.
+   * @private
+   */
+  _reopenReview(response, userId) {
+    const { status } = response.review;
+    if (status === REVIEW_STATUSES.PENDING) return;
+
+    const signedOff = status === REVIEW_STATUSES.SIGNED_OFF;
+    if (signedOff) {
+      response.review.signedOffBy = null;
+      response.review.signedOffAt = null;
+    }
+
+    response.review.status = REVIEW_STATUSES.PENDING;
+    response.review.history.push({
+      from: status,
+      to: REVIEW_STATUSES.PENDING,
+      by: userId,
+      comment: signedOff ? 'Response changed after sign-off' : 'Response amended',
+    });
+  },
+};
+
+module.exports = assessmentRevisionService;
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const Assessment = require('./assessment.model');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('../../../constants/languages');
+const { TEMPLATE_VISIBILITIES } = require('../../../constants/assessmentTemplates');
+
+// Same question definition as generated assessments
+const questionSchema = Assessment.schema.path('questions').schema;
+
+// Assessment template schema: a questionnaire authored by a professional
+// rather than generated, written here or imported from a partner EHR as FHIR
+const assessmentTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: null,
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  // Shared templates are visible to professionals of the author's organization
+  visibility: {
+    type: String,
+    enum: Object.values(TEMPLATE_VISIBILITIES),
+    default: TEMPLATE_VISIBILITIES.PRIVATE,
+  },
+  organization: {
+    type: String,
+    default: null,
+  },
+  // Incremented on every edit; assessments record the version they were assigned from
+  version: {
+    type: Number,
+    default: 1,
+  },
+  language: {
+    type: String,
+    enum: Object.keys(SUPPORTED_LANGUAGES),
+    default: DEFAULT_LANGUAGE,
+  },
+  questions: {
+    type: [questionSchema],
+    required: true,
+    validate: {
+      validator: function(questions) {
+        return questions && questions.length > 0;
+      },
+      message: 'Template must have at least one question',
+    },
+  },
+  // Where the template came from; format is null for templates authored here
+  source: {
+    format: {
+      type: String,
+      enum: ['fhir_r4', null],
+      default: null,
+    },
+    url: {
+      type: String,
+      default: null,
+    },
+    version: {
+      type: String,
+      default: null,
+    },
+    importedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+assessmentTemplateSchema.index({ author: 1, createdAt: -1 });
+assessmentTemplateSchema.index({ organization: 1, visibility: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AssessmentTemplate', assessmentTemplateSchema);
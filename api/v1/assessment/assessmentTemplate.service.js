@@ -0,0 +1,411 @@
+const AssessmentTemplate = require('./assessmentTemplate.model');
+const Assessment = require('./assessment.model');
+const HealthConcern = require('../healthConcern/healthConcern.model');
+const User = require('../user/user.model');
+const { validateQuestionDefinition } = require('./assessment.validation');
+const { validateQuestionGraph } = require('../../../helpers/conditionEvaluator');
+const { toQuestionnaire, fromQuestionnaire } = require('../../../helpers/fhir');
+const careTeamService = require('../careTeam/careTeam.service');
+const auditService = require('../audit/audit.service');
+const { ASSESSMENT_ORIGINS, TEMPLATE_VISIBILITIES } = require('../../../constants/assessmentTemplates');
+const { AUDIT_ACTIONS, AUDIT_SUBJECT_TYPES } = require('../../../constants/audit');
+const {
+  createNotFoundError,
+  createConflictError,
+  createBadRequestError,
+  createForbiddenError,
+  createValidationError,
+} = require('../../../middlewares/error.middleware');
+const RESPONSE_TAGS = require('../../../constants/responseTags');
+const config = require('../../../config');
+const logger = require('../../../helpers/logger');
+
+/**
+ * Assessment Template Service
+ *
+ * Professional-authored questionnaires, kept separate from generated
+ * assessments. A template is private to its author unless shared with the
+ * author's organization; only the author can edit it. Assigning a template
+ * creates an ordinary Assessment for the patient's health concern, so
+ * responses, drafts, reports and history work as for generated ones.
+ */
+const assessmentTemplateService = {
+  /**
+   * Import a FHIR R4 Questionnaire as a template
+   * Nothing is saved if any item cannot be represented; the errors list
+   * every unsupported construct.
+   * @param {string} authorId - Professional user ID
+   * @param {Object} resource - Questionnaire resource
+   * @returns {Object} - { template, warnings }
+   */
+  async importFhirQuestionnaire(authorId, resource) {
+    try {
+      const { value, errors, warnings } = fromQuestionnaire(resource, {
+        extensionBaseUrl: config.fhir.extensionBaseUrl,
+      });
+
+      if (value) {
+        errors.push(...this._validateQuestions(value.questions, 'linkIds'));
+      }
+
+      if (errors.length > 0) {
+        throw createValidationError(
+          'Questionnaire cannot be imported',
+          errors,
+          RESPONSE_TAGS.VALIDATION.VALIDATION_ERROR
+        );
+      }
+
+      const template = await AssessmentTemplate.create({
+        ...value,
+        author: authorId,
+        source: { ...value.source, importedAt: new Date() },
+      });
+
+      logger.info(`Assessment template imported from FHIR: ${template._id}`, {
+        authorId,
+        questionCount: template.questions.length,
+        warnings: warnings.length,
+      });
+
+      return { template, warnings };
+    } catch (error) {
+      logger.error('Error importing FHIR questionnaire:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a template from questions written by the professional
+   * @param {string} authorId - Professional user ID
+   * @param {Object} data - { name, description, language, visibility, questions }
+   * @returns {Object} - Template
+   */
+  async createTemplate(authorId, data) {
+    try {
+      this._assertValidQuestions(data.questions);
+
+      const template = await AssessmentTemplate.create({
+        ...data,
+        author: authorId,
+        organization: await this._resolveOrganization(authorId, data.visibility),
+      });
+
+      logger.info(`Assessment template created: ${template._id}`, {
+        authorId,
+        questionCount: template.questions.length,
+        visibility: template.visibility,
+      });
+
+      return template;
+    } catch (error) {
+      logger.error('Error creating assessment template:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update one of the author's templates
+   * Assessments already assigned keep their own copy of the questions.
+   * @param {string} authorId - Professional user ID
+   * @param {string} templateId - Template ID
+   * @param {Object} data - Fields to change
+   * @returns {Object} - Template
+   */
+  async updateTemplate(authorId, templateId, data) {
+    try {
+      const template = await this._findOwnTemplate(authorId, templateId);
+
+      if (data.questions) {
+        this._assertValidQuestions(data.questions);
+      }
+
+      Object.assign(template, data);
+      template.organization = await this._resolveOrganization(authorId, template.visibility);
+      template.version += 1;
+      await template.save();
+
+      logger.info(`Assessment template updated: ${template._id} (version ${template.version})`, { authorId });
+
+      return template;
+    } catch (error) {
+      logger.error('Error updating assessment template:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete one of the author's templates (soft delete)
+   * @param {string} authorId - Professional user ID
+   * @param {string} templateId - Template ID
+   * @returns {boolean} - Success status
+   */
+  async deleteTemplate(authorId, templateId) {
+    try {
+      const template = await this._findOwnTemplate(authorId, templateId);
+
+      template.isActive = false;
+      await template.save();
+
+      logger.info(`Assessment template deleted: ${template._id}`, { authorId });
+
+      return true;
+    } catch (error) {
+      logger.error('Error deleting assessment template:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * List the templates a professional can use, most recent first
+   * @param {string} professionalId - Professional user ID
+   * @param {Object} pagination - { skip, limit }
+   * @param {Object} filters - { scope } 'own' or 'shared' (both when omitted)
+   * @returns {Object} - { data, totalCount }
+   */
+  async listTemplates(professionalId, pagination, filters = {}) {
+    try {
+      const query = await this._visibleTemplatesFilter(professionalId, filters.scope);
+
+      if (!query) {
+        return { data: [], totalCount: 0 };
+      }
+
+      const templates = await AssessmentTemplate.find(query)
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .sort({ createdAt: -1 });
+
+      const totalCount = await AssessmentTemplate.countDocuments(query);
+
+      return {
+        data: templates,
+        totalCount,
+      };
+    } catch (error) {
+      logger.error('Error fetching assessment templates:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a template the professional authored or that is shared with them
+   * @param {string} professionalId - Professional user ID
+   * @param {string} templateId - Template ID
+   * @returns {Object} - Template
+   */
+  async getTemplateById(professionalId, templateId) {
+    try {
+      const query = await this._visibleTemplatesFilter(professionalId);
+      const template = await AssessmentTemplate.findOne({ ...query, _id: templateId });
+
+      if (!template) {
+        throw createNotFoundError(
+          'Assessment template not found',
+          RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
+        );
+      }
+
+      return template;
+    } catch (error) {
+      logger.error('Error fetching assessment template:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Assign a template to a care-team patient's health concern
+   * Creates an assessment with the template's questions. The health
+   * concern's cooldown applies as for generated assessments, and the
+   * assessment's own cooldown is the one given here.
+   * @param {Object} requester - { userId, role }
+   * @param {string} templateId - Template ID
+   * @param {Object} assignment - { healthConcernId, severity, minDaysBeforeNextAssessment }
+   * @returns {Object} - Assessment
+   */
+  async assignTemplate(requester, templateId, { healthConcernId, severity, minDaysBeforeNextAssessment }) {
+    try {
+      const template = await this.getTemplateById(requester.userId, templateId);
+
+      const healthConcern = await HealthConcern.findOne({ _id: healthConcernId, isActive: true });
+      if (!healthConcern) {
+        throw createNotFoundError(
+          'Health concern not found',
+          RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
+        );
+      }
+
+      const patientId = healthConcern.user;
+      await careTeamService.assertCanAccessPatient(requester, patientId);
+
+      const cooldownCheck = await Assessment.canGenerateNewAssessment(patientId, healthConcern._id);
+      if (!cooldownCheck.allowed) {
+        throw createConflictError(
+          cooldownCheck.reason,
+          RESPONSE_TAGS.VALIDATION.COOLDOWN_NOT_MET
+        );
+      }
+
+      const assessment = await Assessment.create({
+        user: patientId,
+        healthConcern: healthConcern._id,
+        origin: ASSESSMENT_ORIGINS.TEMPLATE,
+        severity,
+        minDaysBeforeNextAssessment,
+        language: template.language,
+        questions: template.questions,
+        authoring: {
+          author: requester.userId,
+          template: template._id,
+          templateName: template.name,
+          templateVersion: template.version,
+        },
+      });
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.ASSESSMENT_ASSIGNED,
+        actor: requester.userId,
+        subjectType: AUDIT_SUBJECT_TYPES.ASSESSMENT,
+        subjectId: assessment._id,
+        metadata: {
+          patient: patientId,
+          healthConcern: healthConcern._id,
+          template: template._id,
+          templateVersion: template.version,
+        },
+      });
+
+      logger.info(`Assessment assigned from template ${template._id}: ${assessment._id}`, {
+        professionalId: requester.userId,
+        questionCount: assessment.questions.length,
+      });
+
+      return assessment;
+    } catch (error) {
+      logger.error('Error assigning assessment template:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Render a template as a FHIR R4 Questionnaire
+   * @param {string} professionalId - Professional user ID
+   * @param {string} templateId - Template ID
+   * @returns {Object} - Questionnaire resource
+   */
+  async getTemplateFhir(professionalId, templateId) {
+    try {
+      const template = await this.getTemplateById(professionalId, templateId);
+
+      return toQuestionnaire({
+        id: template._id,
+        url: template.source.url || `${config.apiUrl}/api/v1/assessment/templates/${template._id}/fhir`,
+        language: template.language,
+        title: template.name,
+        description: template.description,
+        date: template.updatedAt,
+        questions: template.questions,
+      }, { extensionBaseUrl: config.fhir.extensionBaseUrl });
+    } catch (error) {
+      logger.error('Error exporting assessment template as FHIR:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Question definition errors: type rules, duplicate ids and skip logic
+   * @private
+   */
+  _validateQuestions(questions, idLabel = 'question ids') {
+    const errors = [];
+    const ids = questions.map(question => question.id);
+    const duplicateIds = ids.filter((id, index) => ids.indexOf(id) !== index);
+    if (duplicateIds.length > 0) {
+      errors.push(`Duplicate ${idLabel}: ${[...new Set(duplicateIds)].join(', ')}`);
+    }
+
+    questions.forEach(question => errors.push(...validateQuestionDefinition(question)));
+    errors.push(...validateQuestionGraph(questions).errors);
+
+    return errors;
+  },
+
+  /**
+   * @private
+   */
+  _assertValidQuestions(questions) {
+    const errors = this._validateQuestions(questions);
+
+    if (errors.length > 0) {
+      throw createValidationError(
+        'Template questions are invalid',
+        errors,
+        RESPONSE_TAGS.VALIDATION.VALIDATION_ERROR
+      );
+    }
+  },
+
+  /**
+   * Query for active templates a professional can see; null if none can match
+   * @private
+   */
+  async _visibleTemplatesFilter(professionalId, scope = null) {
+    const conditions = [];
+
+    if (scope !== 'shared') {
+      conditions.push({ author: professionalId });
+    }
+
+    if (scope !== 'own') {
+      const user = await User.findById(professionalId).select('organization');
+      if (user && user.organization) {
+        conditions.push({
+          author: { $ne: professionalId },
+          visibility: TEMPLATE_VISIBILITIES.ORGANIZATION,
+          organization: user.organization,
+        });
+      }
+    }
+
+    if (conditions.length === 0) return null;
+
+    return { $or: conditions, isActive: true };
+  },
+
+  /**
+   * Load a template for editing; colleagues it is shared with may only use it
+   * @private
+   */
+  async _findOwnTemplate(authorId, templateId) {
+    const template = await this.getTemplateById(authorId, templateId);
+
+    if (template.author.toString() !== authorId.toString()) {
+      throw createForbiddenError(
+        'Only the author can change this template',
+        RESPONSE_TAGS.AUTH.INSUFFICIENT_PERMISSIONS
+      );
+    }
+
+    return template;
+  },
+
+  /**
+   * Organization a template is shared with (the author's), null when private
+   * @private
+   */
+  async _resolveOrganization(authorId, visibility) {
+    if (visibility !== TEMPLATE_VISIBILITIES.ORGANIZATION) return null;
+
+    const author = await User.findById(authorId).select('organization');
+    if (!author || !author.organization) {
+      throw createBadRequestError(
+        'Only professionals in an organization can share templates',
+        RESPONSE_TAGS.VALIDATION.INVALID_INPUT
+      );
+    }
+
+    return author.organization;
+  },
+};
+
+module.exports = assessmentTemplateService;
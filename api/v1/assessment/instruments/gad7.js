@@ -0,0 +1,58 @@
+/**
+ * GAD-7 (Generalized Anxiety Disorder-7)
+ * Spitzer, Kroenke, Williams & Löwe, 2006. Anxiety severity over the last
+ * two weeks; all seven items are summed.
+ */
+
+const FREQUENCY_OPTIONS = [
+  { id: 'not_at_all', label: 'Not at all', value: 'not_at_all' },
+  { id: 'several_days', label: 'Several days', value: 'several_days' },
+  { id: 'more_than_half', label: 'More than half the days', value: 'more_than_half' },
+  { id: 'nearly_every_day', label: 'Nearly every day', value: 'nearly_every_day' },
+];
+
+const ITEMS = [
+  'Feeling nervous, anxious, or on edge',
+  'Not being able to stop or control worrying',
+  'Worrying too much about different things',
+  'Trouble relaxing',
+  'Being so restless that it is hard to sit still',
+  'Becoming easily annoyed or irritable',
+  'Feeling afraid, as if something awful might happen',
+];
+
+module.exports = {
+  code: 'gad7',
+  version: '1.0',
+  name: 'GAD-7',
+  title: 'Generalized Anxiety Disorder-7',
+  description: 'Over the last 2 weeks, how often have you been bothered by the following problems?',
+  indications: 'Worry, nervousness, restlessness, panic or other anxiety symptoms',
+  questions: ITEMS.map((label, index) => ({
+    id: `gad7_${index + 1}`,
+    type: 'single_choice',
+    label,
+    description: 'Over the last 2 weeks',
+    required: true,
+    options: FREQUENCY_OPTIONS,
+  })),
+  scoring: {
+    // Higher totals mean more severe symptoms
+    higherIsWorse: true,
+    optionScores: {
+      not_at_all: 0,
+      several_days: 1,
+      more_than_half: 2,
+      nearly_every_day: 3,
+    },
+    items: ITEMS.map((label, index) => `gad7_${index + 1}`),
+    reverseItems: [],
+    subscales: [],
+    bands: [
+      { min: 0, max: 4, label: 'minimal' },
+      { min: 5, max: 9, label: 'mild' },
+      { min: 10, max: 14, label: 'moderate' },
+      { min: 15, max: 21, label: 'severe' },
+    ],
+  },
+};
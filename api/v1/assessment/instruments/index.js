@@ -0,0 +1,113 @@
+const phq9 = require('./phq9');
+const gad7 = require('./gad7');
+const pss10 = require('./pss10');
+const { scoreInstrument } = require('../../../../helpers/instrumentScoring');
+
+/**
+ * Standardized Instrument Library
+ *
+ * Validated questionnaires with fixed wording and declared scoring, so
+ * results are comparable across visits. Questions use the assessment
+ * question format and are embedded verbatim; the generator only decides
+ * which instruments to include.
+ *
+ * Instruments are versioned: assessments record the code and version they
+ * embedded and are always scored with that version. To change an
+ * instrument, add a new version to ALL_VERSIONS and point LATEST at it.
+ */
+
+// Every version ever embedded in an assessment (never remove entries)
+const ALL_VERSIONS = [phq9, gad7, pss10];
+
+// Version used for new assessments, by code
+const LATEST = {
+  phq9,
+  gad7,
+  pss10,
+};
+
+const INSTRUMENT_CODES = Object.keys(LATEST);
+
+const versionsByKey = new Map(ALL_VERSIONS.map((instrument) => [`${instrument.code}@${instrument.version}`, instrument]));
+
+/**
+ * Get an instrument definition
+ * @param {string} code - Instrument code
+ * @param {string} version - Version (defaults to the latest)
+ * @returns {Object|null} - Instrument definition
+ */
+const getInstrument = (code, version = null) => {
+  if (!version) return LATEST[code] || null;
+  return versionsByKey.get(`${code}@${version}`) || null;
+};
+
+/**
+ * Summaries of the latest instruments
+ * @returns {Array} - [{ code, version, name, title, description, indications, questionCount }]
+ */
+const listInstruments = () => INSTRUMENT_CODES.map((code) => {
+  const instrument = LATEST[code];
+  return {
+    code: instrument.code,
+    version: instrument.version,
+    name: instrument.name,
+    title: instrument.title,
+    description: instrument.description,
+    indications: instrument.indications,
+    questionCount: instrument.questions.length,
+  };
+});
+
+/**
+ * Question ids each of the given instruments would add
+ * @param {Array} codes - Instrument codes
+ * @returns {Set} - Question ids
+ */
+const getInstrumentQuestionIds = (codes = []) => new Set(
+  codes.flatMap((code) => (LATEST[code] ? LATEST[code].questions.map((q) => q.id) : []))
+);
+
+/**
+ * Append the latest version of each instrument to generated questions
+ * @param {Array} questions - Generated questions
+ * @param {Array} codes - Instrument codes chosen by the generator
+ * @returns {Object} - { questions, instruments: [{ code, version, name, questionIds }] }
+ */
+const embedInstruments = (questions, codes = []) => {
+  const instruments = [...new Set(codes)]
+    .map((code) => LATEST[code])
+    .filter(Boolean);
+
+  return {
+    questions: [
+      ...questions,
+      ...instruments.flatMap((instrument) => instrument.questions.map((q) => ({ ...q }))),
+    ],
+    instruments: instruments.map((instrument) => ({
+      code: instrument.code,
+      version: instrument.version,
+      name: instrument.name,
+      questionIds: instrument.questions.map((q) => q.id),
+    })),
+  };
+};
+
+/**
+ * Score every instrument embedded in an assessment
+ * @param {Array} embedded - Assessment instruments ({ code, version })
+ * @param {Array} answers - Submitted answers
+ * @returns {Array} - Instrument scores (unknown versions are skipped)
+ */
+const scoreInstruments = (embedded = [], answers = []) => embedded
+  .map(({ code, version }) => getInstrument(code, version))
+  .filter(Boolean)
+  .map((instrument) => scoreInstrument(instrument, answers));
+
+module.exports = {
+  INSTRUMENT_CODES,
+  getInstrument,
+  listInstruments,
+  getInstrumentQuestionIds,
+  embedInstruments,
+  scoreInstruments,
+};
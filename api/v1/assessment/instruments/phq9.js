@@ -0,0 +1,76 @@
+/**
+ * PHQ-9 (Patient Health Questionnaire-9)
+ * Kroenke, Spitzer & Williams, 2001. Depression severity over the last
+ * two weeks; items 1-9 are summed, item 10 (functional difficulty) is
+ * recorded but not scored.
+ */
+
+const FREQUENCY_OPTIONS = [
+  { id: 'not_at_all', label: 'Not at all', value: 'not_at_all' },
+  { id: 'several_days', label: 'Several days', value: 'several_days' },
+  { id: 'more_than_half', label: 'More than half the days', value: 'more_than_half' },
+  { id: 'nearly_every_day', label: 'Nearly every day', value: 'nearly_every_day' },
+];
+
+const ITEMS = [
+  'Little interest or pleasure in doing things',
+  'Feeling down, depressed, or hopeless',
+  'Trouble falling or staying asleep, or sleeping too much',
+  'Feeling tired or having little energy',
+  'Poor appetite or overeating',
+  'Feeling bad about yourself — or that you are a failure or have let yourself or your family down',
+  'Trouble concentrating on things, such as reading the newspaper or watching television',
+  'Moving or speaking so slowly that other people could have noticed, or the opposite — being so fidgety or restless that you have been moving around a lot more than usual',
+  'Thoughts that you would be better off dead, or of hurting yourself in some way',
+];
+
+module.exports = {
+  code: 'phq9',
+  version: '1.0',
+  name: 'PHQ-9',
+  title: 'Patient Health Questionnaire-9',
+  description: 'Over the last 2 weeks, how often have you been bothered by any of the following problems?',
+  indications: 'Low mood, loss of interest, depressive symptoms, or sleep, appetite and energy changes that may be mood-related',
+  questions: [
+    ...ITEMS.map((label, index) => ({
+      id: `phq9_${index + 1}`,
+      type: 'single_choice',
+      label,
+      description: 'Over the last 2 weeks',
+      required: true,
+      options: FREQUENCY_OPTIONS,
+    })),
+    {
+      id: 'phq9_10',
+      type: 'single_choice',
+      label: 'If you checked off any problems, how difficult have these problems made it for you to do your work, take care of things at home, or get along with other people?',
+      required: false,
+      options: [
+        { id: 'not_difficult', label: 'Not difficult at all', value: 'not_difficult' },
+        { id: 'somewhat_difficult', label: 'Somewhat difficult', value: 'somewhat_difficult' },
+        { id: 'very_difficult', label: 'Very difficult', value: 'very_difficult' },
+        { id: 'extremely_difficult', label: 'Extremely difficult', value: 'extremely_difficult' },
+      ],
+    },
+  ],
+  scoring: {
+    // Higher totals mean more severe symptoms
+    higherIsWorse: true,
+    optionScores: {
+      not_at_all: 0,
+      several_days: 1,
+      more_than_half: 2,
+      nearly_every_day: 3,
+    },
+    items: ITEMS.map((label, index) => `phq9_${index + 1}`),
+    reverseItems: [],
+    subscales: [],
+    bands: [
+      { min: 0, max: 4, label: 'minimal' },
+      { min: 5, max: 9, label: 'mild' },
+      { min: 10, max: 14, label: 'moderate' },
+      { min: 15, max: 19, label: 'moderately_severe' },
+      { min: 20, max: 27, label: 'severe' },
+    ],
+  },
+};
@@ -0,0 +1,73 @@
+/**
+ * PSS-10 (Perceived Stress Scale, 10-item)
+ * Cohen, Kamarck & Mermelstein, 1983. Perceived stress over the last month;
+ * the four positively worded items (4, 5, 7, 8) are reverse scored.
+ */
+
+const FREQUENCY_OPTIONS = [
+  { id: 'never', label: 'Never', value: 'never' },
+  { id: 'almost_never', label: 'Almost never', value: 'almost_never' },
+  { id: 'sometimes', label: 'Sometimes', value: 'sometimes' },
+  { id: 'fairly_often', label: 'Fairly often', value: 'fairly_often' },
+  { id: 'very_often', label: 'Very often', value: 'very_often' },
+];
+
+const ITEMS = [
+  'How often have you been upset because of something that happened unexpectedly?',
+  'How often have you felt that you were unable to control the important things in your life?',
+  'How often have you felt nervous and stressed?',
+  'How often have you felt confident about your ability to handle your personal problems?',
+  'How often have you felt that things were going your way?',
+  'How often have you found that you could not cope with all the things that you had to do?',
+  'How often have you been able to control irritations in your life?',
+  'How often have you felt that you were on top of things?',
+  'How often have you been angered because of things that happened that were outside of your control?',
+  'How often have you felt difficulties were piling up so high that you could not overcome them?',
+];
+
+module.exports = {
+  code: 'pss10',
+  version: '1.0',
+  name: 'PSS-10',
+  title: 'Perceived Stress Scale',
+  description: 'In the last month, how often have you felt or thought a certain way?',
+  indications: 'Stress, feeling overwhelmed, or difficulty coping with daily demands',
+  questions: ITEMS.map((label, index) => ({
+    id: `pss10_${index + 1}`,
+    type: 'rating_frequency',
+    label,
+    description: 'In the last month',
+    required: true,
+    options: FREQUENCY_OPTIONS,
+  })),
+  scoring: {
+    // Higher totals mean more severe symptoms
+    higherIsWorse: true,
+    optionScores: {
+      never: 0,
+      almost_never: 1,
+      sometimes: 2,
+      fairly_often: 3,
+      very_often: 4,
+    },
+    items: ITEMS.map((label, index) => `pss10_${index + 1}`),
+    reverseItems: ['pss10_4', 'pss10_5', 'pss10_7', 'pss10_8'],
+    subscales: [
+      {
+        code: 'helplessness',
+        name: 'Perceived helplessness',
+        items: ['pss10_1', 'pss10_2', 'pss10_3', 'pss10_6', 'pss10_9', 'pss10_10'],
+      },
+      {
+        code: 'self_efficacy',
+        name: 'Perceived self-efficacy (reverse scored)',
+        items: ['pss10_4', 'pss10_5', 'pss10_7', 'pss10_8'],
+      },
+    ],
+    bands: [
+      { min: 0, max: 13, label: 'low' },
+      { min: 14, max: 26, label: 'moderate' },
+      { min: 27, max: 40, label: 'high' },
+    ],
+  },
+};
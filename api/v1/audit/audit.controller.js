@@ -0,0 +1,36 @@
+const auditService = require('./audit.service');
+const RESPONSE_TAGS = require('../../../constants/responseTags');
+const { asyncHandler } = require('../../../middlewares/error.middleware');
+
+/**
+ * Audit Controller (Admin only)
+ */
+const auditController = {
+  /**
+   * List audit entries
+   * GET /api/v1/audit
+   */
+  listAuditLogs: asyncHandler(async (req, res) => {
+    const { skip, limit } = req.pagination;
+    const { action, actorId, subjectType, subjectId, from, to } = req.query;
+    
+    const result = await auditService.listAuditLogs({
+      pagination: { skip, limit },
+      action,
+      actorId,
+      subjectType,
+      subjectId,
+      from,
+      to,
+    });
+    
+    return res.paginatedResponse(
+      'Audit logs retrieved successfully',
+      result.data,
+      result.totalCount,
+      RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+    );
+  }),
+};
+
+module.exports = auditController;
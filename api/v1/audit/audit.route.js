@@ -0,0 +1,26 @@
+const express = require('express');
+const auditController = require('./audit.controller');
+const auditValidation = require('./audit.validation');
+const { validateQuery } = require('../../../middlewares/validator.middleware');
+const { authenticate } = require('../../../middlewares/auth.middleware');
+const { requireAdmin } = require('../../../middlewares/rbac.middleware');
+const { paginationMiddleware } = require('../../../middlewares/pagination.middleware');
+
+const router = express.Router();
+
+// All routes require an authenticated admin
+router.use(authenticate);
+router.use(requireAdmin);
+
+/**
+ * @route   GET /api/v1/audit?page=&limit=&action=&actorId=&subjectType=&subjectId=&from=&to=
+ * @desc    List audit log entries, most recent first
+ * @access  Private (Admin)
+ */
+router.get('/',
+  paginationMiddleware,
+  validateQuery(auditValidation.auditLogQuerySchema),
+  auditController.listAuditLogs
+);
+
+module.exports = router;
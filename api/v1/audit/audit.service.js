@@ -0,0 +1,92 @@
+const AuditLog = require('./auditLog.model');
+const { AUDIT_ACTIONS } = require('../../../constants/audit');
+const logger = require('../../../helpers/logger');
+
+/**
+ * Audit Service
+ *
+ * Records audit trail entries for sensitive operations. Recording never
+ * fails the operation being audited: errors are logged instead.
+ */
+const auditService = {
+  /**
+   * Record an audit entry
+   * @param {Object} entry - { action, actor, subjectType, subjectId, metadata }
+   * @returns {Object|null} - Audit entry, or null if it could not be saved
+   */
+  async record({ action, actor = null, subjectType = null, subjectId = null, metadata = {} }) {
+    try {
+      return await AuditLog.create({
+        action,
+        actor,
+        subjectType,
+        subjectId,
+        metadata,
+      });
+    } catch (error) {
+      logger.error(`Error recording audit entry (${action}):`, error);
+      return null;
+    }
+  },
+
+  /**
+   * Record the identifiers redacted from an LLM context
+   * Nothing is recorded when nothing was redacted.
+   * @param {Object} entry - { actor, subjectType, subjectId, feature, redactions }
+   *   where redactions is a redactor report (see helpers/piiRedactor)
+   * @returns {Object|null} - Audit entry or null
+   */
+  async recordRedaction({ actor, subjectType, subjectId, feature, redactions }) {
+    if (!redactions.length) return null;
+
+    return this.record({
+      action: AUDIT_ACTIONS.LLM_CONTEXT_REDACTED,
+      actor,
+      subjectType,
+      subjectId,
+      metadata: {
+        feature,
+        redactionCount: redactions.reduce((sum, entry) => sum + entry.occurrences, 0),
+        redactions,
+      },
+    });
+  },
+
+  /**
+   * List audit entries, most recent first
+   * @param {Object} options - { pagination: { skip, limit }, action, actorId, subjectType, subjectId, from, to }
+   * @returns {Object} - { data, totalCount }
+   */
+  async listAuditLogs({ pagination, action, actorId, subjectType, subjectId, from, to }) {
+    try {
+      const query = {};
+      if (action) query.action = action;
+      if (actorId) query.actor = actorId;
+      if (subjectType) query.subjectType = subjectType;
+      if (subjectId) query.subjectId = subjectId;
+      if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = from;
+        if (to) query.createdAt.$lte = to;
+      }
+
+      const entries = await AuditLog.find(query)
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .sort({ createdAt: -1 })
+        .populate('actor', 'name email role');
+
+      const totalCount = await AuditLog.countDocuments(query);
+
+      return {
+        data: entries,
+        totalCount,
+      };
+    } catch (error) {
+      logger.error('Error fetching audit logs:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = auditService;
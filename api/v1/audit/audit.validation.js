@@ -0,0 +1,20 @@
+const Joi = require('joi');
+const { AUDIT_ACTIONS, AUDIT_SUBJECT_TYPES } = require('../../../constants/audit');
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/);
+
+// Audit log list query schema
+const auditLogQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  action: Joi.string().valid(...Object.values(AUDIT_ACTIONS)).optional(),
+  actorId: objectId.optional(),
+  subjectType: Joi.string().valid(...Object.values(AUDIT_SUBJECT_TYPES)).optional(),
+  subjectId: objectId.optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().min(Joi.ref('from')).optional(),
+});
+
+module.exports = {
+  auditLogQuerySchema,
+};
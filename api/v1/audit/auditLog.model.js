@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { AUDIT_ACTIONS, AUDIT_SUBJECT_TYPES } = require('../../../constants/audit');
+
+// Append-only audit trail entry. Metadata must never hold raw personal
+// data; identifiers are recorded as fingerprints.
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: Object.values(AUDIT_ACTIONS),
+    required: true,
+  },
+  // User whose request caused the event; null for system jobs
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Record the event concerns
+  subjectType: {
+    type: String,
+    enum: Object.values(AUDIT_SUBJECT_TYPES),
+    default: null,
+  },
+  subjectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// Compound indexes
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ subjectType: 1, subjectId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,113 @@
+const careTeamService = require('./careTeam.service');
+const { successResponse } = require('../../../helpers/response');
+const HTTP_CODES = require('../../../constants/httpCodes');
+const RESPONSE_TAGS = require('../../../constants/responseTags');
+const { asyncHandler } = require('../../../middlewares/error.middleware');
+
+/**
+ * Care Team Controller
+ * Invitations, access requests and revocation between patients and professionals
+ */
+const careTeamController = {
+  /**
+   * List the requester's care-team relationships
+   * GET /api/v1/care-team
+   */
+  listMemberships: asyncHandler(async (req, res) => {
+    const { skip, limit } = req.pagination;
+    
+    const result = await careTeamService.listMemberships(req.user, {
+      pagination: { skip, limit },
+      status: req.query.status,
+    });
+    
+    return res.paginatedResponse(
+      'Care team retrieved successfully',
+      result.data,
+      result.totalCount,
+      RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+    );
+  }),
+
+  /**
+   * Invite a professional to the patient's care team
+   * POST /api/v1/care-team/invitations
+   */
+  inviteProfessional: asyncHandler(async (req, res) => {
+    const member = await careTeamService.inviteProfessional(req.user.userId, req.body);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.CREATED,
+      'Professional invited successfully',
+      member,
+      RESPONSE_TAGS.SUCCESS.DATA_CREATED
+    );
+  }),
+
+  /**
+   * Request access to a patient's records
+   * POST /api/v1/care-team/requests
+   */
+  requestAccess: asyncHandler(async (req, res) => {
+    const member = await careTeamService.requestAccess(req.user.userId, req.body);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.CREATED,
+      'Access requested successfully',
+      member,
+      RESPONSE_TAGS.SUCCESS.DATA_CREATED
+    );
+  }),
+
+  /**
+   * Accept an invitation or access request
+   * POST /api/v1/care-team/:memberId/accept
+   */
+  accept: asyncHandler(async (req, res) => {
+    const member = await careTeamService.accept(req.user, req.params.memberId);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Care-team relationship accepted',
+      member,
+      RESPONSE_TAGS.SUCCESS.DATA_UPDATED
+    );
+  }),
+
+  /**
+   * Decline an invitation or access request
+   * POST /api/v1/care-team/:memberId/decline
+   */
+  decline: asyncHandler(async (req, res) => {
+    const member = await careTeamService.decline(req.user, req.params.memberId);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Care-team relationship declined',
+      member,
+      RESPONSE_TAGS.SUCCESS.DATA_UPDATED
+    );
+  }),
+
+  /**
+   * Revoke a relationship
+   * POST /api/v1/care-team/:memberId/revoke
+   */
+  revoke: asyncHandler(async (req, res) => {
+    const member = await careTeamService.revoke(req.user, req.params.memberId, req.body);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Care-team relationship revoked',
+      member,
+      RESPONSE_TAGS.SUCCESS.DATA_UPDATED
+    );
+  }),
+};
+
+module.exports = careTeamController;
@@ -0,0 +1,80 @@
+const express = require('express');
+const careTeamController = require('./careTeam.controller');
+const careTeamValidation = require('./careTeam.validation');
+const { validateBody, validateParams, validateQuery } = require('../../../middlewares/validator.middleware');
+const { authenticate } = require('../../../middlewares/auth.middleware');
+const { authorize } = require('../../../middlewares/rbac.middleware');
+const { paginationMiddleware } = require('../../../middlewares/pagination.middleware');
+const { ROLES } = require('../../../constants/roles');
+
+const router = express.Router();
+
+// All routes require an authenticated patient or professional
+router.use(authenticate);
+router.use(authorize([ROLES.PATIENT, ROLES.PROFESSIONAL]));
+
+/**
+ * @route   GET /api/v1/care-team?page=&limit=&status=
+ * @desc    List the requester's care-team relationships, most recent first
+ * @access  Private (Patient, Professional)
+ */
+router.get('/',
+  paginationMiddleware,
+  validateQuery(careTeamValidation.careTeamQuerySchema),
+  careTeamController.listMemberships
+);
+
+/**
+ * @route   POST /api/v1/care-team/invitations
+ * @desc    Invite a professional to the patient's care team by email
+ * @access  Private (Patient)
+ */
+router.post('/invitations',
+  authorize([ROLES.PATIENT]),
+  validateBody(careTeamValidation.inviteProfessionalSchema),
+  careTeamController.inviteProfessional
+);
+
+/**
+ * @route   POST /api/v1/care-team/requests
+ * @desc    Request access to a patient's records by the patient's email
+ * @access  Private (Professional)
+ */
+router.post('/requests',
+  authorize([ROLES.PROFESSIONAL]),
+  validateBody(careTeamValidation.requestAccessSchema),
+  careTeamController.requestAccess
+);
+
+/**
+ * @route   POST /api/v1/care-team/:memberId/accept
+ * @desc    Accept an invitation or access request addressed to the requester
+ * @access  Private (Patient, Professional)
+ */
+router.post('/:memberId/accept',
+  validateParams(careTeamValidation.memberIdParamSchema),
+  careTeamController.accept
+);
+
+/**
+ * @route   POST /api/v1/care-team/:memberId/decline
+ * @desc    Decline an invitation or access request addressed to the requester
+ * @access  Private (Patient, Professional)
+ */
+router.post('/:memberId/decline',
+  validateParams(careTeamValidation.memberIdParamSchema),
+  careTeamController.decline
+);
+
+/**
+ * @route   POST /api/v1/care-team/:memberId/revoke
+ * @desc    Revoke a pending or active relationship; access ends immediately
+ * @access  Private (Patient, Professional)
+ */
+router.post('/:memberId/revoke',
+  validateParams(careTeamValidation.memberIdParamSchema),
+  validateBody(careTeamValidation.revokeSchema),
+  careTeamController.revoke
+);
+
+module.exports = router;
@@ -0,0 +1,387 @@
+const CareTeamMember = require('./careTeamMember.model');
+const User = require('../user/user.model');
+const auditService = require('../audit/audit.service');
+const { ROLES } = require('../../../constants/roles');
+const {
+  CARE_TEAM_ROLES,
+  CARE_TEAM_STATUSES,
+  OPEN_CARE_TEAM_STATUSES,
+} = require('../../../constants/careTeam');
+const { AUDIT_ACTIONS, AUDIT_SUBJECT_TYPES } = require('../../../constants/audit');
+const {
+  createNotFoundError,
+  createConflictError,
+  createForbiddenError,
+} = require('../../../middlewares/error.middleware');
+const RESPONSE_TAGS = require('../../../constants/responseTags');
+const logger = require('../../../helpers/logger');
+
+/**
+ * Care Team Service
+ *
+ * Relationships between patients and the professionals treating them.
+ * A patient invites a professional by email, or a professional requests
+ * access to a patient by email; the other side accepts or declines. Either
+ * side can revoke an active relationship. A patient has at most one
+ * primary professional at a time.
+ *
+ * The authorization helpers at the bottom are what other services use to
+ * decide whether a professional may read a patient's records: only while
+ * an accepted relationship is within its start and end dates.
+ */
+const careTeamService = {
+  /**
+   * Patient invites a professional
+   * @param {string} patientId - Patient user ID
+   * @param {Object} data - { email, role, startDate, endDate, message }
+   * @returns {Object} - Care-team member
+   */
+  async inviteProfessional(patientId, { email, ...data }) {
+    try {
+      const professional = await this._findUserByEmail(email, ROLES.PROFESSIONAL, 'Professional not found');
+
+      return await this._open({
+        patient: patientId,
+        professional: professional._id,
+        initiatedBy: patientId,
+        status: CARE_TEAM_STATUSES.INVITED,
+        ...data,
+      });
+    } catch (error) {
+      logger.error('Error inviting professional to care team:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Professional requests access to a patient
+   * @param {string} professionalId - Professional user ID
+   * @param {Object} data - { patientEmail, role, startDate, endDate, message }
+   * @returns {Object} - Care-team member
+   */
+  async requestAccess(professionalId, { patientEmail, ...data }) {
+    try {
+      const patient = await this._findUserByEmail(patientEmail, ROLES.PATIENT, 'Patient not found');
+
+      return await this._open({
+        patient: patient._id,
+        professional: professionalId,
+        initiatedBy: professionalId,
+        status: CARE_TEAM_STATUSES.REQUESTED,
+        ...data,
+      });
+    } catch (error) {
+      logger.error('Error requesting care-team access:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * List the requester's relationships, most recent first
+   * Patients see their professionals, professionals their patients.
+   * @param {Object} requester - { userId, role }
+   * @param {Object} options - { pagination: { skip, limit }, status }
+   * @returns {Object} - { data, totalCount }
+   */
+  async listMemberships(requester, { pagination, status }) {
+    try {
+      const query = requester.role === ROLES.PROFESSIONAL
+        ? { professional: requester.userId }
+        : { patient: requester.userId };
+      if (status) query.status = status;
+
+      const members = await CareTeamMember.find(query)
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .sort({ createdAt: -1 })
+        .populate('patient', 'name email')
+        .populate('professional', 'name email');
+
+      const totalCount = await CareTeamMember.countDocuments(query);
+
+      return {
+        data: members,
+        totalCount,
+      };
+    } catch (error) {
+      logger.error('Error fetching care team:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Accept an invitation or access request
+   * Only the side that did not initiate it can accept. Access starts now
+   * unless a later start date was agreed.
+   * @param {Object} requester - { userId, role }
+   * @param {string} memberId - Care-team member ID
+   * @returns {Object} - Care-team member
+   */
+  async accept(requester, memberId) {
+    try {
+      const member = await this._findPendingForResponder(requester, memberId);
+
+      if (member.role === CARE_TEAM_ROLES.PRIMARY) {
+        await this._ensureNoOtherPrimary(member);
+      }
+
+      const from = member.status;
+      member.status = CARE_TEAM_STATUSES.ACTIVE;
+      member.respondedAt = new Date();
+      if (!member.startDate) member.startDate = member.respondedAt;
+      await member.save();
+
+      await this._audit(member, requester.userId, from);
+      return member;
+    } catch (error) {
+      logger.error('Error accepting care-team relationship:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Decline an invitation or access request
+   * @param {Object} requester - { userId, role }
+   * @param {string} memberId - Care-team member ID
+   * @returns {Object} - Care-team member
+   */
+  async decline(requester, memberId) {
+    try {
+      const member = await this._findPendingForResponder(requester, memberId);
+
+      const from = member.status;
+      member.status = CARE_TEAM_STATUSES.DECLINED;
+      member.respondedAt = new Date();
+      await member.save();
+
+      await this._audit(member, requester.userId, from);
+      return member;
+    } catch (error) {
+      logger.error('Error declining care-team relationship:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Revoke a relationship
+   * Either side can revoke; the initiator can also withdraw a pending one.
+   * Access ends immediately.
+   * @param {Object} requester - { userId, role }
+   * @param {string} memberId - Care-team member ID
+   * @param {Object} options - { reason }
+   * @returns {Object} - Care-team member
+   */
+  async revoke(requester, memberId, { reason = null } = {}) {
+    try {
+      const member = await this._findForParticipant(requester, memberId);
+
+      if (!OPEN_CARE_TEAM_STATUSES.includes(member.status)) {
+        throw createConflictError(
+          `Care-team relationship is already ${member.status}`,
+          RESPONSE_TAGS.RESOURCE.CONFLICT
+        );
+      }
+
+      const from = member.status;
+      member.status = CARE_TEAM_STATUSES.REVOKED;
+      member.revokedBy = requester.userId;
+      member.revokedAt = new Date();
+      member.revocationReason = reason;
+      if (!member.endDate || member.endDate > member.revokedAt) {
+        member.endDate = member.revokedAt;
+      }
+      await member.save();
+
+      await this._audit(member, requester.userId, from);
+      return member;
+    } catch (error) {
+      logger.error('Error revoking care-team relationship:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * User IDs of the patients a professional currently has access to
+   * @param {string} professionalId - Professional user ID
+   * @returns {Array} - Patient user IDs
+   */
+  async getActivePatientIds(professionalId) {
+    try {
+      return await CareTeamMember.distinct('patient', {
+        professional: professionalId,
+        ...CareTeamMember.currentFilter(),
+      });
+    } catch (error) {
+      logger.error('Error fetching care-team patients:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Whether a professional currently has access to a patient
+   * @param {string} professionalId - Professional user ID
+   * @param {string} patientId - Patient user ID
+   * @returns {boolean}
+   */
+  async hasActiveRelationship(professionalId, patientId) {
+    try {
+      const member = await CareTeamMember.exists({
+        professional: professionalId,
+        patient: patientId,
+        ...CareTeamMember.currentFilter(),
+      });
+
+      return Boolean(member);
+    } catch (error) {
+      logger.error('Error checking care-team relationship:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Ensure the requester may read a patient's records
+   * Allowed for the patient, admins, and professionals with a current
+   * care-team relationship.
+   * @param {Object} requester - { userId, role }
+   * @param {string} patientId - Patient user ID
+   * @throws {Error} - Forbidden otherwise
+   */
+  async assertCanAccessPatient(requester, patientId) {
+    if (patientId.toString() === requester.userId.toString()) return;
+    if (requester.role === ROLES.ADMIN) return;
+
+    if (requester.role === ROLES.PROFESSIONAL
+      && await this.hasActiveRelationship(requester.userId, patientId)) {
+      return;
+    }
+
+    throw createForbiddenError(
+      'You do not have access to this patient\'s records',
+      RESPONSE_TAGS.AUTH.INSUFFICIENT_PERMISSIONS
+    );
+  },
+
+  /**
+   * Create a pending relationship unless one is already open
+   * @private
+   */
+  async _open(data) {
+    const existing = await CareTeamMember.exists({
+      patient: data.patient,
+      professional: data.professional,
+      status: { $in: OPEN_CARE_TEAM_STATUSES },
+    });
+
+    if (existing) {
+      throw createConflictError(
+        'A care-team relationship between these users is already pending or active',
+        RESPONSE_TAGS.RESOURCE.CONFLICT
+      );
+    }
+
+    const member = await CareTeamMember.create(data);
+    await this._audit(member, data.initiatedBy, null);
+    return member;
+  },
+
+  /**
+   * @private
+   */
+  async _findUserByEmail(email, role, notFoundMessage) {
+    const user = await User.findByEmail(email);
+
+    if (!user || user.role !== role || !user.isActive) {
+      throw createNotFoundError(notFoundMessage, RESPONSE_TAGS.RESOURCE.USER_NOT_FOUND);
+    }
+
+    return user;
+  },
+
+  /**
+   * Load a relationship the requester is part of
+   * @private
+   */
+  async _findForParticipant(requester, memberId) {
+    const member = await CareTeamMember.findOne({
+      _id: memberId,
+      $or: [{ patient: requester.userId }, { professional: requester.userId }],
+    });
+
+    if (!member) {
+      throw createNotFoundError(
+        'Care-team relationship not found',
+        RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
+      );
+    }
+
+    return member;
+  },
+
+  /**
+   * Load a pending relationship awaiting the requester's answer
+   * @private
+   */
+  async _findPendingForResponder(requester, memberId) {
+    const member = await this._findForParticipant(requester, memberId);
+
+    const pending = [CARE_TEAM_STATUSES.INVITED, CARE_TEAM_STATUSES.REQUESTED];
+    if (!pending.includes(member.status)) {
+      throw createConflictError(
+        `Care-team relationship is already ${member.status}`,
+        RESPONSE_TAGS.RESOURCE.CONFLICT
+      );
+    }
+
+    if (member.initiatedBy.toString() === requester.userId.toString()) {
+      throw createForbiddenError(
+        'Only the invited side can respond',
+        RESPONSE_TAGS.AUTH.INSUFFICIENT_PERMISSIONS
+      );
+    }
+
+    return member;
+  },
+
+  /**
+   * @private
+   */
+  async _ensureNoOtherPrimary(member) {
+    const primary = await CareTeamMember.exists({
+      _id: { $ne: member._id },
+      patient: member.patient,
+      role: CARE_TEAM_ROLES.PRIMARY,
+      status: CARE_TEAM_STATUSES.ACTIVE,
+      $or: [{ endDate: null }, { endDate: { $gt: new Date() } }],
+    });
+
+    if (primary) {
+      throw createConflictError(
+        'Patient already has a primary professional',
+        RESPONSE_TAGS.RESOURCE.CONFLICT
+      );
+    }
+  },
+
+  /**
+   * @private
+   */
+  async _audit(member, actorId, from) {
+    await auditService.record({
+      action: AUDIT_ACTIONS.CARE_TEAM_CHANGED,
+      actor: actorId,
+      subjectType: AUDIT_SUBJECT_TYPES.CARE_TEAM_MEMBER,
+      subjectId: member._id,
+      metadata: {
+        patient: member.patient,
+        professional: member.professional,
+        role: member.role,
+        from,
+        to: member.status,
+      },
+    });
+
+    logger.info(`Care-team relationship ${member._id}: ${from || 'new'} -> ${member.status} by ${actorId}`);
+  },
+};
+
+module.exports = careTeamService;
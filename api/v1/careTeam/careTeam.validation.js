@@ -0,0 +1,49 @@
+const Joi = require('joi');
+const { CARE_TEAM_ROLES, CARE_TEAM_STATUSES } = require('../../../constants/careTeam');
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/);
+
+// Terms shared by invitations and access requests
+const relationshipTerms = {
+  role: Joi.string().valid(...Object.values(CARE_TEAM_ROLES)).default(CARE_TEAM_ROLES.CONSULTANT),
+  startDate: Joi.date().iso().optional(),
+  endDate: Joi.date().iso().greater(Joi.ref('startDate', { adjust: value => value || new Date() })).optional(),
+  message: Joi.string().trim().max(1000).optional(),
+};
+
+// Patient invites a professional
+const inviteProfessionalSchema = Joi.object({
+  email: Joi.string().email().required(),
+  ...relationshipTerms,
+});
+
+// Professional requests access to a patient
+const requestAccessSchema = Joi.object({
+  patientEmail: Joi.string().email().required(),
+  ...relationshipTerms,
+});
+
+// Revocation body
+const revokeSchema = Joi.object({
+  reason: Joi.string().trim().max(1000).optional(),
+});
+
+// Care-team list query schema
+const careTeamQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  status: Joi.string().valid(...Object.values(CARE_TEAM_STATUSES)).optional(),
+});
+
+// Member ID parameter schema
+const memberIdParamSchema = Joi.object({
+  memberId: objectId.required(),
+});
+
+module.exports = {
+  inviteProfessionalSchema,
+  requestAccessSchema,
+  revokeSchema,
+  careTeamQuerySchema,
+  memberIdParamSchema,
+};
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const { CARE_TEAM_ROLES, CARE_TEAM_STATUSES } = require('../../../constants/careTeam');
+
+// Care-team member schema: one relationship between a patient and a
+// professional, from invitation or access request to revocation
+const careTeamMemberSchema = new mongoose.Schema({
+  // Patient user
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  // Professional user
+  professional: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  role: {
+    type: String,
+    enum: Object.values(CARE_TEAM_ROLES),
+    default: CARE_TEAM_ROLES.CONSULTANT,
+  },
+  status: {
+    type: String,
+    enum: Object.values(CARE_TEAM_STATUSES),
+    required: true,
+  },
+  // User who sent the invitation or access request
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  message: {
+    type: String,
+    default: null,
+  },
+  // Access window; startDate is set on acceptance when not given, no endDate means open-ended
+  startDate: {
+    type: Date,
+    default: null,
+  },
+  endDate: {
+    type: Date,
+    default: null,
+  },
+  respondedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revocationReason: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Compound indexes
+careTeamMemberSchema.index({ professional: 1, status: 1 });
+careTeamMemberSchema.index({ patient: 1, professional: 1, status: 1 });
+
+// Query filter for relationships that grant access at a point in time
+careTeamMemberSchema.statics.currentFilter = function(at = new Date()) {
+  return {
+    status: CARE_TEAM_STATUSES.ACTIVE,
+    startDate: { $lte: at },
+    $or: [{ endDate: null }, { endDate: { $gt: at } }],
+  };
+};
+
+// Virtual for whether the relationship grants access right now
+careTeamMemberSchema.virtual('isCurrent').get(function() {
+  const now = new Date();
+  return this.status === CARE_TEAM_STATUSES.ACTIVE
+    && Boolean(this.startDate) && this.startDate <= now
+    && (!this.endDate || this.endDate > now);
+});
+
+module.exports = mongoose.model('CareTeamMember', careTeamMemberSchema);
@@ -58,16 +58,39 @@ const getHealthConcerns = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * Get the health concerns of a care-team patient
+ * @route GET /api/v1/health-concern/patient/:patientId
+ * @access Private (Professional - care-team patients)
+ */
+const getPatientHealthConcerns = asyncHandler(async (req, res) => {
+  const { patientId } = req.params;
+  const { skip, limit, sortBy, sortOrder } = req.pagination;
+  
+  const result = await healthConcernService.getPatientHealthConcerns(req.user, patientId, {
+    pagination: { skip, limit, sortBy, sortOrder },
+    search: req.search,
+    filters: req.filters
+  });
+  
+  logger.info(`Health concerns of patient ${patientId} retrieved by ${req.user.userId}`);
+  return res.paginatedResponse(
+    'Health concerns retrieved successfully',
+    result.data,
+    result.totalCount,
+    RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+  );
+});
+
 /**
  * Get a single health concern by ID
  * @route GET /api/v1/health-concern/:id
- * @access Private (Patient only - own records)
+ * @access Private (Patient - own records, Professional - care-team patients)
  */
 const getHealthConcernById = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const userId = req.user.userId;
   
-  const healthConcern = await healthConcernService.getHealthConcernById(id, userId);
+  const healthConcern = await healthConcernService.getHealthConcernById(id, req.user);
   
   logger.info(`Health concern retrieved: ${id}`);
   return successResponse(
@@ -163,13 +186,77 @@ const resolveHealthConcern = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * Get symptom trends across assessment responses
+ * @route GET /api/v1/health-concern/:id/trends
+ * @access Private (Patient - own records, Professional - care-team patients)
+ */
+const getHealthConcernTrends = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  const trends = await healthConcernService.getHealthConcernTrends(id, req.user, req.query);
+  
+  logger.info(`Health concern trends retrieved: ${id}`);
+  return successResponse(
+    res,
+    HTTP_CODES.OK,
+    'Health concern trends retrieved successfully',
+    trends,
+    RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+  );
+});
+
+/**
+ * Override the assessment cooldown of a patient's health concern
+ * @route PUT /api/v1/health-concern/:id/cooldown-override
+ * @access Private (Professional on the patient's care team)
+ */
+const setCooldownOverride = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  const override = await healthConcernService.setCooldownOverride(id, req.user, req.body);
+  
+  logger.info(`Cooldown override set: ${id}`);
+  return successResponse(
+    res,
+    HTTP_CODES.OK,
+    'Cooldown override set successfully',
+    override,
+    RESPONSE_TAGS.SUCCESS.DATA_UPDATED
+  );
+});
+
+/**
+ * Remove the assessment cooldown override of a patient's health concern
+ * @route DELETE /api/v1/health-concern/:id/cooldown-override
+ * @access Private (Professional on the patient's care team)
+ */
+const clearCooldownOverride = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  await healthConcernService.clearCooldownOverride(id, req.user);
+  
+  logger.info(`Cooldown override cleared: ${id}`);
+  return successResponse(
+    res,
+    HTTP_CODES.OK,
+    'Cooldown override removed successfully',
+    null,
+    RESPONSE_TAGS.SUCCESS.DATA_DELETED
+  );
+});
+
 module.exports = {
   createHealthConcern,
   getHealthConcerns,
+  getPatientHealthConcerns,
   getHealthConcernById,
   updateHealthConcern,
   deleteHealthConcern,
   getActiveHealthConcerns,
-  resolveHealthConcern
+  resolveHealthConcern,
+  getHealthConcernTrends,
+  setCooldownOverride,
+  clearCooldownOverride
 };
 
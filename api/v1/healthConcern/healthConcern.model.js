@@ -1,4 +1,39 @@
 const mongoose = require('mongoose');
+const { RED_FLAG_LEVELS } = require('../../../constants/redFlags');
+const { COOLDOWN_OVERRIDE_MODES } = require('../../../constants/cooldownOverrides');
+
+// Professional override of the assessment cooldown. allow_now and
+// next_eligible_at apply to the next assessment only: they lapse once an
+// assessment newer than setAt exists (see Assessment.canGenerateNewAssessment)
+const cooldownOverrideSchema = new mongoose.Schema({
+  mode: {
+    type: String,
+    enum: Object.values(COOLDOWN_OVERRIDE_MODES),
+    required: true
+  },
+  nextEligibleAt: {
+    type: Date,
+    default: null
+  },
+  intervalDays: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  setBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  setAt: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
 
 /**
  * Health Concern Schema
@@ -72,6 +107,29 @@ const healthConcernSchema = new mongoose.Schema({
     maxlength: 2000
   },
   
+  // Red-flag symptoms detected in the text (only ever escalates)
+  redFlag: {
+    level: {
+      type: String,
+      enum: [...Object.values(RED_FLAG_LEVELS), null],
+      default: null
+    },
+    ruleCodes: {
+      type: [String],
+      default: undefined
+    },
+    detectedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  
+  // Assessment cooldown override set by a care-team professional
+  cooldownOverride: {
+    type: cooldownOverrideSchema,
+    default: null
+  },
+  
   // Soft delete
   isActive: {
     type: Boolean,
@@ -10,15 +10,31 @@ const {
   createHealthConcernSchema,
   updateHealthConcernSchema,
   healthConcernQuerySchema,
-  healthConcernIdParamSchema
+  healthConcernIdParamSchema,
+  patientIdParamSchema,
+  healthConcernTrendsQuerySchema,
+  cooldownOverrideSchema
 } = require('./healthConcern.validation');
 
 /**
  * Health Concern Routes
- * All routes require authentication and patient role
- * Patients can only access their own health concerns
+ * All routes require authentication. Patients manage their own health
+ * concerns; professionals can read those of their care-team patients.
  */
 
+// Health concerns of a care-team patient
+router.get(
+  '/patient/:patientId',
+  authenticate,
+  authorize([ROLES.PROFESSIONAL]),
+  validateParams(patientIdParamSchema),
+  paginationMiddleware,
+  searchMiddleware,
+  filterMiddleware,
+  validateQuery(healthConcernQuerySchema),
+  healthConcernController.getPatientHealthConcerns
+);
+
 // Get active health concerns (must be before /:id route)
 router.get(
   '/active/list',
@@ -36,6 +52,35 @@ router.patch(
   healthConcernController.resolveHealthConcern
 );
 
+// Symptom trends across assessment responses (must be before /:id route)
+router.get(
+  '/:id/trends',
+  authenticate,
+  authorize([ROLES.PATIENT, ROLES.PROFESSIONAL]),
+  validateParams(healthConcernIdParamSchema),
+  validateQuery(healthConcernTrendsQuerySchema),
+  healthConcernController.getHealthConcernTrends
+);
+
+// Override the assessment cooldown of a care-team patient's concern (must be before /:id route)
+router.put(
+  '/:id/cooldown-override',
+  authenticate,
+  authorize([ROLES.PROFESSIONAL]),
+  validateParams(healthConcernIdParamSchema),
+  validateBody(cooldownOverrideSchema),
+  healthConcernController.setCooldownOverride
+);
+
+// Remove the cooldown override (must be before /:id route)
+router.delete(
+  '/:id/cooldown-override',
+  authenticate,
+  authorize([ROLES.PROFESSIONAL]),
+  validateParams(healthConcernIdParamSchema),
+  healthConcernController.clearCooldownOverride
+);
+
 // Create health concern
 router.post(
   '/',
@@ -61,7 +106,7 @@ router.get(
 router.get(
   '/:id',
   authenticate,
-  authorize([ROLES.PATIENT]),
+  authorize([ROLES.PATIENT, ROLES.PROFESSIONAL]),
   validateParams(healthConcernIdParamSchema),
   healthConcernController.getHealthConcernById
 );
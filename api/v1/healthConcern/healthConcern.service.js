@@ -1,4 +1,14 @@
 const HealthConcern = require('./healthConcern.model');
+const AssessmentResponse = require('../assessment/assessmentResponse.model');
+const { getInstrument } = require('../assessment/instruments');
+const { buildTrends } = require('../../../helpers/trendAnalysis');
+const redFlagService = require('../redFlag/redFlag.service');
+const careTeamService = require('../careTeam/careTeam.service');
+const auditService = require('../audit/audit.service');
+const { HEALTH_CONCERN_SCREENED_FIELDS } = require('../../../constants/redFlags');
+const { SUBMITTED_RESPONSE_FILTER } = require('../../../constants/assessmentResponses');
+const { COOLDOWN_OVERRIDE_MODES } = require('../../../constants/cooldownOverrides');
+const { AUDIT_ACTIONS, AUDIT_SUBJECT_TYPES } = require('../../../constants/audit');
 const MESSAGES = require('../../../constants/messages');
 const RESPONSE_TAGS = require('../../../constants/responseTags');
 const logger = require('../../../helpers/logger');
@@ -15,6 +25,7 @@ const {
 const healthConcernService = {
   /**
    * Create a new health concern
+   * Screens the text for red-flag symptoms; `advisory` is null when none matched
    */
   async createHealthConcern(userId, data) {
     try {
@@ -23,8 +34,10 @@ const healthConcernService = {
         ...data
       });
 
+      const advisory = await redFlagService.screenHealthConcern(healthConcern);
+      
       logger.info(`Health concern created by user: ${userId}`);
-      return healthConcern;
+      return { ...healthConcern.toJSON(), advisory };
     } catch (error) {
       logger.error('Error creating health concern:', error);
       throw error;
@@ -70,10 +83,20 @@ const healthConcernService = {
     }
   },
 
+  /**
+   * Get the health concerns of a patient the requester has access to
+   * Professionals only while on the patient's care team.
+   */
+  async getPatientHealthConcerns(requester, patientId, options) {
+    await careTeamService.assertCanAccessPatient(requester, patientId);
+    return this.getHealthConcerns(patientId, options);
+  },
+
   /**
    * Get a single health concern by ID
+   * Readable by its patient and by professionals on the patient's care team
    */
-  async getHealthConcernById(concernId, userId) {
+  async getHealthConcernById(concernId, requester) {
     try {
       const healthConcern = await HealthConcern.findById(concernId)
         .populate('user', 'name email');
@@ -85,13 +108,7 @@ const healthConcernService = {
         );
       }
 
-      // Check ownership - user can only access their own health concerns
-      if (healthConcern.user._id.toString() !== userId) {
-        throw createForbiddenError(
-          'You do not have permission to access this health concern',
-          RESPONSE_TAGS.AUTH.INSUFFICIENT_PERMISSIONS
-        );
-      }
+      await careTeamService.assertCanAccessPatient(requester, healthConcern.user._id);
       
       logger.info(`Health concern retrieved: ${concernId}`);
       return healthConcern;
@@ -103,6 +120,8 @@ const healthConcernService = {
 
   /**
    * Update a health concern
+   * Re-screens the text for red-flag symptoms; only changed text can open
+   * a new escalation
    */
   async updateHealthConcern(concernId, userId, data) {
     try {
@@ -125,13 +144,18 @@ const healthConcernService = {
       
       // Update fields
       Object.assign(healthConcern, data);
+      const textChanged = HEALTH_CONCERN_SCREENED_FIELDS.some(field => healthConcern.isModified(field));
       await healthConcern.save();
       
+      const advisory = await redFlagService.screenHealthConcern(healthConcern, {
+        escalate: textChanged
+      });
+      
       // Populate user info
       await healthConcern.populate('user', 'name email');
       
       logger.info(`Health concern updated: ${concernId}`);
-      return healthConcern;
+      return { ...healthConcern.toJSON(), advisory };
     } catch (error) {
       logger.error('Error updating health concern:', error);
       throw error;
@@ -187,6 +211,60 @@ const healthConcernService = {
     }
   },
 
+  /**
+   * Get symptom trends across the assessment responses of a health concern
+   * Comparable questions are aligned into per-metric time series (see
+   * helpers/trendAnalysis). Readable like the health concern itself.
+   */
+  async getHealthConcernTrends(concernId, requester, { from, to, minPoints } = {}) {
+    try {
+      const healthConcern = await HealthConcern.findById(concernId);
+      
+      if (!healthConcern || !healthConcern.isActive) {
+        throw createNotFoundError(
+          'Health concern not found',
+          RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
+        );
+      }
+      
+      await careTeamService.assertCanAccessPatient(requester, healthConcern.user);
+      
+      const query = { user: healthConcern.user, healthConcern: concernId, ...SUBMITTED_RESPONSE_FILTER };
+      if (from || to) {
+        query.submittedAt = {};
+        if (from) query.submittedAt.$gte = from;
+        if (to) query.submittedAt.$lte = to;
+      }
+      
+      const responses = await AssessmentResponse.find(query)
+        .select('assessment answers instrumentScores submittedAt')
+        .populate('assessment', 'questions instruments createdAt')
+        .sort({ submittedAt: 1 })
+        .lean();
+      
+      const metrics = buildTrends(responses, { getInstrument, minPoints });
+      
+      logger.info(`Trends computed for health concern: ${concernId}`, {
+        responseCount: responses.length,
+        metricCount: metrics.length
+      });
+      return {
+        healthConcern: {
+          _id: healthConcern._id,
+          title: healthConcern.title,
+          status: healthConcern.status
+        },
+        responseCount: responses.length,
+        firstSubmittedAt: responses.length ? responses[0].submittedAt : null,
+        lastSubmittedAt: responses.length ? responses[responses.length - 1].submittedAt : null,
+        metrics
+      };
+    } catch (error) {
+      logger.error('Error computing health concern trends:', error);
+      throw error;
+    }
+  },
+
   /**
    * Mark a health concern as resolved
    */
@@ -218,6 +296,118 @@ const healthConcernService = {
       logger.error('Error resolving health concern:', error);
       throw error;
     }
+  },
+
+  /**
+   * Override the assessment cooldown of a care-team patient's health concern
+   * Replaces any previous override; see Assessment.canGenerateNewAssessment
+   * for how each mode applies
+   */
+  async setCooldownOverride(concernId, requester, { mode, nextEligibleAt, intervalDays, reason }) {
+    try {
+      const healthConcern = await this._findConcernForOverride(concernId, requester);
+      const previous = healthConcern.cooldownOverride ? healthConcern.cooldownOverride.toObject() : null;
+      
+      healthConcern.cooldownOverride = {
+        mode,
+        nextEligibleAt: mode === COOLDOWN_OVERRIDE_MODES.NEXT_ELIGIBLE_AT ? nextEligibleAt : null,
+        intervalDays: mode === COOLDOWN_OVERRIDE_MODES.INTERVAL ? intervalDays : null,
+        reason,
+        setBy: requester.userId,
+        setAt: new Date()
+      };
+      await healthConcern.save();
+      
+      await this._auditCooldownOverride(healthConcern, requester, {
+        override: healthConcern.cooldownOverride.toObject(),
+        previous
+      });
+      
+      logger.info(`Cooldown override (${mode}) set on health concern: ${concernId}`, {
+        professionalId: requester.userId
+      });
+      return healthConcern.cooldownOverride;
+    } catch (error) {
+      logger.error('Error setting cooldown override:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove the cooldown override of a health concern
+   * The latest assessment's own cooldown applies again
+   */
+  async clearCooldownOverride(concernId, requester) {
+    try {
+      const healthConcern = await this._findConcernForOverride(concernId, requester);
+      
+      if (!healthConcern.cooldownOverride) {
+        throw createNotFoundError(
+          'Health concern has no cooldown override',
+          RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
+        );
+      }
+      
+      const previous = healthConcern.cooldownOverride.toObject();
+      healthConcern.cooldownOverride = null;
+      await healthConcern.save();
+      
+      await this._auditCooldownOverride(healthConcern, requester, {
+        override: null,
+        previous
+      });
+      
+      logger.info(`Cooldown override cleared on health concern: ${concernId}`, {
+        professionalId: requester.userId
+      });
+      return true;
+    } catch (error) {
+      logger.error('Error clearing cooldown override:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Load a health concern whose cooldown the requester may override
+   * Only professionals on the patient's care team, never for themselves
+   * @private
+   */
+  async _findConcernForOverride(concernId, requester) {
+    const healthConcern = await HealthConcern.findById(concernId);
+    
+    if (!healthConcern || !healthConcern.isActive) {
+      throw createNotFoundError(
+        'Health concern not found',
+        RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
+      );
+    }
+    
+    if (healthConcern.user.toString() === requester.userId.toString()) {
+      throw createForbiddenError(
+        'You cannot override the cooldown of your own health concern',
+        RESPONSE_TAGS.AUTH.INSUFFICIENT_PERMISSIONS
+      );
+    }
+    
+    await careTeamService.assertCanAccessPatient(requester, healthConcern.user);
+    return healthConcern;
+  },
+
+  /**
+   * @private
+   */
+  async _auditCooldownOverride(healthConcern, requester, { override, previous }) {
+    await auditService.record({
+      action: AUDIT_ACTIONS.COOLDOWN_OVERRIDE_CHANGED,
+      actor: requester.userId,
+      subjectType: AUDIT_SUBJECT_TYPES.HEALTH_CONCERN,
+      subjectId: healthConcern._id,
+      metadata: {
+        patient: healthConcern.user,
+        override,
+        previous
+      }
+    });
   }
 };
 
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { COOLDOWN_OVERRIDE_MODES } = require('../../../constants/cooldownOverrides');
 
 // Create health concern schema
 const createHealthConcernSchema = Joi.object({
@@ -113,10 +114,47 @@ const healthConcernIdParamSchema = Joi.object({
     })
 });
 
+// Patient (user) ID parameter schema
+const patientIdParamSchema = Joi.object({
+  patientId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+    .messages({
+      'string.pattern.base': 'Invalid patient ID format'
+    })
+});
+
+// Trends query schema
+const healthConcernTrendsQuerySchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().min(Joi.ref('from')).optional(),
+  // Hide metrics with fewer data points (2 = only metrics with a change)
+  minPoints: Joi.number().integer().min(1).max(50).default(1)
+});
+
+// Cooldown override schema: the date or interval the mode needs, and why
+const cooldownOverrideSchema = Joi.object({
+  mode: Joi.string().valid(...Object.values(COOLDOWN_OVERRIDE_MODES)).required(),
+  nextEligibleAt: Joi.date().iso().greater('now')
+    .when('mode', {
+      is: COOLDOWN_OVERRIDE_MODES.NEXT_ELIGIBLE_AT,
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+  intervalDays: Joi.number().integer().min(0).max(365)
+    .when('mode', {
+      is: COOLDOWN_OVERRIDE_MODES.INTERVAL,
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+  reason: Joi.string().trim().min(3).max(1000).required()
+});
+
 module.exports = {
   createHealthConcernSchema,
   updateHealthConcernSchema,
   healthConcernQuerySchema,
-  healthConcernIdParamSchema
+  healthConcernIdParamSchema,
+  patientIdParamSchema,
+  healthConcernTrendsQuerySchema,
+  cooldownOverrideSchema
 };
 
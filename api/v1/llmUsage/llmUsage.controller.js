@@ -0,0 +1,64 @@
+const llmUsageService = require('./llmUsage.service');
+const { successResponse } = require('../../../helpers/response');
+const HTTP_CODES = require('../../../constants/httpCodes');
+const RESPONSE_TAGS = require('../../../constants/responseTags');
+const { asyncHandler } = require('../../../middlewares/error.middleware');
+const logger = require('../../../helpers/logger');
+
+/**
+ * LLM Usage Controller (Admin only)
+ */
+const llmUsageController = {
+  /**
+   * Get LLM spend grouped by user
+   * GET /api/v1/llm-usage/spend/users
+   */
+  getSpendByUser: asyncHandler(async (req, res) => {
+    const spend = await llmUsageService.getSpendByUser(req.query);
+    
+    logger.info(`LLM spend by user retrieved: ${spend.length} users`);
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'LLM spend by user retrieved successfully',
+      spend,
+      RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+    );
+  }),
+
+  /**
+   * Get LLM spend grouped by provider and model
+   * GET /api/v1/llm-usage/spend/models
+   */
+  getSpendByModel: asyncHandler(async (req, res) => {
+    const spend = await llmUsageService.getSpendByModel(req.query);
+    
+    logger.info(`LLM spend by model retrieved: ${spend.length} models`);
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'LLM spend by model retrieved successfully',
+      spend,
+      RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+    );
+  }),
+
+  /**
+   * Get LLM spend grouped by day
+   * GET /api/v1/llm-usage/spend/days
+   */
+  getSpendByDay: asyncHandler(async (req, res) => {
+    const spend = await llmUsageService.getSpendByDay(req.query);
+    
+    logger.info(`LLM spend by day retrieved: ${spend.length} days`);
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'LLM spend by day retrieved successfully',
+      spend,
+      RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+    );
+  }),
+};
+
+module.exports = llmUsageController;
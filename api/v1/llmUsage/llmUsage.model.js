@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const { LLM_USAGE_OUTCOMES } = require('../../../constants/llm');
+
+// LLM usage ledger entry: one document per provider call, including calls
+// that failed, were retried or were rejected by a quota
+const llmUsageSchema = new mongoose.Schema({
+  // Null for system calls that are not made on behalf of a user
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  role: {
+    type: String,
+    default: null,
+  },
+  // Feature that made the call (see LLM_USE_CASES)
+  feature: {
+    type: String,
+    default: null,
+  },
+  provider: {
+    type: String,
+    required: true,
+  },
+  model: {
+    type: String,
+    default: null,
+  },
+  tokens: {
+    prompt: { type: Number, default: 0 },
+    completion: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+  },
+  // Estimated cost in USD
+  cost: {
+    type: Number,
+    default: 0,
+  },
+  latencyMs: {
+    type: Number,
+    default: 0,
+  },
+  outcome: {
+    type: String,
+    enum: Object.values(LLM_USAGE_OUTCOMES),
+    required: true,
+  },
+  // Validation repair round of a structured output call (0 = first attempt)
+  repairAttempt: {
+    type: Number,
+    default: 0,
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// Compound indexes
+llmUsageSchema.index({ createdAt: -1 });
+llmUsageSchema.index({ user: 1, createdAt: -1 });
+llmUsageSchema.index({ role: 1, createdAt: -1 });
+llmUsageSchema.index({ model: 1, createdAt: -1 });
+
+// Static method to total tokens and cost since the start of the month,
+// with the part spent since the start of the day broken out
+llmUsageSchema.statics.sumSpend = async function(filter, dayStart, monthStart) {
+  const [totals] = await this.aggregate([
+    { $match: { ...filter, createdAt: { $gte: monthStart } } },
+    {
+      $group: {
+        _id: null,
+        monthlyTokens: { $sum: '$tokens.total' },
+        monthlyCost: { $sum: '$cost' },
+        dailyTokens: {
+          $sum: { $cond: [{ $gte: ['$createdAt', dayStart] }, '$tokens.total', 0] },
+        },
+        dailyCost: {
+          $sum: { $cond: [{ $gte: ['$createdAt', dayStart] }, '$cost', 0] },
+        },
+      },
+    },
+  ]);
+
+  return {
+    daily: { tokens: totals?.dailyTokens || 0, cost: totals?.dailyCost || 0 },
+    monthly: { tokens: totals?.monthlyTokens || 0, cost: totals?.monthlyCost || 0 },
+  };
+};
+
+module.exports = mongoose.model('LlmUsage', llmUsageSchema);
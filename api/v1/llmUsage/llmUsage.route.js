@@ -0,0 +1,44 @@
+const express = require('express');
+const llmUsageController = require('./llmUsage.controller');
+const llmUsageValidation = require('./llmUsage.validation');
+const { validateQuery } = require('../../../middlewares/validator.middleware');
+const { authenticate } = require('../../../middlewares/auth.middleware');
+const { requireAdmin } = require('../../../middlewares/rbac.middleware');
+
+const router = express.Router();
+
+// All routes require an authenticated admin
+router.use(authenticate);
+router.use(requireAdmin);
+
+/**
+ * @route   GET /api/v1/llm-usage/spend/users?from=&to=&userId=&model=&feature=&limit=
+ * @desc    LLM tokens, cost and call outcomes grouped by user
+ * @access  Private (Admin)
+ */
+router.get('/spend/users',
+  validateQuery(llmUsageValidation.spendQuerySchema),
+  llmUsageController.getSpendByUser
+);
+
+/**
+ * @route   GET /api/v1/llm-usage/spend/models?from=&to=&userId=&model=&feature=&limit=
+ * @desc    LLM tokens, cost and call outcomes grouped by provider and model
+ * @access  Private (Admin)
+ */
+router.get('/spend/models',
+  validateQuery(llmUsageValidation.spendQuerySchema),
+  llmUsageController.getSpendByModel
+);
+
+/**
+ * @route   GET /api/v1/llm-usage/spend/days?from=&to=&userId=&model=&feature=&limit=
+ * @desc    LLM tokens, cost and call outcomes grouped by UTC day
+ * @access  Private (Admin)
+ */
+router.get('/spend/days',
+  validateQuery(llmUsageValidation.spendQuerySchema),
+  llmUsageController.getSpendByDay
+);
+
+module.exports = router;
@@ -0,0 +1,294 @@
+const mongoose = require('mongoose');
+const LlmUsage = require('./llmUsage.model');
+const User = require('../user/user.model');
+const { createAppError } = require('../../../middlewares/error.middleware');
+const HTTP_CODES = require('../../../constants/httpCodes');
+const RESPONSE_TAGS = require('../../../constants/responseTags');
+const { LLM_USAGE_OUTCOMES } = require('../../../constants/llm');
+const config = require('../../../config');
+const logger = require('../../../helpers/logger');
+
+// Default reporting window for spend queries
+const DEFAULT_SPEND_WINDOW_DAYS = 30;
+
+/**
+ * Start of the current UTC day and month
+ * @param {Date} now - Reference time
+ * @returns {Object} - { dayStart, monthStart }
+ */
+const getPeriodStarts = (now = new Date()) => ({
+  dayStart: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())),
+  monthStart: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+});
+
+/**
+ * Whether any limit of a quota scope is enabled
+ * @param {Object} limits - { daily: { tokens, cost }, monthly: { tokens, cost } }
+ * @returns {boolean}
+ */
+const hasLimits = (limits) => Boolean(limits) && ['daily', 'monthly'].some(
+  (period) => limits[period].tokens > 0 || limits[period].cost > 0
+);
+
+/**
+ * Count calls of one outcome inside a $group stage
+ * @param {string} outcome - LLM_USAGE_OUTCOMES value
+ * @returns {Object} - $sum expression
+ */
+const countOutcome = (outcome) => ({
+  $sum: { $cond: [{ $eq: ['$outcome', outcome] }, 1, 0] },
+});
+
+// Totals shared by every spend breakdown
+const SPEND_GROUP_FIELDS = {
+  calls: { $sum: 1 },
+  successfulCalls: countOutcome(LLM_USAGE_OUTCOMES.SUCCESS),
+  failedCalls: countOutcome(LLM_USAGE_OUTCOMES.FAILED),
+  retriedCalls: countOutcome(LLM_USAGE_OUTCOMES.RETRIED),
+  rejectedCalls: countOutcome(LLM_USAGE_OUTCOMES.QUOTA_EXCEEDED),
+  promptTokens: { $sum: '$tokens.prompt' },
+  completionTokens: { $sum: '$tokens.completion' },
+  totalTokens: { $sum: '$tokens.total' },
+  cost: { $sum: '$cost' },
+  avgLatencyMs: { $avg: '$latencyMs' },
+};
+
+/**
+ * LLM Usage Service
+ *
+ * Ledger of every provider call (written by helpers/llmProviders/usageLedger)
+ * plus quota enforcement and spend reporting on top of it.
+ */
+const llmUsageService = {
+  /**
+   * Fill in the user's role when the caller did not pass it
+   * @param {Object} usageContext - { userId, role, feature }
+   * @returns {Object} - { userId, role, feature }
+   */
+  async resolveContext(usageContext = {}) {
+    const { userId = null, feature = null } = usageContext;
+    let { role = null } = usageContext;
+
+    if (userId && !role) {
+      const user = await User.findById(userId).select('role').lean();
+      role = user?.role || null;
+    }
+
+    return { userId, role, feature };
+  },
+
+  /**
+   * Throw when the user or the whole system is over quota
+   * The user's own spend is checked against the per-user limits and the
+   * limits for their role. Spend is only known after a call completes, so
+   * the call that crosses a limit is allowed and the next one is rejected.
+   * @param {Object} usageContext - { userId, role } (both optional)
+   * @throws {AppError} - 429 with RATE_LIMIT.LLM_QUOTA_EXCEEDED
+   */
+  async assertWithinQuota(usageContext = {}) {
+    const { userId = null, role = null } = usageContext;
+    const { quotas } = config.llm;
+    const { dayStart, monthStart } = getPeriodStarts();
+
+    // Aggregations do not cast, so the user ID must be an ObjectId here
+    const userFilter = { user: userId && new mongoose.Types.ObjectId(userId) };
+
+    const scopes = [
+      { scope: 'user', limits: quotas.user, filter: userFilter, enabled: Boolean(userId) },
+      { scope: `role:${role}`, limits: quotas.roles[role], filter: userFilter, enabled: Boolean(userId && role) },
+      { scope: 'global', limits: quotas.global, filter: {}, enabled: true },
+    ].filter(({ enabled, limits }) => enabled && hasLimits(limits));
+
+    const exceeded = [];
+    // The user and role scopes share one spend lookup
+    const spendByFilter = new Map();
+
+    for (const { scope, limits, filter } of scopes) {
+      if (!spendByFilter.has(filter)) {
+        spendByFilter.set(filter, await LlmUsage.sumSpend(filter, dayStart, monthStart));
+      }
+      const spend = spendByFilter.get(filter);
+
+      for (const period of ['daily', 'monthly']) {
+        for (const metric of ['tokens', 'cost']) {
+          const limit = limits[period][metric];
+          if (limit > 0 && spend[period][metric] >= limit) {
+            exceeded.push({ scope, period, metric, limit, used: spend[period][metric] });
+          }
+        }
+      }
+    }
+
+    if (exceeded.length > 0) {
+      const first = exceeded[0];
+      logger.warn('LLM quota exceeded', { userId, role, exceeded });
+
+      const error = createAppError(
+        `LLM ${first.period} ${first.metric} quota exceeded (${first.scope.split(':')[0]}). Please try again later.`,
+        HTTP_CODES.TOO_MANY_REQUESTS,
+        RESPONSE_TAGS.RATE_LIMIT.LLM_QUOTA_EXCEEDED
+      );
+      error.errors = exceeded;
+      throw error;
+    }
+  },
+
+  /**
+   * Write a ledger entry
+   * Ledger failures are logged and never fail the LLM call itself.
+   * @param {Object} entry - Ledger fields (see llmUsage.model)
+   */
+  async record(entry) {
+    try {
+      await LlmUsage.create(entry);
+    } catch (error) {
+      logger.error('Error recording LLM usage:', error);
+    }
+  },
+
+  /**
+   * Spend grouped by user
+   * @param {Object} filters - { from, to, userId, model, feature, limit }
+   * @returns {Array} - Spend rows, highest cost first
+   */
+  async getSpendByUser(filters = {}) {
+    try {
+      return await LlmUsage.aggregate([
+        { $match: this._buildSpendMatch(filters) },
+        { $group: { _id: '$user', role: { $last: '$role' }, ...SPEND_GROUP_FIELDS } },
+        { $sort: { cost: -1, totalTokens: -1 } },
+        { $limit: filters.limit || 50 },
+        {
+          $lookup: {
+            from: User.collection.name,
+            localField: '_id',
+            foreignField: '_id',
+            as: 'user',
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            userId: '$_id',
+            name: { $arrayElemAt: ['$user.name', 0] },
+            email: { $arrayElemAt: ['$user.email', 0] },
+            role: 1,
+            ...this._spendProjection(),
+          },
+        },
+      ]);
+    } catch (error) {
+      logger.error('Error fetching LLM spend by user:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Spend grouped by provider and model
+   * @param {Object} filters - { from, to, userId, model, feature, limit }
+   * @returns {Array} - Spend rows, highest cost first
+   */
+  async getSpendByModel(filters = {}) {
+    try {
+      return await LlmUsage.aggregate([
+        { $match: this._buildSpendMatch(filters) },
+        { $group: { _id: { provider: '$provider', model: '$model' }, ...SPEND_GROUP_FIELDS } },
+        { $sort: { cost: -1, totalTokens: -1 } },
+        { $limit: filters.limit || 50 },
+        {
+          $project: {
+            _id: 0,
+            provider: '$_id.provider',
+            model: '$_id.model',
+            ...this._spendProjection(),
+          },
+        },
+      ]);
+    } catch (error) {
+      logger.error('Error fetching LLM spend by model:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Spend grouped by UTC day
+   * @param {Object} filters - { from, to, userId, model, feature, limit }
+   * @returns {Array} - Spend rows, oldest day first
+   */
+  async getSpendByDay(filters = {}) {
+    try {
+      return await LlmUsage.aggregate([
+        { $match: this._buildSpendMatch(filters) },
+        {
+          $group: {
+            _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: 'UTC' } },
+            ...SPEND_GROUP_FIELDS,
+          },
+        },
+        { $sort: { _id: 1 } },
+        { $limit: filters.limit || 50 },
+        {
+          $project: {
+            _id: 0,
+            day: '$_id',
+            ...this._spendProjection(),
+          },
+        },
+      ]);
+    } catch (error) {
+      logger.error('Error fetching LLM spend by day:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Build the $match stage for spend queries
+   * @param {Object} filters - { from, to, userId, model, feature }
+   * @returns {Object} - Match filter
+   * @private
+   */
+  _buildSpendMatch(filters) {
+    const to = filters.to ? new Date(filters.to) : new Date();
+    const from = filters.from
+      ? new Date(filters.from)
+      : new Date(to.getTime() - DEFAULT_SPEND_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+    const match = { createdAt: { $gte: from, $lte: to } };
+
+    if (filters.userId) {
+      match.user = new mongoose.Types.ObjectId(filters.userId);
+    }
+    if (filters.model) {
+      match.model = filters.model;
+    }
+    if (filters.feature) {
+      match.feature = filters.feature;
+    }
+
+    return match;
+  },
+
+  /**
+   * $project fields for spend totals
+   * @returns {Object} - Projection
+   * @private
+   */
+  _spendProjection() {
+    return {
+      calls: 1,
+      successfulCalls: 1,
+      failedCalls: 1,
+      retriedCalls: 1,
+      rejectedCalls: 1,
+      tokens: {
+        prompt: '$promptTokens',
+        completion: '$completionTokens',
+        total: '$totalTokens',
+      },
+      cost: { $round: ['$cost', 6] },
+      avgLatencyMs: { $round: ['$avgLatencyMs', 0] },
+    };
+  },
+};
+
+module.exports = llmUsageService;
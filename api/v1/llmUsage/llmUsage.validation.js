@@ -0,0 +1,16 @@
+const Joi = require('joi');
+const { LLM_USE_CASES } = require('../../../constants/llm');
+
+// Spend query schema (shared by every spend breakdown)
+const spendQuerySchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().min(Joi.ref('from')).optional(),
+  userId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+  model: Joi.string().max(100).optional(),
+  feature: Joi.string().valid(...Object.values(LLM_USE_CASES)).optional(),
+  limit: Joi.number().integer().min(1).max(500).default(50),
+});
+
+module.exports = {
+  spendQuerySchema,
+};
@@ -91,6 +91,24 @@ const patientController = {
     );
   }),
 
+  /**
+   * Get a care-team patient by user ID
+   * GET /api/v1/patient/user/:userId
+   */
+  getPatientByUserId: asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const patient = await patientService.getPatientForRequester(req.user, userId);
+    
+    logger.info('Patient retrieved by user ID');
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Patient retrieved successfully',
+      patient,
+      RESPONSE_TAGS.SUCCESS.USER_FOUND
+    );
+  }),
+
   /**
    * Get patient by ID (Admin only)
    * GET /api/v1/patient/:id
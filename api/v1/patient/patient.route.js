@@ -3,7 +3,8 @@ const patientController = require('./patient.controller');
 const patientValidation = require('./patient.validation');
 const { validateBody, validateParams, validateQuery } = require('../../../middlewares/validator.middleware');
 const { authenticate } = require('../../../middlewares/auth.middleware');
-const { requireAdmin } = require('../../../middlewares/rbac.middleware');
+const { authorize, requireAdmin } = require('../../../middlewares/rbac.middleware');
+const { ROLES } = require('../../../constants/roles');
 const { paginationMiddleware, filterMiddleware, searchMiddleware } = require('../../../middlewares/pagination.middleware');
 
 const router = express.Router();
@@ -18,6 +19,13 @@ router.use(authenticate);
 router.get('/profile', patientController.getProfile);
 router.put('/profile', validateBody(patientValidation.updatePatientSchema), patientController.updateProfile);
 
+// Care-team routes (professionals only see patients on whose care team they are)
+router.get('/user/:userId',
+  authorize([ROLES.PROFESSIONAL, ROLES.ADMIN]),
+  validateParams(patientValidation.patientUserIdParamSchema),
+  patientController.getPatientByUserId
+);
+
 // Admin routes
 router.get('/', 
   requireAdmin,
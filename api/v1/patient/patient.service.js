@@ -1,5 +1,6 @@
 const Patient = require('./patient.model');
 const User = require('../user/user.model');
+const careTeamService = require('../careTeam/careTeam.service');
 const { ROLES } = require('../../../constants/roles');
 const MESSAGES = require('../../../constants/messages');
 const RESPONSE_TAGS = require('../../../constants/responseTags');
@@ -106,6 +107,18 @@ const patientService = {
     }
   },
 
+  /**
+   * Get a patient's record for a requester who may read it
+   * Professionals only while on the patient's care team.
+   * @param {Object} requester - Authenticated user ({ userId, role })
+   * @param {string} userId - Patient user ID
+   * @returns {Object} - Patient data
+   */
+  async getPatientForRequester(requester, userId) {
+    await careTeamService.assertCanAccessPatient(requester, userId);
+    return this.getPatientByUserId(userId);
+  },
+
   /**
    * Get all patients with pagination and filters
    * @param {Object} options - Query options
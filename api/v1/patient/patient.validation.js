@@ -64,10 +64,16 @@ const patientIdParamSchema = Joi.object({
   id: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
 });
 
+// User ID parameter schema
+const patientUserIdParamSchema = Joi.object({
+  userId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+});
+
 module.exports = {
   registerPatientSchema,
   updatePatientSchema,
   patientQuerySchema,
   patientIdParamSchema,
+  patientUserIdParamSchema,
 };
 
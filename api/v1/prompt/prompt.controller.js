@@ -0,0 +1,126 @@
+const promptService = require('./prompt.service');
+const { successResponse } = require('../../../helpers/response');
+const HTTP_CODES = require('../../../constants/httpCodes');
+const RESPONSE_TAGS = require('../../../constants/responseTags');
+const { asyncHandler } = require('../../../middlewares/error.middleware');
+const logger = require('../../../helpers/logger');
+
+/**
+ * Prompt Registry Controller (Admin only)
+ */
+const promptController = {
+  /**
+   * List prompts
+   * GET /api/v1/prompt
+   */
+  listPrompts: asyncHandler(async (req, res) => {
+    const prompts = await promptService.listPrompts();
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Prompts retrieved successfully',
+      prompts,
+      RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+    );
+  }),
+
+  /**
+   * Get prompt with versions
+   * GET /api/v1/prompt/:name
+   */
+  getPrompt: asyncHandler(async (req, res) => {
+    const prompt = await promptService.getPrompt(req.params.name);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Prompt retrieved successfully',
+      prompt,
+      RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+    );
+  }),
+
+  /**
+   * Create prompt version
+   * POST /api/v1/prompt/:name/versions
+   */
+  createVersion: asyncHandler(async (req, res) => {
+    const version = await promptService.createVersion(req.params.name, req.body, req.user.userId);
+    
+    logger.info(`Prompt version created by admin: ${req.user.userId}`);
+    return successResponse(
+      res,
+      HTTP_CODES.CREATED,
+      'Prompt version created successfully',
+      version,
+      RESPONSE_TAGS.SUCCESS.DATA_CREATED
+    );
+  }),
+
+  /**
+   * Activate prompt version
+   * PUT /api/v1/prompt/:name/active
+   */
+  activateVersion: asyncHandler(async (req, res) => {
+    const prompt = await promptService.activateVersion(req.params.name, req.body.versionId, req.user.userId);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Prompt version activated successfully',
+      prompt,
+      RESPONSE_TAGS.SUCCESS.DATA_UPDATED
+    );
+  }),
+
+  /**
+   * Start traffic split experiment
+   * PUT /api/v1/prompt/:name/experiment
+   */
+  startExperiment: asyncHandler(async (req, res) => {
+    const prompt = await promptService.startExperiment(req.params.name, req.body.variants, req.user.userId);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Prompt experiment started successfully',
+      prompt,
+      RESPONSE_TAGS.SUCCESS.DATA_UPDATED
+    );
+  }),
+
+  /**
+   * Stop traffic split experiment
+   * DELETE /api/v1/prompt/:name/experiment
+   */
+  stopExperiment: asyncHandler(async (req, res) => {
+    const prompt = await promptService.stopExperiment(req.params.name, req.user.userId);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Prompt experiment stopped successfully',
+      prompt,
+      RESPONSE_TAGS.SUCCESS.DATA_UPDATED
+    );
+  }),
+
+  /**
+   * Compare prompt versions
+   * GET /api/v1/prompt/:name/compare
+   */
+  compareVersions: asyncHandler(async (req, res) => {
+    const comparison = await promptService.compareVersions(req.params.name, req.query);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Prompt versions compared successfully',
+      comparison,
+      RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+    );
+  }),
+};
+
+module.exports = promptController;
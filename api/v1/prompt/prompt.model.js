@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { PROMPT_NAMES } = require('../../../constants/llm');
+
+// Traffic share of one version in an experiment
+const experimentVariantSchema = new mongoose.Schema({
+  version: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromptVersion',
+    required: true,
+  },
+  // Percentage of users; the weights of an experiment add up to 100
+  weight: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 100,
+  },
+}, { _id: false });
+
+// Prompt schema: a named prompt with its serving configuration
+// Serving: a running experiment wins over the active version; with neither,
+// the built-in prompt from the code is used
+const promptSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: Object.values(PROMPT_NAMES),
+    required: true,
+    unique: true,
+  },
+  description: {
+    type: String,
+    default: null,
+  },
+  activeVersion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromptVersion',
+    default: null,
+  },
+  experiment: {
+    variants: {
+      type: [experimentVariantSchema],
+      default: [],
+    },
+    // Part of the bucketing seed, so every new experiment reshuffles users
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  // Last version number handed out (see PromptVersion.version)
+  latestVersion: {
+    type: Number,
+    default: 0,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Virtual for whether traffic is currently split
+promptSchema.virtual('hasExperiment').get(function() {
+  return Boolean(this.experiment?.variants?.length);
+});
+
+module.exports = mongoose.model('Prompt', promptSchema);
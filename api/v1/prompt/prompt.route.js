@@ -0,0 +1,85 @@
+const express = require('express');
+const promptController = require('./prompt.controller');
+const promptValidation = require('./prompt.validation');
+const { validateBody, validateParams, validateQuery } = require('../../../middlewares/validator.middleware');
+const { authenticate } = require('../../../middlewares/auth.middleware');
+const { requireAdmin } = require('../../../middlewares/rbac.middleware');
+
+const router = express.Router();
+
+// All routes require an authenticated admin
+router.use(authenticate);
+router.use(requireAdmin);
+
+/**
+ * @route   GET /api/v1/prompt
+ * @desc    List registry prompts and what each one serves
+ * @access  Private (Admin)
+ */
+router.get('/', promptController.listPrompts);
+
+/**
+ * @route   GET /api/v1/prompt/:name
+ * @desc    Get prompt with all versions
+ * @access  Private (Admin)
+ */
+router.get('/:name',
+  validateParams(promptValidation.promptNameParamSchema),
+  promptController.getPrompt
+);
+
+/**
+ * @route   POST /api/v1/prompt/:name/versions
+ * @desc    Create a new immutable prompt version
+ * @access  Private (Admin)
+ */
+router.post('/:name/versions',
+  validateParams(promptValidation.promptNameParamSchema),
+  validateBody(promptValidation.createVersionSchema),
+  promptController.createVersion
+);
+
+/**
+ * @route   PUT /api/v1/prompt/:name/active
+ * @desc    Serve one version to all users (stops any experiment)
+ * @access  Private (Admin)
+ */
+router.put('/:name/active',
+  validateParams(promptValidation.promptNameParamSchema),
+  validateBody(promptValidation.activateVersionSchema),
+  promptController.activateVersion
+);
+
+/**
+ * @route   PUT /api/v1/prompt/:name/experiment
+ * @desc    Split traffic between versions by percentage
+ * @access  Private (Admin)
+ */
+router.put('/:name/experiment',
+  validateParams(promptValidation.promptNameParamSchema),
+  validateBody(promptValidation.experimentSchema),
+  promptController.startExperiment
+);
+
+/**
+ * @route   DELETE /api/v1/prompt/:name/experiment
+ * @desc    Stop the experiment and serve the active version again
+ * @access  Private (Admin)
+ */
+router.delete('/:name/experiment',
+  validateParams(promptValidation.promptNameParamSchema),
+  promptController.stopExperiment
+);
+
+/**
+ * @route   GET /api/v1/prompt/:name/compare?from=&to=
+ * @desc    Compare versions on completion rate, question count and token cost
+ * @access  Private (Admin)
+ */
+router.get('/:name/compare',
+  validateParams(promptValidation.promptNameParamSchema),
+  validateQuery(promptValidation.compareQuerySchema),
+  promptController.compareVersions
+);
+
+module.exports = router;
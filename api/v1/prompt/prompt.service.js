@@ -0,0 +1,406 @@
+const crypto = require('crypto');
+const Prompt = require('./prompt.model');
+const PromptVersion = require('./promptVersion.model');
+const Assessment = require('../assessment/assessment.model');
+const AssessmentResponse = require('../assessment/assessmentResponse.model');
+const {
+  ASSESSMENT_GENERATION_SYSTEM_PROMPT,
+  createAssessmentGenerationUserPrompt,
+  PROMPT_VERSION,
+} = require('../assessment/prompts/assessmentGeneration');
+const { createNotFoundError, createBadRequestError } = require('../../../middlewares/error.middleware');
+const RESPONSE_TAGS = require('../../../constants/responseTags');
+const { PROMPT_NAMES } = require('../../../constants/llm');
+const { RESPONSE_STATUSES } = require('../../../constants/assessmentResponses');
+const { ASSESSMENT_ORIGINS } = require('../../../constants/assessmentTemplates');
+const logger = require('../../../helpers/logger');
+
+// Prompts shipped with the code, served when the registry has nothing
+// active for a name
+const BUILT_IN_PROMPTS = {
+  [PROMPT_NAMES.ASSESSMENT_GENERATION]: {
+    label: PROMPT_VERSION,
+    systemPrompt: ASSESSMENT_GENERATION_SYSTEM_PROMPT,
+    renderUserPrompt: createAssessmentGenerationUserPrompt,
+  },
+};
+
+// How a prompt was chosen for a request
+const SERVED_BY = {
+  EXPERIMENT: 'experiment',
+  ACTIVE: 'active',
+  BUILT_IN: 'built_in',
+};
+
+/**
+ * Stable bucket in [0, 100) for a user within an experiment
+ * @param {string} seed - Experiment seed (prompt id + start time)
+ * @param {string} userId - User ID
+ * @returns {number} - Bucket
+ */
+const getBucket = (seed, userId) => {
+  const hash = crypto.createHash('sha256').update(`${seed}:${userId}`).digest();
+  return hash.readUInt32BE(0) % 100;
+};
+
+/**
+ * Prompt Registry Service
+ *
+ * Named prompts with immutable, numbered versions. Each name serves either
+ * a traffic split (experiment), a single active version, or the built-in
+ * prompt from the code.
+ */
+const promptService = {
+  /**
+   * Resolve the prompt to use for a user
+   * @param {string} name - Prompt name (see PROMPT_NAMES)
+   * @param {string} userId - User ID, used for experiment bucketing
+   * @returns {Object} - { promptVersionId, promptVersion, systemPrompt, renderUserPrompt, modelParams, servedBy }
+   */
+  async resolvePrompt(name, userId) {
+    try {
+      const prompt = await Prompt.findOne({ name });
+      let versionId = null;
+      let servedBy = SERVED_BY.BUILT_IN;
+
+      if (prompt?.hasExperiment) {
+        const bucket = getBucket(`${prompt._id}:${prompt.experiment.startedAt.getTime()}`, userId);
+        let threshold = 0;
+        const variant = prompt.experiment.variants.find((candidate) => {
+          threshold += candidate.weight;
+          return bucket < threshold;
+        });
+        versionId = variant.version;
+        servedBy = SERVED_BY.EXPERIMENT;
+      } else if (prompt?.activeVersion) {
+        versionId = prompt.activeVersion;
+        servedBy = SERVED_BY.ACTIVE;
+      }
+
+      const version = versionId ? await PromptVersion.findById(versionId) : null;
+
+      if (!version) {
+        const builtIn = BUILT_IN_PROMPTS[name];
+        return {
+          promptVersionId: null,
+          promptVersion: builtIn.label,
+          systemPrompt: builtIn.systemPrompt,
+          renderUserPrompt: builtIn.renderUserPrompt,
+          modelParams: {},
+          servedBy: SERVED_BY.BUILT_IN,
+        };
+      }
+
+      return {
+        promptVersionId: version._id,
+        promptVersion: version.label,
+        systemPrompt: version.systemPrompt,
+        renderUserPrompt: (context) => version.renderUserPrompt(context),
+        modelParams: version.modelParams?.toObject ? version.modelParams.toObject() : version.modelParams,
+        servedBy,
+      };
+    } catch (error) {
+      logger.error('Error resolving prompt:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * List every registry prompt name with its serving configuration
+   * @returns {Array} - Prompt summaries
+   */
+  async listPrompts() {
+    try {
+      const prompts = await Prompt.find().lean();
+      const byName = new Map(prompts.map((prompt) => [prompt.name, prompt]));
+
+      return Object.values(PROMPT_NAMES).map((name) => {
+        const prompt = byName.get(name);
+        return {
+          name,
+          description: prompt?.description || null,
+          activeVersion: prompt?.activeVersion || null,
+          experiment: prompt?.experiment?.variants?.length ? prompt.experiment : null,
+          latestVersion: prompt?.latestVersion || 0,
+          builtInVersion: BUILT_IN_PROMPTS[name].label,
+        };
+      });
+    } catch (error) {
+      logger.error('Error listing prompts:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a prompt with all of its versions
+   * @param {string} name - Prompt name
+   * @returns {Object} - { name, description, activeVersion, experiment, builtInVersion, versions }
+   */
+  async getPrompt(name) {
+    try {
+      const prompt = await Prompt.findOne({ name }).lean();
+      const versions = prompt
+        ? await PromptVersion.find({ prompt: prompt._id }).sort({ version: -1 }).lean()
+        : [];
+
+      return {
+        name,
+        description: prompt?.description || null,
+        activeVersion: prompt?.activeVersion || null,
+        experiment: prompt?.experiment?.variants?.length ? prompt.experiment : null,
+        builtInVersion: BUILT_IN_PROMPTS[name].label,
+        versions,
+      };
+    } catch (error) {
+      logger.error('Error fetching prompt:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a new immutable version of a prompt
+   * The version is not served until it is activated or put in an experiment.
+   * @param {string} name - Prompt name
+   * @param {Object} versionData - { label, systemPrompt, userPromptTemplate, modelParams, notes, description }
+   * @param {string} userId - Admin user ID
+   * @returns {Object} - Created version
+   */
+  async createVersion(name, versionData, userId) {
+    try {
+      const { description, ...fields } = versionData;
+
+      // Reserve the next version number (creates the prompt on first use)
+      const prompt = await Prompt.findOneAndUpdate(
+        { name },
+        {
+          $inc: { latestVersion: 1 },
+          $set: { updatedBy: userId, ...(description !== undefined && { description }) },
+        },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+
+      const version = await PromptVersion.create({
+        ...fields,
+        label: fields.label || `v${prompt.latestVersion}`,
+        prompt: prompt._id,
+        version: prompt.latestVersion,
+        createdBy: userId,
+      });
+
+      logger.info(`Prompt version created: ${name} v${version.version}`, {
+        promptVersionId: version._id,
+      });
+
+      return version;
+    } catch (error) {
+      logger.error('Error creating prompt version:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Serve a single version to all users (stops any experiment)
+   * @param {string} name - Prompt name
+   * @param {string} versionId - Prompt version ID
+   * @param {string} userId - Admin user ID
+   * @returns {Object} - Updated prompt
+   */
+  async activateVersion(name, versionId, userId) {
+    try {
+      const prompt = await this._findPrompt(name);
+      await this._assertVersionsBelong(prompt, [versionId]);
+
+      prompt.activeVersion = versionId;
+      prompt.experiment = { variants: [], startedAt: null };
+      prompt.updatedBy = userId;
+      await prompt.save();
+
+      logger.info(`Prompt version activated: ${name}`, { promptVersionId: versionId, userId });
+
+      return prompt;
+    } catch (error) {
+      logger.error('Error activating prompt version:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Split traffic between versions by percentage
+   * Users are bucketed by a hash of their ID, so each user keeps getting the
+   * same version for the lifetime of the experiment.
+   * @param {string} name - Prompt name
+   * @param {Array} variants - [{ versionId, weight }], weights add up to 100
+   * @param {string} userId - Admin user ID
+   * @returns {Object} - Updated prompt
+   */
+  async startExperiment(name, variants, userId) {
+    try {
+      const prompt = await this._findPrompt(name);
+      await this._assertVersionsBelong(prompt, variants.map((variant) => variant.versionId));
+
+      prompt.experiment = {
+        variants: variants.map(({ versionId, weight }) => ({ version: versionId, weight })),
+        startedAt: new Date(),
+      };
+      prompt.updatedBy = userId;
+      await prompt.save();
+
+      logger.info(`Prompt experiment started: ${name}`, { variants, userId });
+
+      return prompt;
+    } catch (error) {
+      logger.error('Error starting prompt experiment:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Stop the experiment; the active version (or built-in prompt) is served again
+   * @param {string} name - Prompt name
+   * @param {string} userId - Admin user ID
+   * @returns {Object} - Updated prompt
+   */
+  async stopExperiment(name, userId) {
+    try {
+      const prompt = await this._findPrompt(name);
+
+      prompt.experiment = { variants: [], startedAt: null };
+      prompt.updatedBy = userId;
+      await prompt.save();
+
+      logger.info(`Prompt experiment stopped: ${name}`, { userId });
+
+      return prompt;
+    } catch (error) {
+      logger.error('Error stopping prompt experiment:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Compare the versions of a prompt on the assessments generated with them
+   * Assessments generated by the built-in prompt are reported as one row
+   * with a null promptVersionId.
+   * @param {string} name - Prompt name
+   * @param {Object} filters - { from, to }
+   * @returns {Array} - [{ promptVersionId, version, label, assessments, completedResponses, completionRate, avgQuestionCount, avgTokens, totalCost, avgCost }]
+   */
+  async compareVersions(name, filters = {}) {
+    try {
+      const prompt = await Prompt.findOne({ name }).lean();
+      const versions = prompt
+        ? await PromptVersion.find({ prompt: prompt._id }).select('version label').lean()
+        : [];
+
+      // Template assessments have no llmMetadata and would match the null promptVersionId
+      const match = {
+        origin: { $ne: ASSESSMENT_ORIGINS.TEMPLATE },
+        'llmMetadata.promptVersionId': { $in: [...versions.map((version) => version._id), null] },
+      };
+      if (filters.from || filters.to) {
+        match.createdAt = {};
+        if (filters.from) match.createdAt.$gte = new Date(filters.from);
+        if (filters.to) match.createdAt.$lte = new Date(filters.to);
+      }
+
+      const rows = await Assessment.aggregate([
+        { $match: match },
+        {
+          $lookup: {
+            from: AssessmentResponse.collection.name,
+            localField: '_id',
+            foreignField: 'assessment',
+            as: 'responses',
+          },
+        },
+        // Drafts in progress are not completed responses
+        {
+          $addFields: {
+            responses: {
+              $filter: {
+                input: '$responses',
+                cond: { $ne: ['$$this.status', RESPONSE_STATUSES.DRAFT] },
+              },
+            },
+          },
+        },
+        {
+          $group: {
+            _id: { $ifNull: ['$llmMetadata.promptVersionId', null] },
+            assessments: { $sum: 1 },
+            completedResponses: {
+              $sum: { $cond: [{ $gt: [{ $size: '$responses' }, 0] }, 1, 0] },
+            },
+            avgQuestionCount: { $avg: { $size: '$questions' } },
+            avgTokens: { $avg: '$llmMetadata.tokensUsed.total' },
+            totalCost: { $sum: { $ifNull: ['$llmMetadata.cost', 0] } },
+          },
+        },
+      ]);
+
+      const versionsById = new Map(versions.map((version) => [version._id.toString(), version]));
+
+      return rows
+        .map((row) => {
+          const version = row._id ? versionsById.get(row._id.toString()) : null;
+          return {
+            promptVersionId: row._id,
+            version: version?.version || null,
+            label: version ? version.label : `built-in (${BUILT_IN_PROMPTS[name].label})`,
+            assessments: row.assessments,
+            completedResponses: row.completedResponses,
+            completionRate: parseFloat((row.completedResponses / row.assessments).toFixed(4)),
+            avgQuestionCount: parseFloat(row.avgQuestionCount.toFixed(2)),
+            avgTokens: Math.round(row.avgTokens || 0),
+            totalCost: parseFloat(row.totalCost.toFixed(6)),
+            avgCost: parseFloat((row.totalCost / row.assessments).toFixed(6)),
+          };
+        })
+        .sort((a, b) => (b.version || 0) - (a.version || 0));
+    } catch (error) {
+      logger.error('Error comparing prompt versions:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Find a registry prompt or throw
+   * @param {string} name - Prompt name
+   * @returns {Object} - Prompt document
+   * @private
+   */
+  async _findPrompt(name) {
+    const prompt = await Prompt.findOne({ name });
+
+    if (!prompt) {
+      throw createNotFoundError(
+        'Prompt has no versions yet',
+        RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
+      );
+    }
+
+    return prompt;
+  },
+
+  /**
+   * Ensure every version ID belongs to the prompt
+   * @param {Object} prompt - Prompt document
+   * @param {Array} versionIds - Prompt version IDs
+   * @private
+   */
+  async _assertVersionsBelong(prompt, versionIds) {
+    const count = await PromptVersion.countDocuments({
+      _id: { $in: versionIds },
+      prompt: prompt._id,
+    });
+
+    if (count !== new Set(versionIds.map(String)).size) {
+      throw createBadRequestError(
+        `Unknown version for prompt ${prompt.name}`,
+        RESPONSE_TAGS.VALIDATION.INVALID_PARAMETER
+      );
+    }
+  },
+};
+
+module.exports = promptService;
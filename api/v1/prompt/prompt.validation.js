@@ -0,0 +1,67 @@
+const Joi = require('joi');
+const { PROMPT_NAMES, PROMPT_CONTEXT_PLACEHOLDER } = require('../../../constants/llm');
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/);
+
+// Prompt name parameter schema
+const promptNameParamSchema = Joi.object({
+  name: Joi.string().valid(...Object.values(PROMPT_NAMES)).required(),
+});
+
+// Create version schema
+const createVersionSchema = Joi.object({
+  label: Joi.string().trim().max(50).optional(),
+  description: Joi.string().max(500).optional(),
+  systemPrompt: Joi.string().min(1).max(50000).required(),
+  userPromptTemplate: Joi.string().max(20000).required()
+    .custom((value) => {
+      // Thrown rather than a custom message: Joi would treat the braces as a template
+      if (!value.includes(PROMPT_CONTEXT_PLACEHOLDER)) {
+        throw new Error(`must contain ${PROMPT_CONTEXT_PLACEHOLDER}`);
+      }
+      return value;
+    }),
+  modelParams: Joi.object({
+    model: Joi.string().max(100).optional(),
+    temperature: Joi.number().min(0).max(2).optional(),
+    maxTokens: Joi.number().integer().min(1).max(100000).optional(),
+  }).optional(),
+  notes: Joi.string().max(2000).optional(),
+});
+
+// Activate version schema
+const activateVersionSchema = Joi.object({
+  versionId: objectId.required(),
+});
+
+// Experiment schema: distinct versions whose weights add up to 100
+const experimentSchema = Joi.object({
+  variants: Joi.array()
+    .items(Joi.object({
+      versionId: objectId.required(),
+      weight: Joi.number().integer().min(1).max(100).required(),
+    }))
+    .min(2)
+    .unique('versionId')
+    .required()
+    .custom((variants, helpers) => (
+      variants.reduce((sum, variant) => sum + variant.weight, 0) === 100
+        ? variants
+        : helpers.error('any.invalid')
+    ))
+    .messages({ 'any.invalid': 'Variant weights must add up to 100' }),
+});
+
+// Compare query schema
+const compareQuerySchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().min(Joi.ref('from')).optional(),
+});
+
+module.exports = {
+  promptNameParamSchema,
+  createVersionSchema,
+  activateVersionSchema,
+  experimentSchema,
+  compareQuerySchema,
+};
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { PROMPT_CONTEXT_PLACEHOLDER } = require('../../../constants/llm');
+
+/**
+ * Reject any change to an existing version
+ * Versions are referenced by the assessments generated with them, so
+ * editing one would rewrite history; create a new version instead.
+ */
+const rejectUpdate = function(next) {
+  next(new Error('Prompt versions are immutable; create a new version instead'));
+};
+
+// Prompt version schema
+const promptVersionSchema = new mongoose.Schema({
+  prompt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prompt',
+    required: true,
+  },
+  // Sequential per prompt, starting at 1
+  version: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  systemPrompt: {
+    type: String,
+    required: true,
+  },
+  userPromptTemplate: {
+    type: String,
+    required: true,
+    validate: {
+      validator: (template) => template.includes(PROMPT_CONTEXT_PLACEHOLDER),
+      message: `User prompt template must contain ${PROMPT_CONTEXT_PLACEHOLDER}`,
+    },
+  },
+  // Unset values fall back to the provider/model defaults
+  modelParams: {
+    model: { type: String, default: null },
+    temperature: { type: Number, default: null },
+    maxTokens: { type: Number, default: null },
+  },
+  notes: {
+    type: String,
+    default: null,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// Compound indexes
+promptVersionSchema.index({ prompt: 1, version: 1 }, { unique: true });
+
+// Versions are write-once
+promptVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectUpdate(next);
+  }
+  next();
+});
+promptVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectUpdate);
+
+// Render the user prompt for a context
+promptVersionSchema.methods.renderUserPrompt = function(context) {
+  return this.userPromptTemplate.split(PROMPT_CONTEXT_PLACEHOLDER).join(context);
+};
+
+module.exports = mongoose.model('PromptVersion', promptVersionSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const {
+  RED_FLAG_LEVELS,
+  RED_FLAG_SOURCES,
+  ESCALATION_STATUSES,
+} = require('../../../constants/redFlags');
+
+// Rule match that caused the escalation
+const escalationMatchSchema = new mongoose.Schema({
+  ruleCode: {
+    type: String,
+    required: true,
+  },
+  ruleName: {
+    type: String,
+    default: null,
+  },
+  level: {
+    type: String,
+    enum: Object.values(RED_FLAG_LEVELS),
+    required: true,
+  },
+  // Field that matched, e.g. 'symptoms' or 'answers.q3'
+  field: {
+    type: String,
+    default: null,
+  },
+  questionId: {
+    type: String,
+    default: null,
+  },
+  excerpt: {
+    type: String,
+    default: null,
+  },
+}, { _id: false });
+
+// Escalation schema: a red-flag detection awaiting professional review
+const escalationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  healthConcern: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HealthConcern',
+    required: true,
+    index: true,
+  },
+  assessmentResponse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AssessmentResponse',
+    default: null,
+  },
+  source: {
+    type: String,
+    enum: Object.values(RED_FLAG_SOURCES),
+    required: true,
+  },
+  level: {
+    type: String,
+    enum: Object.values(RED_FLAG_LEVELS),
+    required: true,
+  },
+  matches: {
+    type: [escalationMatchSchema],
+    default: [],
+  },
+  status: {
+    type: String,
+    enum: Object.values(ESCALATION_STATUSES),
+    default: ESCALATION_STATUSES.OPEN,
+  },
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  acknowledgedAt: {
+    type: Date,
+    default: null,
+  },
+  note: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Compound indexes
+escalationSchema.index({ status: 1, level: 1, createdAt: -1 });
+escalationSchema.index({ healthConcern: 1, source: 1, status: 1 });
+
+module.exports = mongoose.model('Escalation', escalationSchema);
@@ -0,0 +1,137 @@
+const redFlagService = require('./redFlag.service');
+const { successResponse } = require('../../../helpers/response');
+const HTTP_CODES = require('../../../constants/httpCodes');
+const RESPONSE_TAGS = require('../../../constants/responseTags');
+const { asyncHandler } = require('../../../middlewares/error.middleware');
+const logger = require('../../../helpers/logger');
+
+/**
+ * Red-Flag Controller
+ * Rule management (admin) and escalation review (professional/admin)
+ */
+const redFlagController = {
+  /**
+   * List built-in and custom rules
+   * GET /api/v1/red-flag/rules
+   */
+  listRules: asyncHandler(async (req, res) => {
+    const rules = await redFlagService.listRules();
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Red-flag rules retrieved successfully',
+      rules,
+      RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+    );
+  }),
+
+  /**
+   * Create a custom rule
+   * POST /api/v1/red-flag/rules
+   */
+  createRule: asyncHandler(async (req, res) => {
+    const rule = await redFlagService.createRule(req.body, req.user.userId);
+    
+    logger.info(`Red-flag rule created by admin: ${req.user.userId}`);
+    return successResponse(
+      res,
+      HTTP_CODES.CREATED,
+      'Red-flag rule created successfully',
+      rule,
+      RESPONSE_TAGS.SUCCESS.DATA_CREATED
+    );
+  }),
+
+  /**
+   * Update a custom rule
+   * PUT /api/v1/red-flag/rules/:ruleId
+   */
+  updateRule: asyncHandler(async (req, res) => {
+    const rule = await redFlagService.updateRule(req.params.ruleId, req.body, req.user.userId);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Red-flag rule updated successfully',
+      rule,
+      RESPONSE_TAGS.SUCCESS.DATA_UPDATED
+    );
+  }),
+
+  /**
+   * Deactivate a custom rule
+   * DELETE /api/v1/red-flag/rules/:ruleId
+   */
+  deleteRule: asyncHandler(async (req, res) => {
+    const rule = await redFlagService.deleteRule(req.params.ruleId, req.user.userId);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Red-flag rule deactivated successfully',
+      rule,
+      RESPONSE_TAGS.SUCCESS.DATA_DELETED
+    );
+  }),
+
+  /**
+   * List escalations
+   * GET /api/v1/red-flag/escalations
+   */
+  listEscalations: asyncHandler(async (req, res) => {
+    const { skip, limit } = req.pagination;
+    const { status, level } = req.query;
+    
+    const result = await redFlagService.listEscalations(req.user, {
+      pagination: { skip, limit },
+      status,
+      level,
+    });
+    
+    return res.paginatedResponse(
+      'Escalations retrieved successfully',
+      result.data,
+      result.totalCount,
+      RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+    );
+  }),
+
+  /**
+   * Get an escalation
+   * GET /api/v1/red-flag/escalations/:escalationId
+   */
+  getEscalation: asyncHandler(async (req, res) => {
+    const escalation = await redFlagService.getEscalation(req.user, req.params.escalationId);
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Escalation retrieved successfully',
+      escalation,
+      RESPONSE_TAGS.SUCCESS.DATA_RETRIEVED
+    );
+  }),
+
+  /**
+   * Acknowledge an escalation
+   * PATCH /api/v1/red-flag/escalations/:escalationId/acknowledge
+   */
+  acknowledgeEscalation: asyncHandler(async (req, res) => {
+    const escalation = await redFlagService.acknowledgeEscalation(
+      req.user,
+      req.params.escalationId,
+      req.body.note
+    );
+    
+    return successResponse(
+      res,
+      HTTP_CODES.OK,
+      'Escalation acknowledged successfully',
+      escalation,
+      RESPONSE_TAGS.SUCCESS.DATA_UPDATED
+    );
+  }),
+};
+
+module.exports = redFlagController;
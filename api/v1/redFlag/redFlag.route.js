@@ -0,0 +1,91 @@
+const express = require('express');
+const redFlagController = require('./redFlag.controller');
+const redFlagValidation = require('./redFlag.validation');
+const { validateBody, validateParams, validateQuery } = require('../../../middlewares/validator.middleware');
+const { authenticate } = require('../../../middlewares/auth.middleware');
+const { authorize, requireAdmin } = require('../../../middlewares/rbac.middleware');
+const { paginationMiddleware } = require('../../../middlewares/pagination.middleware');
+const { ROLES } = require('../../../constants/roles');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/red-flag/rules
+ * @desc    List built-in and custom red-flag rules
+ * @access  Private (Admin)
+ */
+router.get('/rules', requireAdmin, redFlagController.listRules);
+
+/**
+ * @route   POST /api/v1/red-flag/rules
+ * @desc    Create a custom red-flag rule
+ * @access  Private (Admin)
+ */
+router.post('/rules',
+  requireAdmin,
+  validateBody(redFlagValidation.createRuleSchema),
+  redFlagController.createRule
+);
+
+/**
+ * @route   PUT /api/v1/red-flag/rules/:ruleId
+ * @desc    Update a custom red-flag rule
+ * @access  Private (Admin)
+ */
+router.put('/rules/:ruleId',
+  requireAdmin,
+  validateParams(redFlagValidation.ruleIdParamSchema),
+  validateBody(redFlagValidation.updateRuleSchema),
+  redFlagController.updateRule
+);
+
+/**
+ * @route   DELETE /api/v1/red-flag/rules/:ruleId
+ * @desc    Deactivate a custom red-flag rule
+ * @access  Private (Admin)
+ */
+router.delete('/rules/:ruleId',
+  requireAdmin,
+  validateParams(redFlagValidation.ruleIdParamSchema),
+  redFlagController.deleteRule
+);
+
+/**
+ * @route   GET /api/v1/red-flag/escalations?page=&limit=&status=&level=
+ * @desc    List red-flag escalations, most recent first (professionals: care-team patients only)
+ * @access  Private (Professional, Admin)
+ */
+router.get('/escalations',
+  authorize([ROLES.PROFESSIONAL, ROLES.ADMIN]),
+  paginationMiddleware,
+  validateQuery(redFlagValidation.escalationQuerySchema),
+  redFlagController.listEscalations
+);
+
+/**
+ * @route   GET /api/v1/red-flag/escalations/:escalationId
+ * @desc    Get a red-flag escalation
+ * @access  Private (Professional, Admin)
+ */
+router.get('/escalations/:escalationId',
+  authorize([ROLES.PROFESSIONAL, ROLES.ADMIN]),
+  validateParams(redFlagValidation.escalationIdParamSchema),
+  redFlagController.getEscalation
+);
+
+/**
+ * @route   PATCH /api/v1/red-flag/escalations/:escalationId/acknowledge
+ * @desc    Acknowledge an open red-flag escalation
+ * @access  Private (Professional, Admin)
+ */
+router.patch('/escalations/:escalationId/acknowledge',
+  authorize([ROLES.PROFESSIONAL, ROLES.ADMIN]),
+  validateParams(redFlagValidation.escalationIdParamSchema),
+  validateBody(redFlagValidation.acknowledgeEscalationSchema),
+  redFlagController.acknowledgeEscalation
+);
+
+module.exports = router;
@@ -0,0 +1,414 @@
+const RedFlagRule = require('./redFlagRule.model');
+const Escalation = require('./escalation.model');
+const careTeamService = require('../careTeam/careTeam.service');
+const RESPONSE_TAGS = require('../../../constants/responseTags');
+const { ROLES } = require('../../../constants/roles');
+const {
+  RED_FLAG_SOURCES,
+  HEALTH_CONCERN_SCREENED_FIELDS,
+  ESCALATION_STATUSES,
+  BUILT_IN_RED_FLAG_RULES,
+} = require('../../../constants/redFlags');
+const {
+  evaluateText,
+  evaluateAnswers,
+  highestLevel,
+  buildAdvisory,
+} = require('../../../helpers/redFlagEngine');
+const {
+  createNotFoundError,
+  createConflictError,
+  createBadRequestError,
+} = require('../../../middlewares/error.middleware');
+const logger = require('../../../helpers/logger');
+
+const BUILT_IN_CODES = new Set(BUILT_IN_RED_FLAG_RULES.map((rule) => rule.code));
+
+/**
+ * Red-Flag Service
+ *
+ * Screens health concerns and submitted assessment responses for red-flag
+ * symptoms. A match flags the record, opens an escalation for professionals
+ * and returns an advisory the API passes back to the patient. Professionals
+ * see the escalations of their care-team patients; admins see all of them.
+ *
+ * Screening never fails the request that triggered it: if persisting the
+ * flag or escalation fails, the error is logged and the advisory is still
+ * returned.
+ */
+const redFlagService = {
+  /**
+   * Built-in rules plus active admin-defined rules
+   * Falls back to the built-in rules if the custom rules cannot be loaded.
+   * @returns {Array} - Rules
+   */
+  async getActiveRules() {
+    try {
+      const customRules = await RedFlagRule.find({ isActive: true }).lean();
+      return [...BUILT_IN_RED_FLAG_RULES, ...customRules];
+    } catch (error) {
+      logger.error('Error loading red-flag rules, using built-in rules only:', error);
+      return BUILT_IN_RED_FLAG_RULES;
+    }
+  },
+
+  /**
+   * Screen a health concern's text fields
+   * @param {Object} healthConcern - Saved HealthConcern document
+   * @param {Object} options - { escalate } (false to only build the advisory)
+   * @returns {Object|null} - Advisory or null
+   */
+  async screenHealthConcern(healthConcern, options = {}) {
+    const { escalate = true } = options;
+    const rules = await this.getActiveRules();
+
+    const fields = {};
+    for (const field of HEALTH_CONCERN_SCREENED_FIELDS) {
+      fields[field] = healthConcern[field];
+    }
+
+    const matches = evaluateText(rules, fields);
+
+    if (matches.length && escalate) {
+      await this._recordDetection(healthConcern, matches, {
+        source: RED_FLAG_SOURCES.HEALTH_CONCERN,
+        user: healthConcern.user._id || healthConcern.user,
+        healthConcern: healthConcern._id,
+      });
+    }
+
+    return buildAdvisory(matches);
+  },
+
+  /**
+   * Screen a submitted assessment response
+   * @param {Object} assessment - Assessment the response answers
+   * @param {Object} assessmentResponse - Saved AssessmentResponse document
+   * @param {Object} options - { answers, notes } to screen only part of the
+   *   response, e.g. what an amendment changed
+   * @returns {Object|null} - Advisory or null
+   */
+  async screenAssessmentResponse(assessment, assessmentResponse, options = {}) {
+    const {
+      answers = assessmentResponse.answers,
+      notes = assessmentResponse.notes,
+    } = options;
+    const rules = await this.getActiveRules();
+
+    const matches = evaluateAnswers(rules, assessment.questions, answers, notes);
+
+    if (matches.length) {
+      await this._recordDetection(assessmentResponse, matches, {
+        source: RED_FLAG_SOURCES.ASSESSMENT_RESPONSE,
+        user: assessmentResponse.user,
+        healthConcern: assessmentResponse.healthConcern,
+        assessmentResponse: assessmentResponse._id,
+      });
+    }
+
+    return buildAdvisory(matches);
+  },
+
+  /**
+   * Flag a record and open (or extend) its escalation
+   * The record's flag only ever escalates; an open escalation for the same
+   * record is extended rather than duplicated.
+   * @param {Object} record - HealthConcern or AssessmentResponse document
+   * @param {Array} matches - Rule matches
+   * @param {Object} target - { source, user, healthConcern, assessmentResponse }
+   * @private
+   */
+  async _recordDetection(record, matches, target) {
+    try {
+      const ruleCodes = [...new Set(matches.map((match) => match.ruleCode))];
+      const previous = record.redFlag?.level ? record.redFlag : null;
+
+      record.redFlag = {
+        level: highestLevel([...matches, ...(previous ? [previous] : [])]),
+        ruleCodes: [...new Set([...(previous?.ruleCodes || []), ...ruleCodes])],
+        detectedAt: previous?.detectedAt || new Date(),
+      };
+      await record.save();
+
+      const escalationMatches = matches.map((match) => ({
+        ruleCode: match.ruleCode,
+        ruleName: match.ruleName,
+        level: match.level,
+        field: match.field,
+        questionId: match.questionId,
+        excerpt: match.excerpt,
+      }));
+
+      const openEscalation = await Escalation.findOne({
+        healthConcern: target.healthConcern,
+        source: target.source,
+        assessmentResponse: target.assessmentResponse || null,
+        status: ESCALATION_STATUSES.OPEN,
+      });
+
+      if (openEscalation) {
+        const known = new Set(openEscalation.matches.map((match) => match.ruleCode));
+        const newMatches = escalationMatches.filter((match) => !known.has(match.ruleCode));
+
+        if (newMatches.length) {
+          openEscalation.matches.push(...newMatches);
+          openEscalation.level = highestLevel(openEscalation.matches);
+          await openEscalation.save();
+          logger.warn(`Red-flag escalation ${openEscalation._id} extended: ${newMatches.map((match) => match.ruleCode).join(', ')}`);
+        }
+        return;
+      }
+
+      const escalation = await Escalation.create({
+        user: target.user,
+        healthConcern: target.healthConcern,
+        assessmentResponse: target.assessmentResponse || null,
+        source: target.source,
+        level: highestLevel(matches),
+        matches: escalationMatches,
+      });
+
+      logger.warn(`Red-flag escalation opened: ${escalation._id}`, {
+        source: target.source,
+        level: escalation.level,
+        ruleCodes,
+      });
+    } catch (error) {
+      logger.error('Error recording red-flag detection:', error);
+    }
+  },
+
+  /**
+   * List built-in and custom rules
+   * @returns {Object} - { builtIn, custom }
+   */
+  async listRules() {
+    try {
+      const custom = await RedFlagRule.find().sort({ createdAt: -1 });
+      return { builtIn: BUILT_IN_RED_FLAG_RULES, custom };
+    } catch (error) {
+      logger.error('Error fetching red-flag rules:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a custom rule
+   * @param {Object} data - Rule fields
+   * @param {string} userId - Admin ID
+   * @returns {Object} - Rule
+   */
+  async createRule(data, userId) {
+    try {
+      const code = data.code.toLowerCase();
+
+      if (BUILT_IN_CODES.has(code) || await RedFlagRule.exists({ code })) {
+        throw createConflictError(
+          `A red-flag rule with code '${code}' already exists`,
+          RESPONSE_TAGS.RESOURCE.ALREADY_EXISTS
+        );
+      }
+
+      const rule = await RedFlagRule.create({
+        ...data,
+        code,
+        createdBy: userId,
+        updatedBy: userId,
+      });
+
+      logger.info(`Red-flag rule created: ${rule.code}`);
+      return rule;
+    } catch (error) {
+      logger.error('Error creating red-flag rule:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a custom rule
+   * The request repeats the rule type so its type-specific fields can be
+   * validated; the type itself cannot change.
+   * @param {string} ruleId - Rule ID
+   * @param {Object} data - Fields to change
+   * @param {string} userId - Admin ID
+   * @returns {Object} - Rule
+   */
+  async updateRule(ruleId, data, userId) {
+    try {
+      const rule = await RedFlagRule.findById(ruleId);
+
+      if (!rule) {
+        throw createNotFoundError(
+          'Red-flag rule not found',
+          RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
+        );
+      }
+
+      const { type, ...fields } = data;
+
+      if (type !== rule.type) {
+        throw createBadRequestError(
+          `Rule type cannot be changed (rule '${rule.code}' is ${rule.type})`,
+          RESPONSE_TAGS.VALIDATION.INVALID_INPUT
+        );
+      }
+
+      Object.assign(rule, fields, { updatedBy: userId });
+      await rule.save();
+
+      logger.info(`Red-flag rule updated: ${rule.code}`);
+      return rule;
+    } catch (error) {
+      logger.error('Error updating red-flag rule:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Deactivate a custom rule
+   * @param {string} ruleId - Rule ID
+   * @param {string} userId - Admin ID
+   * @returns {Object} - Rule
+   */
+  async deleteRule(ruleId, userId) {
+    try {
+      const rule = await RedFlagRule.findById(ruleId);
+
+      if (!rule || !rule.isActive) {
+        throw createNotFoundError(
+          'Red-flag rule not found',
+          RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
+        );
+      }
+
+      rule.isActive = false;
+      rule.updatedBy = userId;
+      await rule.save();
+
+      logger.info(`Red-flag rule deactivated: ${rule.code}`);
+      return rule;
+    } catch (error) {
+      logger.error('Error deleting red-flag rule:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * List escalations, most recent first
+   * @param {Object} requester - Authenticated user ({ userId, role })
+   * @param {Object} options - { pagination: { skip, limit }, status, level }
+   * @returns {Object} - { data, totalCount }
+   */
+  async listEscalations(requester, { pagination, status, level }) {
+    try {
+      const query = await this._escalationScope(requester);
+      if (status) query.status = status;
+      if (level) query.level = level;
+
+      const escalations = await Escalation.find(query)
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .sort({ createdAt: -1 })
+        .populate('user', 'name email')
+        .populate('healthConcern', 'title status')
+        .populate('acknowledgedBy', 'name email');
+
+      const totalCount = await Escalation.countDocuments(query);
+
+      return {
+        data: escalations,
+        totalCount,
+      };
+    } catch (error) {
+      logger.error('Error fetching escalations:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get an escalation
+   * @param {Object} requester - Authenticated user ({ userId, role })
+   * @param {string} escalationId - Escalation ID
+   * @returns {Object} - Escalation
+   */
+  async getEscalation(requester, escalationId) {
+    try {
+      const scope = await this._escalationScope(requester);
+      const escalation = await Escalation.findOne({ _id: escalationId, ...scope })
+        .populate('user', 'name email')
+        .populate('healthConcern')
+        .populate('acknowledgedBy', 'name email');
+
+      if (!escalation) {
+        throw createNotFoundError(
+          'Escalation not found',
+          RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
+        );
+      }
+
+      return escalation;
+    } catch (error) {
+      logger.error('Error fetching escalation:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Acknowledge an open escalation
+   * @param {Object} requester - Authenticated user ({ userId, role })
+   * @param {string} escalationId - Escalation ID
+   * @param {string} note - Optional note
+   * @returns {Object} - Escalation
+   */
+  async acknowledgeEscalation(requester, escalationId, note = null) {
+    try {
+      const scope = await this._escalationScope(requester);
+      const escalation = await Escalation.findOneAndUpdate(
+        { _id: escalationId, ...scope, status: ESCALATION_STATUSES.OPEN },
+        {
+          $set: {
+            status: ESCALATION_STATUSES.ACKNOWLEDGED,
+            acknowledgedBy: requester.userId,
+            acknowledgedAt: new Date(),
+            note,
+          },
+        },
+        { new: true }
+      );
+
+      if (!escalation) {
+        if (await Escalation.exists({ _id: escalationId, ...scope })) {
+          throw createConflictError(
+            'Escalation has already been acknowledged',
+            RESPONSE_TAGS.RESOURCE.CONFLICT
+          );
+        }
+        throw createNotFoundError(
+          'Escalation not found',
+          RESPONSE_TAGS.RESOURCE.RESOURCE_NOT_FOUND
+        );
+      }
+
+      await escalation.populate('acknowledgedBy', 'name email');
+
+      logger.info(`Escalation ${escalationId} acknowledged by ${requester.userId}`);
+      return escalation;
+    } catch (error) {
+      logger.error('Error acknowledging escalation:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Query filter limiting escalations to those the requester may see
+   * @private
+   */
+  async _escalationScope(requester) {
+    if (requester.role === ROLES.ADMIN) return {};
+
+    const patientIds = await careTeamService.getActivePatientIds(requester.userId);
+    return { user: { $in: patientIds } };
+  },
+};
+
+module.exports = redFlagService;
@@ -0,0 +1,108 @@
+const Joi = require('joi');
+const {
+  RED_FLAG_LEVELS,
+  RED_FLAG_RULE_TYPES,
+  ESCALATION_STATUSES,
+} = require('../../../constants/redFlags');
+const { isValidPattern } = require('../../../helpers/redFlagEngine');
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/);
+
+const QUESTION_TYPES = [
+  'long_text',
+  'single_choice',
+  'multi_choice',
+  'numeric',
+  'rating_likert',
+  'rating_numeric',
+  'rating_slider',
+  'rating_frequency',
+];
+
+// Regular expression source that compiles
+const regexPattern = Joi.string().max(200)
+  .custom((value, helpers) => (isValidPattern(value) ? value : helpers.error('any.invalid')))
+  .messages({ 'any.invalid': '{{#label}} must be a valid regular expression' });
+
+const optionValues = Joi.array().items(Joi.string().max(100)).min(1);
+
+// Rule fields; which ones apply depends on the rule type
+const ruleFields = {
+  name: Joi.string().trim().max(100),
+  level: Joi.string().valid(...Object.values(RED_FLAG_LEVELS)),
+  advice: Joi.string().max(500).allow(null),
+  patterns: Joi.array().items(regexPattern).min(1)
+    .when('type', { is: RED_FLAG_RULE_TYPES.KEYWORD, otherwise: Joi.forbidden() }),
+  questionPattern: regexPattern.allow(null)
+    .when('type', { is: RED_FLAG_RULE_TYPES.KEYWORD, then: Joi.forbidden() }),
+  questionTypes: Joi.array().items(Joi.string().valid(...QUESTION_TYPES)).min(1)
+    .when('type', { is: RED_FLAG_RULE_TYPES.KEYWORD, then: Joi.forbidden() }),
+  operator: Joi.string().valid('gt', 'gte', 'lt', 'lte')
+    .when('type', { is: RED_FLAG_RULE_TYPES.NUMERIC_THRESHOLD, otherwise: Joi.forbidden() }),
+  threshold: Joi.number()
+    .when('type', { is: RED_FLAG_RULE_TYPES.NUMERIC_THRESHOLD, otherwise: Joi.forbidden() }),
+  relativeToScale: Joi.boolean()
+    .when('type', { is: RED_FLAG_RULE_TYPES.NUMERIC_THRESHOLD, otherwise: Joi.forbidden() }),
+  values: optionValues
+    .when('type', { is: RED_FLAG_RULE_TYPES.OPTION_VALUE, otherwise: Joi.forbidden() }),
+  exceptValues: optionValues
+    .when('type', { is: RED_FLAG_RULE_TYPES.OPTION_VALUE, otherwise: Joi.forbidden() }),
+  isActive: Joi.boolean(),
+};
+
+// Create rule schema
+const createRuleSchema = Joi.object({
+  code: Joi.string().trim().pattern(/^[a-z0-9_]+$/i).max(50).required(),
+  type: Joi.string().valid(...Object.values(RED_FLAG_RULE_TYPES)).required(),
+  ...ruleFields,
+  name: ruleFields.name.required(),
+  level: ruleFields.level.required(),
+})
+  .when(Joi.object({ type: RED_FLAG_RULE_TYPES.KEYWORD }).unknown(), {
+    then: Joi.object({ patterns: Joi.required() }),
+  })
+  .when(Joi.object({ type: RED_FLAG_RULE_TYPES.NUMERIC_THRESHOLD }).unknown(), {
+    then: Joi.object({ operator: Joi.required(), threshold: Joi.required() }),
+  })
+  .when(Joi.object({ type: RED_FLAG_RULE_TYPES.OPTION_VALUE }).unknown(), {
+    then: Joi.object().xor('values', 'exceptValues'),
+  });
+
+// Update rule schema; code and type are fixed once created, so the type is
+// passed in to check the type-specific fields
+const updateRuleSchema = Joi.object({
+  type: Joi.string().valid(...Object.values(RED_FLAG_RULE_TYPES)).required(),
+  ...ruleFields,
+}).min(2);
+
+// Rule ID parameter schema
+const ruleIdParamSchema = Joi.object({
+  ruleId: objectId.required(),
+});
+
+// Escalation list query schema
+const escalationQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  status: Joi.string().valid(...Object.values(ESCALATION_STATUSES)).optional(),
+  level: Joi.string().valid(...Object.values(RED_FLAG_LEVELS)).optional(),
+});
+
+// Escalation ID parameter schema
+const escalationIdParamSchema = Joi.object({
+  escalationId: objectId.required(),
+});
+
+// Acknowledge escalation schema
+const acknowledgeEscalationSchema = Joi.object({
+  note: Joi.string().trim().max(2000).optional(),
+});
+
+module.exports = {
+  createRuleSchema,
+  updateRuleSchema,
+  ruleIdParamSchema,
+  escalationQuerySchema,
+  escalationIdParamSchema,
+  acknowledgeEscalationSchema,
+};
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const { RED_FLAG_LEVELS, RED_FLAG_RULE_TYPES } = require('../../../constants/redFlags');
+
+// Admin-defined red-flag rule; applied alongside the built-in rules in
+// constants/redFlags.js. Fields used depend on the rule type.
+const redFlagRuleSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  level: {
+    type: String,
+    enum: Object.values(RED_FLAG_LEVELS),
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: Object.values(RED_FLAG_RULE_TYPES),
+    required: true,
+  },
+  // Advice shown to the patient when the rule matches
+  advice: {
+    type: String,
+    default: null,
+  },
+  // keyword: case-insensitive regular expressions
+  patterns: {
+    type: [String],
+    default: undefined,
+  },
+  // numeric_threshold / option_value: regex selecting questions by id or label
+  questionPattern: {
+    type: String,
+    default: null,
+  },
+  questionTypes: {
+    type: [String],
+    default: undefined,
+  },
+  // numeric_threshold
+  operator: {
+    type: String,
+    enum: ['gt', 'gte', 'lt', 'lte', null],
+    default: null,
+  },
+  threshold: {
+    type: Number,
+    default: null,
+  },
+  // Compare the answer as a fraction of the question's min..max scale
+  relativeToScale: {
+    type: Boolean,
+    default: false,
+  },
+  // option_value: match listed values, or anything except the listed values
+  values: {
+    type: [String],
+    default: undefined,
+  },
+  exceptValues: {
+    type: [String],
+    default: undefined,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('RedFlagRule', redFlagRuleSchema);
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const { ROLES } = require('../../../constants/roles');
+const { SUPPORTED_LANGUAGES } = require('../../../constants/languages');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -33,6 +34,20 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null,
   },
+  // Language assessments are generated and shown in; null falls back to
+  // the patient's contact country, then English (see helpers/localization)
+  preferredLanguage: {
+    type: String,
+    enum: [...Object.keys(SUPPORTED_LANGUAGES), null],
+    default: null,
+  },
+  // Organization a professional belongs to; templates can be shared within it
+  organization: {
+    type: String,
+    trim: true,
+    default: null,
+    index: true,
+  },
   isActive: {
     type: Boolean,
     default: true,
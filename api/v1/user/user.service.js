@@ -336,11 +336,13 @@ const userService = {
       }
 
       // Extract user-specific fields
-      const { name, avatar, birthDate, gender, contact, chronicConditions, allergies, emergencyContact, medicalHistory } = profileData;
+      const { name, avatar, preferredLanguage, birthDate, gender, contact, chronicConditions, allergies, emergencyContact, medicalHistory } = profileData;
 
       // Update user fields
       if (name) user.name = name;
       if (avatar) user.avatar = avatar;
+      // null clears the preference (back to the country default)
+      if (preferredLanguage !== undefined) user.preferredLanguage = preferredLanguage;
       await user.save();
 
       // If user is a patient, update patient details
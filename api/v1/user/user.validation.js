@@ -1,5 +1,6 @@
 const Joi = require('joi');
 const { ROLES } = require('../../../constants/roles');
+const { SUPPORTED_LANGUAGES } = require('../../../constants/languages');
 
 // Common validation schemas
 const commonSchemas = {
@@ -10,6 +11,8 @@ const commonSchemas = {
   avatar: Joi.string().uri().optional(),
   isActive: Joi.boolean().optional(),
   isEmailVerified: Joi.boolean().optional(),
+  preferredLanguage: Joi.string().valid(...Object.keys(SUPPORTED_LANGUAGES)).allow(null).optional(),
+  organization: Joi.string().trim().max(100).allow(null).optional(),
 };
 
 // User registration schema
@@ -35,6 +38,7 @@ const updateUserSchema = Joi.object({
   avatar: commonSchemas.avatar,
   isActive: commonSchemas.isActive,
   isEmailVerified: commonSchemas.isEmailVerified,
+  organization: commonSchemas.organization,
 });
 
 // User partial update schema (for PATCH requests)
@@ -46,6 +50,7 @@ const partialUpdateUserSchema = Joi.object({
   avatar: commonSchemas.avatar,
   isActive: commonSchemas.isActive,
   isEmailVerified: commonSchemas.isEmailVerified,
+  organization: commonSchemas.organization,
 });
 
 // Refresh token schema
@@ -92,6 +97,7 @@ const userIdParamSchema = Joi.object({
 // Profile update schema (logged-in user updates their own profile)
 const updateProfileSchema = Joi.object({
   name: commonSchemas.name.optional(),
+  preferredLanguage: commonSchemas.preferredLanguage,
   // Patient-specific fields (from patient.validation.js)
   birthDate: Joi.string().isoDate().optional()
     .messages({
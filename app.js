@@ -21,6 +21,11 @@ const chronicConditionRoutes = require('./api/v1/chronicCondition/chronicConditi
 const allergyRoutes = require('./api/v1/allergy/allergy.route');
 const healthConcernRoutes = require('./api/v1/healthConcern/healthConcern.route');
 const assessmentRoutes = require('./api/v1/assessment/assessment.route');
+const llmUsageRoutes = require('./api/v1/llmUsage/llmUsage.route');
+const promptRoutes = require('./api/v1/prompt/prompt.route');
+const redFlagRoutes = require('./api/v1/redFlag/redFlag.route');
+const auditRoutes = require('./api/v1/audit/audit.route');
+const careTeamRoutes = require('./api/v1/careTeam/careTeam.route');
 
 // Create Express app
 const app = express();
@@ -100,6 +105,11 @@ app.use('/api/v1/chronic-condition', chronicConditionRoutes);
 app.use('/api/v1/allergy', allergyRoutes);
 app.use('/api/v1/health-concern', healthConcernRoutes);
 app.use('/api/v1/assessment', assessmentRoutes);
+app.use('/api/v1/llm-usage', llmUsageRoutes);
+app.use('/api/v1/prompt', promptRoutes);
+app.use('/api/v1/red-flag', redFlagRoutes);
+app.use('/api/v1/audit', auditRoutes);
+app.use('/api/v1/care-team', careTeamRoutes);
 
 // Swagger documentation
 try {
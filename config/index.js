@@ -1,5 +1,29 @@
 require('dotenv').config();
 
+// Integer setting where 0 is meaningful (`|| fallback` would replace it)
+const parseIntSetting = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Decimal setting where 0 is meaningful, e.g. a temperature
+const parseFloatSetting = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Daily/monthly token and cost (USD) limits for one LLM quota scope; 0 disables a limit
+const llmQuotaLimits = (prefix) => ({
+  daily: {
+    tokens: parseInt(process.env[`${prefix}_DAILY_TOKENS`], 10) || 0,
+    cost: parseFloat(process.env[`${prefix}_DAILY_COST`]) || 0,
+  },
+  monthly: {
+    tokens: parseInt(process.env[`${prefix}_MONTHLY_TOKENS`], 10) || 0,
+    cost: parseFloat(process.env[`${prefix}_MONTHLY_COST`]) || 0,
+  },
+});
+
 const config = {
   // Server Configuration
   nodeEnv: process.env.NODE_ENV || 'development',
@@ -46,6 +70,8 @@ const config = {
 
   // LLM Configuration (multi-provider support)
   llm: {
+    // Repair rounds when structured output fails validation (0 disables repairs)
+    maxRepairAttempts: parseIntSetting(process.env.LLM_MAX_REPAIR_ATTEMPTS, 2),
     openai: {
       apiKey: process.env.OPENAI_API_KEY || '',
       // gpt-5.1: Newest flagship model, best for coding and agentic tasks
@@ -58,10 +84,88 @@ const config = {
       // Reasoning effort for gpt-5.1 (low/medium/high)
       reasoningEffort: process.env.OPENAI_REASONING_EFFORT || 'medium',
     },
-    // Future providers can be added here
-    // perplexity: {
-    //   apiKey: process.env.PERPLEXITY_API_KEY || '',
-    // },
+    // Record/replay completions to disk: off | record | replay
+    fixtures: {
+      mode: process.env.LLM_FIXTURE_MODE || 'off',
+      dir: process.env.LLM_FIXTURE_DIR || './fixtures/llm',
+    },
+    // Provider per use case: openai | openai_compatible | template
+    providers: {
+      assessmentGeneration: process.env.LLM_PROVIDER_ASSESSMENT || process.env.LLM_PROVIDER || 'openai',
+      reportGeneration: process.env.LLM_PROVIDER_REPORT || process.env.LLM_PROVIDER || 'openai',
+      assessmentTranslation: process.env.LLM_PROVIDER_TRANSLATION || process.env.LLM_PROVIDER || 'openai',
+      questionRegeneration: process.env.LLM_PROVIDER_QUESTION_REGENERATION || process.env.LLM_PROVIDER_ASSESSMENT || process.env.LLM_PROVIDER || 'openai',
+    },
+    // Any server implementing the OpenAI Chat Completions API (vLLM, Ollama, ...)
+    openaiCompatible: {
+      baseUrl: process.env.LLM_COMPAT_BASE_URL || 'http://localhost:11434/v1',
+      apiKey: process.env.LLM_COMPAT_API_KEY || '',
+      model: process.env.LLM_COMPAT_MODEL || 'llama3.1',
+      maxTokens: parseInt(process.env.LLM_COMPAT_MAX_TOKENS, 10) || 8192,
+      temperature: parseFloatSetting(process.env.LLM_COMPAT_TEMPERATURE, 0.2),
+      timeoutMs: parseInt(process.env.LLM_COMPAT_TIMEOUT_MS, 10) || 120000,
+      supportsJsonSchema: process.env.LLM_COMPAT_JSON_SCHEMA === 'true',
+      // USD per 1M tokens, used for cost estimates
+      pricing: {
+        input: parseFloat(process.env.LLM_COMPAT_PRICE_INPUT) || 0,
+        output: parseFloat(process.env.LLM_COMPAT_PRICE_OUTPUT) || 0,
+      },
+    },
+    // Usage quotas checked before every provider call (UTC day / calendar month)
+    // user: each user's own spend; roles: each user's own spend, with limits
+    // chosen by the user's role (checked in addition to user); global: all
+    // LLM spend
+    quotas: {
+      user: llmQuotaLimits('LLM_QUOTA_USER'),
+      roles: {
+        patient: llmQuotaLimits('LLM_QUOTA_ROLE_PATIENT'),
+        professional: llmQuotaLimits('LLM_QUOTA_ROLE_PROFESSIONAL'),
+        admin: llmQuotaLimits('LLM_QUOTA_ROLE_ADMIN'),
+      },
+      global: llmQuotaLimits('LLM_QUOTA_GLOBAL'),
+    },
+  },
+
+  // PII redaction before LLM calls
+  redaction: {
+    // Key for the identifier fingerprints stored in the audit log
+    fingerprintSecret: process.env.PII_FINGERPRINT_SECRET || 'your-pii-fingerprint-secret-change-in-production',
+  },
+
+  // FHIR R4 export/import
+  fhir: {
+    // Canonical base for our own StructureDefinition extensions
+    extensionBaseUrl: process.env.FHIR_EXTENSION_BASE_URL || 'http://localhost:3000/fhir/StructureDefinition',
+  },
+
+  // Assessment Configuration
+  assessment: {
+    // Background generation jobs (POST /assessment/generate)
+    jobs: {
+      pollIntervalMs: parseInt(process.env.ASSESSMENT_JOB_POLL_INTERVAL_MS, 10) || 2000,
+      concurrency: parseInt(process.env.ASSESSMENT_JOB_CONCURRENCY, 10) || 1,
+      maxAttempts: parseInt(process.env.ASSESSMENT_JOB_MAX_ATTEMPTS, 10) || 2,
+      retryBaseDelayMs: parseInt(process.env.ASSESSMENT_JOB_RETRY_BASE_DELAY_MS, 10) || 10000,
+      // A processing job whose lock is older than this is picked up again
+      lockTimeoutMs: parseInt(process.env.ASSESSMENT_JOB_LOCK_TIMEOUT_MS, 10) || 300000, // 5 minutes
+    },
+    report: {
+      // Automatic attempts before a report is left in 'failed'
+      maxAttempts: parseInt(process.env.REPORT_MAX_ATTEMPTS, 10) || 3,
+      retryBaseDelayMs: parseInt(process.env.REPORT_RETRY_BASE_DELAY_MS, 10) || 5000,
+      // 'processing' reports older than this are considered abandoned
+      staleProcessingMs: parseInt(process.env.REPORT_STALE_PROCESSING_MS, 10) || 600000, // 10 minutes
+    },
+    // Draft responses (PATCH /assessment/:assessmentId/draft)
+    drafts: {
+      // A draft not saved for this long is deleted
+      ttlHours: parseInt(process.env.ASSESSMENT_DRAFT_TTL_HOURS, 10) || 72,
+    },
+    // Amending submitted responses (POST /assessment/response/:responseId/amendments)
+    amendments: {
+      // Patients can amend their answers for this long after submitting
+      gracePeriodHours: parseInt(process.env.ASSESSMENT_AMENDMENT_GRACE_HOURS, 10) || 24,
+    },
   },
 };
 
@@ -0,0 +1,10 @@
+// Changes to a single question of an assessment before answering starts
+const QUESTION_EDIT_ACTIONS = {
+  REGENERATED: 'regenerated',
+  EDITED: 'edited',
+  REMOVED: 'removed',
+};
+
+module.exports = {
+  QUESTION_EDIT_ACTIONS,
+};
@@ -0,0 +1,27 @@
+// Lifecycle of an assessment response
+const RESPONSE_STATUSES = {
+  // Answers saved in progress; no report, review or red-flag screening yet
+  DRAFT: 'draft',
+  SUBMITTED: 'submitted',
+};
+
+// Matches submitted responses, including ones saved before drafts existed
+const SUBMITTED_RESPONSE_FILTER = { status: { $ne: RESPONSE_STATUSES.DRAFT } };
+
+// How a response revision came about
+const REVISION_KINDS = {
+  // The original submission (revision 1)
+  SUBMISSION: 'submission',
+  // Patient changed their answers within the grace period
+  AMENDMENT: 'amendment',
+  // Professional changed answers on the patient's behalf
+  CORRECTION: 'correction',
+  // Professional note on the response; answers unchanged
+  ANNOTATION: 'annotation',
+};
+
+module.exports = {
+  RESPONSE_STATUSES,
+  SUBMITTED_RESPONSE_FILTER,
+  REVISION_KINDS,
+};
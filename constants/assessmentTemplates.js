@@ -0,0 +1,16 @@
+// Where an assessment's questions came from
+const ASSESSMENT_ORIGINS = {
+  GENERATED: 'generated',
+  TEMPLATE: 'template',
+};
+
+// Who can see and assign a template besides its author
+const TEMPLATE_VISIBILITIES = {
+  PRIVATE: 'private',
+  ORGANIZATION: 'organization',
+};
+
+module.exports = {
+  ASSESSMENT_ORIGINS,
+  TEMPLATE_VISIBILITIES,
+};
@@ -0,0 +1,32 @@
+// Audited events
+const AUDIT_ACTIONS = {
+  // Identifiers replaced in an LLM context (values are fingerprinted, never stored)
+  LLM_CONTEXT_REDACTED: 'llm_context_redacted',
+  // Instruction-like patient text neutralized before an LLM call (needs review)
+  SUSPICIOUS_LLM_INPUT: 'suspicious_llm_input',
+  // Model-suggested severity or cooldown overridden by server-side policy
+  GENERATION_POLICY_ENFORCED: 'generation_policy_enforced',
+  // Review status of an assessment response changed by a professional
+  RESPONSE_REVIEW_STATUS_CHANGED: 'response_review_status_changed',
+  // Submitted response amended, corrected or annotated (new revision)
+  RESPONSE_AMENDED: 'response_amended',
+  // Template assessment assigned to a patient by a professional
+  ASSESSMENT_ASSIGNED: 'assessment_assigned',
+  // Assessment cooldown of a health concern overridden or reset by a professional
+  COOLDOWN_OVERRIDE_CHANGED: 'cooldown_override_changed',
+  // Care-team relationship invited, requested, accepted, declined or revoked
+  CARE_TEAM_CHANGED: 'care_team_changed',
+};
+
+// Record types an audit entry can refer to
+const AUDIT_SUBJECT_TYPES = {
+  HEALTH_CONCERN: 'HealthConcern',
+  ASSESSMENT: 'Assessment',
+  ASSESSMENT_RESPONSE: 'AssessmentResponse',
+  CARE_TEAM_MEMBER: 'CareTeamMember',
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDIT_SUBJECT_TYPES,
+};
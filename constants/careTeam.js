@@ -0,0 +1,28 @@
+// Role of a professional within a patient's care team
+const CARE_TEAM_ROLES = {
+  PRIMARY: 'primary',
+  CONSULTANT: 'consultant',
+};
+
+const CARE_TEAM_STATUSES = {
+  // Patient invited the professional; awaiting the professional
+  INVITED: 'invited',
+  // Professional requested access; awaiting the patient
+  REQUESTED: 'requested',
+  ACTIVE: 'active',
+  DECLINED: 'declined',
+  REVOKED: 'revoked',
+};
+
+// Relationships that block a second one between the same two users
+const OPEN_CARE_TEAM_STATUSES = [
+  CARE_TEAM_STATUSES.INVITED,
+  CARE_TEAM_STATUSES.REQUESTED,
+  CARE_TEAM_STATUSES.ACTIVE,
+];
+
+module.exports = {
+  CARE_TEAM_ROLES,
+  CARE_TEAM_STATUSES,
+  OPEN_CARE_TEAM_STATUSES,
+};
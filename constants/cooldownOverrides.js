@@ -0,0 +1,13 @@
+// How a professional overrides the assessment cooldown of a health concern
+const COOLDOWN_OVERRIDE_MODES = {
+  // Next assessment allowed immediately (once)
+  ALLOW_NOW: 'allow_now',
+  // Next assessment allowed from a given date, earlier or later than the cooldown (once)
+  NEXT_ELIGIBLE_AT: 'next_eligible_at',
+  // Fixed number of days between assessments, replacing each assessment's own cooldown
+  INTERVAL: 'interval',
+};
+
+module.exports = {
+  COOLDOWN_OVERRIDE_MODES,
+};
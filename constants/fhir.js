@@ -0,0 +1,53 @@
+// FHIR R4 item type per assessment question type
+const FHIR_ITEM_TYPES = {
+  long_text: 'text',
+  single_choice: 'choice',
+  multi_choice: 'choice',
+  numeric: 'decimal',
+  rating_likert: 'choice',
+  rating_numeric: 'integer',
+  rating_slider: 'decimal',
+  rating_frequency: 'choice',
+};
+
+// enableWhen operator per condition operator; `contains` has no FHIR
+// equivalent for text questions (see FHIR_CUSTOM_EXTENSIONS.CONTAINS_CONDITION)
+const FHIR_OPERATORS = {
+  equals: '=',
+  not_equals: '!=',
+  greater_than: '>',
+  less_than: '<',
+};
+
+// Standard extensions
+const FHIR_EXTENSIONS = {
+  MIN_VALUE: 'http://hl7.org/fhir/StructureDefinition/minValue',
+  MAX_VALUE: 'http://hl7.org/fhir/StructureDefinition/maxValue',
+  SLIDER_STEP: 'http://hl7.org/fhir/StructureDefinition/questionnaire-sliderStepValue',
+  ITEM_CONTROL: 'http://hl7.org/fhir/StructureDefinition/questionnaire-itemControl',
+};
+
+const FHIR_ITEM_CONTROL_SYSTEM = 'http://hl7.org/fhir/questionnaire-item-control';
+
+// Extensions of our own, relative to config.fhir.extensionBaseUrl; they keep
+// what FHIR cannot express so an export can be imported without loss
+const FHIR_CUSTOM_EXTENSIONS = {
+  QUESTION_TYPE: 'assessment-question-type',
+  STEP: 'assessment-step',
+  CONTAINS_CONDITION: 'assessment-contains-condition',
+};
+
+// Option values used for imported FHIR boolean items
+const FHIR_BOOLEAN_OPTIONS = [
+  { id: 'opt_yes', label: 'Yes', value: 'yes' },
+  { id: 'opt_no', label: 'No', value: 'no' },
+];
+
+module.exports = {
+  FHIR_ITEM_TYPES,
+  FHIR_OPERATORS,
+  FHIR_EXTENSIONS,
+  FHIR_ITEM_CONTROL_SYSTEM,
+  FHIR_CUSTOM_EXTENSIONS,
+  FHIR_BOOLEAN_OPTIONS,
+};
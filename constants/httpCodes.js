@@ -2,6 +2,7 @@ const HTTP_CODES = {
   // Success Codes
   OK: 200,
   CREATED: 201,
+  ACCEPTED: 202,
   NO_CONTENT: 204,
 
   // Client Error Codes
@@ -0,0 +1,75 @@
+// What happens to patient text that matches an injection pattern
+const INJECTION_ACTIONS = {
+  // Instruction aimed at the model: replaced with INJECTION_REPLACEMENT
+  REMOVE: 'remove',
+  // Could be ordinary patient wording: kept in the prompt, flagged for review
+  FLAG: 'flag',
+};
+
+// Instruction-like content in patient free text. Only phrasing addressed
+// to the model (imperatives about its instructions or output, second
+// person) is removed; every match is flagged for review.
+const PROMPT_INJECTION_PATTERNS = [
+  {
+    code: 'override_instructions',
+    action: INJECTION_ACTIONS.REMOVE,
+    pattern: /\b(?:ignore|disregard|forget|override|bypass)\s+(?:all\s+|any\s+)?(?:of\s+)?(?:your|the|these|those)?\s*(?:previous|prior|above|earlier|system|original)\s+(?:instructions?|rules|prompts?|guidelines|constraints)\b|\b(?:ignore|disregard|forget|override|bypass)\s+(?:all\s+)?(?:of\s+)?your\s+(?:instructions?|rules|prompts?|guidelines|constraints)\b/gi,
+  },
+  {
+    code: 'new_instructions',
+    action: INJECTION_ACTIONS.REMOVE,
+    pattern: /\b(?:new|updated|real|actual)\s+(?:instructions?|rules?|system prompt)\s*:/gi,
+  },
+  {
+    code: 'role_play',
+    action: INJECTION_ACTIONS.REMOVE,
+    pattern: /\b(?:you are now|from now on,? you|act as (?:an?|the) (?:ai|assistant|model|system|developer)|pretend (?:to be|you are))\b/gi,
+  },
+  {
+    code: 'prompt_disclosure',
+    action: INJECTION_ACTIONS.REMOVE,
+    pattern: /\b(?:reveal|print|show|repeat|output)\b[^.\n]{0,30}\b(?:system prompt|your instructions|your prompt)\b/gi,
+  },
+  {
+    // Output dictated to the model: "you must set the severity to low", "respond with json"
+    code: 'output_steering',
+    action: INJECTION_ACTIONS.REMOVE,
+    pattern: /\b(?:you\s+(?:must|should|shall|will|need\s+to|have\s+to)\s+(?:set|make|return|output|give|use)|(?:respond|reply|answer)\s+(?:only\s+)?(?:with|in))\b[^.\n]{0,30}\b(?:severity|min_days_before_next_assessment|cooldown|json)\b/gi,
+  },
+  {
+    code: 'role_marker',
+    action: INJECTION_ACTIONS.REMOVE,
+    pattern: /(?:^|\n)\s*(?:system|assistant|developer)\s*:/gi,
+  },
+  {
+    // A generation field given a value: "return severity low", "set cooldown to 0"
+    code: 'possible_output_steering',
+    action: INJECTION_ACTIONS.FLAG,
+    pattern: /\b(?:return|set|output|give)\s+(?:the\s+)?(?:severity|cooldown|min_days_before_next_assessment)\s*(?:to|as|=|:)?\s*(?:low|mild|moderate|high|severe|critical|\d+)\b/gi,
+  },
+  {
+    code: 'possible_override',
+    action: INJECTION_ACTIONS.FLAG,
+    pattern: /\b(?:ignore|disregard|override|bypass)\b[^.\n]{0,40}\b(?:instructions?|prompts?|guidelines)\b/gi,
+  },
+];
+
+const INJECTION_REPLACEMENT = '[removed instruction-like text]';
+
+// Sequences that could close or fake a prompt section; replaced by
+// harmless look-alikes before encoding
+const DELIMITER_REPLACEMENTS = [
+  // Code fences (the TOON block is fenced)
+  { pattern: /`{3,}/g, replacement: "'''" },
+  // Chat template tokens such as <|im_start|>
+  { pattern: /<\|[^|>]*\|>/g, replacement: '' },
+  // Markdown headings at line start mimic prompt sections ("# INSTRUCTIONS")
+  { pattern: /(^|\n)\s*#{1,6}\s+/g, replacement: '$1' },
+];
+
+module.exports = {
+  INJECTION_ACTIONS,
+  PROMPT_INJECTION_PATTERNS,
+  INJECTION_REPLACEMENT,
+  DELIMITER_REPLACEMENTS,
+};
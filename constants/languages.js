@@ -0,0 +1,57 @@
+// Languages assessments can be generated and viewed in (ISO 639-1)
+const SUPPORTED_LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  pt: 'Portuguese',
+  it: 'Italian',
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Fallback language by patient contact country (ISO 3166-1 alpha-2) when
+// no preferred language is set
+const COUNTRY_LANGUAGES = {
+  ES: 'es', MX: 'es', AR: 'es', CO: 'es', CL: 'es', PE: 'es', VE: 'es', EC: 'es', UY: 'es',
+  FR: 'fr', BE: 'fr', LU: 'fr', MC: 'fr', SN: 'fr', CI: 'fr',
+  DE: 'de', AT: 'de', LI: 'de',
+  PT: 'pt', BR: 'pt', AO: 'pt', MZ: 'pt',
+  IT: 'it', SM: 'it',
+};
+
+// Option values of the fixed 5-point scales, in scale order
+const SCALE_OPTION_VALUES = {
+  rating_likert: ['not_at_all', 'a_little', 'moderately', 'quite_a_bit', 'extremely'],
+  rating_frequency: ['never', 'rarely', 'sometimes', 'often', 'always'],
+};
+
+// Vetted labels for the fixed 5-point scales, in scale order. Generated
+// likert and frequency questions get these labels (matched by option value)
+// instead of model-written text; option values stay language-neutral.
+const VETTED_SCALE_LABELS = {
+  rating_likert: {
+    en: ['Not at all', 'A little', 'Moderately', 'Quite a bit', 'Extremely'],
+    es: ['Nada', 'Un poco', 'Moderadamente', 'Bastante', 'Extremadamente'],
+    fr: ['Pas du tout', 'Un peu', 'Modérément', 'Beaucoup', 'Extrêmement'],
+    de: ['Überhaupt nicht', 'Ein wenig', 'Mäßig', 'Ziemlich', 'Äußerst'],
+    pt: ['Nada', 'Um pouco', 'Moderadamente', 'Bastante', 'Extremamente'],
+    it: ['Per niente', 'Un po\'', 'Moderatamente', 'Parecchio', 'Estremamente'],
+  },
+  rating_frequency: {
+    en: ['Never', 'Rarely', 'Sometimes', 'Often', 'Always'],
+    es: ['Nunca', 'Rara vez', 'A veces', 'A menudo', 'Siempre'],
+    fr: ['Jamais', 'Rarement', 'Parfois', 'Souvent', 'Toujours'],
+    de: ['Nie', 'Selten', 'Manchmal', 'Oft', 'Immer'],
+    pt: ['Nunca', 'Raramente', 'Às vezes', 'Frequentemente', 'Sempre'],
+    it: ['Mai', 'Raramente', 'A volte', 'Spesso', 'Sempre'],
+  },
+};
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  COUNTRY_LANGUAGES,
+  SCALE_OPTION_VALUES,
+  VETTED_SCALE_LABELS,
+};
@@ -0,0 +1,56 @@
+const LLM_PROVIDERS = {
+  OPENAI: 'openai',
+  OPENAI_COMPATIBLE: 'openai_compatible',
+  TEMPLATE: 'template',
+};
+
+// Features that call an LLM; each can be routed to its own provider
+const LLM_USE_CASES = {
+  ASSESSMENT_GENERATION: 'assessmentGeneration',
+  REPORT_GENERATION: 'reportGeneration',
+  ASSESSMENT_TRANSLATION: 'assessmentTranslation',
+  QUESTION_REGENERATION: 'questionRegeneration',
+};
+
+// Structured-output tasks understood by the rule-based template provider
+const LLM_TASKS = {
+  ASSESSMENT_GENERATION: 'assessment_generation',
+  REPORT_GENERATION: 'report_generation',
+  ASSESSMENT_TRANSLATION: 'assessment_translation',
+  QUESTION_REGENERATION: 'question_regeneration',
+};
+
+// Prompts that can be managed in the prompt registry (see api/v1/prompt)
+const PROMPT_NAMES = {
+  ASSESSMENT_GENERATION: 'assessment_generation',
+};
+
+// Placeholder in registry user prompt templates replaced by the TOON context
+const PROMPT_CONTEXT_PLACEHOLDER = '{{context}}';
+
+// Record/replay of completions (see helpers/llmProviders/fixtures.js)
+const LLM_FIXTURE_MODES = {
+  OFF: 'off',
+  RECORD: 'record',
+  REPLAY: 'replay',
+};
+
+// Outcome of a single provider call in the usage ledger
+const LLM_USAGE_OUTCOMES = {
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  // A transport attempt that failed and was retried by the provider
+  RETRIED: 'retried',
+  // Rejected before calling the provider
+  QUOTA_EXCEEDED: 'quota_exceeded',
+};
+
+module.exports = {
+  LLM_PROVIDERS,
+  LLM_USE_CASES,
+  LLM_TASKS,
+  PROMPT_NAMES,
+  PROMPT_CONTEXT_PLACEHOLDER,
+  LLM_FIXTURE_MODES,
+  LLM_USAGE_OUTCOMES,
+};
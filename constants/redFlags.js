@@ -0,0 +1,181 @@
+// Advisory levels, most urgent last
+const RED_FLAG_LEVELS = {
+  URGENT: 'urgent',
+  EMERGENCY: 'emergency',
+};
+
+const RED_FLAG_RULE_TYPES = {
+  // Regex patterns against free text (health concern fields, long_text answers, notes)
+  KEYWORD: 'keyword',
+  // Numeric answer compared with a threshold
+  NUMERIC_THRESHOLD: 'numeric_threshold',
+  // Choice answer compared with option values
+  OPTION_VALUE: 'option_value',
+};
+
+// Where a red flag was detected
+const RED_FLAG_SOURCES = {
+  HEALTH_CONCERN: 'health_concern',
+  ASSESSMENT_RESPONSE: 'assessment_response',
+};
+
+// Health concern text fields checked against keyword rules
+const HEALTH_CONCERN_SCREENED_FIELDS = ['title', 'chiefComplaint', 'symptoms', 'notes'];
+
+const ESCALATION_STATUSES = {
+  OPEN: 'open',
+  ACKNOWLEDGED: 'acknowledged',
+};
+
+// Patient-facing advisory text per level
+const RED_FLAG_ADVISORIES = {
+  [RED_FLAG_LEVELS.EMERGENCY]: {
+    title: 'Seek emergency care',
+    message: 'Some of what you reported can be a sign of a medical emergency. If you have these symptoms now, call your local emergency number or go to the nearest emergency department. Do not wait for a reply from this service.',
+  },
+  [RED_FLAG_LEVELS.URGENT]: {
+    title: 'Seek medical advice today',
+    message: 'Some of what you reported may need prompt attention. Please contact a healthcare professional today. If your symptoms get worse, call your local emergency number.',
+  },
+};
+
+// Built-in rules; always applied in addition to the rules admins add.
+// Keyword patterns are case-insensitive regular expressions.
+const BUILT_IN_RED_FLAG_RULES = [
+  {
+    code: 'cardiac_chest_pain',
+    name: 'Possible cardiac chest pain',
+    level: RED_FLAG_LEVELS.EMERGENCY,
+    type: RED_FLAG_RULE_TYPES.KEYWORD,
+    patterns: [
+      'crushing (chest )?pain',
+      'chest (pain|pressure|tightness)[^.]{0,40}(arm|jaw|neck|sweat)',
+      'heart attack',
+    ],
+    advice: 'Chest pain that is crushing or spreads to the arm, jaw or neck needs emergency care.',
+  },
+  {
+    code: 'stroke_signs',
+    name: 'Possible stroke',
+    level: RED_FLAG_LEVELS.EMERGENCY,
+    type: RED_FLAG_RULE_TYPES.KEYWORD,
+    patterns: [
+      'face (is )?droop',
+      'slurred speech',
+      'sudden (weakness|numbness)',
+      'one side of (my|the|his|her) (face|body)',
+    ],
+    advice: 'Sudden weakness, facial droop or slurred speech can be a stroke and needs emergency care.',
+  },
+  {
+    code: 'breathing_difficulty',
+    name: 'Severe breathing difficulty',
+    level: RED_FLAG_LEVELS.EMERGENCY,
+    type: RED_FLAG_RULE_TYPES.KEYWORD,
+    patterns: [
+      "(can'?t|cannot|unable to) breathe",
+      'struggling to breathe',
+      'gasping for (air|breath)',
+      'lips (are |turning )?blue',
+    ],
+    advice: 'Severe difficulty breathing needs emergency care.',
+  },
+  {
+    code: 'anaphylaxis',
+    name: 'Possible anaphylaxis',
+    level: RED_FLAG_LEVELS.EMERGENCY,
+    type: RED_FLAG_RULE_TYPES.KEYWORD,
+    patterns: [
+      'throat (is )?(closing|swelling)',
+      'swollen (tongue|throat)',
+      'anaphyla',
+    ],
+    advice: 'Swelling of the throat or tongue can be a severe allergic reaction and needs emergency care.',
+  },
+  {
+    code: 'severe_bleeding',
+    name: 'Serious bleeding',
+    level: RED_FLAG_LEVELS.EMERGENCY,
+    type: RED_FLAG_RULE_TYPES.KEYWORD,
+    patterns: [
+      'vomiting blood',
+      'coughing (up )?blood',
+      "bleeding (that )?(won'?t|will not|doesn'?t|does not) stop",
+    ],
+    advice: 'Vomiting or coughing up blood, or bleeding that will not stop, needs emergency care.',
+  },
+  {
+    code: 'thunderclap_headache',
+    name: 'Sudden severe headache',
+    level: RED_FLAG_LEVELS.EMERGENCY,
+    type: RED_FLAG_RULE_TYPES.KEYWORD,
+    patterns: [
+      'worst headache of (my|his|her) life',
+      'thunderclap headache',
+    ],
+    advice: 'A sudden, severe headache unlike any before needs emergency care.',
+  },
+  {
+    code: 'suicidal_ideation_text',
+    name: 'Thoughts of suicide or self-harm',
+    level: RED_FLAG_LEVELS.EMERGENCY,
+    type: RED_FLAG_RULE_TYPES.KEYWORD,
+    patterns: [
+      'suicid',
+      'kill myself',
+      'end (my|it all|my own) life',
+      'want to die',
+      'better off dead',
+      'self[- ]?harm',
+      '(hurt|harm|cut)(ting)? myself',
+    ],
+    advice: 'If you are thinking about harming yourself, contact a crisis line or emergency services now. You do not have to face this alone.',
+  },
+  {
+    code: 'suicidal_ideation_answer',
+    name: 'Affirmative answer to a self-harm question',
+    level: RED_FLAG_LEVELS.EMERGENCY,
+    type: RED_FLAG_RULE_TYPES.OPTION_VALUE,
+    questionPattern: 'suicid|(kill|hurt|harm)(ing)? (yourself|myself)|end(ing)? (your|my) (own )?life|better off dead|self[- ]?harm',
+    // Any answer other than a clear "no" counts
+    exceptValues: ['no', 'never', 'not_at_all', 'not at all', 'none', '0', 'false'],
+    advice: 'If you are thinking about harming yourself, contact a crisis line or emergency services now. You do not have to face this alone.',
+  },
+  {
+    code: 'loss_of_consciousness',
+    name: 'Fainting or seizure',
+    level: RED_FLAG_LEVELS.URGENT,
+    type: RED_FLAG_RULE_TYPES.KEYWORD,
+    patterns: [
+      'passed out',
+      'faint(ed|ing)',
+      'lost consciousness',
+      'loss of consciousness',
+      'seizure',
+    ],
+    advice: 'Fainting or a seizure should be checked by a healthcare professional today.',
+  },
+  {
+    code: 'severe_pain_score',
+    name: 'Severe pain score',
+    level: RED_FLAG_LEVELS.URGENT,
+    type: RED_FLAG_RULE_TYPES.NUMERIC_THRESHOLD,
+    questionPattern: 'pain',
+    questionTypes: ['rating_numeric'],
+    operator: 'gte',
+    // 90% of the question's scale, e.g. 9 or 10 on a 0-10 scale
+    threshold: 0.9,
+    relativeToScale: true,
+    advice: 'Severe pain should be assessed by a healthcare professional today.',
+  },
+];
+
+module.exports = {
+  RED_FLAG_LEVELS,
+  RED_FLAG_RULE_TYPES,
+  RED_FLAG_SOURCES,
+  HEALTH_CONCERN_SCREENED_FIELDS,
+  ESCALATION_STATUSES,
+  RED_FLAG_ADVISORIES,
+  BUILT_IN_RED_FLAG_RULES,
+};
@@ -0,0 +1,22 @@
+// Identifier types replaced before context is sent to an LLM; each value
+// becomes a placeholder such as [PHONE_1]
+const PII_ENTITY_TYPES = {
+  NAME: 'NAME',
+  EMAIL: 'EMAIL',
+  PHONE: 'PHONE',
+  ADDRESS: 'ADDRESS',
+  ID_NUMBER: 'ID_NUMBER',
+};
+
+// How an identifier was found
+const REDACTION_SOURCES = {
+  // Value from the user's account or patient profile
+  KNOWN: 'known',
+  // Pattern detector match in free text
+  PATTERN: 'pattern',
+};
+
+module.exports = {
+  PII_ENTITY_TYPES,
+  REDACTION_SOURCES,
+};
@@ -21,6 +21,7 @@ const RESPONSE_TAGS = {
     DATA_CREATED: 'DATA_CREATED',
     DATA_UPDATED: 'DATA_UPDATED',
     DATA_DELETED: 'DATA_DELETED',
+    REQUEST_ACCEPTED: 'REQUEST_ACCEPTED',
     HEALTH_CHECK: 'HEALTH_CHECK',
   },
 
@@ -92,6 +93,7 @@ const RESPONSE_TAGS = {
   RATE_LIMIT: {
     RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
     TOO_MANY_REQUESTS: 'TOO_MANY_REQUESTS',
+    LLM_QUOTA_EXCEEDED: 'LLM_QUOTA_EXCEEDED',
   },
 
   // Request Error Tags
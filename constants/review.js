@@ -0,0 +1,40 @@
+// Review state of a submitted assessment response
+const REVIEW_STATUSES = {
+  PENDING: 'pending',
+  IN_REVIEW: 'in_review',
+  REVIEWED: 'reviewed',
+  FOLLOW_UP_REQUIRED: 'follow_up_required',
+  SIGNED_OFF: 'signed_off',
+};
+
+// Outcomes a professional records before signing off
+const REVIEW_DECISIONS = [REVIEW_STATUSES.REVIEWED, REVIEW_STATUSES.FOLLOW_UP_REQUIRED];
+
+// Statuses still in the review queue
+const OPEN_REVIEW_STATUSES = [
+  REVIEW_STATUSES.PENDING,
+  REVIEW_STATUSES.IN_REVIEW,
+  REVIEW_STATUSES.REVIEWED,
+  REVIEW_STATUSES.FOLLOW_UP_REQUIRED,
+];
+
+// Sections of a structured clinical note (SOAP, plus free-form)
+const CLINICAL_NOTE_CATEGORIES = {
+  SUBJECTIVE: 'subjective',
+  OBJECTIVE: 'objective',
+  ASSESSMENT: 'assessment',
+  PLAN: 'plan',
+  GENERAL: 'general',
+};
+
+// Review fields kept from patients: notes and the history comments are
+// written for clinicians
+const PATIENT_HIDDEN_REVIEW_FIELDS = '-review.notes -review.history';
+
+module.exports = {
+  REVIEW_STATUSES,
+  REVIEW_DECISIONS,
+  OPEN_REVIEW_STATUSES,
+  CLINICAL_NOTE_CATEGORIES,
+  PATIENT_HIDDEN_REVIEW_FIELDS,
+};
@@ -0,0 +1,194 @@
+/**
+ * Question Condition Evaluator
+ *
+ * Resolves skip logic for assessment questions. A question with `conditions`
+ * is visible only when ALL of its conditions hold against the submitted
+ * answers and every question it depends on is itself visible.
+ */
+
+const CONDITION_OPERATORS = ['equals', 'not_equals', 'contains', 'greater_than', 'less_than'];
+
+// Question types whose answers can be compared numerically
+const NUMERIC_QUESTION_TYPES = ['numeric', 'rating_numeric', 'rating_slider'];
+
+// Question types whose answers can be searched with `contains`
+const CONTAINS_QUESTION_TYPES = ['multi_choice', 'long_text'];
+
+/**
+ * Compare two scalar values loosely (option values may be stored as strings or numbers)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean}
+ */
+const valuesEqual = (a, b) => String(a) === String(b);
+
+/**
+ * Evaluate a single condition against an answer value
+ * An unanswered controlling question never satisfies a condition.
+ * @param {Object} condition - { questionId, operator, value }
+ * @param {*} answerValue - Answer value for condition.questionId
+ * @returns {boolean}
+ */
+const evaluateCondition = (condition, answerValue) => {
+  if (answerValue === undefined || answerValue === null) {
+    return false;
+  }
+
+  const expected = condition.value;
+
+  switch (condition.operator) {
+    case 'equals':
+      return Array.isArray(answerValue)
+        ? answerValue.some(v => valuesEqual(v, expected))
+        : valuesEqual(answerValue, expected);
+
+    case 'not_equals':
+      return Array.isArray(answerValue)
+        ? !answerValue.some(v => valuesEqual(v, expected))
+        : !valuesEqual(answerValue, expected);
+
+    case 'contains':
+      if (Array.isArray(answerValue)) {
+        return answerValue.some(v => valuesEqual(v, expected));
+      }
+      return String(answerValue).toLowerCase().includes(String(expected).toLowerCase());
+
+    case 'greater_than':
+    case 'less_than': {
+      const actual = Number(answerValue);
+      const threshold = Number(expected);
+      if (Number.isNaN(actual) || Number.isNaN(threshold)) {
+        return false;
+      }
+      return condition.operator === 'greater_than' ? actual > threshold : actual < threshold;
+    }
+
+    default:
+      return false;
+  }
+};
+
+/**
+ * Resolve which questions are visible for a set of answers
+ * @param {Array} questions - Question definitions
+ * @param {Array} answers - Submitted answers ({ questionId, value })
+ * @returns {Set<string>} - IDs of visible questions
+ */
+const resolveVisibleQuestions = (questions, answers) => {
+  const questionsById = new Map(questions.map(q => [q.id, q]));
+  const answersById = new Map(answers.map(a => [a.questionId, a.value]));
+  const visibility = new Map();
+
+  const isVisible = (questionId, trail = new Set()) => {
+    if (visibility.has(questionId)) {
+      return visibility.get(questionId);
+    }
+
+    const question = questionsById.get(questionId);
+
+    // Dangling references and cycles are rejected at generation time;
+    // treat them as hidden here rather than looping forever
+    if (!question || trail.has(questionId)) {
+      return false;
+    }
+
+    const conditions = question.conditions || [];
+    if (conditions.length === 0) {
+      visibility.set(questionId, true);
+      return true;
+    }
+
+    trail.add(questionId);
+    const visible = conditions.every(condition =>
+      isVisible(condition.questionId, trail)
+      && evaluateCondition(condition, answersById.get(condition.questionId))
+    );
+    trail.delete(questionId);
+
+    visibility.set(questionId, visible);
+    return visible;
+  };
+
+  return new Set(questions.filter(q => isVisible(q.id)).map(q => q.id));
+};
+
+/**
+ * Validate the condition graph of a question set
+ * Detects dangling references, self references, cycles and
+ * operators that cannot apply to the referenced question type.
+ * @param {Array} questions - Question definitions
+ * @returns {Object} - { valid, errors }
+ */
+const validateQuestionGraph = (questions) => {
+  const errors = [];
+  const questionsById = new Map(questions.map(q => [q.id, q]));
+
+  for (const question of questions) {
+    for (const condition of question.conditions || []) {
+      const source = questionsById.get(condition.questionId);
+
+      if (condition.questionId === question.id) {
+        errors.push(`Question ${question.id} has a condition on itself`);
+        continue;
+      }
+
+      if (!source) {
+        errors.push(`Question ${question.id} has a condition on unknown question: ${condition.questionId}`);
+        continue;
+      }
+
+      if (!CONDITION_OPERATORS.includes(condition.operator)) {
+        errors.push(`Question ${question.id} uses unknown condition operator: ${condition.operator}`);
+        continue;
+      }
+
+      if (['greater_than', 'less_than'].includes(condition.operator)
+        && !NUMERIC_QUESTION_TYPES.includes(source.type)) {
+        errors.push(`Question ${question.id} uses ${condition.operator} on non-numeric question: ${source.id}`);
+      }
+
+      if (condition.operator === 'contains' && !CONTAINS_QUESTION_TYPES.includes(source.type)) {
+        errors.push(`Question ${question.id} uses contains on ${source.type} question: ${source.id}`);
+      }
+    }
+  }
+
+  // Cycle detection (depth-first search with white/grey/black marking)
+  const state = new Map();
+  const visit = (questionId, path) => {
+    state.set(questionId, 'visiting');
+
+    const question = questionsById.get(questionId);
+    for (const condition of question.conditions || []) {
+      const next = condition.questionId;
+      if (!questionsById.has(next) || next === questionId) continue;
+
+      if (state.get(next) === 'visiting') {
+        const cycle = [...path.slice(path.indexOf(next)), next];
+        errors.push(`Cyclic question conditions: ${cycle.join(' -> ')}`);
+      } else if (!state.has(next)) {
+        visit(next, [...path, next]);
+      }
+    }
+
+    state.set(questionId, 'done');
+  };
+
+  for (const question of questions) {
+    if (!state.has(question.id)) {
+      visit(question.id, [question.id]);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+};
+
+module.exports = {
+  CONDITION_OPERATORS,
+  evaluateCondition,
+  resolveVisibleQuestions,
+  validateQuestionGraph,
+};
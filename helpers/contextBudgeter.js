@@ -0,0 +1,116 @@
+/**
+ * Context Budgeter
+ *
+ * Fits a context object into a token budget before it is encoded, instead
+ * of slicing the encoded string. The context is split into sections, each
+ * with a priority (1 = most important), a minimum allocation and an ordered
+ * list of reducers:
+ *
+ *   {
+ *     key: 'medicalHistory',
+ *     priority: 5,
+ *     minTokens: 40,        // not shortened below this; dropped instead
+ *     required: false,      // required sections are never dropped
+ *     reducers: [
+ *       { action: 'summarized', apply: (value) => smallerValue },
+ *     ],
+ *   }
+ *
+ * While over budget, sections are first reduced from the lowest priority up:
+ * each reducer is applied in turn until the section reaches its minimum (or
+ * runs out of reducers). Only if every section has been reduced and the
+ * context is still over budget are non-required sections dropped, again
+ * lowest priority first. Keys that are not listed as sections are always
+ * kept as they are.
+ */
+
+/**
+ * Tokens taken by one section on its own
+ * @param {Object} context - Context object
+ * @param {string} key - Section key
+ * @param {Function} measure - (context) => tokens
+ * @returns {number}
+ */
+const sectionTokens = (context, key, measure) => {
+  if (context[key] === undefined) return 0;
+  return measure({ [key]: context[key] });
+};
+
+/**
+ * Fit a context object into a token budget
+ * @param {Object} context - Context object (not modified)
+ * @param {Array} sections - Section definitions (see above)
+ * @param {Object} budget - { maxTokens, measure: (context) => tokens }
+ * @returns {Object} - { context, tokenCount, withinBudget, pruned: [{ section, priority, action, tokensBefore, tokensAfter }] }
+ */
+const fitContext = (context, sections, budget) => {
+  const { maxTokens, measure } = budget;
+  const result = { ...context };
+  // section key -> { section, priority, actions, tokensBefore, tokensAfter }
+  const report = new Map();
+
+  let tokenCount = measure(result);
+
+  const byPriority = [...sections]
+    .filter(section => result[section.key] !== undefined)
+    .sort((a, b) => b.priority - a.priority);
+
+  const record = (section, action, tokensBefore, tokensAfter) => {
+    if (!report.has(section.key)) {
+      report.set(section.key, { section: section.key, priority: section.priority, actions: [], tokensBefore });
+    }
+    const entry = report.get(section.key);
+    entry.actions.push(action);
+    entry.tokensAfter = tokensAfter;
+  };
+
+  // 1. Shorten and summarize, down to each section's minimum
+  for (const section of byPriority) {
+    if (tokenCount <= maxTokens) break;
+
+    let tokens = sectionTokens(result, section.key, measure);
+
+    for (const reducer of section.reducers || []) {
+      if (tokenCount <= maxTokens || tokens <= (section.minTokens || 0)) break;
+
+      const reduced = reducer.apply(result[section.key]);
+      if (reduced === undefined || reduced === null) continue;
+
+      const tokensBefore = tokens;
+      result[section.key] = reduced;
+      tokens = sectionTokens(result, section.key, measure);
+      tokenCount = measure(result);
+      record(section, reducer.action, tokensBefore, tokens);
+    }
+  }
+
+  // 2. Drop whole sections
+  for (const section of byPriority) {
+    if (tokenCount <= maxTokens) break;
+    if (section.required) continue;
+
+    const tokensBefore = sectionTokens(result, section.key, measure);
+    delete result[section.key];
+    tokenCount = measure(result);
+    record(section, 'dropped', tokensBefore, 0);
+  }
+
+  const pruned = [...report.values()]
+    .sort((a, b) => b.priority - a.priority)
+    .map(({ actions, ...entry }) => ({
+      ...entry,
+      // The most drastic step taken
+      action: actions[actions.length - 1],
+    }));
+
+  return {
+    context: result,
+    tokenCount,
+    withinBudget: tokenCount <= maxTokens,
+    pruned,
+  };
+};
+
+module.exports = {
+  fitContext,
+};
@@ -0,0 +1,494 @@
+const {
+  FHIR_ITEM_TYPES,
+  FHIR_OPERATORS,
+  FHIR_EXTENSIONS,
+  FHIR_ITEM_CONTROL_SYSTEM,
+  FHIR_CUSTOM_EXTENSIONS,
+  FHIR_BOOLEAN_OPTIONS,
+} = require('../constants/fhir');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('../constants/languages');
+
+/**
+ * FHIR R4 Mapping
+ *
+ * Converts assessments to FHIR `Questionnaire` resources and responses to
+ * `QuestionnaireResponse` resources, and maps an external `Questionnaire`
+ * back to assessment questions. Option values become coding codes, min/max
+ * and slider step use the standard SDC extensions, and conditions become
+ * `enableWhen` (always with enableBehavior `all`, matching our skip logic).
+ * Our question type is kept in an extension of our own so an export
+ * imports without loss; external resources are mapped from the FHIR item
+ * type instead.
+ */
+
+// Item control code per question type
+const ITEM_CONTROLS = {
+  rating_likert: 'radio-button',
+  rating_frequency: 'radio-button',
+  rating_slider: 'slider',
+};
+
+// FHIR item types that cannot be represented as an assessment question
+const UNSUPPORTED_ITEM_TYPES = ['open-choice', 'date', 'dateTime', 'time', 'url', 'attachment', 'reference', 'quantity', 'coding'];
+
+const CONDITION_OPERATORS_BY_FHIR = Object.fromEntries(
+  Object.entries(FHIR_OPERATORS).map(([operator, fhirOperator]) => [fhirOperator, operator])
+);
+
+const hasValue = value => value !== null && value !== undefined;
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const itemControl = code => ({
+  url: FHIR_EXTENSIONS.ITEM_CONTROL,
+  valueCodeableConcept: {
+    coding: [{ system: FHIR_ITEM_CONTROL_SYSTEM, code }],
+  },
+});
+
+const findExtension = (element, url) => (Array.isArray(element.extension) ? element.extension : [])
+  .find(extension => isObject(extension) && extension.url === url);
+
+/**
+ * Entries of a list element in an imported resource
+ * A value that is not an array, or entries that are not objects, are
+ * reported as errors and skipped instead of failing the mapping.
+ * @param {Object} element - Element holding the list
+ * @param {string} key - List property, e.g. 'item' or 'answerOption'
+ * @param {string} where - Error prefix
+ * @param {Array} errors - Errors to append to
+ * @returns {Array} - Object entries
+ */
+const objectEntries = (element, key, where, errors) => {
+  const value = element[key];
+  if (!hasValue(value)) return [];
+
+  if (!Array.isArray(value)) {
+    errors.push(`${where}: ${key} must be an array`);
+    return [];
+  }
+
+  return value.filter((entry, index) => {
+    if (isObject(entry)) return true;
+    errors.push(`${where}: ${key} ${index} must be an object`);
+    return false;
+  });
+};
+
+/**
+ * Typed FHIR value for a question's answer or condition value
+ * @param {string} itemType - FHIR item type of the question
+ * @param {*} value - Answer value
+ * @param {string} prefix - 'value' (answers) or 'answer' (enableWhen)
+ * @param {Object} question - Question (for option labels), optional
+ * @returns {Object} - e.g. { valueCoding: { code, display } }
+ */
+const toTypedValue = (itemType, value, prefix, question = null) => {
+  switch (itemType) {
+    case 'choice': {
+      const option = (question?.options || []).find(opt => String(opt.value) === String(value));
+      return {
+        [`${prefix}Coding`]: {
+          code: String(value),
+          ...(option && prefix === 'value' && { display: option.label }),
+        },
+      };
+    }
+    case 'integer':
+      return { [`${prefix}Integer`]: Number(value) };
+    case 'decimal':
+      return { [`${prefix}Decimal`]: Number(value) };
+    default:
+      return { [`${prefix}String`]: String(value) };
+  }
+};
+
+/**
+ * Map one question to a Questionnaire item
+ * @param {Object} question - Question definition
+ * @param {Map} questionsById - All questions of the assessment, by id
+ * @param {string} extensionBaseUrl - Base of our own extension URLs
+ * @returns {Object} - Questionnaire item
+ */
+const questionToItem = (question, questionsById, extensionBaseUrl) => {
+  const type = FHIR_ITEM_TYPES[question.type];
+  const numberKey = type === 'integer' ? 'valueInteger' : 'valueDecimal';
+  const extension = [
+    { url: `${extensionBaseUrl}/${FHIR_CUSTOM_EXTENSIONS.QUESTION_TYPE}`, valueCode: question.type },
+  ];
+
+  if (hasValue(question.min)) extension.push({ url: FHIR_EXTENSIONS.MIN_VALUE, [numberKey]: question.min });
+  if (hasValue(question.max)) extension.push({ url: FHIR_EXTENSIONS.MAX_VALUE, [numberKey]: question.max });
+  if (hasValue(question.step)) {
+    // The standard slider step is an integer
+    extension.push(Number.isInteger(question.step)
+      ? { url: FHIR_EXTENSIONS.SLIDER_STEP, valueInteger: question.step }
+      : { url: `${extensionBaseUrl}/${FHIR_CUSTOM_EXTENSIONS.STEP}`, valueDecimal: question.step });
+  }
+  if (ITEM_CONTROLS[question.type]) extension.push(itemControl(ITEM_CONTROLS[question.type]));
+
+  const enableWhen = [];
+  for (const condition of question.conditions || []) {
+    const sourceType = FHIR_ITEM_TYPES[questionsById.get(condition.questionId)?.type];
+
+    if (condition.operator === 'contains') {
+      // On choice questions FHIR `=` already matches any selected answer
+      if (sourceType === 'choice') {
+        enableWhen.push({ question: condition.questionId, operator: '=', ...toTypedValue(sourceType, condition.value, 'answer') });
+      } else {
+        extension.push({
+          url: `${extensionBaseUrl}/${FHIR_CUSTOM_EXTENSIONS.CONTAINS_CONDITION}`,
+          extension: [
+            { url: 'question', valueString: condition.questionId },
+            { url: 'value', valueString: String(condition.value) },
+          ],
+        });
+      }
+      continue;
+    }
+
+    enableWhen.push({
+      question: condition.questionId,
+      operator: FHIR_OPERATORS[condition.operator],
+      ...toTypedValue(sourceType, condition.value, 'answer'),
+    });
+  }
+
+  const options = question.options || [];
+
+  return {
+    linkId: question.id,
+    text: question.label,
+    type,
+    required: question.required !== false,
+    ...(question.type === 'multi_choice' && { repeats: true }),
+    extension,
+    ...(enableWhen.length > 0 && { enableWhen }),
+    ...(enableWhen.length > 1 && { enableBehavior: 'all' }),
+    ...(options.length > 0 && {
+      answerOption: options.map(option => ({
+        valueCoding: { code: String(option.value), display: option.label },
+      })),
+    }),
+    ...(question.description && {
+      item: [{
+        linkId: `${question.id}_help`,
+        type: 'display',
+        text: question.description,
+        extension: [itemControl('help')],
+      }],
+    }),
+  };
+};
+
+/**
+ * Build a FHIR R4 Questionnaire
+ * @param {Object} questionnaire - { id, url, status, language, title, description, date, questions }
+ * @param {Object} options - { extensionBaseUrl }
+ * @returns {Object} - Questionnaire resource
+ */
+const toQuestionnaire = (questionnaire, options) => {
+  const { id, url, status = 'active', language, title, description, date, questions } = questionnaire;
+  const questionsById = new Map(questions.map(question => [question.id, question]));
+
+  return {
+    resourceType: 'Questionnaire',
+    id: String(id),
+    ...(url && { url }),
+    ...(language && { language }),
+    status,
+    title,
+    ...(description && { description }),
+    ...(date && { date: new Date(date).toISOString() }),
+    subjectType: ['Patient'],
+    item: questions.map(question => questionToItem(question, questionsById, options.extensionBaseUrl)),
+  };
+};
+
+/**
+ * Build a FHIR R4 QuestionnaireResponse
+ * Only answered questions are included.
+ * @param {Object} questionnaireResponse - { id, questionnaire, subject, authored, questions, answers }
+ * @returns {Object} - QuestionnaireResponse resource
+ */
+const toQuestionnaireResponse = (questionnaireResponse) => {
+  const { id, questionnaire, subject, authored, questions, answers } = questionnaireResponse;
+  const answersById = new Map(answers.map(answer => [answer.questionId, answer.value]));
+
+  const item = [];
+  for (const question of questions) {
+    if (!answersById.has(question.id)) continue;
+
+    const value = answersById.get(question.id);
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length === 0) continue;
+
+    item.push({
+      linkId: question.id,
+      text: question.label,
+      answer: values.map(entry => toTypedValue(FHIR_ITEM_TYPES[question.type], entry, 'value', question)),
+    });
+  }
+
+  return {
+    resourceType: 'QuestionnaireResponse',
+    id: String(id),
+    ...(questionnaire && { questionnaire }),
+    status: 'completed',
+    ...(subject && { subject }),
+    ...(authored && { authored: new Date(authored).toISOString() }),
+    item,
+  };
+};
+
+/**
+ * Value of a min/max/step extension
+ * @returns {number|undefined}
+ */
+const numberExtension = (item, url) => {
+  const extension = findExtension(item, url);
+  return extension ? (extension.valueInteger ?? extension.valueDecimal) : undefined;
+};
+
+/**
+ * Question type for a Questionnaire item
+ * @returns {string|null} - Question type, or null when the item type is unsupported
+ */
+const resolveQuestionType = (item, extensionBaseUrl) => {
+  const declared = findExtension(item, `${extensionBaseUrl}/${FHIR_CUSTOM_EXTENSIONS.QUESTION_TYPE}`)?.valueCode;
+  if (declared && FHIR_ITEM_TYPES[declared] === item.type) return declared;
+
+  const control = findExtension(item, FHIR_EXTENSIONS.ITEM_CONTROL)?.valueCodeableConcept?.coding?.[0]?.code;
+
+  switch (item.type) {
+    case 'string':
+    case 'text':
+      return 'long_text';
+    case 'boolean':
+      return 'single_choice';
+    case 'choice':
+      return item.repeats ? 'multi_choice' : 'single_choice';
+    case 'integer':
+      return 'numeric';
+    case 'decimal':
+      return control === 'slider' ? 'rating_slider' : 'numeric';
+    default:
+      return null;
+  }
+};
+
+/**
+ * Option value of a typed FHIR value (answerOption or enableWhen answer)
+ * @param {Object} element - Element holding a value[x]/answer[x]
+ * @param {string} prefix - 'value' or 'answer'
+ * @returns {Object} - { value, label } or null when the type is unsupported
+ */
+const fromTypedValue = (element, prefix) => {
+  const coding = element[`${prefix}Coding`];
+  if (coding?.code) return { value: coding.code, label: coding.display || coding.code };
+
+  for (const suffix of ['String', 'Integer', 'Decimal']) {
+    if (hasValue(element[`${prefix}${suffix}`])) {
+      const value = element[`${prefix}${suffix}`];
+      return { value, label: String(value) };
+    }
+  }
+
+  if (hasValue(element[`${prefix}Boolean`])) {
+    const option = FHIR_BOOLEAN_OPTIONS[element[`${prefix}Boolean`] ? 0 : 1];
+    return { value: option.value, label: option.label };
+  }
+
+  return null;
+};
+
+/**
+ * Map one Questionnaire item to a question (conditions are mapped separately)
+ * @returns {Object} - { question, errors, warnings }
+ */
+const itemToQuestion = (item, extensionBaseUrl) => {
+  const errors = [];
+  const warnings = [];
+  const where = `Item ${item.linkId}`;
+
+  const type = resolveQuestionType(item, extensionBaseUrl);
+  if (!type) {
+    return { question: null, errors: [`${where}: item type "${item.type}" is not supported`], warnings };
+  }
+
+  objectEntries(item, 'extension', where, errors);
+  if (item.modifierExtension?.length) errors.push(`${where}: modifierExtension is not supported`);
+  if (item.answerValueSet) errors.push(`${where}: answerValueSet is not supported, list the options in answerOption`);
+  if (item.repeats && type !== 'multi_choice') errors.push(`${where}: repeats is only supported on choice items`);
+  if (item.initial?.length) warnings.push(`${where}: initial values are ignored`);
+  if (item.readOnly) warnings.push(`${where}: readOnly is ignored`);
+
+  let options = [];
+  if (item.type === 'boolean') {
+    options = FHIR_BOOLEAN_OPTIONS.map(option => ({ ...option }));
+  } else {
+    objectEntries(item, 'answerOption', where, errors).forEach((answerOption, index) => {
+      const option = fromTypedValue(answerOption, 'value');
+      if (!option) {
+        errors.push(`${where}: answerOption ${index} has an unsupported value type`);
+        return;
+      }
+      options.push({ id: `opt_${index + 1}`, label: option.label, value: String(option.value) });
+    });
+  }
+
+  const description = [];
+  for (const child of objectEntries(item, 'item', where, errors)) {
+    if (child.type === 'display') {
+      description.push(child.text);
+    } else {
+      errors.push(`${where}: nested question ${child.linkId} is not supported`);
+    }
+  }
+
+  let step = numberExtension(item, FHIR_EXTENSIONS.SLIDER_STEP)
+    ?? numberExtension(item, `${extensionBaseUrl}/${FHIR_CUSTOM_EXTENSIONS.STEP}`);
+  if (type === 'rating_slider' && !hasValue(step)) {
+    step = 1;
+    warnings.push(`${where}: slider has no step, using 1`);
+  }
+
+  return {
+    question: {
+      id: item.linkId,
+      type,
+      label: item.text,
+      description: description.filter(Boolean).join('\n') || null,
+      required: item.required === true,
+      options,
+      min: numberExtension(item, FHIR_EXTENSIONS.MIN_VALUE) ?? null,
+      max: numberExtension(item, FHIR_EXTENSIONS.MAX_VALUE) ?? null,
+      step: step ?? null,
+      conditions: [],
+    },
+    errors,
+    warnings,
+  };
+};
+
+/**
+ * Map an item's enableWhen (and our contains extension) to conditions
+ * @returns {Object} - { conditions, errors }
+ */
+const itemConditions = (item, extensionBaseUrl) => {
+  const errors = [];
+  const conditions = [];
+  const where = `Item ${item.linkId}`;
+  const enableWhen = objectEntries(item, 'enableWhen', where, errors);
+
+  if (enableWhen.length > 1 && item.enableBehavior === 'any') {
+    errors.push(`${where}: enableBehavior "any" is not supported, all conditions must hold`);
+  }
+
+  for (const entry of enableWhen) {
+    const operator = CONDITION_OPERATORS_BY_FHIR[entry.operator];
+    const answer = fromTypedValue(entry, 'answer');
+
+    if (!operator) {
+      errors.push(`${where}: enableWhen operator "${entry.operator}" is not supported`);
+    } else if (!answer) {
+      errors.push(`${where}: enableWhen answer type is not supported`);
+    } else {
+      conditions.push({ questionId: entry.question, operator, value: answer.value });
+    }
+  }
+
+  (Array.isArray(item.extension) ? item.extension : [])
+    .filter(extension => isObject(extension) && extension.url === `${extensionBaseUrl}/${FHIR_CUSTOM_EXTENSIONS.CONTAINS_CONDITION}`)
+    .forEach((extension) => {
+      conditions.push({
+        questionId: findExtension(extension, 'question')?.valueString,
+        operator: 'contains',
+        value: findExtension(extension, 'value')?.valueString,
+      });
+    });
+
+  return { conditions, errors };
+};
+
+/**
+ * Map a FHIR R4 Questionnaire to assessment questions
+ * Groups are flattened and display items are skipped (both with a warning);
+ * constructs our questions cannot express, and malformed lists or entries,
+ * are reported as errors. Question definitions are not type-checked here
+ * (see validateQuestionDefinition).
+ * @param {Object} resource - Questionnaire resource
+ * @param {Object} options - { extensionBaseUrl }
+ * @returns {Object} - { value: { name, description, language, questions, source }, errors, warnings }
+ */
+const fromQuestionnaire = (resource, options) => {
+  const { extensionBaseUrl } = options;
+  const errors = [];
+  const warnings = [];
+
+  if (resource?.resourceType !== 'Questionnaire') {
+    return { value: null, errors: ['resourceType must be Questionnaire'], warnings };
+  }
+
+  // Flatten groups into one list of question items
+  const items = [];
+  const collect = (parent, where) => {
+    for (const item of objectEntries(parent, 'item', where, errors)) {
+      if (!item.linkId) {
+        errors.push('Every item requires a linkId');
+      } else if (item.type === 'group') {
+        if (item.enableWhen?.length) errors.push(`Group ${item.linkId}: enableWhen on groups is not supported`);
+        if (item.repeats) errors.push(`Group ${item.linkId}: repeating groups are not supported`);
+        warnings.push(`Group ${item.linkId} was flattened`);
+        collect(item, `Group ${item.linkId}`);
+      } else if (item.type === 'display') {
+        warnings.push(`Display item ${item.linkId} was skipped`);
+      } else {
+        items.push(item);
+      }
+    }
+  };
+  collect(resource, 'Questionnaire');
+
+  const questions = [];
+  for (const item of items) {
+    const mapped = itemToQuestion(item, extensionBaseUrl);
+    errors.push(...mapped.errors);
+    warnings.push(...mapped.warnings);
+    if (!mapped.question) continue;
+
+    const { conditions, errors: conditionErrors } = itemConditions(item, extensionBaseUrl);
+    errors.push(...conditionErrors);
+    questions.push({ ...mapped.question, conditions });
+  }
+
+  if (items.length === 0) errors.push('Questionnaire has no question items');
+
+  const baseLanguage = (typeof resource.language === 'string' ? resource.language : '').split('-')[0].toLowerCase();
+  const language = SUPPORTED_LANGUAGES[baseLanguage] ? baseLanguage : DEFAULT_LANGUAGE;
+  if (resource.language && language !== baseLanguage) {
+    warnings.push(`Language ${resource.language} is not supported, using ${DEFAULT_LANGUAGE}`);
+  }
+
+  return {
+    value: {
+      name: resource.title || resource.name || 'Imported questionnaire',
+      description: resource.description || null,
+      language,
+      questions,
+      source: {
+        format: 'fhir_r4',
+        url: resource.url || null,
+        version: resource.version || null,
+      },
+    },
+    errors,
+    warnings,
+  };
+};
+
+module.exports = {
+  toQuestionnaire,
+  toQuestionnaireResponse,
+  fromQuestionnaire,
+};
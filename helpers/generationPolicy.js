@@ -0,0 +1,91 @@
+/**
+ * Generation Policy
+ *
+ * Server-side limits on what the model may decide for a generated
+ * assessment. The model's severity can be raised to a floor derived from
+ * server data (red flags, patient-reported severity) but never lowered by
+ * it, and the cooldown is clamped to the range of the final severity, so
+ * patient text cannot talk the model out of the cooldown logic.
+ */
+
+// Least to most severe
+const SEVERITY_ORDER = ['low', 'moderate', 'high'];
+
+/**
+ * Severity floor for a health concern
+ * @param {Object} healthConcern - HealthConcern (redFlag, severity)
+ * @returns {Object} - { minSeverity, reason }
+ */
+const resolveSeverityFloor = (healthConcern) => {
+  if (healthConcern?.redFlag?.level) {
+    return { minSeverity: 'high', reason: `red_flag_${healthConcern.redFlag.level}` };
+  }
+  if (healthConcern?.severity === 'severe') {
+    return { minSeverity: 'moderate', reason: 'reported_severe' };
+  }
+  return { minSeverity: 'low', reason: null };
+};
+
+/**
+ * Severity after applying the floor
+ * @param {string} severity - Model-suggested severity
+ * @param {Object} floor - { minSeverity } (see resolveSeverityFloor)
+ * @returns {string}
+ */
+const clampSeverity = (severity, floor) => (
+  SEVERITY_ORDER.indexOf(severity) < SEVERITY_ORDER.indexOf(floor.minSeverity)
+    ? floor.minSeverity
+    : severity
+);
+
+/**
+ * Cooldown clamped to the range of a severity
+ * @param {number} days - Model-suggested cooldown
+ * @param {string} severity - Final severity
+ * @param {Object} severityPolicy - { [severity]: { minCooldownDays, maxCooldownDays } }
+ * @returns {number}
+ */
+const clampCooldown = (days, severity, severityPolicy) => {
+  const range = severityPolicy[severity];
+  if (!range) return days;
+  return Math.min(Math.max(days, range.minCooldownDays), range.maxCooldownDays);
+};
+
+/**
+ * Apply the policy to a generated assessment
+ * @param {Object} data - Generated assessment ({ severity, min_days_before_next_assessment, ... })
+ * @param {Object} floor - Severity floor (see resolveSeverityFloor)
+ * @param {Object} severityPolicy - Cooldown range per severity
+ * @returns {Object} - { data, adjustments: [{ field, from, to, reason }] }
+ */
+const applyGenerationPolicy = (data, floor, severityPolicy) => {
+  const adjustments = [];
+
+  const severity = clampSeverity(data.severity, floor);
+  if (severity !== data.severity) {
+    adjustments.push({ field: 'severity', from: data.severity, to: severity, reason: floor.reason });
+  }
+
+  const cooldown = clampCooldown(data.min_days_before_next_assessment, severity, severityPolicy);
+  if (cooldown !== data.min_days_before_next_assessment) {
+    adjustments.push({
+      field: 'min_days_before_next_assessment',
+      from: data.min_days_before_next_assessment,
+      to: cooldown,
+      reason: `${severity}_cooldown_range`,
+    });
+  }
+
+  return {
+    data: { ...data, severity, min_days_before_next_assessment: cooldown },
+    adjustments,
+  };
+};
+
+module.exports = {
+  SEVERITY_ORDER,
+  resolveSeverityFloor,
+  clampSeverity,
+  clampCooldown,
+  applyGenerationPolicy,
+};
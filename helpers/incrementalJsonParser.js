@@ -0,0 +1,184 @@
+/**
+ * Incremental JSON Parser
+ *
+ * Consumes a JSON object as it is streamed (in arbitrary chunks) and reports
+ * values as soon as they are complete, without waiting for the closing brace:
+ *
+ *   - onProperty(key, value)          a top-level property is complete
+ *   - onArrayItem(key, index, value)  an item of a top-level array is complete
+ *
+ * Text before the opening brace (e.g. a markdown fence) is ignored. Only the
+ * completed values are passed to JSON.parse, so a malformed value throws at
+ * the point it is completed.
+ */
+
+const WHITESPACE = new Set([' ', '\t', '\n', '\r']);
+
+/**
+ * Create an incremental parser
+ * @param {Object} handlers - { onProperty, onArrayItem }
+ * @returns {Object} - { push(chunk), end(), isComplete() }
+ */
+const createIncrementalJsonParser = (handlers = {}) => {
+  const { onProperty = () => {}, onArrayItem = () => {} } = handlers;
+
+  let buffer = '';
+  let position = 0;
+  let complete = false;
+
+  // String scanning state
+  let inString = false;
+  let escaped = false;
+  let stringStart = -1;
+  let stringIsKey = false;
+
+  // One frame per open object/array:
+  // { type, depth, key, index, expectKey, childStart, scalar }
+  const stack = [];
+
+  const top = () => stack[stack.length - 1];
+
+  /**
+   * Report the value that just completed inside a frame
+   * @param {Object} frame - Container holding the value
+   * @param {number} end - Index after the value's last character
+   */
+  const completeChild = (frame, end) => {
+    if (frame.childStart === null) return;
+
+    const start = frame.childStart;
+    frame.childStart = null;
+    frame.scalar = false;
+
+    if (frame.depth === 1 && frame.type === 'object') {
+      onProperty(frame.key, JSON.parse(buffer.slice(start, end)));
+    } else if (frame.depth === 2 && frame.type === 'array') {
+      const parent = stack[stack.length - 2];
+      onArrayItem(parent.key, frame.index, JSON.parse(buffer.slice(start, end)));
+    }
+  };
+
+  const processChar = (char, i) => {
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+        const frame = top();
+        if (stringIsKey) {
+          frame.key = JSON.parse(buffer.slice(stringStart, i + 1));
+        } else if (frame.childStart === stringStart) {
+          completeChild(frame, i + 1);
+        }
+      }
+      return;
+    }
+
+    if (stack.length === 0) {
+      if (complete || char !== '{') return;
+      stack.push({ type: 'object', depth: 1, key: null, index: 0, expectKey: true, childStart: null, scalar: false });
+      return;
+    }
+
+    const frame = top();
+
+    // Scalars (numbers, true, false, null) end at whitespace or a delimiter
+    if (frame.scalar && (WHITESPACE.has(char) || char === ',' || char === '}' || char === ']')) {
+      completeChild(frame, i);
+    }
+
+    if (WHITESPACE.has(char)) return;
+
+    switch (char) {
+      case '"':
+        inString = true;
+        escaped = false;
+        stringStart = i;
+        stringIsKey = frame.type === 'object' && frame.expectKey;
+        if (!stringIsKey && frame.childStart === null) {
+          frame.childStart = i;
+        }
+        break;
+
+      case '{':
+      case '[':
+        if (frame.childStart === null) {
+          frame.childStart = i;
+        }
+        stack.push({
+          type: char === '{' ? 'object' : 'array',
+          depth: frame.depth + 1,
+          key: null,
+          index: 0,
+          expectKey: char === '{',
+          childStart: null,
+          scalar: false,
+        });
+        break;
+
+      case '}':
+      case ']': {
+        stack.pop();
+        const parent = top();
+        if (parent) {
+          completeChild(parent, i + 1);
+        } else {
+          complete = true;
+        }
+        break;
+      }
+
+      case ':':
+        frame.expectKey = false;
+        break;
+
+      case ',':
+        if (frame.type === 'object') {
+          frame.expectKey = true;
+        } else {
+          frame.index += 1;
+        }
+        break;
+
+      default:
+        if (frame.childStart === null) {
+          frame.childStart = i;
+          frame.scalar = true;
+        }
+    }
+  };
+
+  return {
+    /**
+     * Feed the next chunk of text
+     * @param {string} chunk - Streamed text
+     */
+    push(chunk) {
+      buffer += chunk;
+      for (; position < buffer.length; position++) {
+        processChar(buffer[position], position);
+      }
+    },
+
+    /**
+     * Assert the document was complete
+     * @returns {string} - Full text received
+     */
+    end() {
+      if (!complete) {
+        throw new Error('Incomplete JSON: stream ended before the closing brace');
+      }
+      return buffer;
+    },
+
+    isComplete() {
+      return complete;
+    },
+  };
+};
+
+module.exports = {
+  createIncrementalJsonParser,
+};
@@ -0,0 +1,84 @@
+const {
+  INJECTION_ACTIONS,
+  PROMPT_INJECTION_PATTERNS,
+  INJECTION_REPLACEMENT,
+  DELIMITER_REPLACEMENTS,
+} = require('../constants/inputHardening');
+
+/**
+ * Input Hardening
+ *
+ * Neutralizes patient free text before it is interpolated into a prompt:
+ * delimiter sequences that could close or fake a prompt section are
+ * escaped, and instructions addressed to the model (see
+ * PROMPT_INJECTION_PATTERNS) are replaced. Wording that only might be an
+ * instruction is left in place. Every match is reported so the input can be
+ * flagged for review.
+ */
+
+// Longest excerpt of matched text kept in a finding
+const EXCERPT_LENGTH = 80;
+
+/**
+ * Harden one string
+ * @param {string} text - Patient-controlled text
+ * @returns {Object} - { text, matches: [{ code, action, excerpt }] }
+ */
+const hardenText = (text) => {
+  if (typeof text !== 'string' || !text) return { text, matches: [] };
+
+  let result = text;
+  for (const { pattern, replacement } of DELIMITER_REPLACEMENTS) {
+    result = result.replace(pattern, replacement);
+  }
+
+  const matches = [];
+  for (const { code, action, pattern } of PROMPT_INJECTION_PATTERNS) {
+    result = result.replace(pattern, (match) => {
+      matches.push({ code, action, excerpt: match.trim().slice(0, EXCERPT_LENGTH) });
+      if (action === INJECTION_ACTIONS.FLAG) return match;
+      return match.startsWith('\n') ? `\n${INJECTION_REPLACEMENT}` : INJECTION_REPLACEMENT;
+    });
+  }
+
+  return { text: result, matches };
+};
+
+/**
+ * Harden every string in a context object
+ * Dates, numbers and other non-string values are kept as they are.
+ * @param {*} context - Context value
+ * @returns {Object} - { context, findings: [{ field, code, action, excerpt }] } where
+ *   field is the dotted path of the string, e.g. 'healthConcern.notes'
+ */
+const hardenContext = (context) => {
+  const findings = [];
+
+  const walk = (value, path) => {
+    if (typeof value === 'string') {
+      const { text, matches } = hardenText(value);
+      matches.forEach(match => findings.push({ field: path, ...match }));
+      return text;
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => walk(item, path ? `${path}.${index}` : String(index)));
+    }
+    if (value && typeof value === 'object' && value.constructor === Object) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        walk(item, path ? `${path}.${key}` : key),
+      ]));
+    }
+    return value;
+  };
+
+  return {
+    context: walk(context, ''),
+    findings,
+  };
+};
+
+module.exports = {
+  hardenText,
+  hardenContext,
+};
@@ -0,0 +1,105 @@
+/**
+ * Instrument Scoring
+ *
+ * Applies an instrument's declared scoring algorithm (see
+ * api/v1/assessment/instruments) to submitted answers:
+ * - option values map to item scores through `optionScores`
+ * - `reverseItems` are scored as (min + max - score)
+ * - the total and each subscale are sums of their item scores
+ * - the total is placed in the first matching severity band
+ *
+ * Totals are only reported when every scored item was answered; partial
+ * sums are not comparable across visits.
+ */
+
+/**
+ * Lowest and highest score a single item can take
+ * @param {Object} scoring - Instrument scoring definition
+ * @returns {Object} - { min, max }
+ */
+const getItemRange = (scoring) => {
+  const scores = Object.values(scoring.optionScores);
+  return { min: Math.min(...scores), max: Math.max(...scores) };
+};
+
+/**
+ * Score every scored item that has an answer
+ * @param {Object} scoring - Instrument scoring definition
+ * @param {Map} answersById - questionId -> answer value
+ * @returns {Map} - questionId -> item score
+ */
+const scoreItems = (scoring, answersById) => {
+  const { min, max } = getItemRange(scoring);
+  const reverseItems = new Set(scoring.reverseItems || []);
+  const itemScores = new Map();
+
+  for (const itemId of scoring.items) {
+    const score = scoring.optionScores[answersById.get(itemId)];
+    if (score === undefined) continue;
+    itemScores.set(itemId, reverseItems.has(itemId) ? min + max - score : score);
+  }
+
+  return itemScores;
+};
+
+/**
+ * Sum item scores, or null if any item is missing
+ * @param {Array} itemIds - Items to sum
+ * @param {Map} itemScores - questionId -> item score
+ * @returns {number|null}
+ */
+const sumItems = (itemIds, itemScores) => (
+  itemIds.every((id) => itemScores.has(id))
+    ? itemIds.reduce((sum, id) => sum + itemScores.get(id), 0)
+    : null
+);
+
+/**
+ * Find the severity band for a total
+ * @param {Array} bands - [{ min, max, label }]
+ * @param {number|null} total - Total score
+ * @returns {string|null} - Band label
+ */
+const findBand = (bands, total) => {
+  if (total === null) return null;
+  const band = (bands || []).find((b) => total >= b.min && total <= b.max);
+  return band ? band.label : null;
+};
+
+/**
+ * Score one instrument
+ * @param {Object} instrument - Instrument definition
+ * @param {Array} answers - Submitted answers ({ questionId, value })
+ * @returns {Object} - { code, version, name, total, maxTotal, band, subscales, itemScores, answeredItems, totalItems, complete }
+ */
+const scoreInstrument = (instrument, answers) => {
+  const { scoring } = instrument;
+  const answersById = new Map(answers.map((answer) => [answer.questionId, answer.value]));
+  const itemScores = scoreItems(scoring, answersById);
+  const { max } = getItemRange(scoring);
+
+  const total = sumItems(scoring.items, itemScores);
+
+  return {
+    code: instrument.code,
+    version: instrument.version,
+    name: instrument.name,
+    total,
+    maxTotal: scoring.items.length * max,
+    band: findBand(scoring.bands, total),
+    subscales: (scoring.subscales || []).map((subscale) => ({
+      code: subscale.code,
+      name: subscale.name,
+      score: sumItems(subscale.items, itemScores),
+      maxScore: subscale.items.length * max,
+    })),
+    itemScores: Object.fromEntries(itemScores),
+    answeredItems: itemScores.size,
+    totalItems: scoring.items.length,
+    complete: total !== null,
+  };
+};
+
+module.exports = {
+  scoreInstrument,
+};
@@ -0,0 +1,182 @@
+/**
+ * Joi -> JSON Schema Converter
+ *
+ * Derives a JSON Schema from an existing Joi schema so the LLM can be
+ * constrained with structured outputs while Joi stays the single source of
+ * truth for the shape. Supports the subset of Joi used by our validation
+ * files (object, array, string, number, boolean, any, valid(), min/max).
+ *
+ * In strict mode the output follows OpenAI structured-output rules: every
+ * property is listed in `required`, optional properties become nullable and
+ * objects disallow additional properties.
+ */
+
+// Scalar types accepted where Joi uses any()
+const ANY_SCALAR_TYPES = ['string', 'number', 'boolean'];
+
+/**
+ * Find a rule argument on a described Joi schema
+ * @param {Object} description - Joi describe() output
+ * @param {string} ruleName - Rule name (e.g. 'min')
+ * @returns {*} - Rule limit or undefined
+ */
+const getRuleLimit = (description, ruleName) => {
+  const rule = (description.rules || []).find(r => r.name === ruleName);
+  return rule ? rule.args?.limit : undefined;
+};
+
+/**
+ * Add null to a schema's accepted types
+ * @param {Object} schema - JSON Schema fragment
+ * @returns {Object} - Nullable schema fragment
+ */
+const makeNullable = (schema) => {
+  if (schema.anyOf) {
+    return { anyOf: [...schema.anyOf, { type: 'null' }] };
+  }
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (types.includes('null')) return schema;
+
+  const nullable = { ...schema, type: [...types, 'null'] };
+  if (nullable.enum) {
+    nullable.enum = [...nullable.enum, null];
+  }
+  return nullable;
+};
+
+/**
+ * Convert a Joi describe() node to JSON Schema
+ * @param {Object} description - Joi describe() output
+ * @param {Object} options - { strict }
+ * @returns {Object} - JSON Schema fragment
+ */
+const convertDescription = (description, options) => {
+  const { strict } = options;
+  const flags = description.flags || {};
+  let schema;
+
+  switch (description.type) {
+    case 'object': {
+      const properties = {};
+      const required = [];
+
+      for (const [key, child] of Object.entries(description.keys || {})) {
+        const childFlags = child.flags || {};
+        const isRequired = childFlags.presence === 'required';
+        let childSchema = convertDescription(child, options);
+
+        if (strict && !isRequired) {
+          childSchema = makeNullable(childSchema);
+        }
+
+        properties[key] = childSchema;
+        if (strict || isRequired) {
+          required.push(key);
+        }
+      }
+
+      schema = {
+        type: 'object',
+        properties,
+        required,
+        additionalProperties: false,
+      };
+      break;
+    }
+
+    case 'array': {
+      const items = description.items || [];
+      schema = {
+        type: 'array',
+        items: items.length === 1
+          ? convertDescription(items[0], options)
+          : { anyOf: items.map(item => convertDescription(item, options)) },
+      };
+
+      const minItems = getRuleLimit(description, 'min');
+      const maxItems = getRuleLimit(description, 'max');
+      if (minItems !== undefined) schema.minItems = minItems;
+      if (maxItems !== undefined) schema.maxItems = maxItems;
+      break;
+    }
+
+    case 'number': {
+      const isInteger = (description.rules || []).some(r => r.name === 'integer');
+      schema = { type: isInteger ? 'integer' : 'number' };
+
+      const minimum = getRuleLimit(description, 'min');
+      const maximum = getRuleLimit(description, 'max');
+      if (minimum !== undefined) schema.minimum = minimum;
+      if (maximum !== undefined) schema.maximum = maximum;
+      break;
+    }
+
+    case 'string':
+    case 'boolean':
+      schema = { type: description.type };
+      break;
+
+    case 'alternatives':
+      schema = {
+        anyOf: (description.matches || []).map(match => convertDescription(match.schema, options)),
+      };
+      break;
+
+    default:
+      // any() and unknown types accept any scalar
+      schema = { type: [...ANY_SCALAR_TYPES] };
+  }
+
+  // valid(...) lists become enums (null is handled separately)
+  if (flags.only && Array.isArray(description.allow)) {
+    schema.enum = description.allow.filter(value => value !== null);
+  }
+
+  if (Array.isArray(description.allow) && description.allow.includes(null) && !flags.only) {
+    schema = makeNullable(schema);
+  }
+
+  return schema;
+};
+
+/**
+ * Convert a Joi schema to JSON Schema
+ * @param {Object} joiSchema - Joi schema
+ * @param {Object} options - { strict } (default: true)
+ * @returns {Object} - JSON Schema
+ */
+const joiToJsonSchema = (joiSchema, options = {}) => {
+  const { strict = true } = options;
+  return convertDescription(joiSchema.describe(), { strict });
+};
+
+/**
+ * Remove null values recursively
+ * Strict structured outputs return null for optional fields; Joi and
+ * Mongoose expect those fields to be absent instead.
+ * @param {*} value - Parsed LLM output
+ * @returns {*} - Value without null object properties
+ */
+const stripNulls = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(stripNulls);
+  }
+
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, child] of Object.entries(value)) {
+      if (child !== null) {
+        result[key] = stripNulls(child);
+      }
+    }
+    return result;
+  }
+
+  return value;
+};
+
+module.exports = {
+  joiToJsonSchema,
+  stripNulls,
+};
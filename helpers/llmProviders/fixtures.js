@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const logger = require('../logger');
+const { LLM_FIXTURE_MODES } = require('../../constants/llm');
+const { generateStructuredWithRepair } = require('./structuredOutput');
+
+/**
+ * LLM Record/Replay Fixtures
+ *
+ * Wraps a provider's generateCompletion so completions can be captured to
+ * disk (record) and served back without any network call (replay). Fixtures
+ * are keyed by a SHA-256 hash of the request (task, model, JSON schema,
+ * system prompt, user prompt and follow-up messages), one JSON file per hash:
+ *
+ *   <dir>/<hash>.json -> { hash, recordedAt, request, completion }
+ *
+ * Replay never falls through to the live provider: a missing fixture is an
+ * error. Prompts must be reproducible for replay to hit, so seed data used
+ * in the context (dates, names) has to be stable between runs.
+ */
+
+/**
+ * Hash the parts of a completion request that shape the completion
+ * The same prompt sent for another task, model or schema must not replay
+ * the other request's recording.
+ * @param {Object} options - generateCompletion options
+ * @returns {string} - Hex SHA-256 hash
+ */
+const hashPrompt = (options) => {
+  const prompt = JSON.stringify([
+    options.task || null,
+    options.model || null,
+    options.jsonSchema || null,
+    options.systemPrompt || '',
+    options.userPrompt || '',
+    options.messages || [],
+  ]);
+  return crypto.createHash('sha256').update(prompt).digest('hex');
+};
+
+/**
+ * Request options stored alongside a fixture (for humans reviewing diffs)
+ * @param {Object} options - generateCompletion options
+ * @param {string} providerName - Provider that served the request
+ * @returns {Object} - Serializable request summary
+ */
+const describeRequest = (options, providerName) => ({
+  provider: providerName,
+  model: options.model || null,
+  task: options.task || null,
+  maxTokens: options.maxTokens || null,
+  temperature: options.temperature ?? null,
+  jsonMode: options.jsonMode ?? true,
+  jsonSchema: options.jsonSchema?.name || null,
+  systemPrompt: options.systemPrompt,
+  userPrompt: options.userPrompt,
+  messages: options.messages || [],
+});
+
+/**
+ * Wrap a provider with record or replay behaviour
+ * @param {Object} provider - Provider instance
+ * @param {Object} fixtureConfig - config.llm.fixtures { mode, dir }
+ * @returns {Object} - Provider with the same interface
+ */
+const withFixtures = (provider, fixtureConfig) => {
+  const { mode } = fixtureConfig;
+  if (mode !== LLM_FIXTURE_MODES.RECORD && mode !== LLM_FIXTURE_MODES.REPLAY) {
+    return provider;
+  }
+
+  const fixtureDir = path.resolve(fixtureConfig.dir);
+  const fixturePath = (hash) => path.join(fixtureDir, `${hash}.json`);
+  // Requests without a model are served by the provider's default
+  const hashRequest = (options) => hashPrompt({ ...options, model: options.model || provider.model });
+
+  const replayCompletion = async (options) => {
+    const hash = hashRequest(options);
+    let fixture;
+
+    try {
+      fixture = JSON.parse(await fs.promises.readFile(fixturePath(hash), 'utf8'));
+    } catch (error) {
+      const reason = error.code === 'ENOENT' ? 'no fixture recorded' : error.message;
+      logger.error(`LLM fixture miss (${reason}): ${hash}`, {
+        dir: fixtureDir,
+        provider: provider.name,
+        task: options.task,
+      });
+      const missError = new Error(
+        `LLM replay fixture not found for prompt hash ${hash} in ${fixtureDir} (${reason}). Re-record with LLM_FIXTURE_MODE=record.`
+      );
+      missError.code = 'LLM_FIXTURE_MISSING';
+      missError.promptHash = hash;
+      throw missError;
+    }
+
+    logger.info(`Serving LLM completion from fixture: ${hash}`);
+
+    return {
+      ...fixture.completion,
+      fixture: hash,
+    };
+  };
+
+  const writeFixture = async (options, result) => {
+    const hash = hashRequest(options);
+
+    const fixture = {
+      hash,
+      recordedAt: new Date().toISOString(),
+      request: describeRequest({ ...options, model: options.model || provider.model }, provider.name),
+      completion: result,
+    };
+
+    await fs.promises.mkdir(fixtureDir, { recursive: true });
+    await fs.promises.writeFile(fixturePath(hash), `${JSON.stringify(fixture, null, 2)}\n`);
+
+    logger.info(`Recorded LLM fixture: ${hash}`);
+  };
+
+  const recordCompletion = async (options) => {
+    const result = await provider.generateCompletion(options);
+    await writeFixture(options, result);
+    return result;
+  };
+
+  // Streamed completions share fixtures with regular ones: the stored
+  // content is replayed as a single delta
+  const streamCompletion = async (options, onDelta) => {
+    if (mode === LLM_FIXTURE_MODES.REPLAY) {
+      const result = await replayCompletion(options);
+      onDelta(result.content);
+      return result;
+    }
+
+    const result = await provider.streamCompletion(options, onDelta);
+    await writeFixture(options, result);
+    return result;
+  };
+
+  const generateCompletion = mode === LLM_FIXTURE_MODES.REPLAY ? replayCompletion : recordCompletion;
+
+  return {
+    ...provider,
+    generateCompletion,
+    streamCompletion,
+    // Re-run the repair loop on top of the wrapped completion so every
+    // round is recorded or replayed individually
+    generateStructuredOutput: (options) => generateStructuredWithRepair(generateCompletion, {
+      ...options,
+      ...(provider.maxRepairAttempts !== undefined && { maxRepairAttempts: provider.maxRepairAttempts }),
+    }),
+  };
+};
+
+module.exports = {
+  hashPrompt,
+  withFixtures,
+};
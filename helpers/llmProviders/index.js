@@ -0,0 +1,63 @@
+const config = require('../../config');
+const { LLM_PROVIDERS } = require('../../constants/llm');
+const { createOpenAIProvider } = require('./openai.provider');
+const { createOpenAICompatibleProvider } = require('./openaiCompatible.provider');
+const { createTemplateProvider } = require('./template.provider');
+const { withFixtures } = require('./fixtures');
+const { withUsageLedger } = require('./usageLedger');
+const llmUsageService = require('../../api/v1/llmUsage/llmUsage.service');
+
+/**
+ * LLM Provider Registry
+ *
+ * Every provider exposes the same interface:
+ *   name, model,
+ *   generateCompletion(options) -> { content, usage, model, provider, generationTime, cost }
+ *   streamCompletion(options, onDelta) -> same result, deltas forwarded as they arrive
+ *   generateStructuredOutput(options) -> { data, ..., repairAttempts, validationReport }
+ *   countTokens(text), estimateCost(usage), validateConfiguration() -> [errors]
+ *
+ * Providers are created lazily and cached. Each use case (see LLM_USE_CASES)
+ * is mapped to a provider name in config.llm.providers. When
+ * config.llm.fixtures.mode is record or replay, every provider is wrapped
+ * by the fixture layer. The usage ledger layer wraps every provider
+ * outermost, so quotas apply and usage is recorded in all modes.
+ */
+
+const PROVIDER_FACTORIES = {
+  [LLM_PROVIDERS.OPENAI]: () => createOpenAIProvider(config.llm.openai),
+  [LLM_PROVIDERS.OPENAI_COMPATIBLE]: () => createOpenAICompatibleProvider(config.llm.openaiCompatible),
+  [LLM_PROVIDERS.TEMPLATE]: () => createTemplateProvider(),
+};
+
+const providerCache = new Map();
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name (see LLM_PROVIDERS)
+ * @returns {Object} - Provider instance
+ */
+const getProvider = (name = LLM_PROVIDERS.OPENAI) => {
+  if (!providerCache.has(name)) {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    providerCache.set(name, withUsageLedger(withFixtures(factory(), config.llm.fixtures), llmUsageService));
+  }
+  return providerCache.get(name);
+};
+
+/**
+ * Get the provider configured for a use case
+ * @param {string} useCase - Use case (see LLM_USE_CASES)
+ * @returns {Object} - Provider instance
+ */
+const getProviderForUseCase = (useCase) => {
+  return getProvider(config.llm.providers[useCase] || LLM_PROVIDERS.OPENAI);
+};
+
+module.exports = {
+  getProvider,
+  getProviderForUseCase,
+};
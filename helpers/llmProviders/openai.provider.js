@@ -0,0 +1,403 @@
+const OpenAI = require('openai');
+const logger = require('../logger');
+const { countTokens, countMessagesTokens, estimateCost } = require('../tokenCounter');
+const { generateStructuredWithRepair } = require('./structuredOutput');
+const { LLM_PROVIDERS } = require('../../constants/llm');
+
+/**
+ * OpenAI Provider
+ *
+ * Official SDK implementation of the LLM provider interface:
+ * generateCompletion, generateStructuredOutput, countTokens, estimateCost.
+ */
+
+/**
+ * Create the OpenAI provider
+ * @param {Object} providerConfig - config.llm.openai
+ * @returns {Object} - Provider instance
+ */
+const createOpenAIProvider = (providerConfig) => {
+  let openaiClient = null;
+
+  /**
+   * Get or create OpenAI client
+   * @returns {OpenAI} - OpenAI client instance
+   */
+  const getOpenAIClient = () => {
+    if (!openaiClient) {
+      if (!providerConfig.apiKey) {
+        throw new Error('OpenAI API key not configured');
+      }
+
+      openaiClient = new OpenAI({
+        apiKey: providerConfig.apiKey,
+      });
+    }
+    return openaiClient;
+  };
+
+  /**
+   * Build the Chat Completions request body
+   * @param {Object} options - Generation options with model, maxTokens and temperature resolved
+   * @returns {Object} - Request body
+   */
+  const buildCompletionRequest = (options) => {
+    const {
+      systemPrompt,
+      userPrompt,
+      model,
+      maxTokens,
+      temperature,
+      jsonMode = true,
+      jsonSchema = null,
+      messages: followUpMessages = [],
+    } = options;
+
+    // Following OpenAI best practices: use developer role for instructions
+    const messages = [
+      { role: 'developer', content: systemPrompt },
+      { role: 'user', content: userPrompt },
+      ...followUpMessages,
+    ];
+
+    const completionOptions = {
+      model,
+      messages,
+    };
+
+    // For gpt-5.1 and reasoning models, we need MUCH higher limits
+    // because reasoning tokens count against max_completion_tokens
+    // gpt-5.1 can use 4000+ tokens just for reasoning!
+    if (model === 'gpt-5.1') {
+      // Allow 16K tokens: ~8K reasoning + ~8K output
+      completionOptions.max_completion_tokens = Math.max(maxTokens * 4, 16000);
+    } else if (model.startsWith('o1')) {
+      // o1 models also use reasoning tokens
+      completionOptions.max_completion_tokens = Math.max(maxTokens * 3, 12000);
+    } else {
+      completionOptions.max_completion_tokens = maxTokens;
+    }
+
+    // Handle temperature based on model
+    // gpt-5.1 and o1 models use FIXED temperature of 1.0
+    if (model === 'gpt-5.1' || model.startsWith('o1')) {
+      completionOptions.temperature = 1.0; // Fixed for reasoning models
+    } else {
+      completionOptions.temperature = temperature;
+    }
+
+    // Add reasoning effort for gpt-5.1 (configurable reasoning)
+    if (model === 'gpt-5.1' && providerConfig.reasoningEffort) {
+      completionOptions.reasoning_effort = providerConfig.reasoningEffort;
+    }
+
+    // Use structured output mode if supported (latest OpenAI feature)
+    if (jsonSchema) {
+      completionOptions.response_format = {
+        type: 'json_schema',
+        json_schema: {
+          name: jsonSchema.name,
+          schema: jsonSchema.schema,
+          strict: true,
+        },
+      };
+    } else if (jsonMode) {
+      completionOptions.response_format = { type: 'json_object' };
+    }
+
+    return completionOptions;
+  };
+
+  /**
+   * Generate completion using OpenAI
+   * Following OpenAI production best practices:
+   * - Use official SDK
+   * - Implement retries with exponential backoff
+   * - Proper error handling
+   * - Observability (logging)
+   * 
+   * @param {Object} options - Generation options
+   * @param {string} options.systemPrompt - System/developer prompt
+   * @param {string} options.userPrompt - User prompt
+   * @param {string} options.model - Model name (optional, defaults to provider config)
+   * @param {number} options.maxTokens - Max completion tokens (optional)
+   * @param {number} options.temperature - Temperature (optional, defaults to config)
+   * @param {boolean} options.jsonMode - Use JSON mode (optional, default: true)
+   * @param {Object} options.jsonSchema - Strict JSON schema { name, schema } (optional, overrides jsonMode)
+   * @param {Array} options.messages - Extra conversation turns after the user prompt (optional)
+   * @param {number} options.maxRetries - Max retry attempts (optional, default: 3)
+   * @param {Function} options.onRetry - ({ attempt, error }) => void, called before each retry (optional)
+   * @returns {Object} - { content, usage, model, provider, generationTime, cost }
+   */
+  const generateCompletion = async (options) => {
+    const {
+      model = providerConfig.model,
+      maxTokens = providerConfig.maxTokens,
+      temperature = providerConfig.temperature,
+      maxRetries = 3,
+      onRetry = () => {},
+    } = options;
+
+    let lastError;
+
+    // Implement retry with exponential backoff
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+      try {
+        const client = getOpenAIClient();
+
+        const completionOptions = buildCompletionRequest({ ...options, model, maxTokens, temperature });
+
+        // Log token usage before API call (observability)
+        const estimatedTokens = countMessagesTokens(completionOptions.messages, model);
+        logger.info(`Calling OpenAI API (attempt ${attempt + 1}/${maxRetries})`, {
+          model,
+          estimatedTokens,
+        });
+
+        const startTime = Date.now();
+
+        const completion = await client.chat.completions.create(completionOptions);
+
+        const generationTime = Date.now() - startTime;
+
+        // Debug: Log the full response structure
+        logger.debug('OpenAI response structure:', {
+          hasChoices: !!completion.choices,
+          choicesLength: completion.choices?.length,
+          firstChoice: completion.choices?.[0] ? {
+            finishReason: completion.choices[0].finish_reason,
+            hasMessage: !!completion.choices[0].message,
+            messageRole: completion.choices[0].message?.role,
+            hasContent: !!completion.choices[0].message?.content,
+            contentLength: completion.choices[0].message?.content?.length || 0,
+            hasRefusal: !!completion.choices[0].message?.refusal,
+            refusalContent: completion.choices[0].message?.refusal,
+          } : 'NO_CHOICE',
+        });
+
+        const content = completion.choices[0]?.message?.content || '';
+        const refusal = completion.choices[0]?.message?.refusal;
+
+        // Check for refusal
+        if (refusal) {
+          logger.error('OpenAI refused the request:', refusal);
+          throw new Error(`OpenAI refused: ${refusal}`);
+        }
+
+        // Check for empty content
+        if (!content || content.trim() === '') {
+          logger.error('OpenAI returned empty content', {
+            finishReason: completion.choices[0]?.finish_reason,
+            fullResponse: JSON.stringify(completion, null, 2),
+          });
+          throw new Error('OpenAI returned empty content');
+        }
+
+        const usage = {
+          prompt: completion.usage?.prompt_tokens || 0,
+          completion: completion.usage?.completion_tokens || 0,
+          total: completion.usage?.total_tokens || 0,
+        };
+
+        const cost = estimateCost(usage, model);
+
+        logger.info(`OpenAI API call completed in ${generationTime}ms`, {
+          model,
+          tokensUsed: usage.total,
+          cost: cost.totalCost,
+          attempt: attempt + 1,
+          contentLength: content.length,
+        });
+
+        return {
+          content,
+          usage,
+          model: completion.model,
+          provider: LLM_PROVIDERS.OPENAI,
+          generationTime,
+          cost,
+        };
+      } catch (error) {
+        lastError = error;
+
+        // Handle specific OpenAI errors
+        if (error.status === 401) {
+          throw new Error('Invalid OpenAI API key');
+        } else if (error.status === 429 || error.status === 503) {
+          // Rate limit or service unavailable - retry with backoff
+          if (attempt < maxRetries - 1) {
+            const backoffMs = Math.min(1000 * Math.pow(2, attempt), 10000);
+            logger.warn(`Retrying after ${backoffMs}ms due to: ${error.message}`);
+            onRetry({ attempt: attempt + 1, error });
+            await new Promise(resolve => setTimeout(resolve, backoffMs));
+            continue;
+          }
+          throw new Error('OpenAI API rate limit exceeded. Please try again later.');
+        } else if (error.status === 500 || error.status === 502) {
+          // Server error - retry
+          if (attempt < maxRetries - 1) {
+            const backoffMs = Math.min(1000 * Math.pow(2, attempt), 10000);
+            logger.warn(`Retrying after ${backoffMs}ms due to server error`);
+            onRetry({ attempt: attempt + 1, error });
+            await new Promise(resolve => setTimeout(resolve, backoffMs));
+            continue;
+          }
+          throw new Error('OpenAI API server error. Please try again later.');
+        } else if (error.code === 'context_length_exceeded') {
+          throw new Error('Context length exceeded. Please reduce the input size.');
+        }
+
+        // For other errors, don't retry
+        throw new Error(`LLM API error: ${error.message}`);
+      }
+    }
+
+    throw new Error(`LLM API failed after ${maxRetries} attempts: ${lastError.message}`);
+  };
+
+  /**
+   * Stream a completion using OpenAI
+   * Content deltas are passed to `onDelta` as they arrive. Retries only
+   * happen before the first delta; once output has been forwarded a
+   * failure is final.
+   *
+   * @param {Object} options - Same options as generateCompletion
+   * @param {Function} onDelta - (text) => void
+   * @returns {Object} - { content, usage, model, provider, generationTime, cost }
+   */
+  const streamCompletion = async (options, onDelta) => {
+    const {
+      model = providerConfig.model,
+      maxTokens = providerConfig.maxTokens,
+      temperature = providerConfig.temperature,
+      maxRetries = 3,
+      onRetry = () => {},
+    } = options;
+
+    let lastError;
+
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+      let receivedOutput = false;
+
+      try {
+        const client = getOpenAIClient();
+        const completionOptions = {
+          ...buildCompletionRequest({ ...options, model, maxTokens, temperature }),
+          stream: true,
+          stream_options: { include_usage: true },
+        };
+
+        logger.info(`Streaming OpenAI API (attempt ${attempt + 1}/${maxRetries})`, {
+          model,
+          estimatedTokens: countMessagesTokens(completionOptions.messages, model),
+        });
+
+        const startTime = Date.now();
+        const stream = await client.chat.completions.create(completionOptions);
+
+        let content = '';
+        let responseModel = model;
+        let rawUsage = null;
+
+        for await (const chunk of stream) {
+          responseModel = chunk.model || responseModel;
+          if (chunk.usage) {
+            rawUsage = chunk.usage;
+          }
+
+          const delta = chunk.choices?.[0]?.delta;
+          if (delta?.refusal) {
+            throw new Error(`OpenAI refused: ${delta.refusal}`);
+          }
+          if (delta?.content) {
+            receivedOutput = true;
+            content += delta.content;
+            onDelta(delta.content);
+          }
+        }
+
+        if (!content || content.trim() === '') {
+          throw new Error('OpenAI returned empty content');
+        }
+
+        const generationTime = Date.now() - startTime;
+        const usage = {
+          prompt: rawUsage?.prompt_tokens || countMessagesTokens(completionOptions.messages, model),
+          completion: rawUsage?.completion_tokens || countTokens(content, model),
+          total: 0,
+        };
+        usage.total = rawUsage?.total_tokens || usage.prompt + usage.completion;
+
+        const cost = estimateCost(usage, model);
+
+        logger.info(`OpenAI stream completed in ${generationTime}ms`, {
+          model,
+          tokensUsed: usage.total,
+          cost: cost.totalCost,
+        });
+
+        return {
+          content,
+          usage,
+          model: responseModel,
+          provider: LLM_PROVIDERS.OPENAI,
+          generationTime,
+          cost,
+        };
+      } catch (error) {
+        lastError = error;
+
+        if (error.status === 401) {
+          throw new Error('Invalid OpenAI API key');
+        }
+
+        const retryable = [429, 500, 502, 503].includes(error.status);
+        if (retryable && !receivedOutput && attempt < maxRetries - 1) {
+          const backoffMs = Math.min(1000 * Math.pow(2, attempt), 10000);
+          logger.warn(`Retrying stream after ${backoffMs}ms due to: ${error.message}`);
+          onRetry({ attempt: attempt + 1, error });
+          await new Promise(resolve => setTimeout(resolve, backoffMs));
+          continue;
+        }
+
+        throw new Error(`LLM API error: ${error.message}`);
+      }
+    }
+
+    throw new Error(`LLM API failed after ${maxRetries} attempts: ${lastError.message}`);
+  };
+
+  /**
+   * Validate provider configuration
+   * @returns {Array} - Error messages
+   */
+  const validateConfiguration = () => {
+    const errors = [];
+
+    if (!providerConfig.apiKey) {
+      errors.push('OpenAI API key is not configured');
+    }
+
+    if (!providerConfig.model) {
+      errors.push('OpenAI model is not configured');
+    }
+
+    return errors;
+  };
+
+  return {
+    name: LLM_PROVIDERS.OPENAI,
+    model: providerConfig.model,
+    generateCompletion,
+    streamCompletion,
+    generateStructuredOutput: (options) => generateStructuredWithRepair(generateCompletion, options),
+    countTokens: (text, model = providerConfig.model) => countTokens(text, model),
+    estimateCost: (usage, model = providerConfig.model) => estimateCost(usage, model),
+    validateConfiguration,
+    getClient: getOpenAIClient,
+  };
+};
+
+module.exports = {
+  createOpenAIProvider,
+};
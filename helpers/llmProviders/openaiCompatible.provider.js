@@ -0,0 +1,378 @@
+const logger = require('../logger');
+const { countTokens, countMessagesTokens } = require('../tokenCounter');
+const { generateStructuredWithRepair } = require('./structuredOutput');
+const { LLM_PROVIDERS } = require('../../constants/llm');
+
+/**
+ * OpenAI-Compatible HTTP Provider
+ *
+ * Talks to any server exposing the OpenAI Chat Completions API
+ * (vLLM, Ollama, LM Studio, Azure-style gateways...) at a configurable
+ * base URL. Token counts use the tiktoken approximation and cost uses the
+ * configured per-1M-token pricing.
+ */
+
+// Encoding used for token estimates when the remote tokenizer is unknown
+const TOKEN_ESTIMATE_MODEL = 'gpt-4o';
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+/**
+ * Create the OpenAI-compatible provider
+ * @param {Object} providerConfig - config.llm.openaiCompatible
+ * @returns {Object} - Provider instance
+ */
+const createOpenAICompatibleProvider = (providerConfig) => {
+  const baseUrl = (providerConfig.baseUrl || '').replace(/\/+$/, '');
+
+  /**
+   * Estimate cost from configured pricing
+   * @param {Object} usage - { prompt, completion }
+   * @returns {Object} - Cost breakdown
+   */
+  const estimateCost = (usage) => {
+    const pricing = providerConfig.pricing || {};
+    const inputCost = (usage.prompt / 1_000_000) * (pricing.input || 0);
+    const outputCost = (usage.completion / 1_000_000) * (pricing.output || 0);
+
+    return {
+      inputCost: parseFloat(inputCost.toFixed(6)),
+      outputCost: parseFloat(outputCost.toFixed(6)),
+      totalCost: parseFloat((inputCost + outputCost).toFixed(6)),
+      currency: 'USD',
+      model: providerConfig.model,
+    };
+  };
+
+  /**
+   * Build the Chat Completions request body
+   * @param {Object} options - Generation options with model, maxTokens and temperature resolved
+   * @returns {Object} - Request body
+   */
+  const buildRequestBody = (options) => {
+    const {
+      systemPrompt,
+      userPrompt,
+      model,
+      maxTokens,
+      temperature,
+      jsonMode = true,
+      jsonSchema = null,
+      messages: followUpMessages = [],
+    } = options;
+
+    // Most compatible servers do not understand the 'developer' role
+    const body = {
+      model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt },
+        ...followUpMessages,
+      ],
+      max_tokens: maxTokens,
+      temperature,
+    };
+
+    if (jsonSchema && providerConfig.supportsJsonSchema) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: {
+          name: jsonSchema.name,
+          schema: jsonSchema.schema,
+          strict: true,
+        },
+      };
+    } else if (jsonMode || jsonSchema) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    return body;
+  };
+
+  /**
+   * POST a chat completion request
+   * @param {Object} body - Request body
+   * @param {Function} onEvent - Receives parsed SSE chunks when body.stream is set (optional)
+   * @returns {Object} - Parsed response body (null when streaming)
+   */
+  const postChatCompletion = async (body, onEvent = null) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), providerConfig.timeoutMs);
+
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      if (providerConfig.apiKey) {
+        headers.Authorization = `Bearer ${providerConfig.apiKey}`;
+      }
+
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+
+      if (!response.ok || !body.stream) {
+        const payload = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+          const error = new Error(payload.error?.message || `HTTP ${response.status}`);
+          error.status = response.status;
+          error.code = payload.error?.code;
+          throw error;
+        }
+
+        return payload;
+      }
+
+      // Server-sent events: "data: {json}" lines terminated by "data: [DONE]"
+      const decoder = new TextDecoder();
+      let pending = '';
+
+      for await (const bytes of response.body) {
+        pending += decoder.decode(bytes, { stream: true });
+        const lines = pending.split('\n');
+        pending = lines.pop();
+
+        for (const line of lines) {
+          const data = line.trim();
+          if (!data.startsWith('data:')) continue;
+
+          const payload = data.slice(5).trim();
+          if (payload === '[DONE]') return null;
+          onEvent(JSON.parse(payload));
+        }
+      }
+
+      return null;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        const timeoutError = new Error(`Request timed out after ${providerConfig.timeoutMs}ms`);
+        timeoutError.status = 504;
+        throw timeoutError;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  /**
+   * Generate completion against the compatible endpoint
+   * @param {Object} options - Same options as the OpenAI provider
+   * @returns {Object} - { content, usage, model, provider, generationTime, cost }
+   */
+  const generateCompletion = async (options) => {
+    const {
+      model = providerConfig.model,
+      maxTokens = providerConfig.maxTokens,
+      temperature = providerConfig.temperature,
+      maxRetries = 3,
+      onRetry = () => {},
+    } = options;
+
+    if (!baseUrl) {
+      throw new Error('OpenAI-compatible base URL not configured');
+    }
+
+    let lastError;
+
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+      try {
+        const body = buildRequestBody({ ...options, model, maxTokens, temperature });
+        const { messages } = body;
+
+        logger.info(`Calling OpenAI-compatible API (attempt ${attempt + 1}/${maxRetries})`, {
+          baseUrl,
+          model,
+          estimatedTokens: countMessagesTokens(messages, TOKEN_ESTIMATE_MODEL),
+        });
+
+        const startTime = Date.now();
+        const completion = await postChatCompletion(body);
+        const generationTime = Date.now() - startTime;
+
+        const content = completion.choices?.[0]?.message?.content || '';
+
+        if (!content || content.trim() === '') {
+          logger.error('OpenAI-compatible API returned empty content', {
+            finishReason: completion.choices?.[0]?.finish_reason,
+          });
+          throw new Error('OpenAI-compatible API returned empty content');
+        }
+
+        // Fall back to local estimates when the server omits usage
+        const promptTokens = completion.usage?.prompt_tokens
+          ?? countMessagesTokens(messages, TOKEN_ESTIMATE_MODEL);
+        const completionTokens = completion.usage?.completion_tokens
+          ?? countTokens(content, TOKEN_ESTIMATE_MODEL);
+
+        const usage = {
+          prompt: promptTokens,
+          completion: completionTokens,
+          total: completion.usage?.total_tokens ?? promptTokens + completionTokens,
+        };
+
+        const cost = estimateCost(usage);
+
+        logger.info(`OpenAI-compatible API call completed in ${generationTime}ms`, {
+          model,
+          tokensUsed: usage.total,
+          attempt: attempt + 1,
+        });
+
+        return {
+          content,
+          usage,
+          model: completion.model || model,
+          provider: LLM_PROVIDERS.OPENAI_COMPATIBLE,
+          generationTime,
+          cost,
+        };
+      } catch (error) {
+        lastError = error;
+
+        if (error.status === 401 || error.status === 403) {
+          throw new Error('OpenAI-compatible API rejected the credentials');
+        }
+
+        if (RETRYABLE_STATUSES.includes(error.status) && attempt < maxRetries - 1) {
+          const backoffMs = Math.min(1000 * Math.pow(2, attempt), 10000);
+          logger.warn(`Retrying after ${backoffMs}ms due to: ${error.message}`);
+          onRetry({ attempt: attempt + 1, error });
+          await new Promise(resolve => setTimeout(resolve, backoffMs));
+          continue;
+        }
+
+        throw new Error(`LLM API error: ${error.message}`);
+      }
+    }
+
+    throw new Error(`LLM API failed after ${maxRetries} attempts: ${lastError.message}`);
+  };
+
+  /**
+   * Stream a completion from the compatible endpoint
+   * Retries only happen before the first delta has been forwarded.
+   * @param {Object} options - Same options as generateCompletion
+   * @param {Function} onDelta - (text) => void
+   * @returns {Object} - { content, usage, model, provider, generationTime, cost }
+   */
+  const streamCompletion = async (options, onDelta) => {
+    const {
+      model = providerConfig.model,
+      maxTokens = providerConfig.maxTokens,
+      temperature = providerConfig.temperature,
+      maxRetries = 3,
+      onRetry = () => {},
+    } = options;
+
+    if (!baseUrl) {
+      throw new Error('OpenAI-compatible base URL not configured');
+    }
+
+    let lastError;
+
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+      let content = '';
+
+      try {
+        const body = {
+          ...buildRequestBody({ ...options, model, maxTokens, temperature }),
+          stream: true,
+          stream_options: { include_usage: true },
+        };
+
+        logger.info(`Streaming OpenAI-compatible API (attempt ${attempt + 1}/${maxRetries})`, {
+          baseUrl,
+          model,
+        });
+
+        const startTime = Date.now();
+        let responseModel = model;
+        let rawUsage = null;
+
+        await postChatCompletion(body, (chunk) => {
+          responseModel = chunk.model || responseModel;
+          if (chunk.usage) {
+            rawUsage = chunk.usage;
+          }
+
+          const text = chunk.choices?.[0]?.delta?.content;
+          if (text) {
+            content += text;
+            onDelta(text);
+          }
+        });
+
+        if (!content || content.trim() === '') {
+          throw new Error('OpenAI-compatible API returned empty content');
+        }
+
+        const promptTokens = rawUsage?.prompt_tokens ?? countMessagesTokens(body.messages, TOKEN_ESTIMATE_MODEL);
+        const completionTokens = rawUsage?.completion_tokens ?? countTokens(content, TOKEN_ESTIMATE_MODEL);
+        const usage = {
+          prompt: promptTokens,
+          completion: completionTokens,
+          total: rawUsage?.total_tokens ?? promptTokens + completionTokens,
+        };
+
+        return {
+          content,
+          usage,
+          model: responseModel,
+          provider: LLM_PROVIDERS.OPENAI_COMPATIBLE,
+          generationTime: Date.now() - startTime,
+          cost: estimateCost(usage),
+        };
+      } catch (error) {
+        lastError = error;
+
+        if (RETRYABLE_STATUSES.includes(error.status) && content === '' && attempt < maxRetries - 1) {
+          const backoffMs = Math.min(1000 * Math.pow(2, attempt), 10000);
+          logger.warn(`Retrying stream after ${backoffMs}ms due to: ${error.message}`);
+          onRetry({ attempt: attempt + 1, error });
+          await new Promise(resolve => setTimeout(resolve, backoffMs));
+          continue;
+        }
+
+        throw new Error(`LLM API error: ${error.message}`);
+      }
+    }
+
+    throw new Error(`LLM API failed after ${maxRetries} attempts: ${lastError.message}`);
+  };
+
+  /**
+   * Validate provider configuration
+   * @returns {Array} - Error messages
+   */
+  const validateConfiguration = () => {
+    const errors = [];
+
+    if (!baseUrl) {
+      errors.push('OpenAI-compatible base URL is not configured');
+    }
+
+    if (!providerConfig.model) {
+      errors.push('OpenAI-compatible model is not configured');
+    }
+
+    return errors;
+  };
+
+  return {
+    name: LLM_PROVIDERS.OPENAI_COMPATIBLE,
+    model: providerConfig.model,
+    generateCompletion,
+    streamCompletion,
+    generateStructuredOutput: (options) => generateStructuredWithRepair(generateCompletion, options),
+    countTokens: (text) => countTokens(text, TOKEN_ESTIMATE_MODEL),
+    estimateCost,
+    validateConfiguration,
+  };
+};
+
+module.exports = {
+  createOpenAICompatibleProvider,
+};
@@ -0,0 +1,179 @@
+const config = require('../../config');
+const logger = require('../logger');
+
+/**
+ * Structured Output Helpers
+ *
+ * Provider-agnostic JSON parsing, usage aggregation and the validation
+ * repair loop used by generateStructuredOutput.
+ */
+
+/**
+ * Parse raw LLM content as JSON
+ * @param {string} content - Raw completion content
+ * @returns {Object} - Parsed JSON
+ */
+const parseJsonContent = (content) => {
+  // Clean the content - remove markdown code blocks if present
+  let cleanedContent = content.trim();
+
+  // Remove markdown json code blocks
+  if (cleanedContent.startsWith('```json')) {
+    cleanedContent = cleanedContent.replace(/^```json\s*/i, '').replace(/\s*```$/, '');
+  } else if (cleanedContent.startsWith('```')) {
+    cleanedContent = cleanedContent.replace(/^```\s*/i, '').replace(/\s*```$/, '');
+  }
+
+  return JSON.parse(cleanedContent);
+};
+
+/**
+ * Sum usage, time and cost across several completion attempts
+ * @param {Array} results - generateCompletion results
+ * @returns {Object} - { usage, generationTime, cost }
+ */
+const aggregateResults = (results) => {
+  const usage = { prompt: 0, completion: 0, total: 0 };
+  let generationTime = 0;
+  let totalCost = 0;
+
+  for (const result of results) {
+    usage.prompt += result.usage.prompt;
+    usage.completion += result.usage.completion;
+    usage.total += result.usage.total;
+    generationTime += result.generationTime;
+    totalCost += result.cost?.totalCost || 0;
+  }
+
+  const last = results[results.length - 1];
+  return {
+    usage,
+    generationTime,
+    cost: {
+      ...last.cost,
+      totalCost: parseFloat(totalCost.toFixed(6)),
+    },
+  };
+};
+
+/**
+ * Conversation turns asking the model to fix an invalid output
+ * @param {string} content - Invalid raw completion
+ * @param {Array} errors - Validation error messages
+ * @returns {Array} - [assistant, user] messages
+ */
+const buildRepairMessages = (content, errors) => [
+  { role: 'assistant', content },
+  {
+    role: 'user',
+    content: `Your previous response failed validation with these errors:\n${errors.map(e => `- ${e}`).join('\n')}\n\nReturn the complete corrected JSON object. Keep everything that was valid unchanged.`,
+  },
+];
+
+/**
+ * Generate structured JSON output with validation repair rounds
+ * 
+ * Shared by every provider: `generateCompletion` is the provider's own
+ * completion function, so the repair loop behaves identically everywhere.
+ * 
+ * When a `validate` function is given, invalid output (unparseable JSON or
+ * validation errors) is sent back to the model together with the errors for
+ * up to `maxRepairAttempts` repair rounds before giving up.
+ * 
+ * @param {Function} generateCompletion - Provider completion function
+ * @param {Object} options - Generation options (see generateCompletion)
+ * @param {Function} options.validate - (data) => { valid, errors, warnings, value } (optional)
+ * @param {number} options.maxRepairAttempts - Repair rounds after the first attempt (optional)
+ * @returns {Object} - { data, usage, model, provider, generationTime, cost, repairAttempts, validationReport }
+ */
+const generateStructuredWithRepair = async (generateCompletion, options) => {
+  const {
+    validate = null,
+    maxRepairAttempts = config.llm.maxRepairAttempts,
+    ...completionOptions
+  } = options;
+
+  const results = [];
+  const attempts = [];
+  // Callers may continue from an earlier invalid output (see buildRepairMessages)
+  const repairMessages = [...(completionOptions.messages || [])];
+
+  for (let attempt = 0; attempt <= maxRepairAttempts; attempt++) {
+    const result = await generateCompletion({
+      ...completionOptions,
+      jsonMode: true,
+      messages: repairMessages,
+      repairAttempt: attempt,
+    });
+    results.push(result);
+
+    let errors;
+    let warnings = [];
+    let data;
+
+    try {
+      data = parseJsonContent(result.content);
+    } catch (error) {
+      logger.error('Error parsing JSON response from LLM:', error);
+      logger.error('Raw content length:', result.content?.length || 0);
+      logger.error('Raw content preview:', result.content?.substring(0, 500) || 'EMPTY');
+      errors = [`Response is not valid JSON: ${error.message}`];
+    }
+
+    if (!errors && validate) {
+      const validation = validate(data);
+      warnings = validation.warnings || [];
+      if (validation.valid) {
+        data = validation.value !== undefined ? validation.value : data;
+      } else {
+        errors = validation.errors;
+      }
+    }
+
+    attempts.push({ attempt: attempt + 1, errors: errors || [], warnings });
+
+    if (!errors) {
+      const totals = aggregateResults(results);
+
+      if (attempt > 0) {
+        logger.info(`LLM output repaired after ${attempt} attempt(s)`);
+      }
+
+      return {
+        data,
+        usage: totals.usage,
+        model: result.model,
+        provider: result.provider,
+        generationTime: totals.generationTime,
+        cost: totals.cost,
+        repairAttempts: attempt,
+        validationReport: {
+          valid: true,
+          errors: [],
+          warnings,
+          attempts,
+        },
+      };
+    }
+
+    logger.warn(`LLM output failed validation (attempt ${attempt + 1}/${maxRepairAttempts + 1})`, {
+      errors,
+    });
+
+    // Feed the invalid output and the errors back for a repair round
+    repairMessages.push(...buildRepairMessages(result.content, errors));
+  }
+
+  const error = new Error(
+    `LLM output failed validation after ${maxRepairAttempts} repair attempt(s): ${attempts[attempts.length - 1].errors.join(', ')}`
+  );
+  error.validationReport = { valid: false, attempts };
+  throw error;
+};
+
+module.exports = {
+  parseJsonContent,
+  aggregateResults,
+  buildRepairMessages,
+  generateStructuredWithRepair,
+};
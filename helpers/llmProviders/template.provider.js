@@ -0,0 +1,420 @@
+const { LLM_PROVIDERS, LLM_TASKS } = require('../../constants/llm');
+const { generateStructuredWithRepair } = require('./structuredOutput');
+
+/**
+ * Template Provider
+ *
+ * Deterministic, rule-based stand-in for an LLM. It reads the structured
+ * context passed as `options.input` and produces output for a known
+ * `options.task` without any network call, so local development, demos and
+ * outages keep working. The same input always yields the same output.
+ */
+
+const TEMPLATE_MODEL = 'rule-based-v1';
+
+// Rough characters-per-token ratio used for usage figures
+const CHARS_PER_TOKEN = 4;
+
+// Chunk size used when simulating a streamed completion
+const STREAM_CHUNK_SIZE = 64;
+
+// Health concern severity -> assessment severity
+const SEVERITY_MAP = {
+  mild: 'low',
+  moderate: 'moderate',
+  severe: 'high',
+};
+
+const MIN_DAYS_BY_SEVERITY = {
+  low: 45,
+  moderate: 21,
+  high: 10,
+};
+
+// Questions taken from the front of the pool per severity
+const QUESTION_COUNT_BY_SEVERITY = {
+  low: 6,
+  moderate: 12,
+  high: 17,
+};
+
+const LIKERT_OPTIONS = [
+  { id: 'not_at_all', label: 'Not at all', value: 'not_at_all' },
+  { id: 'a_little', label: 'A little', value: 'a_little' },
+  { id: 'moderately', label: 'Moderately', value: 'moderately' },
+  { id: 'quite_a_bit', label: 'Quite a bit', value: 'quite_a_bit' },
+  { id: 'extremely', label: 'Extremely', value: 'extremely' },
+];
+
+const FREQUENCY_OPTIONS = [
+  { id: 'never', label: 'Never', value: 'never' },
+  { id: 'rarely', label: 'Rarely', value: 'rarely' },
+  { id: 'sometimes', label: 'Sometimes', value: 'sometimes' },
+  { id: 'often', label: 'Often', value: 'often' },
+  { id: 'always', label: 'Always', value: 'always' },
+];
+
+const YES_NO_OPTIONS = [
+  { id: 'yes', label: 'Yes', value: 'yes' },
+  { id: 'no', label: 'No', value: 'no' },
+];
+
+// Ordered so every prefix used above is self-contained (conditions only
+// reference earlier questions)
+const QUESTION_POOL = [
+  {
+    id: 'symptom_change',
+    type: 'single_choice',
+    label: 'How have your symptoms changed since they started?',
+    required: true,
+    options: [
+      { id: 'much_better', label: 'Much better', value: 'much_better' },
+      { id: 'better', label: 'Somewhat better', value: 'better' },
+      { id: 'same', label: 'About the same', value: 'same' },
+      { id: 'worse', label: 'Somewhat worse', value: 'worse' },
+      { id: 'much_worse', label: 'Much worse', value: 'much_worse' },
+    ],
+  },
+  {
+    id: 'symptom_severity_now',
+    type: 'rating_numeric',
+    label: 'How severe are your symptoms right now?',
+    description: '0 = no symptoms, 10 = worst imaginable',
+    required: true,
+    min: 0,
+    max: 10,
+  },
+  {
+    id: 'symptom_frequency',
+    type: 'rating_frequency',
+    label: 'How often have you noticed your symptoms over the past two weeks?',
+    required: true,
+    options: FREQUENCY_OPTIONS,
+  },
+  {
+    id: 'daily_impact',
+    type: 'rating_likert',
+    label: 'How much do your symptoms interfere with your daily activities?',
+    required: true,
+    options: LIKERT_OPTIONS,
+  },
+  {
+    id: 'days_with_symptoms',
+    type: 'numeric',
+    label: 'On how many of the last 7 days did you have symptoms?',
+    required: true,
+    min: 0,
+    max: 7,
+  },
+  {
+    id: 'symptom_description',
+    type: 'long_text',
+    label: 'Describe your symptoms in your own words.',
+    required: false,
+  },
+  {
+    id: 'has_pain',
+    type: 'single_choice',
+    label: 'Are your symptoms accompanied by pain?',
+    required: true,
+    options: YES_NO_OPTIONS,
+  },
+  {
+    id: 'pain_intensity',
+    type: 'rating_numeric',
+    label: 'How intense is the pain?',
+    description: '0 = no pain, 10 = worst pain imaginable',
+    required: true,
+    min: 0,
+    max: 10,
+    conditions: [{ questionId: 'has_pain', operator: 'equals', value: 'yes' }],
+  },
+  {
+    id: 'associated_symptoms',
+    type: 'multi_choice',
+    label: 'Have you experienced any of the following alongside your main symptoms?',
+    required: false,
+    options: [
+      { id: 'fatigue', label: 'Fatigue', value: 'fatigue' },
+      { id: 'fever', label: 'Fever', value: 'fever' },
+      { id: 'nausea', label: 'Nausea', value: 'nausea' },
+      { id: 'dizziness', label: 'Dizziness', value: 'dizziness' },
+      { id: 'none', label: 'None of these', value: 'none' },
+    ],
+  },
+  {
+    id: 'sleep_impact',
+    type: 'rating_likert',
+    label: 'How much do your symptoms affect your sleep?',
+    required: true,
+    options: LIKERT_OPTIONS,
+  },
+  {
+    id: 'overall_wellbeing',
+    type: 'rating_slider',
+    label: 'How would you rate your overall wellbeing today?',
+    description: '0 = very poor, 100 = excellent',
+    required: true,
+    min: 0,
+    max: 100,
+    step: 5,
+  },
+  {
+    id: 'additional_concerns',
+    type: 'long_text',
+    label: 'Is there anything else you would like your care team to know?',
+    required: false,
+  },
+  {
+    id: 'triggers',
+    type: 'multi_choice',
+    label: 'Do any of these seem to make your symptoms worse?',
+    required: false,
+    options: [
+      { id: 'physical_activity', label: 'Physical activity', value: 'physical_activity' },
+      { id: 'stress', label: 'Stress', value: 'stress' },
+      { id: 'food', label: 'Food or drink', value: 'food' },
+      { id: 'time_of_day', label: 'Time of day', value: 'time_of_day' },
+      { id: 'unknown', label: 'Not sure', value: 'unknown' },
+    ],
+  },
+  {
+    id: 'medication_use',
+    type: 'single_choice',
+    label: 'Are you taking any medication for these symptoms?',
+    required: true,
+    options: YES_NO_OPTIONS,
+  },
+  {
+    id: 'medication_details',
+    type: 'long_text',
+    label: 'Which medication are you taking and has it helped?',
+    required: false,
+    conditions: [{ questionId: 'medication_use', operator: 'equals', value: 'yes' }],
+  },
+  {
+    id: 'work_impact',
+    type: 'rating_frequency',
+    label: 'How often have your symptoms kept you from work, school or usual duties?',
+    required: true,
+    options: FREQUENCY_OPTIONS,
+  },
+  {
+    id: 'mood_impact',
+    type: 'rating_likert',
+    label: 'How much have your symptoms affected your mood?',
+    required: true,
+    options: LIKERT_OPTIONS,
+  },
+];
+
+/**
+ * Build a deterministic assessment from the generation context
+ * @param {Object} input - Assessment context data
+ * @returns {Object} - Assessment in the LLM output format
+ */
+const buildAssessment = (input = {}) => {
+  const severity = SEVERITY_MAP[input.healthConcern?.severity] || 'moderate';
+  const questions = QUESTION_POOL
+    .slice(0, QUESTION_COUNT_BY_SEVERITY[severity])
+    .map(question => JSON.parse(JSON.stringify(question)));
+
+  return {
+    severity,
+    min_days_before_next_assessment: MIN_DAYS_BY_SEVERITY[severity],
+    questions,
+  };
+};
+
+// Scales where a higher value means worse symptoms (sliders are often reversed)
+const SYMPTOM_SCALE_TYPES = ['numeric', 'rating_numeric'];
+
+/**
+ * Classify a numeric answer by its position in the allowed range
+ * @param {Object} row - Response row { type, answer, range }
+ * @returns {string} - routine | notable | concerning
+ */
+const classifyAnswer = (row) => {
+  if (!SYMPTOM_SCALE_TYPES.includes(row.type)) return 'routine';
+  if (typeof row.answer !== 'number' || !row.range) return 'routine';
+
+  const [min, max] = row.range.split('-').map(Number);
+  if (!(max > min)) return 'routine';
+
+  const ratio = (row.answer - min) / (max - min);
+  if (ratio >= 0.7) return 'concerning';
+  if (ratio >= 0.4) return 'notable';
+  return 'routine';
+};
+
+/**
+ * Build a deterministic report from the report context
+ * @param {Object} input - Report context data
+ * @returns {Object} - Report in the LLM output format
+ */
+const buildReport = (input = {}) => {
+  const rows = input.responses || [];
+  const answered = rows.filter(row => row.answer !== null && row.answer !== undefined && row.answer !== '');
+
+  const keyFindings = answered.slice(0, 10).map(row => ({
+    question_id: row.id,
+    finding: `${row.question} Answer: ${row.answer}`,
+    significance: classifyAnswer(row),
+  }));
+
+  const concerning = keyFindings.filter(f => f.significance === 'concerning').length;
+  const notable = keyFindings.filter(f => f.significance === 'notable').length;
+  let overallSeverity = 'low';
+  if (concerning > 0) {
+    overallSeverity = 'high';
+  } else if (notable > 0) {
+    overallSeverity = 'moderate';
+  }
+
+  const title = input.healthConcern?.title || 'the reported health concern';
+
+  return {
+    summary: `The patient answered ${answered.length} of ${rows.length} questions about ${title}. ${concerning} answer(s) were at the upper end of their scale and ${notable} were in the middle range. This summary was produced by the rule-based template provider.`,
+    overall_severity: overallSeverity,
+    key_findings: keyFindings.length > 0
+      ? keyFindings
+      : [{ question_id: rows[0]?.id || 'none', finding: 'No answers were provided.', significance: 'routine' }],
+    functional_impact: null,
+    areas_for_clinician_review: keyFindings
+      .filter(f => f.significance === 'concerning')
+      .slice(0, 8)
+      .map(f => `Review answer to ${f.question_id}`),
+    suggested_follow_up_questions: [],
+    data_quality: {
+      answered_questions: answered.length,
+      total_questions: rows.length,
+      notes: answered.length < rows.length ? 'Some questions were left unanswered.' : null,
+    },
+  };
+};
+
+/**
+ * Echo the source text as the "translation"
+ * Keeps the side-by-side view working offline; vetted scale labels are
+ * still applied by the caller.
+ * @param {Object} input - { targetLanguage, questions }
+ * @returns {Object} - Translation in the LLM output format
+ */
+const buildTranslation = (input = {}) => ({
+  questions: (input.questions || []).map(question => ({
+    id: question.id,
+    label: question.label,
+    description: question.description || null,
+    options: (question.options || []).map(option => ({ value: option.value, label: option.label })),
+  })),
+});
+
+/**
+ * Return the question unchanged
+ * Rewriting needs a language model; offline the caller still validates and
+ * records the regeneration.
+ * @param {Object} input - { question, instruction }
+ * @returns {Object} - Question in the LLM output format
+ */
+const buildRegeneratedQuestion = (input = {}) => ({
+  question: input.question,
+});
+
+const TASK_BUILDERS = {
+  [LLM_TASKS.ASSESSMENT_GENERATION]: buildAssessment,
+  [LLM_TASKS.REPORT_GENERATION]: buildReport,
+  [LLM_TASKS.ASSESSMENT_TRANSLATION]: buildTranslation,
+  [LLM_TASKS.QUESTION_REGENERATION]: buildRegeneratedQuestion,
+};
+
+/**
+ * Approximate token count
+ * @param {string} text - Text
+ * @returns {number} - Token estimate
+ */
+const countTokens = (text) => {
+  if (!text || typeof text !== 'string') return 0;
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+};
+
+/**
+ * Template output is free
+ * @returns {Object} - Cost breakdown
+ */
+const estimateCost = () => ({
+  inputCost: 0,
+  outputCost: 0,
+  totalCost: 0,
+  currency: 'USD',
+  model: TEMPLATE_MODEL,
+});
+
+/**
+ * Create the template provider
+ * @returns {Object} - Provider instance
+ */
+const createTemplateProvider = () => {
+  /**
+   * Produce output for a known task
+   * @param {Object} options - { task, input, systemPrompt, userPrompt }
+   * @returns {Object} - { content, usage, model, provider, generationTime, cost }
+   */
+  const generateCompletion = async (options) => {
+    const builder = TASK_BUILDERS[options.task];
+    if (!builder) {
+      throw new Error(`Template provider does not support task: ${options.task || 'none'}`);
+    }
+
+    const startTime = Date.now();
+    const content = JSON.stringify(builder(options.input));
+    const promptTokens = countTokens(options.systemPrompt) + countTokens(options.userPrompt);
+    const completionTokens = countTokens(content);
+
+    return {
+      content,
+      usage: {
+        prompt: promptTokens,
+        completion: completionTokens,
+        total: promptTokens + completionTokens,
+      },
+      model: TEMPLATE_MODEL,
+      provider: LLM_PROVIDERS.TEMPLATE,
+      generationTime: Date.now() - startTime,
+      cost: estimateCost(),
+    };
+  };
+
+  /**
+   * Simulate a streamed completion by emitting the output in chunks
+   * @param {Object} options - Same options as generateCompletion
+   * @param {Function} onDelta - (text) => void
+   * @returns {Object} - Same result as generateCompletion
+   */
+  const streamCompletion = async (options, onDelta) => {
+    const result = await generateCompletion(options);
+    for (let i = 0; i < result.content.length; i += STREAM_CHUNK_SIZE) {
+      onDelta(result.content.slice(i, i + STREAM_CHUNK_SIZE));
+    }
+    return result;
+  };
+
+  return {
+    name: LLM_PROVIDERS.TEMPLATE,
+    model: TEMPLATE_MODEL,
+    // Output is deterministic, so repair rounds could not change it
+    maxRepairAttempts: 0,
+    generateCompletion,
+    streamCompletion,
+    generateStructuredOutput: (options) => generateStructuredWithRepair(generateCompletion, {
+      ...options,
+      maxRepairAttempts: 0,
+    }),
+    countTokens,
+    estimateCost,
+    validateConfiguration: () => [],
+  };
+};
+
+module.exports = {
+  createTemplateProvider,
+};
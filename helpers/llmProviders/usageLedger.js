@@ -0,0 +1,124 @@
+const { LLM_USAGE_OUTCOMES } = require('../../constants/llm');
+const { generateStructuredWithRepair } = require('./structuredOutput');
+
+/**
+ * LLM Usage Ledger Layer
+ *
+ * Wraps a provider so every call is checked against the usage quotas before
+ * it reaches the provider and recorded in the ledger afterwards:
+ *
+ *   - success          tokens, cost and latency of the completion
+ *   - retried          each transport attempt the provider retried
+ *   - failed           the call threw (after any retries)
+ *   - quota_exceeded   rejected before calling the provider
+ *
+ * Callers identify who is spending with `options.usageContext`
+ * ({ userId, role, feature }); it is stripped before the provider sees the
+ * options. Calls without a usage context only count towards global quotas.
+ */
+
+/**
+ * Wrap a provider with quota checks and usage recording
+ * @param {Object} provider - Provider instance
+ * @param {Object} ledger - { resolveContext, assertWithinQuota, record } (see llmUsage.service)
+ * @returns {Object} - Provider with the same interface
+ */
+const withUsageLedger = (provider, ledger) => {
+  /**
+   * Run one provider call through the ledger
+   * @param {Object} options - Call options including usageContext
+   * @param {Function} call - (providerOptions) => Promise<result>
+   * @returns {Object} - Provider result
+   */
+  const track = async (options, call) => {
+    const { usageContext, ...callOptions } = options;
+    const context = await ledger.resolveContext(usageContext);
+
+    const entry = {
+      user: context.userId,
+      role: context.role,
+      feature: context.feature,
+      provider: provider.name,
+      model: callOptions.model || provider.model,
+      repairAttempt: callOptions.repairAttempt || 0,
+    };
+
+    try {
+      await ledger.assertWithinQuota(context);
+    } catch (error) {
+      await ledger.record({
+        ...entry,
+        outcome: LLM_USAGE_OUTCOMES.QUOTA_EXCEEDED,
+        error: error.message,
+      });
+      throw error;
+    }
+
+    let attemptStart = Date.now();
+    const startTime = attemptStart;
+
+    try {
+      const result = await call({
+        ...callOptions,
+        onRetry: (retry) => {
+          // Not awaited: record() never throws and the provider is backing off
+          ledger.record({
+            ...entry,
+            outcome: LLM_USAGE_OUTCOMES.RETRIED,
+            latencyMs: Date.now() - attemptStart,
+            error: retry.error.message,
+          });
+          attemptStart = Date.now();
+          if (callOptions.onRetry) {
+            callOptions.onRetry(retry);
+          }
+        },
+      });
+
+      await ledger.record({
+        ...entry,
+        model: result.model || entry.model,
+        tokens: result.usage,
+        cost: result.cost?.totalCost || 0,
+        latencyMs: result.generationTime ?? Date.now() - attemptStart,
+        outcome: LLM_USAGE_OUTCOMES.SUCCESS,
+      });
+
+      return result;
+    } catch (error) {
+      await ledger.record({
+        ...entry,
+        latencyMs: Date.now() - startTime,
+        outcome: LLM_USAGE_OUTCOMES.FAILED,
+        error: error.message,
+      });
+      throw error;
+    }
+  };
+
+  const generateCompletion = (options) => track(
+    options,
+    (callOptions) => provider.generateCompletion(callOptions)
+  );
+
+  const streamCompletion = (options, onDelta) => track(
+    options,
+    (callOptions) => provider.streamCompletion(callOptions, onDelta)
+  );
+
+  return {
+    ...provider,
+    generateCompletion,
+    streamCompletion,
+    // Re-run the repair loop on top of the wrapped completion so every
+    // repair round is checked and recorded individually
+    generateStructuredOutput: (options) => generateStructuredWithRepair(generateCompletion, {
+      ...options,
+      ...(provider.maxRepairAttempts !== undefined && { maxRepairAttempts: provider.maxRepairAttempts }),
+    }),
+  };
+};
+
+module.exports = {
+  withUsageLedger,
+};
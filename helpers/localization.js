@@ -0,0 +1,69 @@
+const {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  COUNTRY_LANGUAGES,
+  SCALE_OPTION_VALUES,
+  VETTED_SCALE_LABELS,
+} = require('../constants/languages');
+
+/**
+ * Localization
+ *
+ * Language resolution for users and vetted labels for the fixed likert and
+ * frequency scales (see VETTED_SCALE_LABELS).
+ */
+
+/**
+ * Language to generate or show assessments in
+ * @param {Object} user - User (preferredLanguage)
+ * @param {Object} patient - Patient profile (contact.country), optional
+ * @returns {string} - Language code
+ */
+const resolveLanguage = (user, patient = null) => {
+  if (user?.preferredLanguage && SUPPORTED_LANGUAGES[user.preferredLanguage]) {
+    return user.preferredLanguage;
+  }
+  return COUNTRY_LANGUAGES[patient?.contact?.country] || DEFAULT_LANGUAGE;
+};
+
+/**
+ * Vetted option labels for a question, if its scale has them
+ * Labels are matched to options by value, so a scale the model listed in
+ * another order still gets the right label on every answer.
+ * @param {Object} question - Question definition
+ * @param {string} language - Language code
+ * @returns {Array|null} - Labels in the question's option order, or null
+ *   when an option is not a value of the scale
+ */
+const getVettedScaleLabels = (question, language) => {
+  const labels = VETTED_SCALE_LABELS[question.type]?.[language];
+  const options = question.options || [];
+  if (!labels || options.length !== labels.length) return null;
+
+  const scaleValues = SCALE_OPTION_VALUES[question.type];
+  const matched = options.map(option => labels[scaleValues.indexOf(String(option.value))]);
+  return matched.every(Boolean) ? matched : null;
+};
+
+/**
+ * Replace a likert or frequency question's option labels with vetted translations
+ * Option ids and values are kept, so answers and conditions are unaffected.
+ * @param {Object} question - Question definition
+ * @param {string} language - Language code
+ * @returns {Object} - Question (unchanged when no vetted labels apply)
+ */
+const applyVettedScaleLabels = (question, language) => {
+  const labels = getVettedScaleLabels(question, language);
+  if (!labels) return question;
+
+  return {
+    ...question,
+    options: question.options.map((option, index) => ({ ...option, label: labels[index] })),
+  };
+};
+
+module.exports = {
+  resolveLanguage,
+  getVettedScaleLabels,
+  applyVettedScaleLabels,
+};
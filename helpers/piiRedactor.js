@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const { PII_ENTITY_TYPES, REDACTION_SOURCES } = require('../constants/redaction');
+
+/**
+ * PII Redactor
+ *
+ * Replaces personal identifiers in LLM context with stable placeholders
+ * ([NAME_1], [PHONE_2], ...) and puts the original values back into model
+ * output. One redactor is created per LLM request, so the same value always
+ * maps to the same placeholder within that request.
+ *
+ * Identifiers come from two places:
+ * - known identifiers: the user's name and email and the patient's contact
+ *   and emergency contact details, matched wherever they appear
+ * - pattern detectors: emails, phone numbers, street addresses, ID numbers
+ *   and introduced names in free text
+ *
+ * The redaction report never contains raw values, only a keyed fingerprint
+ * so the same value can be recognised across audit entries.
+ */
+
+// Separators allowed between the digits of a phone number
+const PHONE_SEPARATORS = '[\\s().-]*';
+
+const MIN_PHONE_DIGITS = 7;
+const MAX_PHONE_DIGITS = 15;
+
+// Name parts shorter than this are only redacted as part of the full name
+const MIN_NAME_PART_LENGTH = 3;
+
+const PLACEHOLDER_PATTERN = /\[([A-Z_]+_\d+)\]/g;
+
+// Dates look like phone numbers to the phone detector
+const DATE_PATTERN = /^(?:\d{4}[-/.]\d{1,2}[-/.]\d{1,2}|\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4})$/;
+
+/**
+ * Pattern detectors, in the order they run
+ * `group` is the capture group holding the identifier (0 = whole match).
+ */
+const PATTERN_DETECTORS = [
+  {
+    type: PII_ENTITY_TYPES.EMAIL,
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+    group: 0,
+  },
+  {
+    // Labelled identifiers: "SSN 123-45-6789", "MRN: A123456", "passport no. X1234567"
+    type: PII_ENTITY_TYPES.ID_NUMBER,
+    pattern: /\b(?:ssn|social security|passport|mrn|medical record|insurance|policy|member|licen[cs]e|national id|id)(?:\s+(?:no\.?|number|#))?\s*[:#]?\s*([A-Z0-9][A-Z0-9-]{4,})\b/gi,
+    group: 1,
+    // Must contain a digit, so "insurance policy" is not an ID
+    accept: value => /\d/.test(value),
+  },
+  {
+    // US social security number format, unlabelled
+    type: PII_ENTITY_TYPES.ID_NUMBER,
+    pattern: /\b\d{3}-\d{2}-\d{4}\b/g,
+    group: 0,
+  },
+  {
+    type: PII_ENTITY_TYPES.PHONE,
+    pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,4}\b/g,
+    group: 0,
+    accept: (value) => {
+      const digits = value.replace(/\D/g, '').length;
+      return digits >= MIN_PHONE_DIGITS && digits <= MAX_PHONE_DIGITS && !DATE_PATTERN.test(value.trim());
+    },
+  },
+  {
+    type: PII_ENTITY_TYPES.ADDRESS,
+    pattern: /\b\d{1,5}\s+(?:[A-Z][A-Za-z]+\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Close|Square|Sq)\b\.?/g,
+    group: 0,
+  },
+  {
+    // Introduced names: "my name is Jane Doe", "Dr. Patel", "my husband John"
+    type: PII_ENTITY_TYPES.NAME,
+    pattern: /\b(?:[Mm]y name is|[Ii] am called|[Nn]ame:|Dr\.?|Mr\.?|Mrs\.?|Ms\.?|Miss|[Mm]y (?:husband|wife|partner|son|daughter|mother|father|brother|sister|doctor|friend))\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/g,
+    group: 1,
+  },
+];
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Text
+ * @returns {string}
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Comparison form of an identifier, used for placeholder reuse and fingerprints
+ * @param {string} type - PII_ENTITY_TYPES value
+ * @param {string} value - Identifier as found
+ * @returns {string}
+ */
+const normalizeIdentifier = (type, value) => {
+  if (type === PII_ENTITY_TYPES.PHONE) {
+    return value.replace(/\D/g, '');
+  }
+  return value.replace(/\s+/g, ' ').trim().toLowerCase();
+};
+
+/**
+ * Known identifiers of a user and their patient profile
+ * @param {Object} sources - { user, patient } (either may be null)
+ * @returns {Array} - [{ type, value }]
+ */
+const buildKnownIdentifiers = ({ user = null, patient = null } = {}) => {
+  const identifiers = [];
+  const add = (type, value) => {
+    if (typeof value === 'string' && value.trim()) {
+      identifiers.push({ type, value: value.trim() });
+    }
+  };
+
+  const addName = (name) => {
+    add(PII_ENTITY_TYPES.NAME, name);
+    const parts = (name || '').trim().split(/\s+/);
+    if (parts.length > 1) {
+      parts
+        .filter(part => part.length >= MIN_NAME_PART_LENGTH)
+        .forEach(part => add(PII_ENTITY_TYPES.NAME, part));
+    }
+  };
+
+  if (user) {
+    addName(user.name);
+    add(PII_ENTITY_TYPES.EMAIL, user.email);
+  }
+
+  if (patient) {
+    add(PII_ENTITY_TYPES.EMAIL, patient.contact?.email);
+    add(PII_ENTITY_TYPES.PHONE, patient.contact?.phone);
+    addName(patient.emergencyContact?.name);
+    add(PII_ENTITY_TYPES.PHONE, patient.emergencyContact?.phone);
+  }
+
+  return identifiers;
+};
+
+/**
+ * Matcher for a known identifier
+ * Phones match with any separators; full names case-insensitively; single
+ * name parts only when capitalised, so a name like "Will" does not redact
+ * the verb.
+ * @param {Object} identifier - { type, value }
+ * @param {boolean} isNamePart - Whether the value is one part of a longer name
+ * @returns {RegExp}
+ */
+const buildKnownMatcher = (identifier, isNamePart) => {
+  if (identifier.type === PII_ENTITY_TYPES.PHONE) {
+    const digits = identifier.value.replace(/\D/g, '');
+    return new RegExp(`\\(?(?<!\\d)${digits.split('').join(PHONE_SEPARATORS)}(?!\\d)`, 'g');
+  }
+
+  if (isNamePart) {
+    const capitalised = identifier.value.charAt(0).toUpperCase() + identifier.value.slice(1).toLowerCase();
+    return new RegExp(`\\b${escapeRegExp(capitalised)}\\b`, 'g');
+  }
+
+  return new RegExp(`\\b${escapeRegExp(identifier.value).replace(/\s+/g, '\\s+')}\\b`, 'gi');
+};
+
+/**
+ * Create a redactor for one LLM request
+ * @param {Object} options - { knownIdentifiers: [{ type, value }], fingerprintSecret }
+ * @returns {Object} - { redactText, redact, rehydrate, getReport }
+ */
+const createRedactor = ({ knownIdentifiers = [], fingerprintSecret = '' } = {}) => {
+  // `${type}:${normalized}` -> placeholder
+  const placeholderByValue = new Map();
+  // placeholder -> { type, source, original, normalized, occurrences }
+  const entries = new Map();
+  const counters = {};
+
+  const fullNames = new Set(
+    knownIdentifiers
+      .filter(identifier => identifier.type === PII_ENTITY_TYPES.NAME && /\s/.test(identifier.value))
+      .flatMap(identifier => identifier.value.split(/\s+/).map(part => part.toLowerCase()))
+  );
+
+  // Longest first, so a full name is replaced before its parts
+  const knownMatchers = [...knownIdentifiers]
+    .sort((a, b) => b.value.length - a.value.length)
+    .map(identifier => ({
+      type: identifier.type,
+      regex: buildKnownMatcher(
+        identifier,
+        identifier.type === PII_ENTITY_TYPES.NAME
+          && !/\s/.test(identifier.value)
+          && fullNames.has(identifier.value.toLowerCase())
+      ),
+    }));
+
+  const placeholderFor = (type, value, source) => {
+    const normalized = normalizeIdentifier(type, value);
+    const key = `${type}:${normalized}`;
+
+    if (!placeholderByValue.has(key)) {
+      counters[type] = (counters[type] || 0) + 1;
+      const placeholder = `${type}_${counters[type]}`;
+      placeholderByValue.set(key, placeholder);
+      entries.set(placeholder, { type, source, original: value, normalized, occurrences: 0 });
+    }
+
+    const placeholder = placeholderByValue.get(key);
+    entries.get(placeholder).occurrences += 1;
+    return `[${placeholder}]`;
+  };
+
+  /**
+   * Redact identifiers in a string
+   * @param {string} text - Text
+   * @returns {string} - Text with placeholders
+   */
+  const redactText = (text) => {
+    if (typeof text !== 'string' || !text) return text;
+
+    let result = text;
+
+    for (const matcher of knownMatchers) {
+      result = result.replace(matcher.regex, match => placeholderFor(matcher.type, match, REDACTION_SOURCES.KNOWN));
+    }
+
+    for (const detector of PATTERN_DETECTORS) {
+      result = result.replace(detector.pattern, (match, ...groups) => {
+        const value = detector.group === 0 ? match : groups[detector.group - 1];
+        if (!value || (detector.accept && !detector.accept(value))) return match;
+
+        const placeholder = placeholderFor(detector.type, value, REDACTION_SOURCES.PATTERN);
+        return detector.group === 0 ? placeholder : match.replace(value, placeholder);
+      });
+    }
+
+    return result;
+  };
+
+  /**
+   * Redact every string in a context value
+   * Dates, numbers and other non-string values are kept as they are.
+   * @param {*} value - Context value
+   * @returns {*} - Redacted copy
+   */
+  const redact = (value) => {
+    if (typeof value === 'string') return redactText(value);
+    if (Array.isArray(value)) return value.map(redact);
+    if (value && typeof value === 'object' && value.constructor === Object) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redact(item)]));
+    }
+    return value;
+  };
+
+  /**
+   * Put original values back in place of placeholders
+   * Unknown placeholders are left as they are.
+   * @param {*} value - Model output (string, array or plain object)
+   * @returns {*} - Rehydrated copy
+   */
+  const rehydrate = (value) => {
+    if (typeof value === 'string') {
+      return value.replace(PLACEHOLDER_PATTERN, (match, placeholder) => (
+        entries.has(placeholder) ? entries.get(placeholder).original : match
+      ));
+    }
+    if (Array.isArray(value)) return value.map(rehydrate);
+    if (value && typeof value === 'object' && value.constructor === Object) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, rehydrate(item)]));
+    }
+    return value;
+  };
+
+  /**
+   * Redactions made so far, without raw values
+   * @returns {Array} - [{ placeholder, type, source, occurrences, fingerprint }]
+   */
+  const getReport = () => [...entries.entries()].map(([placeholder, entry]) => ({
+    placeholder,
+    type: entry.type,
+    source: entry.source,
+    occurrences: entry.occurrences,
+    fingerprint: crypto
+      .createHmac('sha256', fingerprintSecret)
+      .update(`${entry.type}:${entry.normalized}`)
+      .digest('hex')
+      .slice(0, 16),
+  }));
+
+  return {
+    redactText,
+    redact,
+    rehydrate,
+    getReport,
+  };
+};
+
+module.exports = {
+  PATTERN_DETECTORS,
+  normalizeIdentifier,
+  buildKnownIdentifiers,
+  createRedactor,
+};
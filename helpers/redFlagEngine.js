@@ -0,0 +1,298 @@
+const {
+  RED_FLAG_LEVELS,
+  RED_FLAG_RULE_TYPES,
+  RED_FLAG_ADVISORIES,
+} = require('../constants/redFlags');
+
+/**
+ * Red-Flag Rule Engine
+ *
+ * Checks free text and assessment answers against red-flag rules (see
+ * constants/redFlags.js for the rule shape). Pure functions: loading rules
+ * and acting on matches is up to the caller.
+ *
+ * Urgent keyword matches directly preceded by a negation ("no chest pain",
+ * "denies any fainting") are ignored. Emergency keyword matches are never
+ * suppressed: a missed emergency costs far more than a false alarm.
+ */
+
+const LEVEL_ORDER = [RED_FLAG_LEVELS.URGENT, RED_FLAG_LEVELS.EMERGENCY];
+
+// Negation at most two words before a match; a conjunction or clause break
+// in between ends its scope ("no appetite and I want to die")
+const NEGATION_PATTERN = /\b(no|not|denies|denied|without|never|none)\b(\s+(?!(and|but|or|so|yet|then|because|though|although)\b)[\w'-]+){0,2}\s*$/i;
+
+// Characters of surrounding text kept as the excerpt of a keyword match
+const EXCERPT_RADIUS = 40;
+
+// Question types whose answers are free text
+const TEXT_QUESTION_TYPES = ['long_text'];
+
+// Question types whose answers are numbers
+const NUMERIC_QUESTION_TYPES = ['numeric', 'rating_numeric', 'rating_slider'];
+
+const compiledPatterns = new Map();
+
+/**
+ * Compile a rule pattern once
+ * @param {string} pattern - Regex source
+ * @returns {RegExp} - Case-insensitive global regex
+ */
+const compile = (pattern) => {
+  if (!compiledPatterns.has(pattern)) {
+    compiledPatterns.set(pattern, new RegExp(pattern, 'gi'));
+  }
+  const regex = compiledPatterns.get(pattern);
+  regex.lastIndex = 0;
+  return regex;
+};
+
+/**
+ * Check that a pattern is a valid regular expression
+ * @param {string} pattern - Regex source
+ * @returns {boolean}
+ */
+const isValidPattern = (pattern) => {
+  try {
+    new RegExp(pattern, 'i');
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Whether the text before a keyword match negates it
+ * @param {Object} rule - Keyword rule
+ * @param {string} before - Text preceding the match
+ * @returns {boolean}
+ */
+const isNegated = (rule, before) => (
+  rule.level !== RED_FLAG_LEVELS.EMERGENCY && NEGATION_PATTERN.test(before)
+);
+
+/**
+ * Find the first non-negated keyword match in a text
+ * @param {Object} rule - Keyword rule
+ * @param {string} text - Text to search
+ * @returns {string|null} - Excerpt around the match
+ */
+const matchKeywords = (rule, text) => {
+  if (!text) return null;
+
+  for (const pattern of rule.patterns || []) {
+    const regex = compile(pattern);
+    let match;
+
+    while ((match = regex.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        regex.lastIndex += 1;
+        continue;
+      }
+
+      if (!isNegated(rule, text.slice(0, match.index))) {
+        const start = Math.max(0, match.index - EXCERPT_RADIUS);
+        const end = Math.min(text.length, match.index + match[0].length + EXCERPT_RADIUS);
+        return text.slice(start, end).trim();
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Whether a rule's question filter selects a question
+ * @param {Object} rule - Numeric or option rule
+ * @param {Object} question - Question definition
+ * @returns {boolean}
+ */
+const ruleAppliesToQuestion = (rule, question) => {
+  if (rule.questionTypes?.length && !rule.questionTypes.includes(question.type)) {
+    return false;
+  }
+  if (!rule.questionPattern) {
+    return true;
+  }
+  return compile(rule.questionPattern).test(`${question.id} ${question.label || ''}`);
+};
+
+/**
+ * Compare a numeric answer with a rule threshold
+ * @param {Object} rule - Numeric rule { operator, threshold, relativeToScale }
+ * @param {Object} question - Question definition (min/max used for relative thresholds)
+ * @param {*} value - Answer value
+ * @returns {boolean}
+ */
+const matchThreshold = (rule, question, value) => {
+  let actual = Number(value);
+  if (value === null || value === '' || Number.isNaN(actual)) return false;
+
+  if (rule.relativeToScale) {
+    const min = question.min ?? 0;
+    const max = question.max;
+    if (max === null || max === undefined || max <= min) return false;
+    actual = (actual - min) / (max - min);
+  }
+
+  switch (rule.operator) {
+    case 'gt': return actual > rule.threshold;
+    case 'gte': return actual >= rule.threshold;
+    case 'lt': return actual < rule.threshold;
+    case 'lte': return actual <= rule.threshold;
+    default: return false;
+  }
+};
+
+/**
+ * Compare a choice answer with a rule's option values
+ * `values` match when any selected value is listed; `exceptValues` match
+ * when any selected value is NOT listed.
+ * @param {Object} rule - Option rule
+ * @param {*} value - Answer value (scalar or array)
+ * @returns {boolean}
+ */
+const matchOptionValue = (rule, value) => {
+  const selected = (Array.isArray(value) ? value : [value])
+    .filter((v) => v !== null && v !== undefined && v !== '')
+    .map((v) => String(v).toLowerCase());
+
+  if (rule.values?.length) {
+    const listed = rule.values.map((v) => String(v).toLowerCase());
+    return selected.some((v) => listed.includes(v));
+  }
+  if (rule.exceptValues?.length) {
+    const excluded = rule.exceptValues.map((v) => String(v).toLowerCase());
+    return selected.some((v) => !excluded.includes(v));
+  }
+  return false;
+};
+
+/**
+ * Build a match record
+ * @param {Object} rule - Matched rule
+ * @param {Object} details - { field, questionId, excerpt }
+ * @returns {Object} - Match
+ */
+const toMatch = (rule, details) => ({
+  ruleCode: rule.code,
+  ruleName: rule.name,
+  level: rule.level,
+  advice: rule.advice,
+  field: details.field,
+  questionId: details.questionId || null,
+  excerpt: details.excerpt || null,
+});
+
+/**
+ * Check named text fields against keyword rules
+ * @param {Array} rules - Red-flag rules
+ * @param {Object} fields - { fieldName: text }
+ * @returns {Array} - Matches (one per rule)
+ */
+const evaluateText = (rules, fields) => {
+  const matches = [];
+
+  for (const rule of rules) {
+    if (rule.type !== RED_FLAG_RULE_TYPES.KEYWORD) continue;
+
+    for (const [field, text] of Object.entries(fields)) {
+      const excerpt = matchKeywords(rule, typeof text === 'string' ? text : '');
+      if (excerpt) {
+        matches.push(toMatch(rule, { field, excerpt }));
+        break;
+      }
+    }
+  }
+
+  return matches;
+};
+
+/**
+ * Check assessment answers against every rule type
+ * Free-text answers and notes go through keyword rules; numeric and choice
+ * answers through threshold and option rules for the questions they select.
+ * @param {Array} rules - Red-flag rules
+ * @param {Array} questions - Assessment questions
+ * @param {Array} answers - Submitted answers ({ questionId, value })
+ * @param {string} notes - Response notes (optional)
+ * @returns {Array} - Matches (one per rule and question)
+ */
+const evaluateAnswers = (rules, questions, answers, notes = null) => {
+  const questionsById = new Map(questions.map((q) => [q.id, q]));
+
+  const textFields = {};
+  for (const answer of answers) {
+    const question = questionsById.get(answer.questionId);
+    if (question && TEXT_QUESTION_TYPES.includes(question.type)) {
+      textFields[`answers.${answer.questionId}`] = answer.value;
+    }
+  }
+  if (notes) {
+    textFields.notes = notes;
+  }
+
+  const matches = evaluateText(rules, textFields).map((match) => ({
+    ...match,
+    questionId: match.field.startsWith('answers.') ? match.field.slice('answers.'.length) : null,
+  }));
+
+  for (const rule of rules) {
+    if (rule.type === RED_FLAG_RULE_TYPES.KEYWORD) continue;
+
+    for (const answer of answers) {
+      const question = questionsById.get(answer.questionId);
+      if (!question || !ruleAppliesToQuestion(rule, question)) continue;
+
+      const matched = rule.type === RED_FLAG_RULE_TYPES.NUMERIC_THRESHOLD
+        ? NUMERIC_QUESTION_TYPES.includes(question.type) && matchThreshold(rule, question, answer.value)
+        : matchOptionValue(rule, answer.value);
+
+      if (matched) {
+        matches.push(toMatch(rule, {
+          field: `answers.${answer.questionId}`,
+          questionId: answer.questionId,
+          excerpt: `${question.label}: ${Array.isArray(answer.value) ? answer.value.join(', ') : answer.value}`,
+        }));
+      }
+    }
+  }
+
+  return matches;
+};
+
+/**
+ * Highest level among matches
+ * @param {Array} matches - Matches
+ * @returns {string|null} - Level
+ */
+const highestLevel = (matches) => matches.reduce((highest, match) => (
+  LEVEL_ORDER.indexOf(match.level) > LEVEL_ORDER.indexOf(highest) ? match.level : highest
+), null);
+
+/**
+ * Build the patient-facing advisory for a set of matches
+ * @param {Array} matches - Matches
+ * @returns {Object|null} - { level, title, message, advice, ruleCodes } or null
+ */
+const buildAdvisory = (matches) => {
+  if (!matches.length) return null;
+
+  const level = highestLevel(matches);
+
+  return {
+    level,
+    ...RED_FLAG_ADVISORIES[level],
+    advice: [...new Set(matches.map((match) => match.advice).filter(Boolean))],
+    ruleCodes: [...new Set(matches.map((match) => match.ruleCode))],
+  };
+};
+
+module.exports = {
+  LEVEL_ORDER,
+  isValidPattern,
+  evaluateText,
+  evaluateAnswers,
+  highestLevel,
+  buildAdvisory,
+};
@@ -0,0 +1,68 @@
+/**
+ * Server-Sent Events Helper
+ *
+ * Turns an Express response into an event stream. Events are written as
+ * `event: <name>` / `data: <json>` pairs; a comment line is sent periodically
+ * so proxies do not close idle connections.
+ */
+
+/**
+ * Open an event stream on a response
+ * @param {Object} res - Express response object
+ * @param {Object} options - { heartbeatMs } (default: 15000)
+ * @returns {Object} - { send(event, data), close(), isClosed() }
+ */
+const openEventStream = (res, options = {}) => {
+  const { heartbeatMs = 15000 } = options;
+  let closed = false;
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable response buffering in nginx
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => {
+    if (!closed) {
+      res.write(': ping\n\n');
+    }
+  }, heartbeatMs);
+
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+  });
+
+  return {
+    /**
+     * Send an event (no-op once the client has disconnected)
+     * @param {string} event - Event name
+     * @param {*} data - JSON-serializable payload
+     * @returns {boolean} - Whether the event was written
+     */
+    send(event, data) {
+      if (closed) return false;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      return true;
+    },
+
+    close() {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      res.end();
+    },
+
+    isClosed() {
+      return closed;
+    },
+  };
+};
+
+module.exports = {
+  openEventStream,
+};
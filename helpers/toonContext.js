@@ -1,5 +1,7 @@
 const { encode } = require('@toon-format/toon');
 const logger = require('./logger');
+const { resolveVisibleQuestions } = require('./conditionEvaluator');
+const { fitContext } = require('./contextBudgeter');
 
 /**
  * TOON Context Builder
@@ -22,6 +24,7 @@ const cleanContext = (obj) => {
     'accessToken',
     '__v',
     'llmMetadata',
+    'authoring',
     'reportPayload',
   ];
   
@@ -77,16 +80,33 @@ const buildToonContext = (contextData) => {
   }
 };
 
+// Answer digest detail for previous assessments, before any budget pruning
+// - assessments: previous answered assessments that get a digest
+// - maxAnswers: answers kept per assessment (choices and numbers first)
+// - textLength: characters kept per long-text answer (0 drops them)
+const DEFAULT_ANSWER_DIGEST = { assessments: 3, maxAnswers: 15, textLength: 200 };
+
+// Longest question label kept in a digest row
+const DIGEST_LABEL_LENGTH = 80;
+
 /**
- * Build assessment generation context
+ * Build assessment generation context data
+ * Plain object form, used directly by non-LLM providers. Previous
+ * assessments that were answered carry a digest of the answers (see
+ * buildAnswerDigest), which switches the prompt into follow-up mode.
  * @param {Object} user - User object
  * @param {Object} patientData - Patient data (if applicable)
  * @param {Object} healthConcern - Health concern details
- * @param {Array} previousAssessments - Previous assessments for this concern
- * @returns {string} - TOON-encoded context string
+ * @param {Array} previousAssessments - Previous assessments for this concern, newest first,
+ *   each with `hasResponse` and (when answered) `response`
+ * @param {Object} options - { digest } (default DEFAULT_ANSWER_DIGEST)
+ * @returns {Object} - Context object
  */
-const buildAssessmentContext = (user, patientData, healthConcern, previousAssessments) => {
+const buildAssessmentContextData = (user, patientData, healthConcern, previousAssessments, options = {}) => {
+  const { digest = DEFAULT_ANSWER_DIGEST } = options;
+  
   const context = {
+    assessmentMode: previousAssessments.some(a => a.hasResponse) ? 'follow_up' : 'initial',
     patient: {
       age: patientData?.birthDate 
         ? Math.floor((Date.now() - new Date(patientData.birthDate).getTime()) / (365.25 * 24 * 60 * 60 * 1000))
@@ -102,12 +122,7 @@ const buildAssessmentContext = (user, patientData, healthConcern, previousAssess
       status: healthConcern.status,
       notes: healthConcern.notes,
     },
-    previousAssessments: previousAssessments.map(a => ({
-      createdAt: a.createdAt,
-      severity: a.severity,
-      questionCount: a.questions?.length || 0,
-      hasResponse: a.hasResponse,
-    })),
+    previousAssessments: summarizePreviousAssessments(previousAssessments, digest),
   };
   
   if (patientData) {
@@ -130,12 +145,424 @@ const buildAssessmentContext = (user, patientData, healthConcern, previousAssess
     }
   }
   
-  return buildToonContext(context);
+  return context;
+};
+
+/**
+ * Build assessment generation context
+ * @param {Object} user - User object
+ * @param {Object} patientData - Patient data (if applicable)
+ * @param {Object} healthConcern - Health concern details
+ * @param {Array} previousAssessments - Previous assessments for this concern
+ * @returns {string} - TOON-encoded context string
+ */
+const buildAssessmentContext = (user, patientData, healthConcern, previousAssessments) => {
+  return buildToonContext(buildAssessmentContextData(user, patientData, healthConcern, previousAssessments));
+};
+
+/**
+ * Build the assessment generation context within a token budget
+ * The context object is pruned section by section (see
+ * buildAssessmentContextSections and helpers/contextBudgeter) before encoding,
+ * so the encoded TOON is never cut mid-section.
+ * @param {Object} user - User object
+ * @param {Object} patientData - Patient data (if applicable)
+ * @param {Object} healthConcern - Health concern details
+ * @param {Array} previousAssessments - Previous assessments (see buildAssessmentContextData)
+ * @param {Object} budget - { maxTokens, countTokens: (text) => number }
+ * @returns {Object} - { contextData, toonContext, tokenCount, withinBudget, pruned }
+ */
+const buildBudgetedAssessmentContext = (user, patientData, healthConcern, previousAssessments, budget) => {
+  const fullContext = buildAssessmentContextData(user, patientData, healthConcern, previousAssessments);
+  
+  const sections = buildAssessmentContextSections(previousAssessments);
+  const { context, tokenCount, withinBudget, pruned } = fitContext(fullContext, sections, {
+    maxTokens: budget.maxTokens,
+    measure: contextData => budget.countTokens(buildToonContext(contextData)),
+  });
+  
+  return {
+    contextData: context,
+    toonContext: buildToonContext(context),
+    tokenCount,
+    withinBudget,
+    pruned,
+  };
+};
+
+/**
+ * Resolve an answer value to a human-readable form using the question options
+ * @param {Object} question - Question definition
+ * @param {*} value - Raw answer value
+ * @returns {string|number|null} - Readable answer
+ */
+const formatAnswerValue = (question, value) => {
+  if (value === undefined || value === null) return null;
+
+  const labelFor = (val) => {
+    const option = (question.options || []).find(opt => String(opt.value) === String(val));
+    return option ? option.label : String(val);
+  };
+
+  if (Array.isArray(value)) {
+    return value.map(labelFor).join('; ');
+  }
+
+  if (question.options && question.options.length > 0) {
+    return labelFor(value);
+  }
+
+  return value;
+};
+
+/**
+ * Shorten long text to a summary at a word boundary
+ * @param {string} text - Text
+ * @param {number} maxLength - Maximum characters
+ * @returns {string} - Summary
+ */
+const summarizeText = (text, maxLength) => {
+  const normalized = String(text).replace(/\s+/g, ' ').trim();
+  if (normalized.length <= maxLength) return normalized;
+
+  const cut = normalized.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut}…`;
+};
+
+/**
+ * Compact digest of the answers to a previous assessment
+ * Instrument items are reported through their scores only. Numeric and
+ * choice answers come before long-text summaries when answers are capped.
+ * @param {Object} assessment - Previous assessment (questions, instruments)
+ * @param {Object} response - Its assessment response
+ * @param {Object} digest - Detail level (see DEFAULT_ANSWER_DIGEST)
+ * @returns {Object} - { answeredAt, instrumentScores?, answers }
+ */
+const buildAnswerDigest = (assessment, response, digest) => {
+  const questionsById = new Map((assessment.questions || []).map(q => [q.id, q]));
+  const instrumentQuestionIds = new Set(
+    (assessment.instruments || []).flatMap(instrument => instrument.questionIds || [])
+  );
+
+  const structured = [];
+  const text = [];
+
+  for (const answer of response.answers || []) {
+    const question = questionsById.get(answer.questionId);
+    if (!question || instrumentQuestionIds.has(question.id)) continue;
+
+    const row = {
+      id: question.id,
+      question: summarizeText(question.label, DIGEST_LABEL_LENGTH),
+    };
+
+    if (question.type === 'long_text') {
+      if (digest.textLength > 0 && answer.value) {
+        text.push({ ...row, answer: summarizeText(answer.value, digest.textLength) });
+      }
+    } else {
+      const value = formatAnswerValue(question, answer.value);
+      const unit = question.min !== null && question.min !== undefined && question.max !== null && question.max !== undefined
+        ? ` (${question.min}-${question.max})`
+        : '';
+      structured.push({ ...row, answer: typeof value === 'number' ? `${value}${unit}` : value });
+    }
+  }
+
+  const result = {
+    answeredAt: response.submittedAt,
+    // Uniform rows so TOON can encode the answers as a single table
+    answers: [...structured, ...text].slice(0, digest.maxAnswers),
+  };
+
+  if (response.instrumentScores?.length) {
+    result.instrumentScores = response.instrumentScores.map(score => ({
+      instrument: score.name || score.code,
+      total: score.total,
+      maxTotal: score.maxTotal,
+      band: score.band,
+    }));
+  }
+
+  return result;
+};
+
+/**
+ * Summaries of previous assessments, the newest answered ones with a digest
+ * @param {Array} previousAssessments - Previous assessments, newest first,
+ *   each with `hasResponse` and (when answered) `response`
+ * @param {Object} digest - { assessments, maxAnswers, textLength } (see DEFAULT_ANSWER_DIGEST)
+ * @returns {Array} - Summaries
+ */
+const summarizePreviousAssessments = (previousAssessments, digest) => {
+  let digestsLeft = digest.assessments;
+
+  return previousAssessments.map(a => {
+    const summary = {
+      createdAt: a.createdAt,
+      severity: a.severity,
+      questionCount: a.questions?.length || 0,
+      hasResponse: a.hasResponse,
+    };
+    
+    if (a.response && digestsLeft > 0) {
+      digestsLeft -= 1;
+      Object.assign(summary, buildAnswerDigest(a, a.response, digest));
+    }
+    
+    return summary;
+  });
+};
+
+/**
+ * Assessment generation context sections, for budget pruning
+ * Priority 1 is kept longest. Safety-relevant history (allergies, chronic
+ * conditions) outranks previous answers; free-text medical history goes
+ * first. See helpers/contextBudgeter for how reducers are applied.
+ * @param {Array} previousAssessments - Previous assessments (source of the
+ *   smaller answer digests)
+ * @returns {Array} - Section definitions
+ */
+const buildAssessmentContextSections = (previousAssessments) => [
+  {
+    key: 'healthConcern',
+    priority: 1,
+    required: true,
+    minTokens: 100,
+    reducers: [
+      {
+        action: 'shortened',
+        apply: concern => ({ ...concern, notes: concern.notes ? summarizeText(concern.notes, 200) : concern.notes }),
+      },
+      {
+        action: 'shortened',
+        apply: concern => ({
+          ...concern,
+          chiefComplaint: concern.chiefComplaint ? summarizeText(concern.chiefComplaint, 300) : concern.chiefComplaint,
+          symptoms: concern.symptoms ? summarizeText(concern.symptoms, 500) : concern.symptoms,
+          notes: null,
+        }),
+      },
+    ],
+  },
+  {
+    key: 'patient',
+    priority: 1,
+    required: true,
+    minTokens: 0,
+  },
+  {
+    key: 'allergies',
+    priority: 2,
+    minTokens: 20,
+    reducers: [
+      { action: 'summarized', apply: allergies => allergies.map(a => a.name).join(', ') },
+    ],
+  },
+  {
+    key: 'chronicConditions',
+    priority: 2,
+    minTokens: 20,
+    reducers: [
+      { action: 'summarized', apply: conditions => conditions.map(c => c.name).join(', ') },
+    ],
+  },
+  {
+    key: 'previousAssessments',
+    priority: 3,
+    minTokens: 60,
+    reducers: [
+      { action: 'shortened', apply: () => summarizePreviousAssessments(previousAssessments, { assessments: 2, maxAnswers: 10, textLength: 120 }) },
+      { action: 'shortened', apply: () => summarizePreviousAssessments(previousAssessments, { assessments: 1, maxAnswers: 8, textLength: 80 }) },
+      { action: 'summarized', apply: () => summarizePreviousAssessments(previousAssessments, { assessments: 1, maxAnswers: 5, textLength: 0 }) },
+      { action: 'summarized', apply: () => summarizePreviousAssessments(previousAssessments, { assessments: 0, maxAnswers: 0, textLength: 0 }) },
+    ],
+  },
+  {
+    key: 'medicalHistory',
+    priority: 4,
+    minTokens: 40,
+    reducers: [
+      { action: 'summarized', apply: history => summarizeText(history, 400) },
+      { action: 'summarized', apply: history => summarizeText(history, 150) },
+    ],
+  },
+];
+
+/**
+ * Build report generation context data
+ * Pairs every assessment question with the submitted answer
+ * @param {Object} assessment - Assessment document
+ * @param {Object} response - Assessment response document
+ * @param {Object} healthConcern - Health concern details
+ * @returns {Object} - Context object
+ */
+const buildReportContextData = (assessment, response, healthConcern) => {
+  const answersById = new Map(response.answers.map(a => [a.questionId, a.value]));
+  // Questions hidden by skip logic were never shown, so they are not "skipped"
+  const visibleQuestionIds = resolveVisibleQuestions(assessment.questions, response.answers);
+  const visibleQuestions = assessment.questions.filter(q => visibleQuestionIds.has(q.id));
+
+  const context = {
+    healthConcern: {
+      title: healthConcern?.title,
+      chiefComplaint: healthConcern?.chiefComplaint,
+      symptoms: healthConcern?.symptoms,
+      onset: healthConcern?.onsetDescription || null,
+      severity: healthConcern?.severity || null,
+    },
+    assessment: {
+      severity: assessment.severity,
+      questionCount: visibleQuestions.length,
+      createdAt: assessment.createdAt,
+      submittedAt: response.submittedAt,
+    },
+    // Uniform rows so TOON can encode the answers as a single table
+    responses: visibleQuestions.map(q => ({
+      id: q.id,
+      type: q.type,
+      question: q.label,
+      answer: formatAnswerValue(q, answersById.get(q.id)),
+      range: q.min !== null && q.min !== undefined && q.max !== null && q.max !== undefined
+        ? `${q.min}-${q.max}`
+        : null,
+    })),
+  };
+
+  if (response.instrumentScores?.length) {
+    context.instrumentScores = response.instrumentScores.map(score => ({
+      instrument: score.name || score.code,
+      version: score.version,
+      total: score.total,
+      maxTotal: score.maxTotal,
+      band: score.band,
+    }));
+  }
+
+  if (response.notes) {
+    context.patientNotes = response.notes;
+  }
+
+  return context;
+};
+
+/**
+ * Shorten long-text answers in report rows
+ * @param {Array} rows - Report response rows
+ * @param {number} maxLength - Characters kept per text answer
+ * @returns {Array} - Rows
+ */
+const shortenTextAnswers = (rows, maxLength) => rows.map(row => (
+  typeof row.answer === 'string' && row.answer.length > maxLength
+    ? { ...row, answer: summarizeText(row.answer, maxLength) }
+    : row
+));
+
+/**
+ * Report generation context sections, for budget pruning
+ * The answers and instrument scores are what the report is about and are
+ * never dropped; long answers are shortened first, free-text patient notes
+ * go before anything else. See helpers/contextBudgeter.
+ * @returns {Array} - Section definitions
+ */
+const buildReportContextSections = () => [
+  {
+    key: 'assessment',
+    priority: 1,
+    required: true,
+    minTokens: 0,
+  },
+  {
+    key: 'instrumentScores',
+    priority: 1,
+    required: true,
+    minTokens: 0,
+  },
+  {
+    key: 'responses',
+    priority: 1,
+    required: true,
+    minTokens: 200,
+    reducers: [
+      { action: 'shortened', apply: rows => shortenTextAnswers(rows, 300) },
+      { action: 'shortened', apply: rows => shortenTextAnswers(rows, 120) },
+    ],
+  },
+  {
+    key: 'healthConcern',
+    priority: 2,
+    required: true,
+    minTokens: 60,
+    reducers: [
+      {
+        action: 'shortened',
+        apply: concern => ({
+          ...concern,
+          chiefComplaint: concern.chiefComplaint ? summarizeText(concern.chiefComplaint, 200) : concern.chiefComplaint,
+          symptoms: concern.symptoms ? summarizeText(concern.symptoms, 300) : concern.symptoms,
+        }),
+      },
+    ],
+  },
+  {
+    key: 'patientNotes',
+    priority: 3,
+    minTokens: 40,
+    reducers: [
+      { action: 'summarized', apply: notes => summarizeText(notes, 400) },
+      { action: 'summarized', apply: notes => summarizeText(notes, 150) },
+    ],
+  },
+];
+
+/**
+ * Build the report generation context within a token budget
+ * Same approach as buildBudgetedAssessmentContext, with the report sections.
+ * @param {Object} assessment - Assessment document
+ * @param {Object} response - Assessment response document
+ * @param {Object} healthConcern - Health concern details
+ * @param {Object} budget - { maxTokens, countTokens: (text) => number }
+ * @returns {Object} - { contextData, toonContext, tokenCount, withinBudget, pruned }
+ */
+const buildBudgetedReportContext = (assessment, response, healthConcern, budget) => {
+  const fullContext = buildReportContextData(assessment, response, healthConcern);
+  
+  const { context, tokenCount, withinBudget, pruned } = fitContext(fullContext, buildReportContextSections(), {
+    maxTokens: budget.maxTokens,
+    measure: contextData => budget.countTokens(buildToonContext(contextData)),
+  });
+  
+  return {
+    contextData: context,
+    toonContext: buildToonContext(context),
+    tokenCount,
+    withinBudget,
+    pruned,
+  };
+};
+
+/**
+ * Build report generation context
+ * @param {Object} assessment - Assessment document
+ * @param {Object} response - Assessment response document
+ * @param {Object} healthConcern - Health concern details
+ * @returns {string} - TOON-encoded context string
+ */
+const buildReportContext = (assessment, response, healthConcern) => {
+  return buildToonContext(buildReportContextData(assessment, response, healthConcern));
 };
 
 module.exports = {
+  DEFAULT_ANSWER_DIGEST,
   buildToonContext,
   buildAssessmentContext,
+  buildAssessmentContextData,
+  buildBudgetedAssessmentContext,
+  buildReportContext,
+  buildReportContextData,
+  buildBudgetedReportContext,
+  formatAnswerValue,
   cleanContext,
 };
 
@@ -0,0 +1,309 @@
+/**
+ * Trend Analysis
+ *
+ * Aligns comparable questions across the assessment responses of one health
+ * concern and turns them into per-metric time series.
+ *
+ * Generated questions differ from one assessment to the next, so a
+ * question joins an existing metric when it has the same id OR the same
+ * normalized label key, and the same kind of scale. Instrument items,
+ * totals and subscales are keyed by instrument code and always align.
+ *
+ * Only numeric, rating and frequency questions are trended; ordinal scales
+ * (likert, frequency) use the option position as the value.
+ */
+
+// Trendable question types and how their answers become numbers
+const TRENDABLE_TYPES = {
+  numeric: 'numeric',
+  rating_numeric: 'numeric',
+  rating_slider: 'numeric',
+  rating_likert: 'ordinal',
+  rating_frequency: 'ordinal',
+};
+
+// Words dropped when building a label key
+const LABEL_STOPWORDS = new Set([
+  'a', 'an', 'the', 'your', 'you', 'do', 'does', 'did', 'is', 'are', 'was', 'were',
+  'how', 'what', 'on', 'in', 'of', 'to', 'for', 'with', 'at', 'by', 'from', 'please',
+  'rate', 'would', 'have', 'has', 'been', 'any', 'this', 'that', 'current', 'currently',
+]);
+
+const METRIC_SOURCES = {
+  INSTRUMENT: 'instrument',
+  INSTRUMENT_SUBSCALE: 'instrument_subscale',
+  INSTRUMENT_ITEM: 'instrument_item',
+  QUESTION: 'question',
+};
+
+/**
+ * Normalize a question label into a comparison key
+ * e.g. "How would you rate your pain today?" -> "pain_today"
+ * @param {string} label - Question label
+ * @returns {string} - Label key
+ */
+const normalizeLabel = (label = '') => label
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .split(' ')
+  .filter(word => word && !LABEL_STOPWORDS.has(word))
+  .join('_');
+
+/**
+ * Round to two decimals
+ * @param {number} value - Number
+ * @returns {number}
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Scale description of a trendable question
+ * @param {Object} question - Question definition
+ * @returns {Object} - { kind, min, max, labels, signature }
+ */
+const describeScale = (question) => {
+  const kind = TRENDABLE_TYPES[question.type];
+
+  if (kind === 'ordinal') {
+    const options = question.options || [];
+    return {
+      kind,
+      min: 0,
+      max: Math.max(options.length - 1, 0),
+      labels: options.map(opt => opt.label),
+      signature: options.map(opt => String(opt.value)).join('|'),
+    };
+  }
+
+  return {
+    kind,
+    min: question.min ?? null,
+    max: question.max ?? null,
+    labels: null,
+    signature: `${question.min ?? ''}..${question.max ?? ''}`,
+  };
+};
+
+/**
+ * Numeric value of an answer on a question's scale
+ * @param {Object} question - Question definition
+ * @param {*} value - Answer value
+ * @returns {Object|null} - { value, display } or null if not comparable
+ */
+const toPointValue = (question, value) => {
+  if (TRENDABLE_TYPES[question.type] === 'ordinal') {
+    const index = (question.options || []).findIndex(opt => String(opt.value) === String(value));
+    return index === -1 ? null : { value: index, display: question.options[index].label };
+  }
+
+  return typeof value === 'number' ? { value, display: String(value) } : null;
+};
+
+/**
+ * Add change-since-last and direction to a metric's series
+ * @param {Object} metric - Metric with points in time order
+ * @returns {Object} - Metric summary
+ */
+const summarizeMetric = (metric) => {
+  const { points } = metric;
+  const latest = points[points.length - 1];
+  const previous = points.length > 1 ? points[points.length - 2] : null;
+
+  const change = previous ? round(latest.value - previous.value) : null;
+  let direction = null;
+  if (change !== null) {
+    direction = change > 0 ? 'up' : change < 0 ? 'down' : 'flat';
+  }
+
+  // Clinical reading of the direction, only when polarity is known
+  let trend = null;
+  if (direction && metric.higherIsWorse !== null) {
+    if (direction === 'flat') {
+      trend = 'stable';
+    } else {
+      trend = (direction === 'up') === metric.higherIsWorse ? 'worsening' : 'improving';
+    }
+  }
+
+  return {
+    key: metric.key,
+    source: metric.source,
+    label: metric.label,
+    type: metric.type,
+    instrument: metric.instrument || null,
+    scale: {
+      min: metric.scale.min,
+      max: metric.scale.max,
+      labels: metric.scale.labels,
+    },
+    higherIsWorse: metric.higherIsWorse,
+    pointCount: points.length,
+    points,
+    latest,
+    previous,
+    change,
+    direction,
+    trend,
+  };
+};
+
+/**
+ * Build per-metric time series from assessment responses
+ * @param {Array} responses - AssessmentResponse documents with `assessment`
+ *   populated (questions, instruments), in submission order
+ * @param {Object} options - { getInstrument(code, version), minPoints }
+ * @returns {Array} - Metric summaries (instruments first, then by point count)
+ */
+const buildTrends = (responses, options = {}) => {
+  const { getInstrument = () => null, minPoints = 1 } = options;
+  const metricsByKey = new Map();
+  const questionMetrics = [];
+
+  const getMetric = (key, init) => {
+    if (!metricsByKey.has(key)) {
+      metricsByKey.set(key, { key, points: [], ...init });
+    }
+    return metricsByKey.get(key);
+  };
+
+  const addPoint = (metric, response, point) => {
+    const responseId = String(response._id);
+    // One point per response and metric
+    if (metric.points.some(p => p.responseId === responseId)) return;
+
+    metric.points.push({
+      responseId,
+      assessmentId: String(response.assessment._id),
+      submittedAt: response.submittedAt,
+      ...point,
+    });
+  };
+
+  for (const response of responses) {
+    const assessment = response.assessment;
+    if (!assessment || !assessment.questions) continue;
+
+    const questionsById = new Map(assessment.questions.map(q => [q.id, q]));
+    const scoresByCode = new Map((response.instrumentScores || []).map(score => [score.code, score]));
+    const instrumentByQuestionId = new Map();
+    for (const embedded of assessment.instruments || []) {
+      for (const questionId of embedded.questionIds || []) {
+        instrumentByQuestionId.set(questionId, embedded);
+      }
+    }
+
+    // Instrument totals and subscales
+    for (const score of response.instrumentScores || []) {
+      const instrument = getInstrument(score.code, score.version);
+      const higherIsWorse = instrument?.scoring?.higherIsWorse ?? null;
+
+      if (score.total !== null && score.total !== undefined) {
+        const metric = getMetric(`instrument:${score.code}`, {
+          source: METRIC_SOURCES.INSTRUMENT,
+          label: score.name || score.code,
+          type: 'score',
+          instrument: score.code,
+          scale: { min: 0, max: score.maxTotal, labels: null },
+          higherIsWorse,
+        });
+        addPoint(metric, response, { value: score.total, display: score.band });
+      }
+
+      for (const subscale of score.subscales || []) {
+        if (subscale.score === null || subscale.score === undefined) continue;
+
+        const metric = getMetric(`instrument:${score.code}:${subscale.code}`, {
+          source: METRIC_SOURCES.INSTRUMENT_SUBSCALE,
+          label: `${score.name || score.code} - ${subscale.name || subscale.code}`,
+          type: 'score',
+          instrument: score.code,
+          scale: { min: 0, max: subscale.maxScore, labels: null },
+          higherIsWorse,
+        });
+        addPoint(metric, response, { value: subscale.score, display: null });
+      }
+    }
+
+    for (const answer of response.answers || []) {
+      const question = questionsById.get(answer.questionId);
+      if (!question) continue;
+
+      // Instrument items use the scored value (after reverse scoring)
+      const embedded = instrumentByQuestionId.get(question.id);
+      if (embedded) {
+        const itemScore = scoresByCode.get(embedded.code)?.itemScores?.[question.id];
+        if (typeof itemScore !== 'number') continue;
+
+        const instrument = getInstrument(embedded.code, embedded.version);
+        const optionScores = Object.values(instrument?.scoring?.optionScores || {});
+        const metric = getMetric(`instrument:${embedded.code}:item:${question.id}`, {
+          source: METRIC_SOURCES.INSTRUMENT_ITEM,
+          label: question.label,
+          type: 'score',
+          instrument: embedded.code,
+          scale: {
+            min: optionScores.length ? Math.min(...optionScores) : null,
+            max: optionScores.length ? Math.max(...optionScores) : null,
+            labels: null,
+          },
+          higherIsWorse: instrument?.scoring?.higherIsWorse ?? null,
+        });
+        addPoint(metric, response, { value: itemScore, display: String(answer.value) });
+        continue;
+      }
+
+      if (!TRENDABLE_TYPES[question.type]) continue;
+
+      const point = toPointValue(question, answer.value);
+      if (!point) continue;
+
+      const scale = describeScale(question);
+      const labelKey = normalizeLabel(question.label);
+
+      let metric = questionMetrics.find(m => (
+        m.scale.kind === scale.kind
+        && m.scale.signature === scale.signature
+        && (m.questionIds.has(question.id) || (labelKey && m.labelKeys.has(labelKey)))
+      ));
+
+      if (!metric) {
+        // Same id on an incompatible scale starts a separate metric
+        const key = metricsByKey.has(`question:${question.id}`)
+          ? `question:${question.id}:${questionMetrics.length}`
+          : `question:${question.id}`;
+        metric = getMetric(key, {
+          source: METRIC_SOURCES.QUESTION,
+          type: question.type,
+          scale,
+          higherIsWorse: null,
+          questionIds: new Set(),
+          labelKeys: new Set(),
+        });
+        questionMetrics.push(metric);
+      }
+
+      metric.questionIds.add(question.id);
+      if (labelKey) metric.labelKeys.add(labelKey);
+      // Latest wording wins
+      metric.label = question.label;
+
+      addPoint(metric, response, { questionId: question.id, ...point });
+    }
+  }
+
+  const sourceOrder = Object.values(METRIC_SOURCES);
+
+  return [...metricsByKey.values()]
+    .filter(metric => metric.points.length >= minPoints)
+    .map(summarizeMetric)
+    .sort((a, b) => (
+      sourceOrder.indexOf(a.source) - sourceOrder.indexOf(b.source)
+      || b.pointCount - a.pointCount
+    ));
+};
+
+module.exports = {
+  METRIC_SOURCES,
+  normalizeLabel,
+  buildTrends,
+};
@@ -2,6 +2,8 @@ const app = require('./app');
 const mongoose = require('mongoose');
 const config = require('./config');
 const logger = require('./helpers/logger');
+const assessmentReportService = require('./api/v1/assessment/assessmentReport.service');
+const assessmentJobService = require('./api/v1/assessment/assessmentJob.service');
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
@@ -55,6 +57,7 @@ const startServer = () => {
   // Graceful shutdown
   const gracefulShutdown = (signal) => {
     logger.info(`${signal} received. Starting graceful shutdown...`);
+    assessmentJobService.stopWorker();
     
     server.close(async () => {
       logger.info('HTTP server closed');
@@ -79,4 +82,12 @@ const startServer = () => {
 connectDB().then(() => {
   logger.info('Database connected successfully');
   startServer();
+
+  // Claim queued assessment generation jobs
+  assessmentJobService.startWorker();
+
+  // Resume report generation interrupted by a previous shutdown
+  assessmentReportService.recoverPendingReports().catch((error) => {
+    logger.error('Failed to recover pending reports:', error);
+  });
 }); 
\ No newline at end of file
@@ -0,0 +1,128 @@
+const path = require('path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+// Generation runs offline against the recorded fixtures in test/fixtures/llm.
+// They are recorded from the template provider, not a hosted model, so they
+// cover fixture replay and the generation pipeline rather than real model
+// output, and recording needs no API key.
+// Re-record them with: LLM_FIXTURE_MODE=record npm test
+process.env.LLM_FIXTURE_MODE = process.env.LLM_FIXTURE_MODE || 'replay';
+process.env.LLM_FIXTURE_DIR = path.join(__dirname, 'fixtures', 'llm');
+process.env.LLM_PROVIDER_ASSESSMENT = 'template';
+process.env.PII_FINGERPRINT_SECRET = 'test-fingerprint-secret';
+
+const mongoose = require('mongoose');
+const Assessment = require('../api/v1/assessment/assessment.model');
+const AssessmentResponse = require('../api/v1/assessment/assessmentResponse.model');
+const HealthConcern = require('../api/v1/healthConcern/healthConcern.model');
+const Patient = require('../api/v1/patient/patient.model');
+const User = require('../api/v1/user/user.model');
+const assessmentService = require('../api/v1/assessment/assessment.service');
+const llmUsageService = require('../api/v1/llmUsage/llmUsage.service');
+const Prompt = require('../api/v1/prompt/prompt.model');
+const auditService = require('../api/v1/audit/audit.service');
+const { hashPrompt } = require('../helpers/llmProviders/fixtures');
+
+// Seed data must not change between recording and replay: fixed ids, no dates
+const userId = new mongoose.Types.ObjectId('64b000000000000000000001');
+const healthConcernId = new mongoose.Types.ObjectId('64b000000000000000000002');
+
+const user = new User({
+  _id: userId,
+  name: 'Replay Patient',
+  email: 'replay.patient@example.com',
+  password: 'Password123',
+  role: 'patient',
+});
+
+const healthConcern = new HealthConcern({
+  _id: healthConcernId,
+  user: userId,
+  title: 'Recurring headaches',
+  chiefComplaint: 'Headaches most afternoons',
+  symptoms: 'Throbbing pain behind the eyes, worse with screen time',
+  onset: { value: 3, unit: 'week' },
+  severity: 'moderate',
+});
+
+// Query stub resolving to a value whatever the chain
+const query = (value) => {
+  const chain = {
+    sort: () => chain,
+    limit: () => chain,
+    select: () => chain,
+    populate: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return chain;
+};
+
+const saved = [];
+
+// [target, property, stub]; originals are put back after the tests
+const stubs = [
+  [Assessment, 'canGenerateNewAssessment', async () => ({ allowed: true })],
+  [Assessment, 'find', () => query([])],
+  [Assessment.prototype, 'save', async function() {
+    saved.push(this);
+    return this;
+  }],
+  [AssessmentResponse, 'find', () => query([])],
+  [HealthConcern, 'findOne', () => query(healthConcern)],
+  [Patient, 'findOne', () => query(null)],
+  [User, 'findById', () => query(user)],
+  // Built-in prompt: no registry versions in the database
+  [Prompt, 'findOne', async () => null],
+  [llmUsageService, 'assertWithinQuota', async () => {}],
+  [llmUsageService, 'record', async () => {}],
+  [auditService, 'record', async () => {}],
+  [auditService, 'recordRedaction', async () => {}],
+];
+const originals = [];
+
+before(() => {
+  for (const [target, property, stub] of stubs) {
+    originals.push([target, property, Object.getOwnPropertyDescriptor(target, property)]);
+    target[property] = stub;
+  }
+});
+
+after(() => {
+  for (const [target, property, descriptor] of originals.reverse()) {
+    if (descriptor) {
+      Object.defineProperty(target, property, descriptor);
+    } else {
+      // Inherited (e.g. Model.prototype.save): drop the stub to uncover it
+      delete target[property];
+    }
+  }
+});
+
+test('generateAssessment replays the recorded completion', async () => {
+  const assessment = await assessmentService.generateAssessment(userId, healthConcernId);
+
+  assert.strictEqual(saved.length, 1);
+  assert.strictEqual(assessment.user.toString(), userId.toString());
+  assert.strictEqual(assessment.healthConcern.toString(), healthConcernId.toString());
+  assert.ok(assessment.questions.length > 0);
+  assert.strictEqual(assessment.llmMetadata.repairAttempts, 0);
+});
+
+test('fixtures are keyed by task, model and schema as well as the prompt', () => {
+  const request = {
+    task: 'assessment_generation',
+    model: 'gpt-4o',
+    jsonSchema: { name: 'assessment', schema: { type: 'object' } },
+    systemPrompt: 'system',
+    userPrompt: 'user',
+  };
+
+  const hash = hashPrompt(request);
+
+  assert.strictEqual(hashPrompt({ ...request }), hash);
+  assert.notStrictEqual(hashPrompt({ ...request, task: 'report_generation' }), hash);
+  assert.notStrictEqual(hashPrompt({ ...request, model: 'gpt-4o-mini' }), hash);
+  assert.notStrictEqual(hashPrompt({ ...request, jsonSchema: null }), hash);
+});
@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  evaluateCondition,
+  resolveVisibleQuestions,
+  validateQuestionGraph,
+} = require('../helpers/conditionEvaluator');
+
+test('evaluateCondition applies each operator', () => {
+  const cases = [
+    [{ operator: 'equals', value: 'yes' }, 'yes', true],
+    [{ operator: 'equals', value: 3 }, '3', true],
+    [{ operator: 'equals', value: 'yes' }, ['no', 'yes'], true],
+    [{ operator: 'not_equals', value: 'yes' }, 'no', true],
+    [{ operator: 'not_equals', value: 'yes' }, ['no', 'yes'], false],
+    [{ operator: 'contains', value: 'Pain' }, 'sharp pain at night', true],
+    [{ operator: 'contains', value: 'nausea' }, ['fever', 'nausea'], true],
+    [{ operator: 'greater_than', value: 5 }, 7, true],
+    [{ operator: 'greater_than', value: 5 }, 5, false],
+    [{ operator: 'less_than', value: '5' }, 2, true],
+    [{ operator: 'less_than', value: 5 }, 'abc', false],
+    [{ operator: 'unknown', value: 'yes' }, 'yes', false],
+  ];
+
+  for (const [condition, answerValue, expected] of cases) {
+    assert.strictEqual(
+      evaluateCondition({ questionId: 'q1', ...condition }, answerValue),
+      expected,
+      `${condition.operator} ${JSON.stringify(condition.value)} on ${JSON.stringify(answerValue)}`
+    );
+  }
+});
+
+test('evaluateCondition never matches an unanswered question', () => {
+  for (const operator of ['equals', 'not_equals', 'contains', 'greater_than', 'less_than']) {
+    assert.strictEqual(evaluateCondition({ questionId: 'q1', operator, value: 1 }, undefined), false, operator);
+    assert.strictEqual(evaluateCondition({ questionId: 'q1', operator, value: 1 }, null), false, operator);
+  }
+});
+
+test('resolveVisibleQuestions follows conditions through hidden questions', () => {
+  const questions = [
+    { id: 'pain', type: 'single_choice' },
+    { id: 'pain_level', type: 'rating_numeric', conditions: [{ questionId: 'pain', operator: 'equals', value: 'yes' }] },
+    { id: 'pain_meds', type: 'long_text', conditions: [{ questionId: 'pain_level', operator: 'greater_than', value: 6 }] },
+    { id: 'dangling', type: 'long_text', conditions: [{ questionId: 'missing', operator: 'equals', value: 'x' }] },
+  ];
+
+  const cases = [
+    [[{ questionId: 'pain', value: 'yes' }, { questionId: 'pain_level', value: 8 }], ['pain', 'pain_level', 'pain_meds']],
+    [[{ questionId: 'pain', value: 'yes' }, { questionId: 'pain_level', value: 3 }], ['pain', 'pain_level']],
+    // A stale answer to a hidden question does not reveal its dependants
+    [[{ questionId: 'pain', value: 'no' }, { questionId: 'pain_level', value: 8 }], ['pain']],
+    [[], ['pain']],
+  ];
+
+  for (const [answers, expected] of cases) {
+    assert.deepStrictEqual([...resolveVisibleQuestions(questions, answers)], expected, JSON.stringify(answers));
+  }
+});
+
+test('validateQuestionGraph reports invalid conditions', () => {
+  const cases = [
+    [
+      [{ id: 'a', type: 'long_text', conditions: [{ questionId: 'a', operator: 'equals', value: 'x' }] }],
+      ['Question a has a condition on itself'],
+    ],
+    [
+      [{ id: 'a', type: 'long_text', conditions: [{ questionId: 'b', operator: 'equals', value: 'x' }] }],
+      ['Question a has a condition on unknown question: b'],
+    ],
+    [
+      [
+        { id: 'a', type: 'single_choice' },
+        { id: 'b', type: 'long_text', conditions: [{ questionId: 'a', operator: 'matches', value: 'x' }] },
+      ],
+      ['Question b uses unknown condition operator: matches'],
+    ],
+    [
+      [
+        { id: 'a', type: 'single_choice' },
+        { id: 'b', type: 'long_text', conditions: [{ questionId: 'a', operator: 'greater_than', value: 1 }] },
+        { id: 'c', type: 'long_text', conditions: [{ questionId: 'a', operator: 'contains', value: 'x' }] },
+      ],
+      [
+        'Question b uses greater_than on non-numeric question: a',
+        'Question c uses contains on single_choice question: a',
+      ],
+    ],
+    [
+      [
+        { id: 'a', type: 'single_choice', conditions: [{ questionId: 'b', operator: 'equals', value: 'x' }] },
+        { id: 'b', type: 'single_choice', conditions: [{ questionId: 'a', operator: 'equals', value: 'x' }] },
+      ],
+      ['Cyclic question conditions: a -> b -> a'],
+    ],
+  ];
+
+  for (const [questions, errors] of cases) {
+    assert.deepStrictEqual(validateQuestionGraph(questions), { valid: false, errors });
+  }
+});
+
+test('validateQuestionGraph accepts a valid graph', () => {
+  const questions = [
+    { id: 'a', type: 'numeric' },
+    { id: 'b', type: 'multi_choice', conditions: [{ questionId: 'a', operator: 'less_than', value: 3 }] },
+    { id: 'c', type: 'long_text', conditions: [{ questionId: 'b', operator: 'contains', value: 'x' }] },
+  ];
+
+  assert.deepStrictEqual(validateQuestionGraph(questions), { valid: true, errors: [] });
+});
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { fitContext } = require('../helpers/contextBudgeter');
+
+// One token per character of JSON keeps the arithmetic readable
+const measure = context => JSON.stringify(context).length;
+
+const context = {
+  patient: 'x'.repeat(20),
+  history: 'h'.repeat(100),
+  notes: 'n'.repeat(100),
+  language: 'en',
+};
+
+const sections = [
+  { key: 'patient', priority: 1, required: true },
+  {
+    key: 'history',
+    priority: 5,
+    minTokens: 30,
+    reducers: [
+      { action: 'shortened', apply: value => value.slice(0, 50) },
+      { action: 'summarized', apply: value => value.slice(0, 10) },
+    ],
+  },
+  {
+    key: 'notes',
+    priority: 3,
+    reducers: [{ action: 'shortened', apply: value => value.slice(0, 40) }],
+  },
+];
+
+test('fitContext reduces, then drops, lowest priority first', () => {
+  const cases = [
+    [300, 274, true, []],
+    [230, 224, true, [['history', 'shortened', 114, 64]]],
+    [150, 124, true, [['history', 'summarized', 114, 24], ['notes', 'shortened', 112, 52]]],
+    [60, 50, true, [['history', 'dropped', 114, 0], ['notes', 'dropped', 112, 0]]],
+    // Required sections and keys that are not sections stay
+    [20, 50, false, [['history', 'dropped', 114, 0], ['notes', 'dropped', 112, 0]]],
+  ];
+
+  for (const [maxTokens, tokenCount, withinBudget, pruned] of cases) {
+    const result = fitContext(context, sections, { maxTokens, measure });
+
+    assert.strictEqual(result.tokenCount, tokenCount, `budget ${maxTokens}`);
+    assert.strictEqual(result.tokenCount, measure(result.context), `budget ${maxTokens}`);
+    assert.strictEqual(result.withinBudget, withinBudget, `budget ${maxTokens}`);
+    assert.deepStrictEqual(
+      result.pruned.map(entry => [entry.section, entry.action, entry.tokensBefore, entry.tokensAfter]),
+      pruned,
+      `budget ${maxTokens}`
+    );
+  }
+});
+
+test('fitContext does not reduce a section below its minimum', () => {
+  const withHighMinimum = sections.map(section => (
+    section.key === 'history' ? { ...section, minTokens: 70 } : section
+  ));
+
+  const result = fitContext(context, withHighMinimum, { maxTokens: 170, measure });
+
+  // Summarizing history would bring it under 70 tokens, so notes are shortened instead
+  assert.strictEqual(result.context.history.length, 50);
+  assert.deepStrictEqual(
+    result.pruned.map(entry => [entry.section, entry.action]),
+    [['history', 'shortened'], ['notes', 'shortened']]
+  );
+});
+
+test('fitContext leaves the input untouched and skips missing sections', () => {
+  const input = { ...context };
+  delete input.notes;
+
+  const result = fitContext(input, sections, { maxTokens: 100, measure });
+
+  assert.deepStrictEqual(input, { patient: context.patient, history: context.history, language: 'en' });
+  assert.deepStrictEqual(result.context, { patient: context.patient, history: 'h'.repeat(10), language: 'en' });
+  assert.deepStrictEqual(result.pruned, [
+    { section: 'history', priority: 5, tokensBefore: 114, tokensAfter: 24, action: 'summarized' },
+  ]);
+});
@@ -0,0 +1,171 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { toQuestionnaire, toQuestionnaireResponse, fromQuestionnaire } = require('../helpers/fhir');
+
+const EXTENSION_BASE_URL = 'https://example.com/fhir/StructureDefinition';
+const options = { extensionBaseUrl: EXTENSION_BASE_URL };
+
+const questions = [
+  {
+    id: 'pain', type: 'single_choice', label: 'Are you in pain?', required: true,
+    options: [{ id: 'yes', label: 'Yes', value: 'yes' }, { id: 'no', label: 'No', value: 'no' }],
+  },
+  {
+    id: 'pain_level', type: 'rating_numeric', label: 'Pain level', description: '0 = none', required: true, min: 0, max: 10,
+    conditions: [{ questionId: 'pain', operator: 'equals', value: 'yes' }],
+  },
+  { id: 'stiffness', type: 'rating_slider', label: 'Stiffness', required: false, min: 0, max: 1, step: 0.25 },
+  {
+    id: 'pain_notes', type: 'long_text', label: 'Describe the pain', required: false,
+    conditions: [{ questionId: 'pain_level', operator: 'greater_than', value: 6 }],
+  },
+  {
+    id: 'triggers', type: 'multi_choice', label: 'Triggers', required: false,
+    options: [{ id: 'stress', label: 'Stress', value: 'stress' }, { id: 'food', label: 'Food', value: 'food' }],
+  },
+  {
+    id: 'food_notes', type: 'long_text', label: 'Which foods?', required: false,
+    conditions: [{ questionId: 'triggers', operator: 'contains', value: 'food' }],
+  },
+  {
+    id: 'food_worst', type: 'numeric', label: 'Hours after eating', required: false,
+    conditions: [{ questionId: 'food_notes', operator: 'contains', value: 'dairy' }],
+  },
+];
+
+test('an exported Questionnaire imports back to the same questions', () => {
+  const resource = toQuestionnaire({ id: 'a1', title: 'Follow-up', language: 'en', questions }, options);
+  const { value, errors, warnings } = fromQuestionnaire(resource, options);
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(warnings, []);
+  assert.strictEqual(value.name, 'Follow-up');
+
+  const comparable = question => ({
+    id: question.id,
+    type: question.type,
+    label: question.label,
+    description: question.description || null,
+    required: question.required,
+    options: (question.options || []).map(option => [option.label, option.value]),
+    min: question.min ?? null,
+    max: question.max ?? null,
+    step: question.step ?? null,
+    conditions: question.conditions || [],
+  });
+
+  // contains on a choice question exports as FHIR `=`, which imports as the equivalent equals
+  const expected = questions.map(comparable);
+  expected.find(question => question.id === 'food_notes').conditions[0].operator = 'equals';
+
+  assert.deepStrictEqual(value.questions.map(comparable), expected);
+});
+
+test('toQuestionnaire uses standard extensions and enableWhen', () => {
+  const { item } = toQuestionnaire({ id: 'a1', title: 'Follow-up', questions }, options);
+  const byId = Object.fromEntries(item.map(entry => [entry.linkId, entry]));
+
+  assert.deepStrictEqual(
+    item.map(entry => [entry.linkId, entry.type]),
+    [
+      ['pain', 'choice'], ['pain_level', 'integer'], ['stiffness', 'decimal'], ['pain_notes', 'text'],
+      ['triggers', 'choice'], ['food_notes', 'text'], ['food_worst', 'decimal'],
+    ]
+  );
+  assert.deepStrictEqual(byId.pain_level.enableWhen, [{ question: 'pain', operator: '=', answerCoding: { code: 'yes' } }]);
+  assert.deepStrictEqual(byId.pain_notes.enableWhen, [{ question: 'pain_level', operator: '>', answerInteger: 6 }]);
+  // contains on a choice question is FHIR `=`
+  assert.deepStrictEqual(byId.food_notes.enableWhen, [{ question: 'triggers', operator: '=', answerCoding: { code: 'food' } }]);
+  assert.strictEqual(byId.triggers.repeats, true);
+  assert.ok(byId.pain_level.extension.some(extension => (
+    extension.url === 'http://hl7.org/fhir/StructureDefinition/maxValue' && extension.valueInteger === 10
+  )));
+  assert.deepStrictEqual(byId.pain_level.item.map(child => [child.type, child.text]), [['display', '0 = none']]);
+});
+
+test('toQuestionnaireResponse types answers and skips unanswered questions', () => {
+  const resource = toQuestionnaireResponse({
+    id: 'r1',
+    questionnaire: 'Questionnaire/a1',
+    authored: '2024-01-02T03:04:05.000Z',
+    questions,
+    answers: [
+      { questionId: 'pain', value: 'yes' },
+      { questionId: 'pain_level', value: 7 },
+      { questionId: 'stiffness', value: 0.5 },
+      { questionId: 'triggers', value: ['stress', 'food'] },
+      { questionId: 'pain_notes', value: 'Sharp' },
+    ],
+  });
+
+  assert.strictEqual(resource.authored, '2024-01-02T03:04:05.000Z');
+  assert.deepStrictEqual(resource.item.map(entry => [entry.linkId, entry.answer]), [
+    ['pain', [{ valueCoding: { code: 'yes', display: 'Yes' } }]],
+    ['pain_level', [{ valueInteger: 7 }]],
+    ['stiffness', [{ valueDecimal: 0.5 }]],
+    ['pain_notes', [{ valueString: 'Sharp' }]],
+    ['triggers', [{ valueCoding: { code: 'stress', display: 'Stress' } }, { valueCoding: { code: 'food', display: 'Food' } }]],
+  ]);
+});
+
+test('fromQuestionnaire maps external items by their FHIR type', () => {
+  const { value, errors, warnings } = fromQuestionnaire({
+    resourceType: 'Questionnaire',
+    title: 'External',
+    language: 'fr-CA',
+    item: [
+      {
+        linkId: 'g1',
+        type: 'group',
+        item: [
+          { linkId: 'smoker', type: 'boolean', text: 'Do you smoke?' },
+          { linkId: 'intro', type: 'display', text: 'About you' },
+          {
+            linkId: 'cigarettes', type: 'integer', text: 'Per day?',
+            enableWhen: [{ question: 'smoker', operator: '=', answerBoolean: true }],
+          },
+        ],
+      },
+    ],
+  }, options);
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(warnings, ['Group g1 was flattened', 'Display item intro was skipped']);
+  assert.strictEqual(value.language, 'fr');
+  assert.deepStrictEqual(
+    value.questions.map(question => [question.id, question.type, question.options.map(option => option.value), question.conditions]),
+    [
+      ['smoker', 'single_choice', ['yes', 'no'], []],
+      ['cigarettes', 'numeric', [], [{ questionId: 'smoker', operator: 'equals', value: 'yes' }]],
+    ]
+  );
+});
+
+test('fromQuestionnaire reports what it cannot import', () => {
+  const cases = [
+    [{ resourceType: 'Patient' }, ['resourceType must be Questionnaire']],
+    [{ resourceType: 'Questionnaire', item: [] }, ['Questionnaire has no question items']],
+    [{ resourceType: 'Questionnaire', item: 'nope' }, ['Questionnaire: item must be an array', 'Questionnaire has no question items']],
+    [
+      { resourceType: 'Questionnaire', item: [{ linkId: 'd', type: 'date' }] },
+      ['Item d: item type "date" is not supported'],
+    ],
+    [
+      {
+        resourceType: 'Questionnaire',
+        item: [
+          { linkId: 'a', type: 'string' },
+          {
+            linkId: 'b', type: 'string', enableBehavior: 'any',
+            enableWhen: [{ question: 'a', operator: 'exists', answerBoolean: true }, { question: 'a', operator: '=', answerString: 'x' }],
+          },
+        ],
+      },
+      ['Item b: enableBehavior "any" is not supported, all conditions must hold', 'Item b: enableWhen operator "exists" is not supported'],
+    ],
+  ];
+
+  for (const [resource, expected] of cases) {
+    assert.deepStrictEqual(fromQuestionnaire(resource, options).errors, expected, JSON.stringify(resource));
+  }
+});
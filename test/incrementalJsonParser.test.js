@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createIncrementalJsonParser } = require('../helpers/incrementalJsonParser');
+
+// Feed text in chunks of a given size and record the events in order
+const parseInChunks = (text, size) => {
+  const events = [];
+  const parser = createIncrementalJsonParser({
+    onProperty: (key, value) => events.push(['property', key, value]),
+    onArrayItem: (key, index, value) => events.push(['item', key, index, value]),
+  });
+
+  for (let i = 0; i < text.length; i += size) {
+    parser.push(text.slice(i, i + size));
+  }
+
+  return { events, parser };
+};
+
+const document = '```json\n{\n  "severity": "moderate",\n  "min_days_before_next_assessment": 21,\n'
+  + '  "questions": [\n    {"id": "q1", "label": "Brace } and \\"quote\\" in text", "options": [{"value": "a"}]},\n'
+  + '    {"id": "q2", "conditions": null}\n  ],\n  "flags": [true, false, -1.5e2],\n  "empty": {}\n}\n```';
+
+test('events are the same whatever the chunk size', () => {
+  const expected = [
+    ['property', 'severity', 'moderate'],
+    ['property', 'min_days_before_next_assessment', 21],
+    ['item', 'questions', 0, { id: 'q1', label: 'Brace } and "quote" in text', options: [{ value: 'a' }] }],
+    ['item', 'questions', 1, { id: 'q2', conditions: null }],
+    ['property', 'questions', [
+      { id: 'q1', label: 'Brace } and "quote" in text', options: [{ value: 'a' }] },
+      { id: 'q2', conditions: null },
+    ]],
+    ['item', 'flags', 0, true],
+    ['item', 'flags', 1, false],
+    ['item', 'flags', 2, -150],
+    ['property', 'flags', [true, false, -150]],
+    ['property', 'empty', {}],
+  ];
+
+  for (const size of [1, 2, 3, 7, 64, document.length]) {
+    const { events, parser } = parseInChunks(document, size);
+    assert.deepStrictEqual(events, expected, `chunk size ${size}`);
+    assert.strictEqual(parser.isComplete(), true);
+    assert.strictEqual(parser.end(), document);
+  }
+});
+
+test('items are reported before their array is closed', () => {
+  const events = [];
+  const parser = createIncrementalJsonParser({
+    onArrayItem: (key, index, value) => events.push([key, index, value]),
+  });
+
+  parser.push('{"questions": [{"id": "q1"}, {"id"');
+  assert.deepStrictEqual(events, [['questions', 0, { id: 'q1' }]]);
+  assert.strictEqual(parser.isComplete(), false);
+  assert.throws(() => parser.end(), /Incomplete JSON/);
+});
+
+test('a malformed value throws when it is completed', () => {
+  const cases = [
+    '{"severity": moderate}',
+    '{"questions": [{"id": q1}]}',
+  ];
+
+  for (const text of cases) {
+    assert.throws(() => parseInChunks(text, 4), SyntaxError, text);
+  }
+});
+
+test('text after the closing brace is ignored', () => {
+  const { events, parser } = parseInChunks('{"a": 1} {"b": 2}', 5);
+
+  assert.deepStrictEqual(events, [['property', 'a', 1]]);
+  assert.strictEqual(parser.isComplete(), true);
+});
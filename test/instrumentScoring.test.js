@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { scoreInstrument } = require('../helpers/instrumentScoring');
+const phq9 = require('../api/v1/assessment/instruments/phq9');
+const pss10 = require('../api/v1/assessment/instruments/pss10');
+
+// Every scored item of an instrument answered with the same option value
+const answerAll = (instrument, value) => instrument.scoring.items.map(questionId => ({ questionId, value }));
+
+test('scoreInstrument sums items and places the total in a band', () => {
+  const cases = [
+    [answerAll(phq9, 'not_at_all'), 0, 'minimal'],
+    [answerAll(phq9, 'several_days'), 9, 'mild'],
+    [answerAll(phq9, 'more_than_half'), 18, 'moderately_severe'],
+    [answerAll(phq9, 'nearly_every_day'), 27, 'severe'],
+  ];
+
+  for (const [answers, total, band] of cases) {
+    const score = scoreInstrument(phq9, answers);
+    assert.deepStrictEqual([score.total, score.band, score.complete], [total, band, true], band);
+    assert.strictEqual(score.maxTotal, 27);
+  }
+});
+
+test('scoreInstrument reverse scores items and sums subscales', () => {
+  const cases = [
+    ['never', 16, 'moderate', [0, 16]],
+    ['very_often', 24, 'moderate', [24, 0]],
+    ['sometimes', 20, 'moderate', [12, 8]],
+  ];
+
+  for (const [value, total, band, subscaleScores] of cases) {
+    const score = scoreInstrument(pss10, answerAll(pss10, value));
+    assert.deepStrictEqual([score.total, score.band], [total, band], value);
+    assert.deepStrictEqual(score.subscales.map(subscale => subscale.score), subscaleScores, value);
+    assert.strictEqual(score.itemScores.pss10_4, 4 - score.itemScores.pss10_1, value);
+  }
+});
+
+test('scoreInstrument leaves totals empty until every item is answered', () => {
+  const answers = answerAll(pss10, 'never')
+    .filter(answer => answer.questionId !== 'pss10_4')
+    .concat({ questionId: 'pss10_10', value: 'not_an_option' });
+
+  const score = scoreInstrument(pss10, answers);
+
+  assert.strictEqual(score.total, null);
+  assert.strictEqual(score.band, null);
+  assert.strictEqual(score.complete, false);
+  assert.strictEqual(score.answeredItems, 8);
+  assert.strictEqual(score.totalItems, 10);
+  // Each subscale is missing one of the two items
+  assert.deepStrictEqual(score.subscales.map(subscale => subscale.score), [null, null]);
+});
+
+test('scoreInstrument reports identity and ignores answers outside the instrument', () => {
+  const score = scoreInstrument(phq9, [
+    ...answerAll(phq9, 'not_at_all'),
+    { questionId: 'phq9_10', value: 'very_difficult' },
+    { questionId: 'sleep_quality', value: 'often' },
+  ]);
+
+  assert.deepStrictEqual(
+    [score.code, score.version, score.name, score.answeredItems, score.totalItems],
+    ['phq9', '1.0', 'PHQ-9', 9, 9]
+  );
+});
@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildKnownIdentifiers, createRedactor, normalizeIdentifier } = require('../helpers/piiRedactor');
+
+test('pattern detectors replace identifiers in free text', () => {
+  const cases = [
+    ['Email me at jane.doe@example.com please', 'Email me at [EMAIL_1] please'],
+    ['Call 555-123-4567 after six', 'Call [PHONE_1] after six'],
+    ['Call +44 (20) 7946 0958', 'Call [PHONE_1]'],
+    ['My SSN 123-45-6789 is on file', 'My SSN [ID_NUMBER_1] is on file'],
+    ['MRN: A123456 at the clinic', 'MRN: [ID_NUMBER_1] at the clinic'],
+    ['I live at 221 Baker Street now', 'I live at [ADDRESS_1] now'],
+    ['My name is Jane Doe', 'My name is [NAME_1]'],
+    ['Dr. Patel said to rest', 'Dr. [NAME_1] said to rest'],
+  ];
+
+  for (const [text, expected] of cases) {
+    assert.strictEqual(createRedactor().redactText(text), expected, text);
+  }
+});
+
+test('pattern detectors leave ordinary wording alone', () => {
+  const cases = [
+    'Started on 2024-03-15 and again 15/03/2024',
+    'I take 200 mg twice a day',
+    'My insurance policy changed last year',
+    'I will rest more',
+  ];
+
+  for (const text of cases) {
+    assert.strictEqual(createRedactor().redactText(text), text);
+  }
+});
+
+test('known identifiers are redacted wherever they appear', () => {
+  const knownIdentifiers = buildKnownIdentifiers({
+    user: { name: 'Will Carter', email: 'will@example.com' },
+    patient: { contact: { phone: '+1 555 123 4567' } },
+  });
+  const redactor = createRedactor({ knownIdentifiers });
+
+  const cases = [
+    ['will carter has headaches', '[NAME_1] has headaches'],
+    // Name parts only when capitalised, so the verb is kept
+    ['Carter says he will rest', '[NAME_2] says he will rest'],
+    ['Reach me on (555) 123-4567', 'Reach me on [PHONE_1]'],
+    ['WILL@example.com', '[EMAIL_1]'],
+  ];
+
+  for (const [text, expected] of cases) {
+    assert.strictEqual(redactor.redactText(text), expected, text);
+  }
+});
+
+test('the same value keeps its placeholder and rehydrates', () => {
+  const redactor = createRedactor({ fingerprintSecret: 'secret' });
+  const context = {
+    notes: 'Write to a@example.com or b@example.com',
+    answers: [{ value: 'Again: A@example.com' }, { value: 4 }],
+  };
+
+  const redacted = redactor.redact(context);
+
+  assert.deepStrictEqual(redacted, {
+    notes: 'Write to [EMAIL_1] or [EMAIL_2]',
+    answers: [{ value: 'Again: [EMAIL_1]' }, { value: 4 }],
+  });
+  assert.deepStrictEqual(
+    redactor.rehydrate({ summary: 'Contact [EMAIL_2], not [EMAIL_9]' }),
+    { summary: 'Contact b@example.com, not [EMAIL_9]' }
+  );
+});
+
+test('the report has fingerprints instead of raw values', () => {
+  const redactor = createRedactor({ fingerprintSecret: 'secret' });
+  redactor.redactText('Call 555-123-4567 or 555.123.4567');
+
+  const report = redactor.getReport();
+
+  assert.strictEqual(report.length, 1);
+  assert.deepStrictEqual(
+    { ...report[0], fingerprint: undefined },
+    { placeholder: 'PHONE_1', type: 'PHONE', source: 'pattern', occurrences: 2, fingerprint: undefined }
+  );
+  assert.match(report[0].fingerprint, /^[0-9a-f]{16}$/);
+  assert.ok(!JSON.stringify(report).includes('555'));
+});
+
+test('normalizeIdentifier compares phones by digits and text case-insensitively', () => {
+  const cases = [
+    ['PHONE', '+1 (555) 123-4567', '15551234567'],
+    ['NAME', '  Jane   Doe ', 'jane doe'],
+    ['EMAIL', 'Jane@Example.com', 'jane@example.com'],
+  ];
+
+  for (const [type, value, expected] of cases) {
+    assert.strictEqual(normalizeIdentifier(type, value), expected);
+  }
+});
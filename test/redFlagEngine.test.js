@@ -0,0 +1,156 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  isValidPattern,
+  evaluateText,
+  evaluateAnswers,
+  highestLevel,
+  buildAdvisory,
+} = require('../helpers/redFlagEngine');
+const { RED_FLAG_ADVISORIES } = require('../constants/redFlags');
+
+const emergencyKeyword = {
+  code: 'chest_pain',
+  name: 'Chest pain',
+  level: 'emergency',
+  type: 'keyword',
+  patterns: ['chest pain'],
+  advice: 'Call emergency services.',
+};
+
+const urgentKeyword = {
+  code: 'fainting',
+  name: 'Fainting',
+  level: 'urgent',
+  type: 'keyword',
+  patterns: ['faint(ed|ing)?'],
+  advice: 'See a doctor today.',
+};
+
+const painThreshold = {
+  code: 'severe_pain',
+  name: 'Severe pain',
+  level: 'urgent',
+  type: 'numeric_threshold',
+  questionPattern: 'pain',
+  operator: 'gte',
+  threshold: 0.9,
+  relativeToScale: true,
+  advice: 'See a doctor today.',
+};
+
+const bleedingOption = {
+  code: 'bleeding',
+  name: 'Bleeding',
+  level: 'emergency',
+  type: 'option_value',
+  questionTypes: ['single_choice', 'multi_choice'],
+  values: ['heavy_bleeding'],
+  advice: 'Call emergency services.',
+};
+
+test('evaluateText matches keywords unless an urgent match is negated', () => {
+  const rules = [emergencyKeyword, urgentKeyword];
+  const cases = [
+    ['I had chest pain last night', ['chest_pain']],
+    ['I fainted twice', ['fainting']],
+    ['No fainting at all', []],
+    ['denies any fainting', []],
+    // A conjunction ends the negation's scope
+    ['no appetite and fainting', ['fainting']],
+    // Emergency keywords are never suppressed
+    ['no chest pain now', ['chest_pain']],
+    ['Feeling tired', []],
+  ];
+
+  for (const [text, codes] of cases) {
+    assert.deepStrictEqual(evaluateText(rules, { symptoms: text }).map(match => match.ruleCode), codes, text);
+  }
+});
+
+test('evaluateText reports the first matching field with an excerpt', () => {
+  const [match] = evaluateText([urgentKeyword], { title: 'Dizzy', symptoms: 'I fainted at work', notes: 'fainting' });
+
+  assert.deepStrictEqual(match, {
+    ruleCode: 'fainting',
+    ruleName: 'Fainting',
+    level: 'urgent',
+    advice: 'See a doctor today.',
+    field: 'symptoms',
+    questionId: null,
+    excerpt: 'I fainted at work',
+  });
+});
+
+test('evaluateAnswers applies keyword, threshold and option rules', () => {
+  const rules = [emergencyKeyword, painThreshold, bleedingOption];
+  const questions = [
+    { id: 'pain_now', type: 'rating_numeric', label: 'Pain now', min: 0, max: 10 },
+    { id: 'sleep_hours', type: 'numeric', label: 'Hours slept', min: 0, max: 10 },
+    { id: 'symptoms', type: 'multi_choice', label: 'Symptoms' },
+    { id: 'details', type: 'long_text', label: 'Details' },
+  ];
+
+  const cases = [
+    [[{ questionId: 'pain_now', value: 9 }], [['severe_pain', 'pain_now']]],
+    [[{ questionId: 'pain_now', value: 8 }], []],
+    // Threshold rules only apply to questions their pattern selects
+    [[{ questionId: 'sleep_hours', value: 10 }], []],
+    [[{ questionId: 'symptoms', value: ['nausea', 'HEAVY_BLEEDING'] }], [['bleeding', 'symptoms']]],
+    [[{ questionId: 'details', value: 'Sharp chest pain' }], [['chest_pain', 'details']]],
+  ];
+
+  for (const [answers, expected] of cases) {
+    const matches = evaluateAnswers(rules, questions, answers);
+    assert.deepStrictEqual(matches.map(match => [match.ruleCode, match.questionId]), expected, JSON.stringify(answers));
+  }
+
+  const [noteMatch] = evaluateAnswers(rules, questions, [], 'chest pain after climbing stairs');
+  assert.deepStrictEqual([noteMatch.field, noteMatch.questionId], ['notes', null]);
+});
+
+test('exceptValues match any selected value that is not listed', () => {
+  const rule = { ...bleedingOption, values: undefined, exceptValues: ['none'] };
+  const questions = [{ id: 'warning_signs', type: 'multi_choice', label: 'Warning signs' }];
+
+  const cases = [
+    [['none'], 0],
+    [['none', 'vomiting'], 1],
+    [[], 0],
+  ];
+
+  for (const [value, count] of cases) {
+    assert.strictEqual(evaluateAnswers([rule], questions, [{ questionId: 'warning_signs', value }]).length, count);
+  }
+});
+
+test('highestLevel and buildAdvisory combine matches', () => {
+  assert.strictEqual(highestLevel([]), null);
+  assert.strictEqual(highestLevel([{ level: 'urgent' }, { level: 'emergency' }, { level: 'urgent' }]), 'emergency');
+  assert.strictEqual(buildAdvisory([]), null);
+
+  const advisory = buildAdvisory([
+    { ruleCode: 'fainting', level: 'urgent', advice: 'See a doctor today.' },
+    { ruleCode: 'severe_pain', level: 'urgent', advice: 'See a doctor today.' },
+    { ruleCode: 'fainting', level: 'urgent', advice: null },
+  ]);
+
+  assert.deepStrictEqual(advisory, {
+    level: 'urgent',
+    ...RED_FLAG_ADVISORIES.urgent,
+    advice: ['See a doctor today.'],
+    ruleCodes: ['fainting', 'severe_pain'],
+  });
+});
+
+test('isValidPattern rejects invalid regular expressions', () => {
+  const cases = [
+    ['chest (pain|pressure)', true],
+    ['chest (pain', false],
+    ['[a-', false],
+  ];
+
+  for (const [pattern, expected] of cases) {
+    assert.strictEqual(isValidPattern(pattern), expected, pattern);
+  }
+});
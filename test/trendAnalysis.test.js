@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeLabel, buildTrends } = require('../helpers/trendAnalysis');
+const phq9 = require('../api/v1/assessment/instruments/phq9');
+
+const FREQUENCY_OPTIONS = ['never', 'rarely', 'sometimes', 'often', 'always']
+  .map(value => ({ id: value, label: value, value }));
+
+// Response with its assessment populated, as buildTrends expects
+const response = (index, questions, answers, extra = {}) => ({
+  _id: `response_${index}`,
+  assessment: { _id: `assessment_${index}`, questions, instruments: extra.instruments || [] },
+  submittedAt: new Date(Date.UTC(2024, 0, index)),
+  answers,
+  instrumentScores: extra.instrumentScores || [],
+});
+
+test('normalizeLabel keeps the meaningful words', () => {
+  const cases = [
+    ['How would you rate your pain today?', 'pain_today'],
+    ['Pain   today', 'pain_today'],
+    ['How often do you wake at night?', 'often_wake_night'],
+    ['What is the', ''],
+  ];
+
+  for (const [label, expected] of cases) {
+    assert.strictEqual(normalizeLabel(label), expected, label);
+  }
+});
+
+test('buildTrends aligns questions by id or label on the same scale', () => {
+  const painA = { id: 'pain', type: 'rating_numeric', label: 'Rate your pain today', min: 0, max: 10 };
+  const painB = { id: 'pain_level', type: 'rating_numeric', label: 'How would you rate your pain today?', min: 0, max: 10 };
+  const painOtherScale = { id: 'pain', type: 'rating_numeric', label: 'Pain today', min: 1, max: 5 };
+
+  const trends = buildTrends([
+    response(1, [painA], [{ questionId: 'pain', value: 6 }]),
+    response(2, [painB], [{ questionId: 'pain_level', value: 4 }]),
+    response(3, [painOtherScale], [{ questionId: 'pain', value: 2 }]),
+  ]);
+
+  assert.deepStrictEqual(
+    trends.map(trend => [trend.key, trend.points.map(point => point.value)]),
+    [['question:pain', [6, 4]], ['question:pain:1', [2]]]
+  );
+
+  const [pain] = trends;
+  assert.strictEqual(pain.label, painB.label);
+  assert.deepStrictEqual([pain.change, pain.direction, pain.trend], [-2, 'down', null]);
+});
+
+test('buildTrends uses the option position for ordinal scales', () => {
+  const question = { id: 'wake', type: 'rating_frequency', label: 'How often do you wake at night?', options: FREQUENCY_OPTIONS };
+
+  const [wake] = buildTrends([
+    response(1, [question], [{ questionId: 'wake', value: 'often' }]),
+    response(2, [question], [{ questionId: 'wake', value: 'often' }]),
+    response(3, [question], [{ questionId: 'wake', value: 'not_an_option' }]),
+  ]);
+
+  assert.deepStrictEqual(wake.points.map(point => [point.value, point.display]), [[3, 'often'], [3, 'often']]);
+  assert.deepStrictEqual(wake.scale, { min: 0, max: 4, labels: FREQUENCY_OPTIONS.map(opt => opt.label) });
+  assert.strictEqual(wake.direction, 'flat');
+});
+
+test('buildTrends reads instrument totals and items with their polarity', () => {
+  const questions = phq9.questions.slice(0, 1);
+  const instruments = [{ code: 'phq9', version: '1.0', questionIds: ['phq9_1'] }];
+  const score = (total, band, item) => ({
+    code: 'phq9', version: '1.0', name: 'PHQ-9', total, maxTotal: 27, band, subscales: [], itemScores: { phq9_1: item },
+  });
+
+  const trends = buildTrends([
+    response(1, questions, [{ questionId: 'phq9_1', value: 'nearly_every_day' }], { instruments, instrumentScores: [score(16, 'moderately_severe', 3)] }),
+    response(2, questions, [{ questionId: 'phq9_1', value: 'several_days' }], { instruments, instrumentScores: [score(8, 'mild', 1)] }),
+  ], { getInstrument: code => (code === 'phq9' ? phq9 : null) });
+
+  assert.deepStrictEqual(
+    trends.map(trend => [trend.key, trend.source, trend.points.map(point => point.value), trend.trend]),
+    [
+      ['instrument:phq9', 'instrument', [16, 8], 'improving'],
+      ['instrument:phq9:item:phq9_1', 'instrument_item', [3, 1], 'improving'],
+    ]
+  );
+  assert.strictEqual(trends[0].latest.display, 'mild');
+});
+
+test('buildTrends skips untrendable answers and short series', () => {
+  const questions = [
+    { id: 'notes', type: 'long_text', label: 'Anything else?' },
+    { id: 'sleep', type: 'numeric', label: 'Hours slept', min: 0, max: 24 },
+  ];
+
+  const responses = [
+    response(1, questions, [{ questionId: 'notes', value: 'Tired' }, { questionId: 'sleep', value: 7 }]),
+    response(2, questions, [{ questionId: 'sleep', value: '8' }]),
+  ];
+
+  assert.deepStrictEqual(buildTrends(responses).map(trend => trend.key), ['question:sleep']);
+  assert.deepStrictEqual(buildTrends(responses, { minPoints: 2 }), []);
+});